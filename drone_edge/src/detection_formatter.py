@@ -5,7 +5,7 @@ Structures detection events for logging and Firebase transmission
 """
 
 from datetime import datetime
-from typing import List, Dict, Any
+from typing import List, Dict, Any, Optional
 import json
 
 
@@ -19,7 +19,8 @@ class DetectionFormatter:
         frame_number: int,
         timestamp: str,
         detections: List[Dict[str, Any]],
-        frame_shape: tuple
+        frame_shape: tuple,
+        gps: Optional[Dict[str, float]] = None
     ) -> Dict[str, Any]:
         """
         Create structured detection event.
@@ -29,6 +30,8 @@ class DetectionFormatter:
             timestamp: ISO format timestamp
             detections: List of detection dictionaries
             frame_shape: (height, width, channels)
+            gps: Drone position from telemetry {lat, lng, alt, heading};
+                 left out of the event when unknown (unlocated)
         
         Returns:
             Structured event dictionary
@@ -44,6 +47,9 @@ class DetectionFormatter:
             'detections': detections
         }
         
+        if gps:
+            event['gps'] = gps
+        
         return event
     
     @staticmethod
@@ -57,6 +63,11 @@ class DetectionFormatter:
         print(f"\n[Frame {event['frame_id']}] {event['timestamp']}")
         print(f"  Detections: {event['detection_count']}")
         
+        if 'gps' in event:
+            print(f"  GPS: {event['gps']['lat']:.6f}, {event['gps']['lng']:.6f}")
+        else:
+            print("  GPS: unlocated")
+        
         if event['detection_count'] > 0:
             for i, det in enumerate(event['detections'], 1):
                 print(f"    {i}. {det['class_name']}: {det['confidence']:.1%}")
@@ -13,6 +13,7 @@ import sys
 from inference_engine import InferenceEngine
 from video_processor import VideoProcessor
 from detection_formatter import DetectionFormatter
+from telemetry_reader import load_telemetry
 from config import load_config
 
 
@@ -88,6 +89,11 @@ def main():
         # Initialize video processor
         video = VideoProcessor(config['video']['input_path'])
         
+        # Drone position per frame (None: every event is unlocated)
+        telemetry = load_telemetry(config, config['video']['input_path'])
+        # Unrounded frame rate (29.97, not 29) so frame times stay on the telemetry clock
+        telemetry_fps = video.cap.get(cv2.CAP_PROP_FPS) or video.fps
+        
         # Create output directory
         output_dir = Path(config['output']['output_dir'])
         output_dir.mkdir(exist_ok=True)
@@ -120,11 +126,13 @@ def main():
             
             # Create detection event
             timestamp = datetime.now().isoformat()
+            gps = telemetry.get_position(frame_count, telemetry_fps) if telemetry else None
             event = DetectionFormatter.format_detection_event(
                 frame_number=frame_count,
                 timestamp=timestamp,
                 detections=detections,
-                frame_shape=frame.shape
+                frame_shape=frame.shape,
+                gps=gps
             )
             
             all_events.append(event)
@@ -180,6 +188,7 @@ def main():
         print(f"📊 Statistics:")
         print(f"   Frames processed: {frame_count}")
         print(f"   Total detections: {sum(len(e['detections']) for e in all_events)}")
+        print(f"   Unlocated frames: {sum(1 for e in all_events if 'gps' not in e)}")
         print(f"   Elapsed time: {elapsed:.1f}s")
         print(f"   Average FPS: {avg_fps:.1f}")
         print(f"   Avg inference time: {engine.get_avg_inference_time():.1f}ms")
@@ -0,0 +1,252 @@
+"""
+telemetry_reader.py
+===================
+Drone position per video frame from a telemetry sidecar
+Supports:
+- CSV logs (columns: time_s or frame, lat, lng, alt, heading)
+- DJI SRT subtitles recorded next to the video
+"""
+
+import bisect
+import csv
+import re
+from pathlib import Path
+from typing import Dict, Any, List, Optional, Union
+
+
+# Column names accepted in CSV logs (lower-case)
+CSV_COLUMNS = {
+    'time': ['time_s', 'seconds', 'video_time', 'time'],
+    'frame': ['frame', 'frame_id', 'frame_number'],
+    'lat': ['lat', 'latitude'],
+    'lng': ['lng', 'lon', 'long', 'longitude'],
+    'alt': ['alt', 'altitude', 'rel_alt', 'height'],
+    'heading': ['heading', 'yaw', 'drone_yaw', 'compass_heading']
+}
+
+# DJI SRT fields (the bracketed style of newer models and GPS(lng, lat, alt) of older ones)
+SRT_TIME = re.compile(r'(\d+):(\d+):(\d+)[,.](\d+)\s*-->')
+SRT_FIELD = re.compile(r'\[?(latitude|longitude|rel_alt|altitude|drone_yaw|gb_yaw)\s*:\s*(-?[\d.]+)', re.IGNORECASE)
+SRT_GPS = re.compile(r'GPS\s*\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)')
+
+
+class TelemetryReader:
+    """
+    Looks up the drone position for a video frame, interpolating between
+    telemetry samples. Frames outside the log or across a dropout are unlocated.
+    """
+
+    def __init__(self, path: Union[str, Path], max_gap_seconds: float = 2.0):
+        """
+        Load a telemetry sidecar.
+
+        Args:
+            path: CSV or SRT file
+            max_gap_seconds: Longest stretch without samples that is still interpolated
+        """
+        self.path = Path(path)
+        self.max_gap_seconds = max_gap_seconds
+        self.by_frame = False
+
+        if not self.path.exists():
+            raise FileNotFoundError(f"Telemetry file not found: {self.path}")
+
+        if self.path.suffix.lower() == '.srt':
+            samples = self._load_srt()
+        else:
+            samples = self._load_csv()
+
+        # Receivers without a fix report 0, 0
+        samples = [s for s in samples if not (s['lat'] == 0 and s['lng'] == 0)]
+        samples.sort(key=lambda s: s['key'])
+
+        self.samples = samples
+        self.keys = [s['key'] for s in samples]
+
+        print(f"\n🛰️  Telemetry: {self.path.name}")
+        print(f"   Samples: {len(self.samples)} ({'by frame' if self.by_frame else 'by video time'})")
+
+    def _load_csv(self) -> List[Dict[str, Any]]:
+        """Read a CSV log with a header row."""
+        with open(self.path, newline='') as f:
+            reader = csv.DictReader(f)
+            header = {name.strip().lower(): name for name in (reader.fieldnames or [])}
+            columns = {
+                field: next((header[alias] for alias in aliases if alias in header), None)
+                for field, aliases in CSV_COLUMNS.items()
+            }
+
+            if not columns['lat'] or not columns['lng']:
+                raise ValueError(f"Telemetry CSV needs latitude and longitude columns: {self.path}")
+            if not columns['time'] and not columns['frame']:
+                raise ValueError(f"Telemetry CSV needs a time_s or frame column: {self.path}")
+
+            self.by_frame = not columns['time']
+            key_column = columns['frame'] if self.by_frame else columns['time']
+
+            samples = []
+            for row in reader:
+                try:
+                    samples.append({
+                        'key': float(row[key_column]),
+                        'lat': float(row[columns['lat']]),
+                        'lng': float(row[columns['lng']]),
+                        'alt': _optional_float(row, columns['alt']),
+                        'heading': _optional_float(row, columns['heading'])
+                    })
+                except (TypeError, ValueError):
+                    continue  # Skip blank or partial rows
+            return samples
+
+    def _load_srt(self) -> List[Dict[str, Any]]:
+        """Read DJI SRT subtitle blocks (one per frame or per second)."""
+        text = self.path.read_text(encoding='utf-8', errors='ignore')
+        samples = []
+
+        for block in re.split(r'\n\s*\n', text):
+            time_match = SRT_TIME.search(block)
+            if not time_match:
+                continue
+            hours, minutes, seconds, millis = (int(part) for part in time_match.groups())
+            key = hours * 3600 + minutes * 60 + seconds + millis / 1000
+
+            fields = {name.lower(): float(value) for name, value in SRT_FIELD.findall(block)}
+            gps_match = SRT_GPS.search(block)
+            if 'latitude' in fields and 'longitude' in fields:
+                lat, lng = fields['latitude'], fields['longitude']
+                alt = fields.get('rel_alt', fields.get('altitude'))
+            elif gps_match:
+                lng, lat, alt = (float(part) for part in gps_match.groups())
+            else:
+                continue
+
+            samples.append({
+                'key': key,
+                'lat': lat,
+                'lng': lng,
+                'alt': alt,
+                'heading': fields.get('drone_yaw', fields.get('gb_yaw'))
+            })
+        return samples
+
+    def get_position(self, frame_number: int, fps: float) -> Optional[Dict[str, float]]:
+        """
+        Drone position when a frame was captured.
+
+        Args:
+            frame_number: 1-based frame index
+            fps: Video frame rate
+
+        Returns:
+            {'lat', 'lng', 'alt'?, 'heading'?} or None if the frame is unlocated
+        """
+        if not self.samples:
+            return None
+
+        if self.by_frame:
+            key, max_gap = frame_number, self.max_gap_seconds * (fps or 1)
+        elif fps and fps > 0:
+            key, max_gap = (frame_number - 1) / fps, self.max_gap_seconds
+        else:
+            return None
+
+        i = bisect.bisect_left(self.keys, key)
+        if i < len(self.samples) and self.keys[i] == key:
+            return _to_gps(self.samples[i])
+
+        # Before the first or after the last sample: hold it briefly
+        if i == 0 or i == len(self.samples):
+            nearest = self.samples[0 if i == 0 else -1]
+            return _to_gps(nearest) if abs(nearest['key'] - key) <= max_gap else None
+
+        before, after = self.samples[i - 1], self.samples[i]
+        span = after['key'] - before['key']
+        if span > max_gap:
+            return None  # Telemetry dropout
+        t = (key - before['key']) / span if span > 0 else 0
+
+        return _to_gps({
+            'lat': before['lat'] + t * (after['lat'] - before['lat']),
+            'lng': before['lng'] + t * (after['lng'] - before['lng']),
+            'alt': _lerp(before['alt'], after['alt'], t),
+            'heading': _lerp_heading(before['heading'], after['heading'], t)
+        })
+
+
+def load_telemetry(config: Dict[str, Any], video_source: Union[str, int]) -> Optional[TelemetryReader]:
+    """
+    Open the telemetry sidecar for a video.
+
+    Uses telemetry.path from config.yaml, or a .srt / .csv file next to the
+    video with the same name. Webcams have no sidecar.
+
+    Returns:
+        TelemetryReader, or None (every frame is then unlocated)
+    """
+    base_dir = Path(__file__).resolve().parent.parent
+    telemetry_config = config.get('telemetry') or {}
+    max_gap = telemetry_config.get('max_gap_seconds', 2.0)
+
+    if telemetry_config.get('path'):
+        return TelemetryReader(base_dir / telemetry_config['path'], max_gap)
+
+    if isinstance(video_source, str):
+        video_path = base_dir / video_source
+        for suffix in ['.srt', '.SRT', '.csv']:
+            candidate = video_path.with_suffix(suffix)
+            if candidate.exists():
+                return TelemetryReader(candidate, max_gap)
+
+    print("\n⚠️ No telemetry sidecar - detections will be sent without GPS (unlocated)")
+    return None
+
+
+def _optional_float(row: Dict[str, str], column: Optional[str]) -> Optional[float]:
+    """Float value of an optional column, or None."""
+    if not column or row.get(column) in (None, ''):
+        return None
+    return float(row[column])
+
+
+def _lerp(a: Optional[float], b: Optional[float], t: float) -> Optional[float]:
+    """Linear interpolation that tolerates a missing end."""
+    if a is None or b is None:
+        return a if b is None else b
+    return a + t * (b - a)
+
+
+def _lerp_heading(a: Optional[float], b: Optional[float], t: float) -> Optional[float]:
+    """Interpolate a compass heading the short way round."""
+    if a is None or b is None:
+        return a if b is None else b
+    delta = ((b - a + 180) % 360) - 180
+    return (a + t * delta) % 360
+
+
+def _to_gps(sample: Dict[str, Any]) -> Dict[str, float]:
+    """Event payload position (optional fields left out)."""
+    gps = {
+        'lat': round(sample['lat'], 7),
+        'lng': round(sample['lng'], 7)
+    }
+    if sample.get('alt') is not None:
+        gps['alt'] = round(sample['alt'], 1)
+    if sample.get('heading') is not None:
+        gps['heading'] = round(sample['heading'], 1)
+    return gps
+
+
+# -------------------------
+# Standalone test
+# -------------------------
+if __name__ == "__main__":
+    import sys
+
+    if len(sys.argv) < 2:
+        print("Usage: python telemetry_reader.py <telemetry.csv|.srt> [fps]")
+        sys.exit(1)
+
+    reader = TelemetryReader(sys.argv[1])
+    fps = float(sys.argv[2]) if len(sys.argv) > 2 else 30.0
+    for frame in [1, int(fps) + 1, int(fps * 10) + 1]:
+        print(f"Frame {frame}: {reader.get_position(frame, fps) or 'unlocated'}")
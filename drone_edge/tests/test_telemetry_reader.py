@@ -0,0 +1,142 @@
+"""
+test_telemetry_reader.py
+========================
+Frame-to-position lookups from CSV and DJI SRT telemetry sidecars
+Run from drone_edge/: python -m unittest discover tests
+"""
+
+import sys
+import tempfile
+import unittest
+from pathlib import Path
+
+sys.path.insert(0, str(Path(__file__).resolve().parent.parent / 'src'))
+
+from telemetry_reader import TelemetryReader  # noqa: E402
+
+
+SRT_NEW = """1
+00:00:00,000 --> 00:00:00,033
+<font size="28">FrameCnt: 1, DiffTime: 33ms
+[latitude: 28.613000] [longitude: 77.209000] [rel_alt: 5.000 abs_alt: 215.000] [drone_yaw: 350.0]</font>
+
+2
+00:00:01,000 --> 00:00:01,033
+<font size="28">FrameCnt: 31, DiffTime: 33ms
+[latitude: 28.613100] [longitude: 77.209100] [rel_alt: 6.000 abs_alt: 216.000] [drone_yaw: 10.0]</font>
+"""
+
+SRT_OLD = """1
+00:00:00,000 --> 00:00:01,000
+HOME(77.2088,28.6129) 2018.05.01 10:00:00
+GPS(77.2090,28.6130,5) BAROMETER:5.0
+
+2
+00:00:01,000 --> 00:00:02,000
+HOME(77.2088,28.6129) 2018.05.01 10:00:01
+GPS(77.2092,28.6132,7) BAROMETER:7.0
+"""
+
+
+class TelemetryReaderTest(unittest.TestCase):
+    """Position lookups per video frame."""
+
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.dir = Path(self.tmp.name)
+
+    def tearDown(self):
+        self.tmp.cleanup()
+
+    def write(self, name, text):
+        path = self.dir / name
+        path.write_text(text)
+        return path
+
+    def reader(self, name, text, **kwargs):
+        return TelemetryReader(self.write(name, text), **kwargs)
+
+    def test_csv_by_time_hits_samples_and_interpolates(self):
+        reader = self.reader('flight.csv', (
+            "time_s,latitude,longitude,alt,heading\n"
+            "0,28.6130,77.2090,5,90\n"
+            "1,28.6132,77.2092,7,100\n"
+        ))
+
+        self.assertFalse(reader.by_frame)
+        self.assertEqual(reader.get_position(1, 30), {'lat': 28.613, 'lng': 77.209, 'alt': 5.0, 'heading': 90.0})
+        self.assertEqual(reader.get_position(16, 30), {'lat': 28.6131, 'lng': 77.2091, 'alt': 6.0, 'heading': 95.0})
+
+    def test_ntsc_frame_rate_is_not_rounded(self):
+        rows = ''.join(f"{t},{28.613 + t * 0.0001:.4f},77.2090\n" for t in range(101))
+        reader = self.reader('flight.csv', "time_s,lat,lng\n" + rows)
+
+        # Frame 2998 is 100 s into a 29.97 fps video; at 29 fps it would be 103 s (past the log)
+        self.assertEqual(reader.get_position(2998, 30000 / 1001)['lat'], 28.623)
+        self.assertIsNone(reader.get_position(2998, 29))
+
+    def test_csv_by_frame(self):
+        reader = self.reader('flight.csv', (
+            "frame,lat,lon\n"
+            "1,28.6130,77.2090\n"
+            "31,28.6133,77.2093\n"
+        ))
+
+        self.assertTrue(reader.by_frame)
+        self.assertEqual(reader.get_position(11, 30), {'lat': 28.6131, 'lng': 77.2091})
+
+    def test_dropout_and_ends_of_the_log_are_unlocated(self):
+        reader = self.reader('flight.csv', (
+            "time_s,lat,lng\n"
+            "0,28.6130,77.2090\n"
+            "1,28.6131,77.2091\n"
+            "10,28.6140,77.2100\n"
+        ), max_gap_seconds=2.0)
+
+        self.assertIsNone(reader.get_position(5 * 30 + 1, 30))               # 5 s: inside a 9 s gap
+        self.assertEqual(reader.get_position(10 * 30 + 1, 30)['lat'], 28.614)  # Sample right after the gap
+        self.assertEqual(reader.get_position(11 * 30 + 1, 30)['lat'], 28.614)  # Held briefly after the log
+        self.assertIsNone(reader.get_position(13 * 30 + 1, 30))
+        self.assertIsNone(reader.get_position(1, 0))
+
+    def test_fixes_at_zero_are_dropped(self):
+        reader = self.reader('flight.csv', (
+            "time_s,lat,lng\n"
+            "0,28.6130,77.2090\n"
+            "0.5,0,0\n"
+            "1,28.6132,77.2092\n"
+        ))
+
+        self.assertEqual(len(reader.samples), 2)
+        self.assertEqual(reader.get_position(16, 30), {'lat': 28.6131, 'lng': 77.2091})
+
+    def test_heading_interpolates_across_north(self):
+        reader = self.reader('flight.srt', SRT_NEW)
+        position = reader.get_position(16, 30)
+
+        self.assertEqual(position['heading'], 0.0)
+        self.assertEqual(position['alt'], 5.5)
+
+    def test_srt_bracketed_fields(self):
+        reader = self.reader('DJI_0001.SRT', SRT_NEW)
+
+        self.assertEqual(len(reader.samples), 2)
+        self.assertEqual(reader.get_position(31, 30), {'lat': 28.6131, 'lng': 77.2091, 'alt': 6.0, 'heading': 10.0})
+
+    def test_srt_gps_tuple(self):
+        reader = self.reader('DJI_0002.srt', SRT_OLD)
+
+        self.assertEqual(reader.get_position(1, 30), {'lat': 28.613, 'lng': 77.209, 'alt': 5.0})
+        self.assertEqual(reader.get_position(16, 30), {'lat': 28.6131, 'lng': 77.2091, 'alt': 6.0})
+
+    def test_csv_without_coordinates_is_rejected(self):
+        with self.assertRaises(ValueError):
+            self.reader('flight.csv', "time_s,x,y\n0,1,2\n")
+
+    def test_missing_file(self):
+        with self.assertRaises(FileNotFoundError):
+            TelemetryReader(self.dir / 'missing.csv')
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -3,10 +3,24 @@
  * Part 11: Full data flow to Mission Report Panel
  */
 
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useDetections, useLatestSession } from '../hooks/useDetections';
-import { generateFieldGPS } from '../utils/gpsSimulator';
+import { useGridStore } from '../hooks/useGridStore';
 import { calculateEconomicImpact } from '../utils/economicCalculator';
+import { identifyInfectedZones, ZONE_CONFIG } from '../utils/zoneDetection';
+import { TRACK_COLORS } from '../utils/flightLogImport';
+import { computeTrackCoverage } from '../utils/trackCoverage';
+import { auditFlight, isAuditableTrack } from '../utils/sprayAudit';
+import { generatePrescription } from '../utils/prescriptionMap';
+import {
+  getFields,
+  getDefaultField,
+  getFieldAreaHectares,
+  getFieldEconomicConfig,
+  saveFieldHomePoints,
+  saveFieldNoFlyZones
+} from '../utils/fieldRegistry';
+import FieldSelector from './FieldSelector';
 import LiveStatus from './LiveStatus';
 import DetectionFeed from './DetectionFeed';
 import StatsPanel from './StatsPanel';
@@ -16,13 +30,27 @@ import EconomicImpactPanel from './EconomicImpactPanel';
 import FusionInsightPanel from './FusionInsightPanel';
 import AlertsDecisionPanel from './AlertsDecisionPanel';
 import MissionReportPanel from './MissionReportPanel';
+import TrackCoveragePanel from './TrackCoveragePanel';
+import PrescriptionPanel from './PrescriptionPanel';
 import './Dashboard.css';
 
 const Dashboard = () => {
   const { detections, loading, error, connected } = useDetections();
   const { latestSessionId } = useLatestSession();
+  const [fields] = useState(() => getFields());
+  const [selectedFieldId, setSelectedFieldId] = useState(() => getDefaultField().id);
+  // Launch / landing points per field, kept apart from the field profiles so moving them does not rebuild the grid
+  const [homePoints, setHomePoints] = useState(() => Object.fromEntries(
+    fields.map(f => [f.id, { launchPoint: f.launchPoint || null, landingPoint: f.landingPoint || null }])
+  ));
+  const [noFlyZones, setNoFlyZones] = useState(() => Object.fromEntries(
+    fields.map(f => [f.id, f.noFlyZones || []])
+  ));
   const [sprayPath, setSprayPath] = useState(null);
-  const [gridStats, setGridStats] = useState(null);
+  // Missions and flown tracks imported from other ground-control software (current field only)
+  const [flightTracks, setFlightTracks] = useState([]);
+  // How infected cells group into zones (see ZONE_CONNECTIVITY)
+  const [zoneConnectivity, setZoneConnectivity] = useState(ZONE_CONFIG.connectivity);
   const [economicImpact, setEconomicImpact] = useState(null);
   
   // Part 11: State for report data
@@ -30,46 +58,127 @@ const Dashboard = () => {
   const [fusionResults, setFusionResults] = useState([]);
   const [alerts, setAlerts] = useState([]);
   const [recommendations, setRecommendations] = useState([]);
+  // Prescription product (null = chosen per cell by disease)
+  const [prescriptionProduct, setPrescriptionProduct] = useState(null);
 
-  const [missionMetadata] = useState({
-    fieldId: latestSessionId || 'FIELD-001',
-    fieldName: 'North Agricultural Plot',
-    fieldAreaHectares: 12.5,
-    missionStart: new Date().toISOString(),
+  const [missionStart] = useState(() => new Date().toISOString());
+
+  const selectedField = useMemo(
+    () => fields.find(f => f.id === selectedFieldId) || fields[0],
+    [fields, selectedFieldId]
+  );
+
+  const economicConfig = useMemo(
+    () => getFieldEconomicConfig(selectedField),
+    [selectedField]
+  );
+
+  const missionMetadata = useMemo(() => ({
+    fieldId: selectedField.id,
+    sessionId: latestSessionId,
+    fieldName: selectedField.name,
+    fieldLocation: selectedField.location,
+    cropType: selectedField.crop?.type,
+    fieldAreaHectares: parseFloat(getFieldAreaHectares(selectedField).toFixed(2)),
+    missionStart,
     operatorName: 'Field Operator',
     droneModel: 'DJI Mavic 3 Enterprise'
-  });
+  }), [selectedField, latestSessionId, missionStart]);
 
-  const detectionsWithGPS = useMemo(() => {
-    const enriched = detections.map(detection => {
-      if (detection.gps) return detection;
-      return { ...detection, gps: generateFieldGPS() };
-    });
-    return enriched;
-  }, [detections]);
+  // Positions come from the drone's telemetry; detections without one stay off the map and grid
+  const unlocatedCount = useMemo(
+    () => detections.filter(detection => !detection.gps).length,
+    [detections]
+  );
+
+  // Incremental grid - each new detection only touches its own cell
+  const { grid, stats, infectedCells } = useGridStore(detections, selectedField);
+  const gridStats = detections.length > unlocatedCount ? stats : null;
+
+  // Zones are re-traced whenever the set of infected cells (or, clustering by radius, the detections) changes
+  const zoneDetections = zoneConnectivity === 'radius' ? detections : null;
+  const zoneOptions = useMemo(
+    () => ({ connectivity: zoneConnectivity, detections: zoneDetections || [] }),
+    [zoneConnectivity, zoneDetections]
+  );
+  const zones = useMemo(
+    () => (infectedCells.length > 0 ? identifyInfectedZones(grid, zoneOptions) : []),
+    [grid, infectedCells, zoneOptions]
+  );
+
+  // Variable-rate prescription from cell severity and the fusion diagnosis
+  const prescription = useMemo(
+    () => (infectedCells.length > 0
+      ? generatePrescription(grid, { fusionResults, productId: prescriptionProduct })
+      : null),
+    [grid, infectedCells, fusionResults, prescriptionProduct]
+  );
+
+  // Infected cells sprayed / missed by the imported tracks
+  // (the store updates the grid in place, so infectedCells marks each change)
+  const trackCoverage = useMemo(
+    () => (flightTracks.length > 0 && infectedCells.length > 0 ? computeTrackCoverage(grid, flightTracks) : null),
+    [grid, infectedCells, flightTracks]
+  );
+
+  // As-flown vs planned: needs both a generated path and a flown log that records the sprayer
+  // (re-run as the infected cells change - the grid itself is updated in place)
+  const auditTracks = useMemo(() => flightTracks.filter(isAuditableTrack), [flightTracks]);
+  const sprayAudit = useMemo(
+    () => (sprayPath?.pathExists && auditTracks.length > 0 && infectedCells.length > 0
+      ? auditFlight(grid, sprayPath, auditTracks)
+      : null),
+    [grid, infectedCells, sprayPath, auditTracks]
+  );
+
+  const handleSelectField = (fieldId) => {
+    console.log('🌱 Dashboard: Field selected:', fieldId);
+    setSelectedFieldId(fieldId);
+    setSprayPath(null);
+    setFlightTracks([]);
+  };
+
+  const handleTracksImported = (tracks) => {
+    console.log('📂 Dashboard: Flight tracks imported:', tracks.length);
+    setFlightTracks(current => [
+      ...current,
+      ...tracks.map((track, i) => ({ ...track, color: TRACK_COLORS[(current.length + i) % TRACK_COLORS.length] }))
+    ]);
+  };
+
+  const handleHomePointsChange = (points) => {
+    console.log('🛫 Dashboard: Home points changed:', points);
+    saveFieldHomePoints(selectedField.id, points);
+    setHomePoints(current => ({ ...current, [selectedField.id]: points }));
+    setSprayPath(null);
+  };
 
-  const handlePathGenerated = (path) => {
+  const handleNoFlyZonesChange = (zones) => {
+    console.log('⛔ Dashboard: No-fly zones changed:', zones.length);
+    saveFieldNoFlyZones(selectedField.id, zones);
+    setNoFlyZones(current => ({ ...current, [selectedField.id]: zones }));
+    setSprayPath(null);
+  };
+
+  // Stable across renders: the planner's auto-replan effect depends on it
+  const handlePathGenerated = useCallback((path) => {
     if (path === null) {
       setSprayPath(null);
       return;
     }
-    if (path && path.pathExists) {
+    // Fusion-aware plans may only have irrigation / scouting routes
+    if (path && (path.pathExists || path.fusion)) {
       setSprayPath(path);
     }
-  };
-
-  const handleGridStatsCalculated = (stats) => {
-    console.log('📊 Dashboard: Grid stats received:', stats);
-    setGridStats(stats);
-  };
+  }, []);
 
   useEffect(() => {
     if (gridStats) {
-      const impact = calculateEconomicImpact(gridStats);
+      const impact = calculateEconomicImpact(gridStats, economicConfig, prescription);
       console.log('💰 Dashboard: Economic impact calculated:', impact);
       setEconomicImpact(impact);
     }
-  }, [gridStats]);
+  }, [gridStats, economicConfig, prescription]);
 
   const handleSensorDataUpdate = (data) => {
     console.log('📡 Dashboard: Sensor data received:', data);
@@ -96,14 +205,15 @@ const Dashboard = () => {
   // Debug: Log state changes
   useEffect(() => {
     console.log('🔍 Dashboard State Update:', {
-      detections: detectionsWithGPS.length,
+      detections: detections.length,
+      unlocated: unlocatedCount,
       gridStats: !!gridStats,
       economicImpact: !!economicImpact,
       sensorData: !!sensorData,
       fusionResults: fusionResults.length,
       alerts: alerts.length
     });
-  }, [detectionsWithGPS, gridStats, economicImpact, sensorData, fusionResults, alerts]);
+  }, [detections, unlocatedCount, gridStats, economicImpact, sensorData, fusionResults, alerts]);
 
   if (loading) {
     return (
@@ -135,46 +245,94 @@ const Dashboard = () => {
       <header className="dashboard-header">
         <h1>🌾 Precision Agriculture Analytics</h1>
         <p className="subtitle">Real-time crop disease detection using drone imagery</p>
+        <FieldSelector
+          fields={fields}
+          selectedFieldId={selectedField.id}
+          onSelectField={handleSelectField}
+        />
       </header>
 
       <div className="dashboard-content">
-        <LiveStatus connected={connected} detections={detectionsWithGPS} />
+        <LiveStatus connected={connected} detections={detections} unlocatedCount={unlocatedCount} />
 
         <div className="dashboard-grid-layout">
           <div className="map-section">
             <MapView 
-              detections={detectionsWithGPS}
+              field={selectedField}
+              grid={grid}
+              infectedCells={infectedCells}
+              zones={zones}
+              detections={detections}
               sprayPath={sprayPath}
+              homePoints={homePoints[selectedField.id]}
+              onHomePointsChange={handleHomePointsChange}
+              noFlyZones={noFlyZones[selectedField.id]}
+              onNoFlyZonesChange={handleNoFlyZonesChange}
+              flightTracks={flightTracks}
+              trackCoverage={trackCoverage}
+              sprayAudit={sprayAudit}
+              prescription={prescription}
+              onTracksImported={handleTracksImported}
             />
           </div>
 
           <div className="panels-section">
             <PathPlanningPanel
-              detections={detectionsWithGPS}
+              key={selectedField.id}
+              field={selectedField}
+              grid={grid}
+              gridStats={gridStats}
+              zones={zones}
+              zoneOptions={zoneOptions}
+              onZoneConnectivityChange={setZoneConnectivity}
+              homePoints={homePoints[selectedField.id]}
+              noFlyZones={noFlyZones[selectedField.id]}
+              sensorData={sensorData}
+              detections={detections}
               onPathGenerated={handlePathGenerated}
-              onGridStatsCalculated={handleGridStatsCalculated}
+            />
+
+            <TrackCoveragePanel
+              tracks={flightTracks}
+              coverage={trackCoverage}
+              audit={sprayAudit}
+              onRemoveTrack={(id) => setFlightTracks(current => current.filter(track => track.id !== id))}
+              onClearTracks={() => setFlightTracks([])}
             />
             
-            <EconomicImpactPanel gridStats={gridStats} />
+            <PrescriptionPanel
+              field={selectedField}
+              prescription={prescription}
+              productId={prescriptionProduct}
+              onProductChange={setPrescriptionProduct}
+            />
+
+            <EconomicImpactPanel
+              gridStats={gridStats}
+              economicConfig={economicConfig}
+              prescription={prescription}
+            />
             
             <FusionInsightPanel 
-              detections={detectionsWithGPS}
+              detections={detections}
               onSensorDataUpdate={handleSensorDataUpdate}
               onFusionResults={handleFusionResults}
             />
             
             <AlertsDecisionPanel
-              detections={detectionsWithGPS}
+              detections={detections}
               gridStats={gridStats}
               economicImpact={economicImpact}
               onAlertsUpdate={handleAlertsUpdate}
             />
             
             <MissionReportPanel
+              field={selectedField}
               missionMetadata={missionMetadata}
-              detections={detectionsWithGPS}
+              detections={detections}
               mapState={{ sprayPath: sprayPath?.waypoints || [] }}
               sprayPath={sprayPath}
+              sprayAudit={sprayAudit}
               gridStats={gridStats}
               economicData={economicImpact}
               sensorData={sensorData}
@@ -184,9 +342,9 @@ const Dashboard = () => {
               onReportGenerated={handleReportGenerated}
             />
             
-            <StatsPanel detections={detectionsWithGPS} />
+            <StatsPanel detections={detections} />
             
-            <DetectionFeed detections={detectionsWithGPS} />
+            <DetectionFeed detections={detections} />
           </div>
         </div>
       </div>
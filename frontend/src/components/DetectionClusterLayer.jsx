@@ -0,0 +1,123 @@
+/**
+ * DetectionClusterLayer Component
+ * Zoom-aware clusters of detection pins with count + worst-severity badges.
+ * Clicking a cluster zooms to it; at max zoom it spiderfies into individual pins.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Marker, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import DetectionMarker from './DetectionMarker';
+import {
+  clusterDetections,
+  getSpiderfyOffsets,
+  isClusterCollocated
+} from '../utils/markerClustering';
+import { SEVERITY_COLORS } from '../utils/severityScoring';
+
+export default function DetectionClusterLayer({ detections, severityConfig }) {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+  const [spiderfiedId, setSpiderfiedId] = useState(null);
+
+  useMapEvents({
+    zoomend: () => {
+      setView({ zoom: map.getZoom(), bounds: map.getBounds() });
+      setSpiderfiedId(null);
+    },
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+    click: () => setSpiderfiedId(null)
+  });
+
+  // Cluster only what is on (or near) the screen
+  const clusters = useMemo(() => {
+    const visibleArea = view.bounds.pad(0.5);
+    const visible = detections.filter(d => d.gps && visibleArea.contains([d.gps.lat, d.gps.lng]));
+    const project = ({ lat, lng }) => map.project([lat, lng], view.zoom);
+
+    return clusterDetections(visible, project, { severityConfig });
+  }, [detections, view, map, severityConfig]);
+
+  const handleClusterClick = (cluster) => {
+    if (view.zoom >= map.getMaxZoom() || isClusterCollocated(cluster)) {
+      setSpiderfiedId(current => (current === cluster.id ? null : cluster.id));
+    } else {
+      map.fitBounds(cluster.bounds, { padding: [40, 40] });
+    }
+  };
+
+  return (
+    <>
+      {clusters.map(cluster => {
+        if (cluster.detections.length === 1) {
+          const [detection] = cluster.detections;
+          return <DetectionMarker key={detection.id} detection={detection} />;
+        }
+
+        if (cluster.id === spiderfiedId) {
+          return <SpiderfiedCluster key={cluster.id} cluster={cluster} zoom={view.zoom} />;
+        }
+
+        return (
+          <Marker
+            key={cluster.id}
+            position={[cluster.center.lat, cluster.center.lng]}
+            icon={getClusterIcon(cluster)}
+            eventHandlers={{ click: () => handleClusterClick(cluster) }}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+/**
+ * Cluster pins fanned out around the cluster centre, with legs back to it
+ */
+function SpiderfiedCluster({ cluster, zoom }) {
+  const map = useMap();
+  const center = map.project([cluster.center.lat, cluster.center.lng], zoom);
+  const offsets = getSpiderfyOffsets(cluster.detections.length);
+
+  return (
+    <>
+      {cluster.detections.map((detection, i) => {
+        const latLng = map.unproject(center.add(L.point(offsets[i].x, offsets[i].y)), zoom);
+        const position = { lat: latLng.lat, lng: latLng.lng };
+
+        return (
+          <React.Fragment key={detection.id}>
+            <Polyline
+              positions={[[cluster.center.lat, cluster.center.lng], [position.lat, position.lng]]}
+              pathOptions={{ color: '#6b7280', weight: 1.5, opacity: 0.7 }}
+              interactive={false}
+            />
+            <DetectionMarker detection={detection} position={position} />
+          </React.Fragment>
+        );
+      })}
+    </>
+  );
+}
+
+/**
+ * Cluster badge: count in the middle, coloured by the worst severity, with a severity tag
+ * @param {Object} cluster
+ * @returns {L.DivIcon}
+ */
+function getClusterIcon(cluster) {
+  const count = cluster.detections.length;
+  const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+  const level = cluster.worstSeverityLevel;
+  const color = SEVERITY_COLORS[level] || SEVERITY_COLORS.none;
+
+  return L.divIcon({
+    className: 'custom-cluster-icon',
+    html: `<div class="detection-cluster-icon" style="width:${size}px;height:${size}px;background:${color}">` +
+          `<span class="cluster-count">${count}</span>` +
+          `<span class="cluster-severity" title="Worst severity: ${level}">${level.charAt(0).toUpperCase()}</span>` +
+          `</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+}
@@ -17,10 +17,16 @@ const detectionIcon = L.divIcon({
   popupAnchor: [0, -32]
 });
 
-export default function DetectionMarker({ detection }) {
+/**
+ * @param {Object} props
+ * @param {Object} props.detection
+ * @param {{lat: number, lng: number}} [props.position] - Display position override (spiderfied pins)
+ */
+export default function DetectionMarker({ detection, position }) {
   if (!detection.gps) return null;
 
   const { gps, frame_id, timestamp, detections = [], detection_count } = detection;
+  const markerPosition = position || gps;
 
   // Format timestamp
   const timeAgo = timestamp 
@@ -35,7 +41,7 @@ export default function DetectionMarker({ detection }) {
   };
 
   return (
-    <Marker position={[gps.lat, gps.lng]} icon={detectionIcon}>
+    <Marker position={[markerPosition.lat, markerPosition.lng]} icon={detectionIcon}>
       <Popup>
         <div className="marker-popup">
           <div className="popup-header">
@@ -8,23 +8,23 @@ import { calculateEconomicImpact, generateSummaryMetrics } from '../utils/econom
 import { formatCurrency, formatPercentage } from '../utils/economicConfig';
 import './EconomicImpactPanel.css';
 
-export default function EconomicImpactPanel({ gridStats }) {
+export default function EconomicImpactPanel({ gridStats, economicConfig, prescription }) {
   // Calculate economic impact whenever grid changes
   const economicImpact = useMemo(() => {
     if (!gridStats) return null;
     
     console.log('💰 Calculating economic impact...', gridStats);
-    const impact = calculateEconomicImpact(gridStats);
+    const impact = calculateEconomicImpact(gridStats, economicConfig, prescription);
     console.log('💰 Economic impact calculated:', impact);
     
     return impact;
-  }, [gridStats]);
+  }, [gridStats, economicConfig, prescription]);
 
   // Generate display metrics
   const metrics = useMemo(() => {
     if (!economicImpact) return null;
-    return generateSummaryMetrics(economicImpact);
-  }, [economicImpact]);
+    return generateSummaryMetrics(economicImpact, economicConfig);
+  }, [economicImpact, economicConfig]);
 
   // No grid data yet
   if (!gridStats) {
@@ -99,7 +99,7 @@ export default function EconomicImpactPanel({ gridStats }) {
                   }}
                 >
                   <span className="bar-label">
-                    Traditional: {formatCurrency(metrics.comparison.traditional.cost)}
+                    Traditional: {formatCurrency(metrics.comparison.traditional.cost, economicConfig)}
                   </span>
                 </div>
               </div>
@@ -112,7 +112,7 @@ export default function EconomicImpactPanel({ gridStats }) {
                   }}
                 >
                   <span className="bar-label">
-                    Precision: {formatCurrency(metrics.comparison.precision.cost)}
+                    Precision: {formatCurrency(metrics.comparison.precision.cost, economicConfig)}
                   </span>
                 </div>
               </div>
@@ -126,7 +126,9 @@ export default function EconomicImpactPanel({ gridStats }) {
 
           {/* Chemical Usage Comparison */}
           <div className="comparison-row">
-            <div className="comparison-label">Chemical Usage</div>
+            <div className="comparison-label">
+              Chemical Usage{economicImpact.interventionCosts.precision.variableRate && ' (variable rate)'}
+            </div>
             <div className="comparison-viz">
               <div className="bar-container">
                 <div 
@@ -183,7 +185,7 @@ export default function EconomicImpactPanel({ gridStats }) {
           <p>
             Apply precision treatment to {economicImpact.areas.infectedCells} infected zones immediately.
             Expected ROI: <strong>{economicImpact.roi.perApplication.roiMultiplier.toFixed(1)}×</strong> with 
-            net savings of <strong>{formatCurrency(economicImpact.roi.perApplication.netProfit)}</strong> per application.
+            net savings of <strong>{formatCurrency(economicImpact.roi.perApplication.netProfit, economicConfig)}</strong> per application.
           </p>
           <p className="environmental-note">
             🌱 Environmental benefit: Reduce chemical usage by {formatPercentage(metrics.comparison.savings.chemicalSavingsPercentage)}, 
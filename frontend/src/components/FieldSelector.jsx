@@ -0,0 +1,26 @@
+/**
+ * FieldSelector Component
+ * Chooses the active field from the field registry
+ */
+
+import React from 'react';
+import { getFieldAreaHectares } from '../utils/fieldRegistry';
+
+export default function FieldSelector({ fields, selectedFieldId, onSelectField }) {
+  return (
+    <div className="field-selector">
+      <label htmlFor="field-select">🌱 Field:</label>
+      <select
+        id="field-select"
+        value={selectedFieldId}
+        onChange={(e) => onSelectField(e.target.value)}
+      >
+        {fields.map(field => (
+          <option key={field.id} value={field.id}>
+            {field.name} ({field.crop?.type || 'Unknown crop'}, {getFieldAreaHectares(field).toFixed(2)} ha)
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+/**
+ * FlightTrackOverlay Component
+ * Draws imported flight tracks and missions next to the generated spray path,
+ * and shades infected cells by whether the flown tracks sprayed them. With a
+ * spray audit it also marks over-sprayed healthy cells and off-plan flying.
+ */
+
+import React from 'react';
+import { Polyline, Polygon, CircleMarker, Tooltip } from 'react-leaflet';
+
+// Infected cell colours by flown coverage
+export const TRACK_COVERAGE_COLORS = {
+  sprayed: '#16a34a',
+  partial: '#f59e0b',
+  missed: '#dc2626'
+};
+
+// Audit findings
+const OVERSPRAY_COLOR = '#c026d3';
+const OFF_PLAN_COLOR = '#e11d48';
+
+const STATUS_LABELS = {
+  sprayed: '✅ Sprayed',
+  partial: '◐ Partly sprayed',
+  missed: '❌ Missed'
+};
+
+/**
+ * Split a track into runs with the sprayer on or off
+ */
+function getTrackRuns(track) {
+  const runs = [];
+  track.points.forEach((point, index) => {
+    if (index === 0) return;
+    const previous = track.points[index - 1];
+    const last = runs[runs.length - 1];
+    if (last && last.spray === point.spray) {
+      last.positions.push([point.lat, point.lng]);
+    } else {
+      runs.push({ spray: point.spray, positions: [[previous.lat, previous.lng], [point.lat, point.lng]] });
+    }
+  });
+  return runs;
+}
+
+export default function FlightTrackOverlay({ tracks, coverage, audit }) {
+  return (
+    <>
+      {/* Flown coverage of infected cells */}
+      {coverage?.cells.map(({ cellId, cell, status, coveredFraction }) => (
+        <Polygon
+          key={cellId}
+          positions={cell.outline}
+          pathOptions={{
+            color: TRACK_COVERAGE_COLORS[status],
+            weight: 1,
+            fillColor: TRACK_COVERAGE_COLORS[status],
+            fillOpacity: 0.35
+          }}
+        >
+          <Tooltip sticky>
+            {STATUS_LABELS[status]} - cell {cellId} ({Math.round(coveredFraction * 100)}%)
+          </Tooltip>
+        </Polygon>
+      ))}
+
+      {/* Healthy cells sprayed by the flight */}
+      {audit?.overspray.map(({ cellId, cell, coveredFraction, planned }) => (
+        <Polygon
+          key={`overspray-${cellId}`}
+          positions={cell.outline}
+          pathOptions={{
+            color: OVERSPRAY_COLOR,
+            weight: 1,
+            dashArray: '4, 4',
+            fillColor: OVERSPRAY_COLOR,
+            fillOpacity: 0.25
+          }}
+        >
+          <Tooltip sticky>
+            💦 Over-sprayed healthy cell {cellId} ({Math.round(coveredFraction * 100)}%, planned {Math.round(planned * 100)}%)
+          </Tooltip>
+        </Polygon>
+      ))}
+
+      {/* Tracks: sprayer on solid, off dotted */}
+      {tracks.map(track => getTrackRuns(track).map((run, index) => (
+        <Polyline
+          key={`${track.id}-${index}`}
+          positions={run.positions}
+          pathOptions={run.spray ? {
+            color: track.color,
+            weight: 4,
+            opacity: 0.9,
+            lineJoin: 'round'
+          } : {
+            color: track.color,
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '2, 6',
+            lineJoin: 'round'
+          }}
+        >
+          <Tooltip sticky>
+            {track.kind === 'mission' ? '📋' : '🛰️'} {track.name}{run.spray ? '' : ' (sprayer off)'}
+          </Tooltip>
+        </Polyline>
+      )))}
+
+      {/* Stretches flown away from the planned lines */}
+      {audit?.deviation.offPlanRuns.map((positions, index) => (
+        <Polyline
+          key={`off-plan-${index}`}
+          positions={positions}
+          pathOptions={{ color: OFF_PLAN_COLOR, weight: 8, opacity: 0.45, lineCap: 'round' }}
+        >
+          <Tooltip sticky>↔️ Off plan</Tooltip>
+        </Polyline>
+      ))}
+      {audit?.deviation.worst && audit.deviation.worst.meters > 0 && (
+        <CircleMarker
+          center={[audit.deviation.worst.lat, audit.deviation.worst.lng]}
+          radius={6}
+          pathOptions={{ color: OFF_PLAN_COLOR, fillColor: '#ffffff', fillOpacity: 1, weight: 3 }}
+        >
+          <Tooltip>↔️ Largest deviation: {audit.deviation.worst.meters} m from plan</Tooltip>
+        </CircleMarker>
+      )}
+    </>
+  );
+}
@@ -187,6 +187,11 @@ export default function FusionInsightPanel({
               <span className="reading-value">{sensorData.air_humidity}%</span>
               <span className="reading-category">{categorizedSensors?.humidity.category}</span>
             </div>
+            <div className={`sensor-reading ${categorizedSensors?.wind.status}`}>
+              <span className="reading-label">🌬️ Wind</span>
+              <span className="reading-value">{sensorData.wind_speed} m/s @ {sensorData.wind_direction}°</span>
+              <span className="reading-category">{categorizedSensors?.wind.category}</span>
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,72 @@
+/**
+ * FusionRouteOverlay Component
+ * Fusion-aware action classes on the map: cells shaded by action, plus the
+ * irrigation and scouting visit routes (the spray route is a SprayPathOverlay)
+ */
+
+import React from 'react';
+import { Polygon, Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import { getPathCoordinates } from '../utils/pathPlanner';
+import { FUSION_ACTION_COLORS } from '../utils/fusionAwarePathPlanner';
+
+// Action class → zones in the fusion plan and legend label
+const ACTION_CLASSES = [
+  { action: 'chemical_spray', key: 'chemicalSpray', label: 'Spray' },
+  { action: 'irrigation', key: 'irrigation', label: 'Irrigate' },
+  { action: 'monitor', key: 'monitoring', label: 'Scout' }
+];
+
+export default function FusionRouteOverlay({ fusion }) {
+  if (!fusion) {
+    return null;
+  }
+
+  const { actions, routes } = fusion;
+
+  return (
+    <>
+      {/* Cells by action class */}
+      {ACTION_CLASSES.map(({ action, key, label }) => actions[key].zones.map(zone => (
+        <Polygon
+          key={`${action}-${zone.cellId}`}
+          positions={zone.outline}
+          pathOptions={{
+            color: FUSION_ACTION_COLORS[action],
+            weight: 1,
+            fillColor: FUSION_ACTION_COLORS[action],
+            fillOpacity: 0.25
+          }}
+        >
+          <Tooltip sticky>
+            {label} - cell {zone.cellId}: {zone.diagnosis}
+          </Tooltip>
+        </Polygon>
+      )))}
+
+      {/* Visit routes: irrigation solid, scouting dashed */}
+      {[
+        { route: routes.irrigation, action: 'irrigation', label: 'Irrigation route', dashArray: null },
+        { route: routes.monitoring, action: 'monitor', label: 'Scouting route', dashArray: '6, 8' }
+      ].filter(({ route }) => route?.pathExists).map(({ route, action, label, dashArray }) => (
+        <React.Fragment key={action}>
+          <Polyline
+            positions={getPathCoordinates(route)}
+            pathOptions={{ color: FUSION_ACTION_COLORS[action], weight: 3, opacity: 0.8, dashArray, lineJoin: 'round' }}
+          >
+            <Tooltip sticky>{label} ({route.waypoints.length} stops, {route.totalDistance}m)</Tooltip>
+          </Polyline>
+          {route.waypoints.filter(wp => wp.cellId).map((waypoint, index) => (
+            <CircleMarker
+              key={`${action}-stop-${waypoint.cellId}`}
+              center={[waypoint.position.lat, waypoint.position.lng]}
+              radius={5}
+              pathOptions={{ color: FUSION_ACTION_COLORS[action], fillColor: 'white', fillOpacity: 1, weight: 2 }}
+            >
+              <Tooltip>{label} stop {index + 1} - cell {waypoint.cellId}</Tooltip>
+            </CircleMarker>
+          ))}
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+/**
+ * GridCellLayer Component
+ * Draws the raw cell grid and/or the infected-cell severity choropleth;
+ * each infected cell re-renders only when its object changes
+ */
+
+import React, { useMemo } from 'react';
+import { Polygon, Tooltip } from 'react-leaflet';
+import { SEVERITY_COLORS, getDominantDisease } from '../utils/severityScoring';
+import { flattenGrid } from '../utils/fieldGrid';
+
+export default function GridCellLayer({ grid, cells = [] }) {
+  // Cell geometry never changes for a grid, so the outlines are built once per field
+  const outlines = useMemo(() => (grid ? flattenGrid(grid).map(cell => cell.outline) : []), [grid]);
+
+  // Unchanged cells keep their object identity in the grid store, so React.memo skips them
+  return (
+    <>
+      {outlines.length > 0 && (
+        <Polygon
+          positions={outlines}
+          interactive={false}
+          pathOptions={{ color: '#6b7280', weight: 0.5, fillOpacity: 0 }}
+        />
+      )}
+      {cells.map(cell => (
+        <GridCellShape key={cell.id} cell={cell} />
+      ))}
+    </>
+  );
+}
+
+const GridCellShape = React.memo(function GridCellShape({ cell }) {
+  const color = SEVERITY_COLORS[cell.severityLevel] || SEVERITY_COLORS.high;
+  const disease = getDominantDisease(cell);
+
+  return (
+    <Polygon
+      positions={cell.outline}
+      pathOptions={{
+        color,
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.15 + 0.35 * (cell.severity ?? 1)
+      }}
+    >
+      <Tooltip>
+        Cell {cell.id} • {cell.severityLevel} severity ({Math.round((cell.severity ?? 1) * 100)}%)
+        {' • '}{cell.detections.length} detection{cell.detections.length !== 1 ? 's' : ''}
+        {disease && <> • {disease}</>}
+      </Tooltip>
+    </Polygon>
+  );
+});
@@ -0,0 +1,26 @@
+/**
+ * HeatmapLayer Component
+ * Disease density heatmap drawn as an image overlay clipped to the field
+ */
+
+import React, { useMemo } from 'react';
+import { ImageOverlay } from 'react-leaflet';
+import { createHeatmap } from '../utils/heatmap';
+
+export default function HeatmapLayer({ detections, field, classFilter, severityConfig }) {
+  const heatmap = useMemo(
+    () => createHeatmap(detections, field, { classFilter, severityConfig }),
+    [detections, field, classFilter, severityConfig]
+  );
+
+  if (!heatmap.imageUrl) return null;
+
+  return (
+    <ImageOverlay
+      url={heatmap.imageUrl}
+      bounds={heatmap.bounds}
+      opacity={1}
+      className="heatmap-overlay"
+    />
+  );
+}
@@ -0,0 +1,116 @@
+/**
+ * HomePointsLayer Component
+ * Launch and landing markers. Markers can be dragged, and while a placement
+ * mode is active the next map click drops the launch or landing point there.
+ */
+
+import React from 'react';
+import { Marker, Popup, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+
+const launchIcon = L.divIcon({
+  className: 'custom-home-icon',
+  html: '<div class="home-marker launch">🛫</div>',
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+  popupAnchor: [0, -15]
+});
+
+const landingIcon = L.divIcon({
+  className: 'custom-home-icon',
+  html: '<div class="home-marker landing">🛬</div>',
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+  popupAnchor: [0, -15]
+});
+
+/**
+ * @param {Object} props
+ * @param {{lat: number, lng: number}} props.launchPoint - Effective launch point (saved or field center)
+ * @param {boolean} props.launchIsDefault - Launch point has not been placed yet
+ * @param {{lat: number, lng: number}|null} props.landingPoint - Separate landing point, if any
+ * @param {'launch'|'landing'|null} props.placing - Placement mode
+ * @param {function({launchPoint, landingPoint})} props.onChange
+ * @param {function} props.onPlaced - Called after a click placed a point
+ */
+export default function HomePointsLayer({ launchPoint, launchIsDefault, landingPoint, placing, onChange, onPlaced }) {
+  const savedLaunch = launchIsDefault ? null : launchPoint;
+
+  useMapEvents({
+    click: (e) => {
+      if (!placing) return;
+
+      const point = toPoint(e.latlng);
+      if (placing === 'launch') {
+        onChange({ launchPoint: point, landingPoint });
+      } else {
+        onChange({ launchPoint: savedLaunch, landingPoint: point });
+      }
+      onPlaced();
+    }
+  });
+
+  return (
+    <>
+      <Marker
+        position={[launchPoint.lat, launchPoint.lng]}
+        icon={launchIcon}
+        draggable={true}
+        eventHandlers={{
+          dragend: (e) => onChange({ launchPoint: toPoint(e.target.getLatLng()), landingPoint })
+        }}
+      >
+        <Popup>
+          <div className="marker-popup">
+            <div className="popup-header">🛫 Launch Point{launchIsDefault ? ' (field center)' : ''}</div>
+            <div className="popup-detail">
+              <span className="popup-label">GPS:</span>
+              <span className="popup-value">
+                {launchPoint.lat.toFixed(6)}°, {launchPoint.lng.toFixed(6)}°
+              </span>
+            </div>
+            {!landingPoint && (
+              <div className="popup-detail">
+                <span className="popup-label">Landing:</span>
+                <span className="popup-value">Same as launch</span>
+              </div>
+            )}
+          </div>
+        </Popup>
+      </Marker>
+
+      {landingPoint && (
+        <Marker
+          position={[landingPoint.lat, landingPoint.lng]}
+          icon={landingIcon}
+          draggable={true}
+          eventHandlers={{
+            dragend: (e) => onChange({ launchPoint: savedLaunch, landingPoint: toPoint(e.target.getLatLng()) })
+          }}
+        >
+          <Popup>
+            <div className="marker-popup">
+              <div className="popup-header">🛬 Landing Point</div>
+              <div className="popup-detail">
+                <span className="popup-label">GPS:</span>
+                <span className="popup-value">
+                  {landingPoint.lat.toFixed(6)}°, {landingPoint.lng.toFixed(6)}°
+                </span>
+              </div>
+            </div>
+          </Popup>
+        </Marker>
+      )}
+    </>
+  );
+}
+
+/**
+ * Leaflet LatLng to a plain {lat, lng} (6 decimals, as elsewhere)
+ */
+function toPoint(latLng) {
+  return {
+    lat: parseFloat(latLng.lat.toFixed(6)),
+    lng: parseFloat(latLng.lng.toFixed(6))
+  };
+}
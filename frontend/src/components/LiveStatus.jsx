@@ -1,7 +1,7 @@
 import React from 'react';
 import './LiveStatus.css';
 
-export default function LiveStatus({ connected, detections }) {
+export default function LiveStatus({ connected, detections, unlocatedCount = 0 }) {
   const totalDetections = detections.reduce((sum, det) => 
     sum + (det.detection_count || 0), 0
   );
@@ -36,6 +36,11 @@ export default function LiveStatus({ connected, detections }) {
           <div className="metric-value">{avgPerFrame}</div>
           <div className="metric-label">Avg/Frame</div>
         </div>
+
+        <div className={`metric-box ${unlocatedCount > 0 ? 'unlocated' : ''}`}>
+          <div className="metric-value">{unlocatedCount}</div>
+          <div className="metric-label">Unlocated (no GPS)</div>
+        </div>
       </div>
     </div>
   );
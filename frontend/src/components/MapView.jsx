@@ -1,17 +1,35 @@
 /**
  * MapView Component
- * Interactive map showing drone position, detection pins, and spray path
+ * Interactive map showing drone position, detection pins, infected zones and spray path
  */
 
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Polygon, LayersControl, LayerGroup, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import DroneMarker from './DroneMarker';
-import DetectionMarker from './DetectionMarker';
+import DetectionClusterLayer from './DetectionClusterLayer';
 import SprayPathOverlay from './SprayPathOverlay';
-import { getFieldCenter } from '../utils/gpsSimulator';
+import FusionRouteOverlay from './FusionRouteOverlay';
+import GridCellLayer from './GridCellLayer';
+import ZoneOverlay from './ZoneOverlay';
+import HeatmapLayer from './HeatmapLayer';
+import HomePointsLayer from './HomePointsLayer';
+import NoFlyZoneLayer from './NoFlyZoneLayer';
+import FlightTrackOverlay from './FlightTrackOverlay';
+import PrescriptionLayer from './PrescriptionLayer';
+import { getFieldCenter, getFieldBoundary, getFieldBounds } from '../utils/gpsSimulator';
+import { ringToPositions } from '../utils/geometry';
+import { getDiseaseClasses } from '../utils/heatmap';
+import { parseFlightFile } from '../utils/flightLogImport';
 import './MapView.css';
 
+// Detection view names in the layer control
+const VIEWS = {
+  pins: '📍 Detection pins',
+  heatmap: '🔥 Disease heatmap',
+  cells: '▦ Cell severity'
+};
+
 // Fix for default marker icons in React
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -20,27 +38,58 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
-export default function MapView({ detections, sprayPath }) {
+export default function MapView({
+  field,
+  grid,
+  infectedCells,
+  zones,
+  detections,
+  sprayPath,
+  homePoints,
+  onHomePointsChange,
+  noFlyZones,
+  onNoFlyZonesChange,
+  flightTracks,
+  trackCoverage,
+  sprayAudit,
+  prescription,
+  onTracksImported
+}) {
   const [dronePosition, setDronePosition] = useState(null);
-  const fieldCenter = getFieldCenter();
+  const [showGrid, setShowGrid] = useState(false);
+  const [showPrescription, setShowPrescription] = useState(false);
+  const [diseaseFilter, setDiseaseFilter] = useState('');
+  const [activeView, setActiveView] = useState(VIEWS.pins);
+  const [placing, setPlacing] = useState(null);
+  const [noFlyDraft, setNoFlyDraft] = useState(null);
+  const fileInputRef = useRef(null);
+  const fieldCenter = useMemo(() => getFieldCenter(field), [field]);
+  const fieldBoundary = getFieldBoundary(field);
+  const launchPoint = homePoints?.launchPoint || fieldCenter;
+  const landingPoint = homePoints?.landingPoint || null;
+  const severityConfig = grid?.meta?.severityConfig;
+  const diseaseClasses = useMemo(
+    () => getDiseaseClasses(detections, severityConfig),
+    [detections, severityConfig]
+  );
 
   console.log('🔧 ===== MapView RENDERED =====');
   console.log('🔧 Detections count:', detections.length);
   console.log('🔧 sprayPath prop:', sprayPath);
   console.log('🔧 sprayPath exists:', sprayPath?.pathExists);
 
-  // ✅ NO GPS ENRICHMENT - Already done in Dashboard
-  // Just use detections directly
+  // Detections without telemetry GPS are unlocated and not drawn
 
   // Simulate drone movement (follows last detection)
   useEffect(() => {
     console.log('🔧 [useEffect] Updating drone position...');
     
     if (detections.length > 0) {
-      const latestDetection = detections[0];
+      // Latest detection the telemetry could place
+      const latestDetection = detections.find(d => d.gps);
       
       // Update drone position to latest detection
-      if (latestDetection.gps) {
+      if (latestDetection) {
         console.log('✅ Setting drone position to:', latestDetection.gps);
         setDronePosition(latestDetection.gps);
       }
@@ -51,6 +100,57 @@ export default function MapView({ detections, sprayPath }) {
     }
   }, [detections, fieldCenter]);
 
+  const togglePlacing = (mode) => {
+    setNoFlyDraft(null);
+    setPlacing(placing === mode ? null : mode);
+  };
+
+  const startNoFlyDraft = () => {
+    setPlacing(null);
+    setNoFlyDraft([]);
+  };
+
+  const finishNoFlyDraft = () => {
+    const zones = noFlyZones || [];
+    const nextNumber = zones.reduce((max, zone) => Math.max(max, parseInt(zone.id.split('-')[1], 10) || 0), 0) + 1;
+    const ring = noFlyDraft.map(p => [p.lng, p.lat]);
+    const label = window.prompt('What is in this no-fly zone? (e.g. power line, trees, house)', '') || '';
+
+    onNoFlyZonesChange([
+      ...zones,
+      {
+        id: `NFZ-${nextNumber}`,
+        label: label.trim(),
+        polygon: { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+      }
+    ]);
+    setNoFlyDraft(null);
+  };
+
+  const handleImportFiles = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    const tracks = [];
+    const failures = [];
+
+    for (const file of files) {
+      try {
+        tracks.push(parseFlightFile(await file.text(), file.name));
+      } catch (err) {
+        console.error('❌ Flight file import failed:', file.name, err);
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    if (tracks.length > 0) {
+      console.log('📂 Imported flight tracks:', tracks.map(t => `${t.name} (${t.points.length} pts)`));
+      onTracksImported(tracks);
+    }
+    if (failures.length > 0) {
+      window.alert(`Could not import:\n${failures.join('\n')}`);
+    }
+  };
+
   // Debug: Watch sprayPath changes
   useEffect(() => {
     console.log('🔧 [useEffect] sprayPath prop changed:', sprayPath);
@@ -72,16 +172,129 @@ export default function MapView({ detections, sprayPath }) {
             <span className="legend-icon detection">📍</span>
             Detection ({detections.length})
           </span>
+          {zones && zones.length > 0 && (
+            <span className="legend-item">
+              <span className="legend-icon zone">🦠</span>
+              Zones ({zones.length})
+            </span>
+          )}
           {sprayPath && sprayPath.pathExists && (
             <span className="legend-item">
               <span className="legend-icon path">💧</span>
               Spray Path ({sprayPath.waypoints.length})
             </span>
           )}
+          {sprayPath?.fusion && (
+            <span className="legend-item" title="Cells with a fusion-aware action: spray / irrigate / scout">
+              <span className="legend-icon">🧠</span>
+              {sprayPath.fusion.actions.chemicalSpray.count} spray · {sprayPath.fusion.actions.irrigation.count} irrigate ·{' '}
+              {sprayPath.fusion.actions.monitoring.count} scout
+            </span>
+          )}
+          {activeView === VIEWS.heatmap && (
+            <select
+              className="map-filter"
+              value={diseaseFilter}
+              onChange={(e) => setDiseaseFilter(e.target.value)}
+              title="Heatmap disease filter"
+            >
+              <option value="">All diseases</option>
+              {diseaseClasses.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+          <label className="legend-item map-toggle">
+            <input
+              type="checkbox"
+              checked={showGrid}
+              onChange={(e) => setShowGrid(e.target.checked)}
+            />
+            Grid cells
+          </label>
+          {prescription && (
+            <label className="legend-item map-toggle">
+              <input
+                type="checkbox"
+                checked={showPrescription}
+                onChange={(e) => setShowPrescription(e.target.checked)}
+              />
+              💧 Rx rates
+            </label>
+          )}
+          {onHomePointsChange && (
+            <>
+              <button
+                className={`map-button ${placing === 'launch' ? 'active' : ''}`}
+                onClick={() => togglePlacing('launch')}
+                title="Click the map to place the launch point"
+              >
+                🛫 Set launch
+              </button>
+              <button
+                className={`map-button ${placing === 'landing' ? 'active' : ''}`}
+                onClick={() => togglePlacing('landing')}
+                title="Click the map to place a separate landing point"
+              >
+                🛬 Set landing
+              </button>
+              {landingPoint && (
+                <button
+                  className="map-button"
+                  onClick={() => onHomePointsChange({ launchPoint: homePoints?.launchPoint || null, landingPoint: null })}
+                  title="Land back at the launch point"
+                >
+                  ✕ Landing
+                </button>
+              )}
+            </>
+          )}
+          {onNoFlyZonesChange && (noFlyDraft ? (
+            <>
+              <button
+                className="map-button active"
+                onClick={finishNoFlyDraft}
+                disabled={noFlyDraft.length < 3}
+                title="Close the polygon (needs 3 or more points)"
+              >
+                ✔ Finish ({noFlyDraft.length})
+              </button>
+              <button className="map-button" onClick={() => setNoFlyDraft(null)}>
+                ✕ Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              className="map-button"
+              onClick={startNoFlyDraft}
+              title="Click the map to outline an area drones must not overfly"
+            >
+              ⛔ No-fly zone ({(noFlyZones || []).length})
+            </button>
+          ))}
+          {onTracksImported && (
+            <>
+              <button
+                className="map-button"
+                onClick={() => fileInputRef.current.click()}
+                title="Load missions or flown tracks: QGC .plan, .waypoints, KML, GPX or CSV telemetry"
+              >
+                📂 Import flight ({(flightTracks || []).length})
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".plan,.waypoints,.txt,.kml,.gpx,.csv"
+                multiple
+                hidden
+                onChange={handleImportFiles}
+              />
+            </>
+          )}
         </div>
       </div>
 
-      <div className="map-container">
+      <div className={`map-container ${placing || noFlyDraft ? 'placing' : ''}`}>
         <MapContainer
           center={[fieldCenter.lat, fieldCenter.lng]}
           zoom={16}
@@ -94,36 +307,130 @@ export default function MapView({ detections, sprayPath }) {
             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           />
 
+          {/* Field boundary (holes render as cut-outs) */}
+          <Polygon
+            positions={fieldBoundary.coordinates.map(ringToPositions)}
+            pathOptions={{
+              color: '#16a34a',
+              weight: 2,
+              fillColor: '#22c55e',
+              fillOpacity: 0.05
+            }}
+          />
+
+          {/* Raw cell grid lines */}
+          {showGrid && <GridCellLayer grid={grid} />}
+
+          {/* Detection views - one at a time via the layer control */}
+          <LayersControl position="topright">
+            <LayersControl.BaseLayer checked name={VIEWS.pins}>
+              <LayerGroup>
+                {activeView === VIEWS.pins && (
+                  <DetectionClusterLayer
+                    detections={detections}
+                    severityConfig={severityConfig}
+                  />
+                )}
+              </LayerGroup>
+            </LayersControl.BaseLayer>
+
+            <LayersControl.BaseLayer name={VIEWS.heatmap}>
+              <LayerGroup>
+                {/* Only build the density raster while the heatmap is shown */}
+                {activeView === VIEWS.heatmap && (
+                  <HeatmapLayer
+                    detections={detections}
+                    field={field}
+                    classFilter={diseaseFilter || null}
+                    severityConfig={severityConfig}
+                  />
+                )}
+              </LayerGroup>
+            </LayersControl.BaseLayer>
+
+            <LayersControl.BaseLayer name={VIEWS.cells}>
+              <LayerGroup>
+                {infectedCells && <GridCellLayer cells={infectedCells} />}
+              </LayerGroup>
+            </LayersControl.BaseLayer>
+          </LayersControl>
+          <ActiveViewTracker onChange={setActiveView} />
+
+          {/* Variable-rate prescription */}
+          {showPrescription && prescription && <PrescriptionLayer prescription={prescription} />}
+
+          {/* No-fly zones (and the one being drawn) */}
+          {onNoFlyZonesChange && (
+            <NoFlyZoneLayer
+              zones={noFlyZones}
+              draft={noFlyDraft}
+              onAddVertex={(vertex) => setNoFlyDraft(draft => [...draft, vertex])}
+              onUpdate={(updated) => onNoFlyZonesChange((noFlyZones || []).map(zone => (zone.id === updated.id ? updated : zone)))}
+              onDelete={(id) => onNoFlyZonesChange((noFlyZones || []).filter(zone => zone.id !== id))}
+            />
+          )}
+
+          {/* Merged infected zone outlines */}
+          {zones && <ZoneOverlay zones={zones} />}
+
+          {/* Imported flight tracks, the infected cells they sprayed or missed and the audit against the plan */}
+          {flightTracks && flightTracks.length > 0 && (
+            <FlightTrackOverlay tracks={flightTracks} coverage={trackCoverage} audit={sprayAudit} />
+          )}
+
           {/* Spray path overlay (rendered first, so it appears under markers) */}
           {sprayPath && <SprayPathOverlay pathData={sprayPath} />}
 
+          {/* Fusion-aware action cells and irrigation / scouting routes */}
+          {sprayPath?.fusion && <FusionRouteOverlay fusion={sprayPath.fusion} />}
+
+          {/* Launch / landing points */}
+          {onHomePointsChange && (
+            <HomePointsLayer
+              launchPoint={launchPoint}
+              launchIsDefault={!homePoints?.launchPoint}
+              landingPoint={landingPoint}
+              placing={placing}
+              onChange={onHomePointsChange}
+              onPlaced={() => setPlacing(null)}
+            />
+          )}
+
           {/* Drone position marker */}
           {dronePosition && (
             <DroneMarker position={dronePosition} />
           )}
 
-          {/* Detection markers */}
-          {detections.map((detection) => (
-            <DetectionMarker
-              key={detection.id}
-              detection={detection}
-            />
-          ))}
-
-          {/* Auto-fit bounds when detections change */}
-          <MapBoundsUpdater detections={detections} />
+          {/* Auto-fit bounds when the field or detections change */}
+          <MapBoundsUpdater field={field} detections={detections} />
         </MapContainer>
       </div>
     </div>
   );
 }
 
+/**
+ * Helper component reporting which detection view the layer control selected
+ */
+function ActiveViewTracker({ onChange }) {
+  useMapEvents({
+    baselayerchange: (e) => onChange(e.name)
+  });
+
+  return null;
+}
+
 /**
  * Helper component to auto-fit map bounds
  */
-function MapBoundsUpdater({ detections }) {
+function MapBoundsUpdater({ field, detections }) {
   const map = useMap();
 
+  // Jump to the selected field
+  useEffect(() => {
+    map.fitBounds(getFieldBounds(field), { padding: [30, 30], maxZoom: 18 });
+  }, [field, map]);
+
   useEffect(() => {
     if (detections.length > 0) {
       const bounds = detections
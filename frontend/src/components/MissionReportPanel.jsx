@@ -8,9 +8,13 @@
 import React, { useState } from 'react';
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
+import { createHeatmap } from '../utils/heatmap';
+import { getSeverityConfig } from '../utils/severityScoring';
+import { addHeatmapImage } from '../utils/reportGenerator';
 import './MissionReportPanel.css';
 
 const MissionReportPanel = ({
+  field,
   missionMetadata,
   detections,
   gridStats,
@@ -18,7 +22,8 @@ const MissionReportPanel = ({
   sensorData,
   fusionResults,
   alerts,
-  recommendations
+  recommendations,
+  sprayAudit
 }) => {
   const [isGenerating, setIsGenerating] = useState(false);
   const [success, setSuccess] = useState(false);
@@ -66,15 +71,17 @@ const MissionReportPanel = ({
         y += 10;
       };
 
-      // Helper: Add section title
+      // Helper: Add section title, numbered in order (several sections are optional)
+      let sectionNumber = 0;
       const addSectionTitle = (title) => {
+        sectionNumber += 1;
         checkPage(30);
         doc.setFillColor(34, 139, 34);
         doc.rect(margin - 2, y - 5, contentWidth + 4, 10, 'F');
         doc.setTextColor(255, 255, 255);
         doc.setFontSize(12);
         doc.setFont('helvetica', 'bold');
-        doc.text(title, margin, y);
+        doc.text(`${sectionNumber}. ${title}`, margin, y);
         y += 10;
         doc.setTextColor(0, 0, 0);
         doc.setFont('helvetica', 'normal');
@@ -121,7 +128,7 @@ const MissionReportPanel = ({
       doc.setTextColor(0, 0, 0);
       doc.setDrawColor(180, 180, 180);
       doc.setLineWidth(0.5);
-      doc.rect(margin, y - 5, contentWidth, 45);
+      doc.rect(margin, y - 5, contentWidth, 51);
 
       doc.setFontSize(12);
       doc.setFont('helvetica', 'bold');
@@ -133,6 +140,7 @@ const MissionReportPanel = ({
       
       addLabelValue('Field ID:', missionMetadata?.fieldId || 'N/A');
       addLabelValue('Location:', missionMetadata?.fieldName || 'N/A');
+      addLabelValue('Crop:', missionMetadata?.cropType || 'N/A');
       addLabelValue('Field Area:', `${missionMetadata?.fieldAreaHectares || 'N/A'} hectares`);
       addLabelValue('Operator:', missionMetadata?.operatorName || 'N/A');
       addLabelValue('Drone Model:', missionMetadata?.droneModel || 'N/A');
@@ -144,7 +152,7 @@ const MissionReportPanel = ({
       // SECTION 1: DETECTION SUMMARY
       // ═══════════════════════════════════════════
 
-      addSectionTitle('1. DETECTION SUMMARY');
+      addSectionTitle('DETECTION SUMMARY');
 
       const totalDetections = detections?.length || 0;
       addLabelValue('Total Detections:', totalDetections);
@@ -194,7 +202,7 @@ const MissionReportPanel = ({
       // ═══════════════════════════════════════════
 
       if (sensorData) {
-        addSectionTitle('2. ENVIRONMENTAL CONDITIONS');
+        addSectionTitle('ENVIRONMENTAL CONDITIONS');
 
         addLabelValue('Air Temperature:', `${(sensorData.air_temperature || 0).toFixed(1)}°C`);
         addLabelValue('Air Humidity:', `${(sensorData.air_humidity || 0).toFixed(1)}%`);
@@ -218,12 +226,17 @@ const MissionReportPanel = ({
       // ═══════════════════════════════════════════
 
       if (gridStats) {
-        addSectionTitle('3. FIELD GRID ANALYSIS');
+        addSectionTitle('FIELD GRID ANALYSIS');
 
         addLabelValue('Grid Configuration:', gridStats.gridSize || '10x10');
         addLabelValue('Total Grid Cells:', gridStats.totalCells || 0);
         addLabelValue('Infected Cells:', gridStats.infectedCount || 0);
         addLabelValue('Healthy Cells:', gridStats.healthyCount || 0);
+        if (gridStats.severityCounts) {
+          const { low, moderate, high } = gridStats.severityCounts;
+          addLabelValue('Severity (H / M / L):', `${high} / ${moderate} / ${low} cells`);
+          addLabelValue('Mean Severity:', `${Math.round((gridStats.meanSeverity || 0) * 100)}%`);
+        }
         
         y += 2;
         doc.setFont('helvetica', 'bold');
@@ -238,6 +251,15 @@ const MissionReportPanel = ({
         doc.setFont('helvetica', 'normal');
 
         y += 8;
+
+        // Disease density over the field (unlocated detections have no place on it)
+        if (field) {
+          const heatmap = createHeatmap(detections || [], field, { severityConfig: getSeverityConfig(field.severity) });
+          if (heatmap.imageUrl) {
+            y = addHeatmapImage(doc, heatmap, y, margin, pageWidth, pageHeight, field.boundary);
+          }
+        }
+
         addSeparator();
       }
 
@@ -245,7 +267,7 @@ const MissionReportPanel = ({
       // SECTION 4: ECONOMIC ANALYSIS & ROI
       // ═══════════════════════════════════════════
 
-      addSectionTitle('4. ECONOMIC ANALYSIS & ROI');
+      addSectionTitle('ECONOMIC ANALYSIS & ROI');
 
       if (economicData) {
         console.log('📊 Processing economic data...');
@@ -324,7 +346,7 @@ const MissionReportPanel = ({
       // ═══════════════════════════════════════════
 
       if (fusionResults && fusionResults.length > 0) {
-        addSectionTitle('5. MULTIMODAL DIAGNOSIS');
+        addSectionTitle('MULTIMODAL DIAGNOSIS');
 
         const topDiagnosis = fusionResults[0].diagnosis;
         if (topDiagnosis) {
@@ -365,7 +387,7 @@ const MissionReportPanel = ({
       // SECTION 6: ACTIVE ALERTS
       // ═══════════════════════════════════════════
 
-      addSectionTitle('6. ACTIVE ALERTS & WARNINGS');
+      addSectionTitle('ACTIVE ALERTS & WARNINGS');
 
       if (alerts && alerts.length > 0) {
         addLabelValue('Total Alerts:', alerts.length);
@@ -431,10 +453,71 @@ const MissionReportPanel = ({
       addSeparator();
 
       // ═══════════════════════════════════════════
-      // SECTION 7: RECOMMENDATIONS
+      // SECTION 7: SPRAY EXECUTION AUDIT
+      // ═══════════════════════════════════════════
+
+      if (sprayAudit) {
+        addSectionTitle('SPRAY EXECUTION AUDIT (AS-FLOWN VS PLANNED)');
+
+        const executionColor = sprayAudit.executionPercent >= 95 ? [34, 139, 34] :
+                               sprayAudit.executionPercent >= 80 ? [200, 120, 40] :
+                               [200, 40, 40];
+
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...executionColor);
+        doc.text('Planned Cells Sprayed:', margin + 2, y);
+        doc.text(
+          `${sprayAudit.executedCount} / ${sprayAudit.plannedCount} (${sprayAudit.executionPercent}%)`,
+          margin + 70,
+          y
+        );
+        doc.setTextColor(0, 0, 0);
+        doc.setFont('helvetica', 'normal');
+        y += 6;
+
+        const missed = sprayAudit.missedCells;
+        addLabelValue('Planned but Missed:', missed.length > 0 ? `${missed.length} cells` : 'None');
+        addLabelValue('Over-sprayed Healthy Cells:', sprayAudit.overspray.length);
+        addLabelValue('Over-spray Area:', `${sprayAudit.oversprayHectares.toFixed(3)} hectares`);
+        addLabelValue('Chemical on Healthy Crop:', `${sprayAudit.oversprayLiters} L`);
+        addLabelValue('Over-spray Beyond Plan:', `${sprayAudit.unplannedOversprayHectares.toFixed(3)} hectares`);
+
+        y += 3;
+        doc.setFont('helvetica', 'bold');
+        doc.text('Flight Deviation from Plan:', margin + 2, y);
+        y += 6;
+        doc.setFont('helvetica', 'normal');
+
+        addLabelValue('Mean / 95th pct / Max:', `${sprayAudit.deviation.meanMeters} / ${sprayAudit.deviation.p95Meters} / ${sprayAudit.deviation.maxMeters} m`);
+        addLabelValue('Flown Off Plan:', `${sprayAudit.deviation.offPlanPercent}% of track`);
+        if (sprayAudit.deviation.worst) {
+          const { lat, lng } = sprayAudit.deviation.worst;
+          addLabelValue('Largest Deviation At:', `${lat.toFixed(6)}, ${lng.toFixed(6)}`);
+        }
+
+        if (missed.length > 0) {
+          y += 2;
+          doc.setFontSize(9);
+          doc.setTextColor(100, 100, 100);
+          const lines = doc.splitTextToSize(`Missed cells: ${missed.map(c => c.cellId).join(', ')}`, contentWidth - 5);
+          lines.forEach(line => {
+            checkPage();
+            doc.text(line, margin + 2, y);
+            y += 4;
+          });
+          doc.setTextColor(0, 0, 0);
+          doc.setFontSize(10);
+        }
+
+        y += 5;
+        addSeparator();
+      }
+
+      // ═══════════════════════════════════════════
+      // SECTION 8: RECOMMENDATIONS
       // ═══════════════════════════════════════════
 
-      addSectionTitle('7. IMMEDIATE RECOMMENDATIONS');
+      addSectionTitle('IMMEDIATE RECOMMENDATIONS');
 
       const recs = (recommendations && recommendations.length > 0) 
         ? recommendations 
@@ -462,10 +545,10 @@ const MissionReportPanel = ({
       addSeparator();
 
       // ═══════════════════════════════════════════
-      // SECTION 8: FINAL ASSESSMENT
+      // SECTION 9: FINAL ASSESSMENT
       // ═══════════════════════════════════════════
 
-      addSectionTitle('8. FINAL ASSESSMENT');
+      addSectionTitle('FINAL ASSESSMENT');
 
       const infectionRate = gridStats?.infectedPercentage || 0;
       const statusText = infectionRate > 50 ? 'CRITICAL - Immediate intervention required' :
@@ -580,6 +663,8 @@ const MissionReportPanel = ({
               `${economicData.financialData.roi.toFixed(1)}%` : 'N/A'}</strong></div>
             <div>✅ Sensor: <strong>{sensorData ? 'Live' : 'Initializing'}</strong></div>
             <div>{alerts?.length > 0 ? '🚨' : '✅'} Alerts: <strong>{alerts?.length || 0}</strong></div>
+            <div>{sprayAudit ? '✅' : '➖'} Spray Audit: <strong>{sprayAudit ?
+              `${sprayAudit.executionPercent}% of plan flown` : 'Unavailable (needs a path and a flown log with sprayer data)'}</strong></div>
           </div>
         </div>
       </div>
@@ -0,0 +1,98 @@
+/**
+ * NoFlyZoneLayer Component
+ * Draws the field's no-fly zones and, while drawing, collects a new polygon
+ * from map clicks (vertices are shown as they are placed). Zones can be
+ * marked sensitive to spray drift, which keeps a wind-dependent buffer clear.
+ */
+
+import React from 'react';
+import { Polygon, Polyline, CircleMarker, Popup, useMapEvents } from 'react-leaflet';
+import { ringToPositions } from '../utils/geometry';
+
+const NO_FLY_STYLE = {
+  color: '#b91c1c',
+  weight: 2,
+  dashArray: '6, 4',
+  fillColor: '#ef4444',
+  fillOpacity: 0.25
+};
+
+// Sensitive zones (water, houses, other crops) - drift buffer applies
+const SENSITIVE_STYLE = {
+  ...NO_FLY_STYLE,
+  color: '#7c3aed',
+  fillColor: '#a78bfa'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.zones - No-fly zones (see obstacleRouting.js)
+ * @param {Array<{lat: number, lng: number}>|null} props.draft - Vertices of the polygon being drawn (null when not drawing)
+ * @param {function({lat: number, lng: number})} props.onAddVertex
+ * @param {function(Object)} props.onUpdate - Replace a zone (same ID)
+ * @param {function(string)} props.onDelete - Remove a zone by ID
+ */
+export default function NoFlyZoneLayer({ zones = [], draft, onAddVertex, onUpdate, onDelete }) {
+  useMapEvents({
+    click: (e) => {
+      if (!draft) return;
+      onAddVertex({
+        lat: parseFloat(e.latlng.lat.toFixed(6)),
+        lng: parseFloat(e.latlng.lng.toFixed(6))
+      });
+    }
+  });
+
+  return (
+    <>
+      {zones.map(zone => (
+        <Polygon
+          key={zone.id}
+          positions={zone.polygon.coordinates.map(ringToPositions)}
+          pathOptions={zone.sensitive ? SENSITIVE_STYLE : NO_FLY_STYLE}
+        >
+          <Popup>
+            <div className="marker-popup">
+              <div className="popup-header">⛔ No-Fly Zone {zone.id}</div>
+              {zone.label && (
+                <div className="popup-detail">
+                  <span className="popup-label">Obstacle:</span>
+                  <span className="popup-value">{zone.label}</span>
+                </div>
+              )}
+              <label className="popup-detail">
+                <input
+                  type="checkbox"
+                  checked={!!zone.sensitive}
+                  onChange={(e) => onUpdate({ ...zone, sensitive: e.target.checked })}
+                />
+                Sensitive to spray drift
+              </label>
+              <button className="map-button" onClick={() => onDelete(zone.id)}>
+                🗑️ Remove
+              </button>
+            </div>
+          </Popup>
+        </Polygon>
+      ))}
+
+      {/* Polygon being drawn */}
+      {draft && draft.length > 1 && (
+        <Polyline
+          positions={draft.map(p => [p.lat, p.lng])}
+          pathOptions={{ ...NO_FLY_STYLE, fillOpacity: 0 }}
+          interactive={false}
+        />
+      )}
+      {draft && draft.map((vertex, i) => (
+        <CircleMarker
+          key={i}
+          center={[vertex.lat, vertex.lng]}
+          radius={4}
+          pathOptions={{ color: '#b91c1c', fillColor: 'white', fillOpacity: 1, weight: 2 }}
+          interactive={false}
+        />
+      ))}
+    </>
+  );
+}
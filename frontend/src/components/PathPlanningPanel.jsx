@@ -3,76 +3,126 @@
  * Controls and displays path planning information
  */
 
-import React, { useState, useMemo, useEffect } from 'react';
-import { mapDetectionsToGrid } from '../utils/zoneDetection';
-import { generateSprayPath } from '../utils/pathPlanner';
-import { calculateGridStats } from '../utils/fieldGrid';
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  generateSprayPath,
+  comparePathAlgorithms,
+  ROUTE_ALGORITHMS
+} from '../utils/pathPlanner';
+import { COVERAGE_CONFIG } from '../utils/coveragePlanner';
+import { ZONE_CONNECTIVITY } from '../utils/zoneDetection';
+import { DRONE_CONFIG, getDroneConfig } from '../utils/droneConfig';
+import { splitMission } from '../utils/missionSplitter';
+import { planFleetMission, FLEET_CONFIG } from '../utils/fleetPlanner';
+import { planFusionAwareMission, FUSION_ACTION_COLORS } from '../utils/fusionAwarePathPlanner';
+import { createRevisionTrail, canReplan, replanWithNewCells } from '../utils/replanner';
+import { getFieldHomePoints } from '../utils/fieldRegistry';
+import { assessWind } from '../utils/windPlanning';
+import { MISSION_FORMATS, exportMission, downloadFile } from '../utils/missionExport';
 import './PathPlanningPanel.css';
 
-export default function PathPlanningPanel({ detections, onPathGenerated, onGridStatsCalculated }) {
+// What the planner routes to
+const PLANNING_MODES = {
+  vision: 'Vision - spray every infected cell',
+  fusion: 'Fusion-aware - spray, irrigate, scout'
+};
+
+// Ground time on the fleet timeline (sorties are labelled by id)
+const TIMELINE_LABELS = {
+  hold: 'Waiting to launch',
+  turnaround: 'Refill and battery swap'
+};
+
+// Go / no-go labels for the wind assessment
+const WIND_DECISIONS = {
+  go: '✅ Go - wind OK for spraying',
+  caution: '⚠️ Caution - spray with care',
+  'no-go': '⛔ No-go - too windy to spray'
+};
+
+export default function PathPlanningPanel({
+  field,
+  grid,
+  gridStats,
+  zones,
+  zoneOptions,
+  onZoneConnectivityChange,
+  homePoints,
+  noFlyZones,
+  sensorData,
+  detections,
+  onPathGenerated
+}) {
   const [pathData, setPathData] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [algorithm, setAlgorithm] = useState('optimized');
+  const [planningMode, setPlanningMode] = useState('vision');
+  const [comparison, setComparison] = useState(null);
+  const [swathWidth, setSwathWidth] = useState(COVERAGE_CONFIG.swathWidthMeters);
+  const [heading, setHeading] = useState('');
+  const [autoReplan, setAutoReplan] = useState(true);
+  // Operator-reported progress of the spray drone: replans start from launch until it is marked launched
+  const [launched, setLaunched] = useState(false);
+  const [flownCount, setFlownCount] = useState('');
+  // Typed-in wind; null follows the live sensor reading
+  const [windOverride, setWindOverride] = useState(null);
+  const [drone, setDrone] = useState({
+    enduranceMinutes: DRONE_CONFIG.enduranceMinutes,
+    tankLiters: DRONE_CONFIG.tankLiters,
+    applicationRateLitersPerHectare: DRONE_CONFIG.applicationRateLitersPerHectare
+  });
+
+  // Drones flying at once; blank per-drone fields use the capacity above
+  const [fleetSize, setFleetSize] = useState(1);
+  const [fleetDrones, setFleetDrones] = useState(
+    Array.from({ length: FLEET_CONFIG.maxDrones }, () => ({ enduranceMinutes: '', tankLiters: '', spraySpeed: '' }))
+  );
+
+  const droneConfig = useMemo(() => getDroneConfig(Object.fromEntries(
+    Object.entries(drone).map(([key, value]) => [key, Number(value) || DRONE_CONFIG[key]])
+  )), [drone]);
+
+  const updateFleetDrone = (index, key, value) => {
+    setFleetDrones(fleetDrones.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)));
+  };
 
   console.log('🔧 ===== PathPlanningPanel RENDERED =====');
-  console.log('🔧 Detections prop:', detections);
+  console.log('🔧 Field:', field?.id);
   console.log('🔧 Detections length:', detections?.length);
   console.log('🔧 onPathGenerated callback:', typeof onPathGenerated);
-  console.log('🔧 onGridStatsCalculated callback:', typeof onGridStatsCalculated);
   console.log('🔧 pathData state:', pathData);
 
-  // Calculate grid and stats directly from detections
-  const gridData = useMemo(() => {
-    console.log('🔧 [useMemo] Calculating gridData...');
-    
-    if (!detections || detections.length === 0) {
-      console.log('⚠️ No detections available');
-      return null;
-    }
-
-    // Check GPS coordinates
-    const detectionsWithValidGPS = detections.filter(d => d.gps);
-    console.log('🔧 Total detections:', detections.length);
-    console.log('🔧 Detections with GPS:', detectionsWithValidGPS.length);
-    console.log('🔧 Sample detection:', detections[0]);
-    console.log('🔧 Sample GPS:', detections[0]?.gps);
-    
-    if (detectionsWithValidGPS.length === 0) {
-      console.error('❌ NO DETECTIONS HAVE GPS COORDINATES!');
-      return null;
-    }
-    
-    try {
-      console.log('🔧 Calling mapDetectionsToGrid...');
-      const grid = mapDetectionsToGrid(detections);
-      console.log('✅ Grid created:', grid);
-      
-      console.log('🔧 Calling calculateGridStats...');
-      const stats = calculateGridStats(grid);
-      console.log('✅ Stats calculated:', stats);
-      
-      return { grid, stats };
-    } catch (error) {
-      console.error('❌ Error creating grid:', error);
-      return null;
-    }
-  }, [detections]);
-
-  // Watch gridData changes
+  // A moved launch / landing point or changed no-fly zone invalidates the planned route
   useEffect(() => {
-    console.log('🔧 [useEffect] gridData changed:', gridData);
-  }, [gridData]);
+    setPathData(null);
+    setComparison(null);
+    setLaunched(false);
+    setFlownCount('');
+  }, [homePoints, noFlyZones]);
 
-  // ✅ NEW: Notify parent component when grid stats are calculated
+  // In flight, cells infected after generation are folded into the unflown part of the route.
+  // Detections come from the scouting camera, so the spray drone's progress is the operator's report.
   useEffect(() => {
-    if (gridData && onGridStatsCalculated) {
-      console.log('📊 Notifying Dashboard of grid stats:', gridData.stats);
-      onGridStatsCalculated(gridData.stats);
-    } else if (!gridData && onGridStatsCalculated) {
-      // Clear stats when no data
-      console.log('📊 Clearing grid stats');
-      onGridStatsCalculated(null);
+    if (!autoReplan || !canReplan(pathData) || !grid || !gridStats) return;
+
+    const revised = replanWithNewCells(pathData, grid, {
+      completedCount: launched ? Math.max(0, Math.floor(Number(flownCount) || 0)) : 0,
+      droneConfig,
+      noFlyZones: noFlyZones || []
+    });
+    if (revised !== pathData) {
+      setPathData(revised);
+      if (onPathGenerated) onPathGenerated(revised);
     }
-  }, [gridData, onGridStatsCalculated]);
+  }, [autoReplan, pathData, grid, gridStats, launched, flownCount, droneConfig, noFlyZones, onPathGenerated]);
+
+  // Grid and stats are maintained incrementally by the Dashboard's grid store
+  const gridData = grid && gridStats ? { grid, stats: gridStats } : null;
+
+  const wind = windOverride || (sensorData?.wind_speed !== undefined
+    ? { speed: sensorData.wind_speed, direction: sensorData.wind_direction }
+    : null);
+  const windAssessment = wind ? assessWind({ speed: Number(wind.speed), direction: Number(wind.direction) }) : null;
 
   const handleGeneratePath = () => {
     console.log('🔧 ===== GENERATE PATH BUTTON CLICKED =====');
@@ -92,8 +142,41 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
       console.log('🔧 Timeout fired, generating path...');
       
       try {
-        console.log('🔧 Calling generateSprayPath with grid:', gridData.grid);
-        const path = generateSprayPath(gridData.grid);
+        console.log('🔧 Calling generateSprayPath with grid:', gridData.grid, 'algorithm:', algorithm);
+        const options = {
+          ...getFieldHomePoints({ ...field, ...homePoints }),
+          droneConfig,
+          noFlyZones: noFlyZones || [],
+          wind: windAssessment ? { speed: windAssessment.speed, direction: windAssessment.direction } : undefined,
+          zones,
+          zoneOptions,
+          swathWidthMeters: Math.max(0.5, Number(swathWidth) || COVERAGE_CONFIG.swathWidthMeters),
+          headingDegrees: heading === '' ? null : Number(heading)
+        };
+
+        // Each route is split into sorties that fit the battery and tank
+        const withSorties = (route) => ({ ...route, mission: splitMission(route, droneConfig, options) });
+        const drones = fleetDrones.slice(0, fleetSize).map(entry => Object.fromEntries(
+          Object.entries(entry).filter(([, value]) => Number(value) > 0).map(([key, value]) => [key, Number(value)])
+        ));
+        // The single-drone route and the comparison plan the same cells: one distance matrix for both
+        const routeCache = {};
+        let path;
+        let planned = null;
+        if (planningMode === 'fusion') {
+          path = planFusionAwareMission(gridData.grid, { ...options, algorithm, sensorData, detections, drones });
+        } else if (fleetSize > 1) {
+          path = planFleetMission(gridData.grid, drones, { ...options, algorithm });
+        } else {
+          path = withSorties(generateSprayPath(gridData.grid, { ...options, algorithm, routeCache }));
+          planned = path;
+        }
+        path = createRevisionTrail(path, gridData.grid);
+        // The comparison covers every infected cell, so it only fits the vision mode
+        setComparison(planningMode === 'fusion'
+          ? null
+          : comparePathAlgorithms(gridData.grid, { ...options, routeCache }, planned)
+            .map(route => (route === planned ? route : withSorties(route))));
         
         console.log('✅ Path generated successfully!');
         console.log('✅ Path data:', path);
@@ -102,6 +185,8 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
         
         console.log('🔧 Updating local pathData state');
         setPathData(path);
+        setLaunched(false);
+        setFlownCount('');
         
         if (onPathGenerated) {
           console.log('🔧 Calling onPathGenerated callback');
@@ -125,9 +210,35 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
     }, 500);
   };
 
+  // One file per sortie - each is a separate flight on a fresh battery and tank
+  const handleExport = (format) => {
+    const { extension, mimeType, label } = MISSION_FORMATS[format];
+    const failed = [];
+
+    pathData.mission.sorties.forEach(sortie => {
+      const name = `${field.name} ${sortie.id}`;
+      // Fleet sorties fly at their own drone's speeds
+      const config = pathData.fleet?.drones.find(d => d.id === sortie.droneId)?.config || droneConfig;
+      const { content, differences } = exportMission(sortie, format, { name, config });
+      if (differences.length > 0) {
+        failed.push(sortie.id);
+        return;
+      }
+      downloadFile(`${field.id}-${sortie.id}.${extension}`, content, mimeType);
+    });
+
+    console.log(`📤 Exported ${pathData.mission.sortieCount} sortie(s) as ${label}`);
+    if (failed.length > 0) {
+      alert(`${label} export of ${failed.join(', ')} did not read back identically and was not saved`);
+    }
+  };
+
   const handleClearPath = () => {
     console.log('🔧 Clear path clicked');
     setPathData(null);
+    setComparison(null);
+    setLaunched(false);
+    setFlownCount('');
     if (onPathGenerated) {
       console.log('🔧 Calling onPathGenerated with null');
       onPathGenerated(null);
@@ -177,6 +288,223 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
         </div>
       )}
 
+      {/* Planning Mode */}
+      <div className="algorithm-select">
+        <label htmlFor="planning-mode">Targets</label>
+        <select
+          id="planning-mode"
+          value={planningMode}
+          onChange={(e) => setPlanningMode(e.target.value)}
+          disabled={isGenerating || !!pathData}
+        >
+          {Object.entries(PLANNING_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Route Algorithm */}
+      <div className="algorithm-select">
+        <label htmlFor="route-algorithm">Route algorithm</label>
+        <select
+          id="route-algorithm"
+          value={algorithm}
+          onChange={(e) => setAlgorithm(e.target.value)}
+          disabled={isGenerating || !!pathData}
+        >
+          {Object.entries(ROUTE_ALGORITHMS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Zone grouping (also drawn on the map) */}
+      <div className="algorithm-select">
+        <label htmlFor="zone-connectivity">Zones group</label>
+        <select
+          id="zone-connectivity"
+          value={zoneOptions.connectivity}
+          onChange={(e) => onZoneConnectivityChange(e.target.value === 'radius' ? 'radius' : Number(e.target.value))}
+          disabled={isGenerating || !!pathData}
+        >
+          {Object.entries(ZONE_CONNECTIVITY).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {algorithm === 'coverage' && (
+        <div className="planner-options">
+          <label>
+            Swath width (m)
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              value={swathWidth}
+              onChange={(e) => setSwathWidth(e.target.value)}
+              disabled={isGenerating || !!pathData}
+            />
+          </label>
+          <label>
+            Heading (°)
+            <input
+              type="number"
+              min="0"
+              max="359"
+              placeholder={windAssessment?.crosswindHeading != null ? `Crosswind (${Math.round(windAssessment.crosswindHeading)})` : 'Auto'}
+              value={heading}
+              onChange={(e) => setHeading(e.target.value)}
+              disabled={isGenerating || !!pathData}
+            />
+          </label>
+        </div>
+      )}
+
+      {/* Drone Capacity */}
+      <div className="planner-options">
+        <label>
+          Endurance (min)
+          <input
+            type="number"
+            min="1"
+            value={drone.enduranceMinutes}
+            onChange={(e) => setDrone({ ...drone, enduranceMinutes: e.target.value })}
+            disabled={isGenerating || !!pathData}
+          />
+        </label>
+        <label>
+          Tank (L)
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={drone.tankLiters}
+            onChange={(e) => setDrone({ ...drone, tankLiters: e.target.value })}
+            disabled={isGenerating || !!pathData}
+          />
+        </label>
+        <label>
+          Rate (L/ha)
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={drone.applicationRateLitersPerHectare}
+            onChange={(e) => setDrone({ ...drone, applicationRateLitersPerHectare: e.target.value })}
+            disabled={isGenerating || !!pathData}
+          />
+        </label>
+      </div>
+
+      {/* Fleet */}
+      <div className="algorithm-select">
+        <label htmlFor="fleet-size">Drones flying at once</label>
+        <select
+          id="fleet-size"
+          value={fleetSize}
+          onChange={(e) => setFleetSize(Number(e.target.value))}
+          disabled={isGenerating || !!pathData}
+        >
+          {Array.from({ length: FLEET_CONFIG.maxDrones }, (_, i) => (
+            <option key={i + 1} value={i + 1}>{i === 0 ? '1 (single drone)' : `${i + 1} drones`}</option>
+          ))}
+        </select>
+      </div>
+
+      {fleetSize > 1 && fleetDrones.slice(0, fleetSize).map((entry, i) => (
+        <div key={i} className="planner-options fleet-drone">
+          <span className="fleet-drone-id">D{i + 1}</span>
+          <label>
+            Endurance (min)
+            <input
+              type="number"
+              min="1"
+              placeholder={droneConfig.enduranceMinutes}
+              value={entry.enduranceMinutes}
+              onChange={(e) => updateFleetDrone(i, 'enduranceMinutes', e.target.value)}
+              disabled={isGenerating || !!pathData}
+            />
+          </label>
+          <label>
+            Tank (L)
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              placeholder={droneConfig.tankLiters}
+              value={entry.tankLiters}
+              onChange={(e) => updateFleetDrone(i, 'tankLiters', e.target.value)}
+              disabled={isGenerating || !!pathData}
+            />
+          </label>
+          <label>
+            Spray speed (m/s)
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              placeholder={droneConfig.spraySpeed}
+              value={entry.spraySpeed}
+              onChange={(e) => updateFleetDrone(i, 'spraySpeed', e.target.value)}
+              disabled={isGenerating || !!pathData}
+            />
+          </label>
+        </div>
+      ))}
+
+      {/* Wind */}
+      <div className="planner-options">
+        <label>
+          Wind (m/s)
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            placeholder="—"
+            value={wind?.speed ?? ''}
+            onChange={(e) => setWindOverride({ direction: wind?.direction ?? 0, speed: e.target.value })}
+            disabled={isGenerating || !!pathData}
+          />
+        </label>
+        <label>
+          From (°)
+          <input
+            type="number"
+            min="0"
+            max="359"
+            placeholder="—"
+            value={wind?.direction ?? ''}
+            onChange={(e) => setWindOverride({ speed: wind?.speed ?? 0, direction: e.target.value })}
+            disabled={isGenerating || !!pathData}
+          />
+        </label>
+        {windOverride && sensorData && (
+          <button
+            className="btn-live-wind"
+            onClick={() => setWindOverride(null)}
+            disabled={isGenerating || !!pathData}
+            title="Use the live sensor reading"
+          >
+            📡 Live
+          </button>
+        )}
+      </div>
+
+      {windAssessment && (
+        <div className={`wind-status ${windAssessment.decision}`}>
+          <div className="wind-decision">
+            {WIND_DECISIONS[windAssessment.decision]}
+            <span className="wind-detail">
+              drift {windAssessment.driftMeters}m · buffer {windAssessment.driftBufferMeters}m
+            </span>
+          </div>
+          {windAssessment.reasons.map(reason => (
+            <div key={reason} className="wind-reason">{reason}</div>
+          ))}
+        </div>
+      )}
+
       {/* Path Generation Button */}
       <div className="action-buttons">
         {!pathData ? (
@@ -197,6 +525,41 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
         )}
       </div>
 
+      <label className="replan-toggle">
+        <input
+          type="checkbox"
+          checked={autoReplan}
+          onChange={(e) => setAutoReplan(e.target.checked)}
+        />
+        🔄 Replan in flight as detections arrive
+      </label>
+
+      {canReplan(pathData) && (
+        <div className="mission-progress">
+          <label className="replan-toggle">
+            <input
+              type="checkbox"
+              checked={launched}
+              onChange={(e) => setLaunched(e.target.checked)}
+            />
+            🚁 Mission launched
+          </label>
+          {launched && (
+            <label className="mission-progress-count">
+              Waypoints flown
+              <input
+                type="number"
+                min="0"
+                max={pathData.waypoints.length}
+                value={flownCount}
+                placeholder="0"
+                onChange={(e) => setFlownCount(e.target.value)}
+              />
+            </label>
+          )}
+        </div>
+      )}
+
       {/* Path Metrics */}
       {pathData && pathData.pathExists && (
         <div className="path-metrics">
@@ -218,24 +581,357 @@ export default function PathPlanningPanel({ detections, onPathGenerated, onGridS
             </div>
           </div>
 
+          {pathData.fleet ? (
+            <div className="metric-row">
+              <span className="metric-icon">⏱️</span>
+              <div className="metric-content">
+                <div className="metric-label">Fleet Completion Time</div>
+                <div className="metric-value">{formatDuration(pathData.fleet.makespan)}</div>
+                <div className="metric-detail">
+                  {pathData.fleet.drones.filter(d => d.mission).length} drones · {pathData.fleet.balancePercent}% balanced ·{' '}
+                  {formatDuration(pathData.fleet.holdSeconds)} held for {pathData.fleet.separationMeters}m separation
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="metric-row">
+              <span className="metric-icon">⏱️</span>
+              <div className="metric-content">
+                <div className="metric-label">Estimated Time</div>
+                <div className="metric-value">{formatDuration(pathData.estimatedTime)}</div>
+                <div className="metric-detail">
+                  {formatDuration(Math.round(pathData.flight.breakdown.turns))} turns ·{' '}
+                  {formatDuration(Math.round(pathData.flight.breakdown.dwell))} hover-spray ·{' '}
+                  {formatDuration(Math.round(pathData.flight.breakdown.vertical))} climb / descent
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="metric-row">
+            <span className="metric-icon">⚡</span>
+            <div className="metric-content">
+              <div className="metric-label">{pathData.fleet ? 'Energy (all drones)' : 'Energy (as one flight)'}</div>
+              <div className="metric-value">
+                {pathData.energyWh} Wh{!pathData.fleet && ` · ${pathData.batteryPercent}% battery`}
+              </div>
+            </div>
+          </div>
+
+          {/* Fleet plans have no single-route swath or lower-bound figures */}
+          {!pathData.fleet && (pathData.algorithm === 'coverage' ? (
+            <div className="metric-row">
+              <span className="metric-icon">🌾</span>
+              <div className="metric-content">
+                <div className="metric-label">Swath Coverage ({pathData.swathWidthMeters}m swaths)</div>
+                <div className="metric-value">
+                  {pathData.coveredAreaHectares.toFixed(2)} ha · {pathData.swathCount} swaths · {pathData.zoneCount} zones
+                </div>
+              </div>
+            </div>
+          ) : pathData.lowerBound !== undefined && (
+            <div className="metric-row">
+              <span className="metric-icon">📐</span>
+              <div className="metric-content">
+                <div className="metric-label">Gap vs Lower Bound ({pathData.lowerBound}m)</div>
+                <div className="metric-value">{formatGap(pathData)}</div>
+              </div>
+            </div>
+          ))}
+
           <div className="metric-row">
-            <span className="metric-icon">⏱️</span>
+            <span className="metric-icon">🔋</span>
             <div className="metric-content">
-              <div className="metric-label">Estimated Time</div>
+              <div className="metric-label">Sorties (incl. refill / battery swaps)</div>
               <div className="metric-value">
-                {Math.floor(pathData.estimatedTime / 60)}m {pathData.estimatedTime % 60}s
+                {pathData.mission.sortieCount} · {formatDuration(pathData.mission.totalTime)} · {pathData.mission.energyWh} Wh · {pathData.mission.totalLiters} L
               </div>
             </div>
           </div>
 
+          {pathData.unreachableWaypoints?.length > 0 && (
+            <div className="capacity-warning">
+              ⛔ {pathData.unreachableWaypoints.length} target(s) inside no-fly zones or drift buffers cannot be sprayed:{' '}
+              {pathData.unreachableWaypoints.map(wp => wp.cellId || wp.zoneId).join(', ')}
+            </div>
+          )}
+
+          {pathData.blockedLegs > 0 && (
+            <div className="capacity-warning">
+              ⚠️ {pathData.blockedLegs} leg(s) have no way around a no-fly zone and fly straight through
+            </div>
+          )}
+
+          {pathData.fleet?.conflicts.map(conflict => (
+            <div key={conflict.sortieIds.join('-')} className="capacity-warning">
+              ⚠️ {conflict.sortieIds.join(' and ')} come within {conflict.distance}m at {formatDuration(conflict.time)}
+            </div>
+          ))}
+
+          {pathData.mission.overCapacity && (
+            <div className="capacity-warning">
+              ⚠️ Some waypoints cannot be reached and sprayed within one battery or tank
+            </div>
+          )}
+
           <div className="efficiency-badge">
             <span className="badge-icon">✅</span>
             <span className="badge-text">
-              Optimized for precision spraying
+              {ROUTE_ALGORITHMS[pathData.algorithm]} route{pathData.fleet ? ` · ${pathData.fleet.drones.length} drones` : ''}
             </span>
           </div>
         </div>
       )}
+
+      {pathData && !pathData.pathExists && (
+        <div className="capacity-warning">
+          {pathData.windAssessment?.decision === 'no-go' ? (
+            <>🌬️ Spraying refused: {pathData.windAssessment.reasons.join('; ')}</>
+          ) : (
+            <>
+              ⛔ No flyable spray targets
+              {pathData.unreachableWaypoints?.length > 0 &&
+                ` (${pathData.unreachableWaypoints.length} target(s) inside no-fly zones or drift buffers)`}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Fusion-aware: one route per action class */}
+      {pathData?.fusion && (
+        <div className="path-comparison">
+          <h4>🧠 Fusion-aware Actions</h4>
+          <table className="path-table">
+            <thead>
+              <tr>
+                <th>Action</th>
+                <th>Cells</th>
+                <th>Area</th>
+                <th>Route</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                { action: 'chemical_spray', label: 'Spray', entry: pathData.fusion.actions.chemicalSpray, route: pathData },
+                { action: 'irrigation', label: 'Irrigate', entry: pathData.fusion.actions.irrigation, route: pathData.fusion.routes.irrigation },
+                { action: 'monitor', label: 'Scout', entry: pathData.fusion.actions.monitoring, route: pathData.fusion.routes.monitoring }
+              ].map(({ action, label, entry, route }) => (
+                <tr key={action}>
+                  <td>
+                    <span className="sortie-swatch" style={{ background: FUSION_ACTION_COLORS[action] }} />
+                    {label}
+                  </td>
+                  <td>{entry.count}</td>
+                  <td>{entry.areaHectares.toFixed(2)} ha</td>
+                  <td>{route?.pathExists ? `${route.totalDistance}m · ${formatDuration(route.estimatedTime)}` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!pathData.fusion.sensorBased && (
+            <div className="capacity-warning">
+              📡 No sensor data yet - infected cells are sprayed on vision alone
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Fleet: one route per drone on a shared clock */}
+      {pathData && pathData.pathExists && pathData.fleet && (
+        <div className="path-comparison">
+          <h4>🚁 Fleet</h4>
+          <table className="path-table">
+            <thead>
+              <tr>
+                <th>Drone</th>
+                <th>Cells</th>
+                <th>Sorties</th>
+                <th>Liters</th>
+                <th>Done</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pathData.fleet.drones.map(fleetDrone => (
+                <tr key={fleetDrone.id}>
+                  <td>
+                    <span className="sortie-swatch" style={{ background: fleetDrone.color }} />
+                    {fleetDrone.id}
+                  </td>
+                  <td>{fleetDrone.cellCount}</td>
+                  <td>{fleetDrone.mission?.sortieCount ?? 0}</td>
+                  <td>{fleetDrone.mission?.totalLiters ?? 0}</td>
+                  <td>{fleetDrone.mission ? formatDuration(fleetDrone.finishTime) : 'idle'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="fleet-timeline">
+            {pathData.fleet.drones.filter(fleetDrone => fleetDrone.mission).map(fleetDrone => (
+              <div key={fleetDrone.id} className="timeline-row">
+                <span className="timeline-label">{fleetDrone.id}</span>
+                <div className="timeline-track">
+                  {fleetDrone.timeline.map(entry => (
+                    <div
+                      key={`${entry.type}-${entry.start}`}
+                      className={`timeline-bar ${entry.type}`}
+                      style={{
+                        left: `${(entry.start / pathData.fleet.makespan) * 100}%`,
+                        width: `${((entry.end - entry.start) / pathData.fleet.makespan) * 100}%`,
+                        background: entry.type === 'sortie' ? fleetDrone.color : undefined
+                      }}
+                      title={`${entry.sortieId || TIMELINE_LABELS[entry.type]}: ${formatDuration(Math.round(entry.start))} - ${formatDuration(Math.round(entry.end))}`}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+            <div className="timeline-axis">
+              <span>0m 0s</span>
+              <span>{formatDuration(pathData.fleet.makespan)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sorties */}
+      {pathData && pathData.pathExists && (
+        <div className="path-comparison">
+          <h4>🔋 Sorties</h4>
+          <table className="path-table">
+            <thead>
+              <tr>
+                <th>Sortie</th>
+                <th>Distance</th>
+                <th>Time</th>
+                <th>Battery</th>
+                <th>Liters</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pathData.mission.sorties.map(sortie => (
+                <tr key={sortie.id}>
+                  <td>
+                    <span className="sortie-swatch" style={{ background: sortie.color }} />
+                    {sortie.id}{sortie.overCapacity ? ' ⚠️' : ''}
+                  </td>
+                  <td>{sortie.totalDistance}m</td>
+                  <td>{formatDuration(sortie.estimatedTime)}</td>
+                  <td>{sortie.batteryPercent}%</td>
+                  <td>{sortie.liters}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Plan revisions: the generated route plus each in-flight replan */}
+      {pathData?.revisions?.length > 1 && (
+        <div className="path-comparison">
+          <h4>📝 Plan Revisions</h4>
+          <table className="path-table">
+            <thead>
+              <tr>
+                <th>Rev</th>
+                <th>Time</th>
+                <th>Change</th>
+                <th>Distance</th>
+                <th>Flight</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pathData.revisions.map(revision => (
+                <tr key={revision.revision}>
+                  <td>{revision.revision}</td>
+                  <td>{new Date(revision.time).toLocaleTimeString()}</td>
+                  <td>
+                    {revision.revision === 1
+                      ? revision.reason
+                      : `+${revision.addedCellIds.length} cell(s) after waypoint ${revision.completedCount}`}
+                    {revision.unreachableCellIds.length > 0 && ` · ⛔ ${revision.unreachableCellIds.join(', ')}`}
+                  </td>
+                  <td>{revision.totalDistance}m{revision.revision > 1 && ` (${formatChange(revision.distanceChange, 'm')})`}</td>
+                  <td>{formatDuration(revision.estimatedTime)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Export */}
+      {pathData && pathData.pathExists && (
+        <div className="mission-export">
+          <span className="export-label">📤 Export</span>
+          {Object.entries(MISSION_FORMATS).map(([format, { label }]) => (
+            <button key={format} className="btn-export" onClick={() => handleExport(format)}>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Algorithm Comparison */}
+      {comparison && comparison.length > 0 && comparison[0].pathExists && (
+        <div className="path-comparison">
+          <h4>⚖️ Algorithm Comparison</h4>
+          <table className="path-table">
+            <thead>
+              <tr>
+                <th>Algorithm</th>
+                <th>Distance</th>
+                <th>Time</th>
+                <th>Gap</th>
+                <th>Sorties</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map(result => (
+                <tr
+                  key={result.algorithm}
+                  className={result.algorithm === pathData?.algorithm ? 'selected' : ''}
+                >
+                  <td>{ROUTE_ALGORITHMS[result.algorithm]}</td>
+                  <td>{result.totalDistance}m</td>
+                  <td>{formatDuration(result.estimatedTime)}</td>
+                  <td>{formatGap(result)}</td>
+                  <td>{result.mission.sortieCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
+
+/**
+ * Seconds as "Xm Ys"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Signed change, e.g. "+42m"
+ * @param {number} value
+ * @param {string} unit
+ * @returns {string}
+ */
+function formatChange(value, unit) {
+  return `${value >= 0 ? '+' : ''}${value}${unit}`;
+}
+
+/**
+ * Route quality versus the lower bound (coverage paths have none)
+ * @param {Object} path - Path data from generateSprayPath
+ * @returns {string}
+ */
+function formatGap(path) {
+  if (path.gapPercent === undefined) return '—';
+  return path.optimal ? 'Optimal' : `+${path.gapPercent}%`;
+}
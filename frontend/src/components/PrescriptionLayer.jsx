@@ -0,0 +1,49 @@
+/**
+ * PrescriptionLayer Component
+ * Shades grid cells by their variable-rate application rate (L/ha)
+ */
+
+import React from 'react';
+import { Polygon, Tooltip } from 'react-leaflet';
+
+// Light to dark by rate, between the prescription's lowest and highest rate
+const RATE_COLORS = ['#cffafe', '#67e8f9', '#06b6d4', '#0e7490', '#164e63'];
+
+/**
+ * Colour for a rate within [min, max]
+ * @param {number} rate
+ * @param {number} min
+ * @param {number} max
+ * @returns {string}
+ */
+export function getRateColor(rate, min, max) {
+  const share = max > min ? (rate - min) / (max - min) : 1;
+  return RATE_COLORS[Math.min(RATE_COLORS.length - 1, Math.floor(share * RATE_COLORS.length))];
+}
+
+export default function PrescriptionLayer({ prescription }) {
+  const treated = prescription.cells.filter(entry => entry.rateLitersPerHectare > 0);
+  const rates = treated.map(entry => entry.rateLitersPerHectare);
+  const min = Math.min(...rates);
+  const max = Math.max(...rates);
+
+  return (
+    <>
+      {treated.map(entry => {
+        const color = getRateColor(entry.rateLitersPerHectare, min, max);
+        return (
+          <Polygon
+            key={entry.cellId}
+            positions={entry.cell.outline}
+            pathOptions={{ color: '#0e7490', weight: 1, fillColor: color, fillOpacity: 0.7 }}
+          >
+            <Tooltip sticky>
+              💧 {entry.rateLitersPerHectare} L/ha {prescription.products[entry.productId].name} - cell {entry.cellId}
+              {entry.note && ` (${entry.note})`}
+            </Tooltip>
+          </Polygon>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,100 @@
+/**
+ * PrescriptionPanel Component
+ * Variable-rate prescription summary with product choice and export
+ * to GeoJSON (shapefile attributes) and ISOXML TASKDATA
+ */
+
+import React from 'react';
+import { PRESCRIPTION_CONFIG, toPrescriptionGeoJSON, toIsoxmlTaskData } from '../utils/prescriptionMap';
+import { downloadFile } from '../utils/missionExport';
+import './PrescriptionPanel.css';
+
+export default function PrescriptionPanel({ field, prescription, productId, onProductChange }) {
+  if (!prescription) {
+    return null;
+  }
+
+  const handleExportGeoJSON = () => {
+    const content = JSON.stringify(toPrescriptionGeoJSON(prescription), null, 2);
+    downloadFile(`${field.id}-prescription.geojson`, content, 'application/geo+json');
+    console.log('📤 Prescription exported as GeoJSON');
+  };
+
+  const handleExportIsoxml = () => {
+    // Terminals look for this exact file name in a TASKDATA folder
+    downloadFile('TASKDATA.XML', toIsoxmlTaskData(prescription, field), 'application/xml');
+    console.log('📤 Prescription exported as ISOXML TASKDATA');
+  };
+
+  return (
+    <div className="prescription-panel">
+      <h3>💧 Variable-rate Prescription</h3>
+
+      <div className="prescription-product">
+        <label htmlFor="prescription-product">Product</label>
+        <select
+          id="prescription-product"
+          value={productId || ''}
+          onChange={(e) => onProductChange(e.target.value || null)}
+        >
+          <option value="">Auto (by disease)</option>
+          {Object.entries(PRESCRIPTION_CONFIG.products).map(([id, product]) => (
+            <option key={id} value={id}>{product.name} - {product.type}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="prescription-summary">
+        <div className="prescription-stat">
+          <div className="prescription-number">{prescription.totalLiters.toFixed(1)} L</div>
+          <div className="prescription-text">Spray volume</div>
+        </div>
+        <div className="prescription-stat">
+          <div className="prescription-number">{prescription.treatedAreaHectares.toFixed(3)} ha</div>
+          <div className="prescription-text">Treated area</div>
+        </div>
+        <div className="prescription-stat">
+          <div className="prescription-number">{prescription.meanRateLitersPerHectare} L/ha</div>
+          <div className="prescription-text">Mean rate</div>
+        </div>
+      </div>
+
+      {Object.keys(prescription.byProduct).length > 0 && (
+        <table className="path-table prescription-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Area</th>
+              <th>Volume</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(prescription.byProduct).map(([id, totals]) => (
+              <tr key={id}>
+                <td title={prescription.products[id].type}>{prescription.products[id].name}</td>
+                <td>{totals.areaHectares.toFixed(3)} ha</td>
+                <td>{totals.liters.toFixed(2)} L</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {prescription.withheldCount > 0 && (
+        <div className="prescription-note">
+          🔄 {prescription.withheldCount} infected cells withheld - fusion diagnosis points to a non-disease cause
+        </div>
+      )}
+
+      <div className="mission-export">
+        <span className="export-label">📤 Export</span>
+        <button className="btn-export" onClick={handleExportGeoJSON} title="Polygons with shapefile-style attributes">
+          GeoJSON
+        </button>
+        <button className="btn-export" onClick={handleExportIsoxml} title="ISO 11783-10 task with treatment zones">
+          ISOXML
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,15 @@
 /**
  * SprayPathOverlay Component
- * Visualizes spray path on map
+ * Visualizes spray path on map (launch / landing markers come from HomePointsLayer)
  */
 
 import React from 'react';
-import { Polyline, Marker, Popup, Circle } from 'react-leaflet';
+import { Polyline, Marker, Popup, Circle, CircleMarker, Tooltip } from 'react-leaflet';
 import L from 'leaflet';
+import { getPathSegments } from '../utils/pathPlanner';
+
+// Cells the latest in-flight revision inserted
+const REVISION_COLOR = '#f59e0b';
 
 // Custom waypoint icon
 const waypointIcon = L.divIcon({
@@ -21,67 +25,74 @@ export default function SprayPathOverlay({ pathData, showWaypoints = true }) {
     return null;
   }
 
-  const { waypoints, startPoint, endPoint } = pathData;
+  const { waypoints } = pathData;
+
+  // Split missions draw each sortie in its own colour
+  const sorties = pathData.mission?.sorties.length > 0
+    ? pathData.mission.sorties
+    : [{ ...pathData, id: 'S1', color: '#3b82f6' }];
+
+  // Coverage paths have dense swath waypoints - only mark cell visits and zone entries
+  const markedWaypoints = waypoints.filter(wp => wp.cellId || wp.zoneEntry);
 
-  // Build path coordinates
-  const pathCoordinates = [
-    [startPoint.lat, startPoint.lng],
-    ...waypoints.map(wp => [wp.position.lat, wp.position.lng]),
-    [endPoint.lat, endPoint.lng]
-  ];
+  // The latest replan: the route it replaced and the cells it added
+  const latestRevision = pathData.revisions?.length > 1 ? pathData.revisions[pathData.revisions.length - 1] : null;
 
   return (
     <>
-      {/* Flight path line */}
-      <Polyline
-        positions={pathCoordinates}
-        pathOptions={{
-          color: '#3b82f6',
-          weight: 3,
-          opacity: 0.7,
-          dashArray: '10, 10',
-          lineJoin: 'round'
-        }}
-      />
+      {/* Unflown route the latest replan replaced */}
+      {latestRevision && (
+        <Polyline
+          positions={latestRevision.previousRoute}
+          pathOptions={{ color: '#6b7280', weight: 2, opacity: 0.6, dashArray: '4, 8' }}
+        >
+          <Tooltip sticky>Route before revision {latestRevision.revision}</Tooltip>
+        </Polyline>
+      )}
 
-      {/* Start point marker */}
-      <Circle
-        center={[startPoint.lat, startPoint.lng]}
-        radius={15}
-        pathOptions={{
-          color: '#10b981',
-          fillColor: '#10b981',
-          fillOpacity: 0.5,
-          weight: 2
-        }}
-      >
-        <Popup>
-          <div className="marker-popup">
-            <div className="popup-header">🏠 Launch Point</div>
-            <div className="popup-detail">
-              <span className="popup-label">GPS:</span>
-              <span className="popup-value">
-                {startPoint.lat.toFixed(6)}°, {startPoint.lng.toFixed(6)}°
-              </span>
-            </div>
-          </div>
-        </Popup>
-      </Circle>
+      {/* Flight path: spray legs solid, transit legs dashed, one colour per sortie */}
+      {sorties.map(sortie => getPathSegments(sortie).map((segment, index) => (
+        <Polyline
+          key={`${sortie.id}-${index}`}
+          positions={segment.positions}
+          pathOptions={segment.spray ? {
+            color: sortie.color,
+            weight: 5,
+            opacity: 0.8,
+            lineJoin: 'round'
+          } : {
+            color: sortie.color,
+            weight: 3,
+            opacity: 0.7,
+            dashArray: '10, 10',
+            lineJoin: 'round'
+          }}
+        >
+          {sorties.length > 1 && <Tooltip sticky>Sortie {sortie.id}</Tooltip>}
+        </Polyline>
+      )))}
 
       {/* Waypoint markers */}
-      {showWaypoints && waypoints.map((waypoint, index) => (
-        <React.Fragment key={waypoint.cellId}>
-          {/* Spray zone circle */}
-          <Circle
-            center={[waypoint.position.lat, waypoint.position.lng]}
-            radius={12}
-            pathOptions={{
-              color: '#3b82f6',
-              fillColor: '#3b82f6',
-              fillOpacity: 0.2,
-              weight: 1
-            }}
-          />
+      {showWaypoints && markedWaypoints.map((waypoint, index) => (
+        <React.Fragment key={waypoint.id || waypoint.cellId}>
+          {/* Spray zone circle (coverage paths draw their swaths instead) */}
+          {waypoint.cellId && (
+            <Circle
+              center={[waypoint.position.lat, waypoint.position.lng]}
+              radius={12}
+              pathOptions={waypoint.addedInRevision === latestRevision?.revision ? {
+                color: REVISION_COLOR,
+                fillColor: REVISION_COLOR,
+                fillOpacity: 0.35,
+                weight: 2
+              } : {
+                color: '#3b82f6',
+                fillColor: '#3b82f6',
+                fillOpacity: 0.2,
+                weight: 1
+              }}
+            />
+          )}
 
           {/* Waypoint marker */}
           <Marker
@@ -92,13 +103,19 @@ export default function SprayPathOverlay({ pathData, showWaypoints = true }) {
               <div className="marker-popup">
                 <div className="popup-header">💧 Spray Waypoint #{index + 1}</div>
                 <div className="popup-detail">
-                  <span className="popup-label">Cell:</span>
-                  <span className="popup-value">{waypoint.cellId}</span>
+                  <span className="popup-label">{waypoint.cellId ? 'Cell:' : 'Zone:'}</span>
+                  <span className="popup-value">{waypoint.cellId || waypoint.zoneId}</span>
                 </div>
                 <div className="popup-detail">
                   <span className="popup-label">Detections:</span>
                   <span className="popup-value">{waypoint.detectionCount}</span>
                 </div>
+                {waypoint.addedInRevision && (
+                  <div className="popup-detail">
+                    <span className="popup-label">Added:</span>
+                    <span className="popup-value">in revision {waypoint.addedInRevision}</span>
+                  </div>
+                )}
                 <div className="popup-detail">
                   <span className="popup-label">GPS:</span>
                   <span className="popup-value">
@@ -110,6 +127,23 @@ export default function SprayPathOverlay({ pathData, showWaypoints = true }) {
           </Marker>
         </React.Fragment>
       ))}
+
+      {/* Targets inside no-fly zones - flagged, not flown */}
+      {(pathData.unreachableWaypoints || []).map(waypoint => (
+        <CircleMarker
+          key={`unreachable-${waypoint.cellId || waypoint.zoneId}`}
+          center={[waypoint.position.lat, waypoint.position.lng]}
+          radius={8}
+          pathOptions={{ color: '#b91c1c', fillColor: '#fecaca', fillOpacity: 0.9, weight: 2 }}
+        >
+          <Tooltip>
+            ⛔ Unreachable {waypoint.cellId ? `cell ${waypoint.cellId}` : `zone ${waypoint.zoneId}`}
+            {waypoint.noFlyZoneId
+              ? ` (${waypoint.reason === 'drift-buffer' ? 'drift buffer of' : 'inside'} ${waypoint.noFlyZoneId})`
+              : ''}
+          </Tooltip>
+        </CircleMarker>
+      ))}
     </>
   );
 }
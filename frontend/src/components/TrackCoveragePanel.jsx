@@ -0,0 +1,134 @@
+/**
+ * TrackCoveragePanel Component
+ * Imported flight tracks and how much of the infected area they actually sprayed,
+ * audited against the generated spray path when there is one
+ */
+
+import React from 'react';
+import { TRACK_COVERAGE_COLORS } from './FlightTrackOverlay';
+import { isAuditableTrack } from '../utils/sprayAudit';
+import './TrackCoveragePanel.css';
+
+const SOURCE_LABELS = {
+  plan: 'QGC plan',
+  wpl: 'Waypoint file',
+  kml: 'KML',
+  gpx: 'GPX',
+  csv: 'CSV log'
+};
+
+export default function TrackCoveragePanel({ tracks, coverage, audit, onRemoveTrack, onClearTracks }) {
+  if (!tracks || tracks.length === 0) {
+    return null;
+  }
+
+  const missedCells = coverage ? coverage.cells.filter(c => c.status === 'missed') : [];
+
+  return (
+    <div className="track-coverage-panel">
+      <h3>🛰️ Flown Coverage</h3>
+
+      <ul className="track-list">
+        {tracks.map(track => (
+          <li key={track.id} className="track-item">
+            <span className="track-swatch" style={{ background: track.color }} />
+            <span className="track-name" title={track.name}>{track.name}</span>
+            <span className="track-meta">
+              {SOURCE_LABELS[track.source]} · {track.points.length} pts
+              {!track.hasSprayData && ' · no sprayer data'}
+            </span>
+            <button className="btn-track-remove" onClick={() => onRemoveTrack(track.id)} title="Remove track">
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {tracks.some(track => !track.hasSprayData) && (
+        <div className="track-note">
+          Tracks without sprayer data are counted as spraying along their whole length.
+        </div>
+      )}
+
+      {coverage && (
+        <>
+          <div className="track-coverage-summary">
+            <div className="coverage-stat">
+              <div className="coverage-number">{coverage.coveragePercent}%</div>
+              <div className="coverage-text">Infected area sprayed</div>
+            </div>
+            <div className="coverage-stat" style={{ color: TRACK_COVERAGE_COLORS.sprayed }}>
+              <div className="coverage-number">{coverage.sprayedCount}</div>
+              <div className="coverage-text">Sprayed cells</div>
+            </div>
+            <div className="coverage-stat" style={{ color: TRACK_COVERAGE_COLORS.partial }}>
+              <div className="coverage-number">{coverage.partialCount}</div>
+              <div className="coverage-text">Partial</div>
+            </div>
+            <div className="coverage-stat" style={{ color: TRACK_COVERAGE_COLORS.missed }}>
+              <div className="coverage-number">{coverage.missedCount}</div>
+              <div className="coverage-text">Missed</div>
+            </div>
+          </div>
+
+          <div className="track-detail">
+            Flown {(coverage.trackLengthMeters / 1000).toFixed(2)} km, sprayer on for {(coverage.sprayLengthMeters / 1000).toFixed(2)} km
+          </div>
+
+          {missedCells.length > 0 && (
+            <div className="track-missed">
+              ❌ Missed: {missedCells.slice(0, 12).map(c => c.cellId).join(', ')}
+              {missedCells.length > 12 && ` and ${missedCells.length - 12} more`}
+            </div>
+          )}
+        </>
+      )}
+
+      {audit ? (
+        <div className="track-audit">
+          <h4>🔎 As-flown vs Planned</h4>
+          <div className="audit-row">
+            <span className="audit-label">Planned cells sprayed</span>
+            <span className="audit-value">
+              {audit.executedCount} / {audit.plannedCount} ({audit.executionPercent}%)
+            </span>
+          </div>
+          <div className="audit-row">
+            <span className="audit-label">Over-spray on healthy cells</span>
+            <span className="audit-value">
+              {audit.overspray.length} cells · {audit.oversprayHectares.toFixed(3)} ha · {audit.oversprayLiters} L
+            </span>
+          </div>
+          <div className="audit-row">
+            <span className="audit-label">Over-spray beyond the plan</span>
+            <span className={`audit-value ${audit.unplannedOversprayHectares > 0 ? 'warn' : ''}`}>
+              {audit.unplannedOversprayHectares.toFixed(3)} ha
+            </span>
+          </div>
+          <div className="audit-row">
+            <span className="audit-label">Deviation (mean / p95 / max)</span>
+            <span className="audit-value">
+              {audit.deviation.meanMeters} / {audit.deviation.p95Meters} / {audit.deviation.maxMeters} m
+            </span>
+          </div>
+          <div className="audit-row">
+            <span className="audit-label">Flown off plan</span>
+            <span className={`audit-value ${audit.deviation.offPlanPercent > 10 ? 'warn' : ''}`}>
+              {audit.deviation.offPlanPercent}%
+            </span>
+          </div>
+        </div>
+      ) : tracks.some(isAuditableTrack) ? (
+        <div className="track-detail">Generate a spray path to audit the flight against the plan.</div>
+      ) : (
+        <div className="track-detail">
+          Spray audit unavailable: it needs a flown log that records the sprayer (e.g. a CSV log with a spray or pump column).
+        </div>
+      )}
+
+      <button className="btn-track-clear" onClick={onClearTracks}>
+        🗑️ Clear tracks
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * ZoneOverlay Component
+ * Draws merged infected-zone outlines coloured by severity, with zone stats popups
+ */
+
+import React from 'react';
+import { Polygon, Popup } from 'react-leaflet';
+import { SEVERITY_COLORS } from '../utils/severityScoring';
+
+export default function ZoneOverlay({ zones }) {
+  return (
+    <>
+      {zones.map(zone => (
+        <ZoneShape key={zone.id} zone={zone} />
+      ))}
+    </>
+  );
+}
+
+function ZoneShape({ zone }) {
+  const color = SEVERITY_COLORS[zone.severityLevel] || SEVERITY_COLORS.high;
+
+  return (
+    <Polygon
+      positions={zone.outline}
+      pathOptions={{
+        color,
+        weight: 3,
+        fillColor: color,
+        fillOpacity: 0.3
+      }}
+    >
+      <Popup>
+        <div className="marker-popup">
+          <div className="popup-header">
+            🦠 Zone {zone.id}
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Severity:</span>
+            <span className="popup-value" style={{ color, fontWeight: 600 }}>
+              {zone.severityLevel} ({Math.round(zone.meanSeverity * 100)}%)
+            </span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Peak severity:</span>
+            <span className="popup-value">{Math.round(zone.maxSeverity * 100)}%</span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Area:</span>
+            <span className="popup-value">{zone.areaHectares.toFixed(3)} ha</span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Cells:</span>
+            <span className="popup-value">{zone.cells.length}</span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Detections:</span>
+            <span className="popup-value">{zone.detections.length}</span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Disease:</span>
+            <span className="popup-value">{zone.dominantDisease || 'Unknown'}</span>
+          </div>
+
+          <div className="popup-detail">
+            <span className="popup-label">Mean confidence:</span>
+            <span className="popup-value">{Math.round(zone.meanConfidence * 100)}%</span>
+          </div>
+        </div>
+      </Popup>
+    </Polygon>
+  );
+}
@@ -6,6 +6,38 @@
 import { useState, useEffect } from 'react';
 import { database, ref, onChildAdded, onValue } from '../firebase/config';
 
+/**
+ * Numeric telemetry field, or undefined when it is missing, null or blank
+ * (Number() would read those as 0)
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+function parseOptionalNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Drone position from the edge node's telemetry, or undefined when the event is unlocated.
+ * Receivers without a fix report 0, 0, which is not a position either.
+ * @param {Object} [gps] - {lat, lng, alt?, heading?} as sent by the edge node
+ * @returns {{lat: number, lng: number, alt?: number, heading?: number}|undefined}
+ */
+function parseEventGPS(gps) {
+  const lat = parseOptionalNumber(gps?.lat);
+  const lng = parseOptionalNumber(gps?.lng);
+  if (lat === undefined || lng === undefined || Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+  if (lat === 0 && lng === 0) return undefined;
+
+  const position = { lat, lng };
+  const alt = parseOptionalNumber(gps.alt);
+  const heading = parseOptionalNumber(gps.heading);
+  if (alt !== undefined) position.alt = alt;
+  if (heading !== undefined) position.heading = heading;
+  return position;
+}
+
 export function useDetections() {
   const [detections, setDetections] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -42,7 +74,8 @@ export function useDetections() {
       const detection = {
         id: key,
         ...data,
-        timestamp: data.timestamp || new Date().toISOString()
+        timestamp: data.timestamp || new Date().toISOString(),
+        gps: parseEventGPS(data.gps)
       };
 
       console.log('📊 New detection:', detection.frame_id);
@@ -0,0 +1,79 @@
+/**
+ * useGridStore Hook
+ * Keeps an incremental grid store in sync with the detection stream
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { createGridStore } from '../utils/gridStore';
+
+// How often cell severity is re-aged (the half-life is hours, so once a minute is plenty)
+const SEVERITY_REFRESH_MS = 60 * 1000;
+
+/**
+ * @param {Array} detections - Detections, newest first (as from useDetections)
+ * @param {Object} field - Active field profile (a new field rebuilds the store)
+ * @returns {{grid: Array, stats: Object, infectedCells: Array, store: Object}}
+ */
+export function useGridStore(detections, field) {
+  const store = useMemo(() => createGridStore(field), [field]);
+
+  const [snapshot, setSnapshot] = useState(() => ({
+    store,
+    stats: store.getStats(),
+    infectedCells: store.getInfectedCells()
+  }));
+
+  // Listen for cell changes
+  useEffect(() => {
+    setSnapshot({
+      store,
+      stats: store.getStats(),
+      infectedCells: store.getInfectedCells()
+    });
+
+    return store.subscribe(event => {
+      setSnapshot({
+        store,
+        stats: event.stats,
+        infectedCells: store.getInfectedCells()
+      });
+    });
+  }, [store]);
+
+  // Severity decays up to the present, so cells that are not seen again age out
+  useEffect(() => {
+    const timer = setInterval(() => store.refreshSeverity(), SEVERITY_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [store]);
+
+  // Apply only detections the store has not seen yet.
+  // Detections arrive newest first, so stop at the first known one.
+  useEffect(() => {
+    const fresh = [];
+
+    for (const detection of detections) {
+      if (store.hasDetection(detection.id)) break;
+      fresh.push(detection);
+    }
+
+    if (fresh.length > 0) {
+      console.log(`🧩 Grid store: applying ${fresh.length} new detection(s)`);
+      store.applyDetections(fresh.reverse());
+    }
+  }, [detections, store]);
+
+  // Ignore a snapshot from a previous field's store
+  const current = snapshot.store === store
+    ? snapshot
+    : {
+        stats: store.getStats(),
+        infectedCells: store.getInfectedCells()
+      };
+
+  return {
+    grid: store.grid,
+    stats: current.stats,
+    infectedCells: current.infectedCells,
+    store
+  };
+}
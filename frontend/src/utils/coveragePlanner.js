@@ -0,0 +1,537 @@
+/**
+ * Coverage Planner
+ * Boustrophedon (lawnmower) spray coverage of infected zones.
+ * Each zone is cut into parallel swaths, the swaths are grouped into
+ * monotone blocks (boustrophedon cell decomposition), and the blocks are
+ * ordered with the route optimizer to keep transit between them short.
+ */
+
+import { getFieldHomePoints } from './fieldRegistry';
+import { identifyInfectedZones } from './zoneDetection';
+import { optimizeRoute } from './routeOptimizer';
+import { createObstacleRouter, createDetourWaypoint, OBSTACLE_CONFIG } from './obstacleRouting';
+import { assessWind, getDriftBufferMeters, getWindConfig } from './windPlanning';
+import { clipRingToRect, ringArea } from './geometry';
+import { estimatePathFlight } from './flightModel';
+import { DRONE_CONFIG } from './droneConfig';
+
+export const COVERAGE_CONFIG = {
+  swathWidthMeters: 5,        // Effective spray width of one pass
+  headingDegrees: null,       // Swath direction, clockwise from north (null = crosswind, else per-zone minimum-width direction)
+  waypointSpacingMeters: 10   // Maximum distance between waypoints along a swath
+};
+
+const EPSILON = 1e-6;
+
+// A cell counts as cut by an exclusion when it loses more than this much sprayed area
+const EXCLUDED_AREA_M2 = 0.01;
+
+/**
+ * Coverage waypoint
+ * @typedef {Object} CoverageWaypoint
+ * @property {string} id - Unique waypoint key
+ * @property {{lat: number, lng: number}} position
+ * @property {boolean} spray - Nozzles on for the leg arriving at this waypoint
+ * @property {string} zoneId - Zone being covered
+ * @property {number} swathIndex - Swath within the zone
+ * @property {number} areaHectares - Area sprayed on the arriving leg
+ * @property {boolean} zoneEntry - First waypoint of its zone
+ * @property {number} detectionCount - Detections in the zone (zone entry only)
+ */
+
+/**
+ * Swath frame for a heading: u runs along the swaths, v across them
+ * @param {number} headingDegrees - Clockwise from north
+ * @returns {{toFrame: Function, fromFrame: Function}}
+ */
+function createSwathFrame(headingDegrees) {
+  const theta = headingDegrees * Math.PI / 180;
+  const sin = Math.sin(theta);
+  const cos = Math.cos(theta);
+
+  return {
+    toFrame: ({ x, y }) => ({ u: x * sin + y * cos, v: x * cos - y * sin }),
+    fromFrame: ({ u, v }) => ({ x: u * sin + v * cos, y: u * cos - v * sin })
+  };
+}
+
+/**
+ * Heading (clockwise from north) across which the zone is narrowest,
+ * so it needs the fewest swaths. Rotating calipers over the zone's hull.
+ * @param {Array<{x: number, y: number}>} hull - Convex hull in local meters
+ * @returns {number} Degrees in [0, 180)
+ */
+export function getMinimumWidthHeading(hull) {
+  let bestHeading = 0;
+  let bestWidth = Infinity;
+
+  hull.forEach((p, i) => {
+    const q = hull[(i + 1) % hull.length];
+    const length = Math.hypot(q.x - p.x, q.y - p.y);
+    if (length < EPSILON) return;
+
+    // Width perpendicular to this edge
+    const nx = -(q.y - p.y) / length;
+    const ny = (q.x - p.x) / length;
+    const offsets = hull.map(h => (h.x - p.x) * nx + (h.y - p.y) * ny);
+    const width = Math.max(...offsets) - Math.min(...offsets);
+
+    if (width < bestWidth - EPSILON) {
+      bestWidth = width;
+      bestHeading = Math.atan2(q.x - p.x, q.y - p.y) * 180 / Math.PI;
+    }
+  });
+
+  return ((bestHeading % 180) + 180) % 180;
+}
+
+/**
+ * Where a sweep line v = c crosses a ring, as sorted u values
+ * @param {Array<{u: number, v: number}>} ring
+ * @param {number} c
+ * @returns {Array<number>}
+ */
+function ringCrossings(ring, c) {
+  const crossings = [];
+
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    // Half-open test so shared vertices are counted once
+    if ((p.v <= c) !== (q.v <= c)) {
+      crossings.push(p.u + ((c - p.v) / (q.v - p.v)) * (q.u - p.u));
+    }
+  });
+
+  return crossings.sort((a, b) => a - b);
+}
+
+/**
+ * Union of the zone's cell outlines along one sweep line
+ * @param {Array<Array<{u: number, v: number}>>} rings - Cell outlines in the swath frame
+ * @param {number} c - Sweep line offset
+ * @returns {Array<{start: number, end: number}>} Disjoint, sorted intervals
+ */
+function sweepLineIntervals(rings, c) {
+  const intervals = [];
+
+  rings.forEach(ring => {
+    const crossings = ringCrossings(ring, c);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      intervals.push({ start: crossings[i], end: crossings[i + 1] });
+    }
+  });
+
+  intervals.sort((a, b) => a.start - b.start);
+
+  // Merge touching cells into continuous swaths
+  return intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end + EPSILON) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Remove excluded stretches from a line's swaths
+ * @param {Array<{start: number, end: number}>} intervals - Sorted, disjoint
+ * @param {Array<{start: number, end: number}>} excluded - Sorted, disjoint
+ * @returns {Array<{start: number, end: number}>}
+ */
+function subtractIntervals(intervals, excluded) {
+  return intervals.flatMap(interval => {
+    const pieces = [];
+    let start = interval.start;
+
+    excluded.forEach(cut => {
+      if (cut.end <= start || cut.start >= interval.end) return;
+      if (cut.start > start) pieces.push({ start, end: cut.start });
+      start = Math.max(start, cut.end);
+    });
+
+    if (start < interval.end) pieces.push({ start, end: interval.end });
+    return pieces;
+  });
+}
+
+/**
+ * Group swaths into monotone blocks: a block continues while exactly one
+ * swath on the next line overlaps exactly one swath on the previous line
+ * @param {Array<{v: number, intervals: Array}>} lines
+ * @returns {Array<Array<{v: number, start: number, end: number}>>}
+ */
+function decomposeIntoBlocks(lines) {
+  const blocks = [];
+  let open = [];
+
+  lines.forEach(({ v, intervals }) => {
+    const overlaps = (a, b) => a.start < b.end - EPSILON && b.start < a.end - EPSILON;
+    const next = [];
+
+    intervals.forEach(interval => {
+      const touching = open.filter(block => overlaps(block[block.length - 1], interval));
+      const swath = { v, start: interval.start, end: interval.end };
+
+      if (
+        touching.length === 1 &&
+        intervals.filter(other => overlaps(touching[0][touching[0].length - 1], other)).length === 1
+      ) {
+        touching[0].push(swath);
+        next.push(touching[0]);
+      } else {
+        const block = [swath];
+        blocks.push(block);
+        next.push(block);
+      }
+    });
+
+    open = next;
+  });
+
+  return blocks;
+}
+
+/**
+ * Overlap of sorted intervals with sorted cut intervals
+ * @param {Array<{start: number, end: number}>} intervals
+ * @param {Array<{start: number, end: number}>} cuts
+ * @returns {Array<{start: number, end: number}>}
+ */
+function intersectIntervals(intervals, cuts) {
+  return intervals.flatMap(interval => cuts
+    .map(cut => ({ start: Math.max(interval.start, cut.start), end: Math.min(interval.end, cut.end) }))
+    .filter(piece => piece.end - piece.start > EPSILON));
+}
+
+/**
+ * Swaths of one zone, grouped into blocks
+ * @param {Object} zone - From identifyInfectedZones
+ * @param {Object} projection - Local ENU projection
+ * @param {number} swathWidth
+ * @param {number|null} headingDegrees
+ * @param {Array<{ring: Array<{x: number, y: number}>, padding: number, zone: Object, reason: string}>} exclusions -
+ *   Rings in local meters the sprayed strip keeps `padding` meters away from, with the no-fly zone behind each
+ * @returns {{heading: number, frame: Object, blocks: Array, excludedCells: Array<{cell: GridCell, exclusion: Object}>}}
+ *   excludedCells: cells that lose sprayed area to an exclusion (the earliest listed one per cell)
+ */
+function planZoneSwaths(zone, projection, swathWidth, headingDegrees, exclusions) {
+  const hull = zone.polygon.coordinates[0].slice(0, -1).map(([lng, lat]) => projection.toLocal({ lat, lng }));
+  const heading = headingDegrees ?? getMinimumWidthHeading(hull);
+  const frame = createSwathFrame(heading);
+
+  const rings = zone.cells.map(cell =>
+    cell.outline.map(([lat, lng]) => frame.toFrame(projection.toLocal({ lat, lng })))
+  );
+
+  const exclusionRings = exclusions.map(exclusion => ({
+    exclusion,
+    ring: exclusion.ring.map(frame.toFrame),
+    padding: exclusion.padding
+  }));
+  const removed = [];
+
+  const vs = rings.flat().map(p => p.v);
+  const minV = Math.min(...vs);
+  const maxV = Math.max(...vs);
+
+  // Evenly spaced lines, never wider apart than the swath
+  const lineCount = Math.max(1, Math.ceil((maxV - minV) / swathWidth - EPSILON));
+  const spacing = (maxV - minV) / lineCount;
+  const lines = [];
+
+  for (let k = 0; k < lineCount; k++) {
+    const v = minV + (k + 0.5) * spacing;
+    let intervals = sweepLineIntervals(rings, v);
+
+    // Keep the whole sprayed strip (centre, both edges and the padding beside them)
+    // out of the exclusions, sampling across it at most half a swath apart
+    if (exclusionRings.length > 0) {
+      const excluded = exclusionRings.flatMap(({ exclusion, ring, padding }, rank) => {
+        const reach = swathWidth / 2 + padding;
+        const steps = Math.max(2, Math.ceil((2 * reach) / (swathWidth / 2) - EPSILON));
+        const cuts = Array.from({ length: steps + 1 }, (_, s) => v - reach + (2 * reach * s) / steps)
+          .flatMap(offset => sweepLineIntervals([ring], offset))
+          .map(i => ({ start: i.start - padding, end: i.end + padding }))
+          .sort((a, b) => a.start - b.start);
+
+        // Remember what each exclusion takes out, to flag the cells it cuts into
+        intersectIntervals(intervals, cuts).forEach(piece => removed.push({ ...piece, v, exclusion, rank }));
+        return cuts;
+      }).sort((a, b) => a.start - b.start);
+      intervals = subtractIntervals(intervals, excluded);
+    }
+
+    lines.push({ v, intervals: intervals.filter(i => i.end - i.start > EPSILON) });
+  }
+
+  // Each line sprays the strip halfway to its neighbours
+  const frameRings = rings.map(ring => ring.map(p => ({ x: p.u, y: p.v })));
+  const excludedCells = [];
+  zone.cells.forEach((cell, i) => {
+    const hit = removed
+      .filter(piece => ringArea(clipRingToRect(frameRings[i], {
+        minX: piece.start, maxX: piece.end, minY: piece.v - spacing / 2, maxY: piece.v + spacing / 2
+      })) > EXCLUDED_AREA_M2)
+      .reduce((best, piece) => (!best || piece.rank < best.rank ? piece : best), null);
+    if (hit) excludedCells.push({ cell, exclusion: hit.exclusion });
+  });
+
+  return { heading, frame, blocks: decomposeIntoBlocks(lines), excludedCells };
+}
+
+/**
+ * Lawnmower pass over a block, entered at the given line end and side
+ * @param {Array} block - Swaths in line order
+ * @param {boolean} reverseLines - Start at the last line
+ * @param {boolean} startHigh - First swath flown from its high-u end
+ * @returns {Array<Array<{u: number, v: number}>>} [entry, exit] per swath
+ */
+function blockPasses(block, reverseLines, startHigh) {
+  const ordered = reverseLines ? [...block].reverse() : block;
+
+  return ordered.map((swath, i) => {
+    const low = { u: swath.start, v: swath.v };
+    const high = { u: swath.end, v: swath.v };
+    return (i % 2 === 0) === startHigh ? [high, low] : [low, high];
+  });
+}
+
+/**
+ * Generate a coverage spray path over the infected zones
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [options] - Overrides for COVERAGE_CONFIG
+ * @param {Array<Object>} [options.zones] - Zones from identifyInfectedZones (computed when omitted)
+ * @param {Object} [options.zoneOptions] - identifyInfectedZones options for computing them (connectivity, detections)
+ * @param {{lat: number, lng: number}} [options.startPoint] - Launch point (defaults to the field's)
+ * @param {{lat: number, lng: number}} [options.endPoint] - Landing point (defaults to the field's, else the launch point)
+ * @param {Array<Object>} [options.noFlyZones] - Areas that are neither sprayed nor overflown
+ *   (sensitive ones also keep the wind's drift buffer)
+ * @param {import('./windPlanning').Wind} [options.wind] - Swaths run crosswind and fly upwind of their target strip
+ * @param {Object} [options.windConfig] - Overrides for WIND_CONFIG
+ * @param {Object} [options.droneConfig] - Drone performance profile (spray and transit speeds, time and energy)
+ * @returns {Object} Path data (waypoints are CoverageWaypoints, plus detour turn points);
+ *   infected cells that the no-fly zones (or drift buffers) cut into are listed, cell by cell,
+ *   in unreachableWaypoints
+ */
+export function generateCoveragePath(grid, options = {}) {
+  const {
+    swathWidthMeters,
+    headingDegrees,
+    waypointSpacingMeters,
+    droneConfig = DRONE_CONFIG,
+    clearanceMeters = OBSTACLE_CONFIG.clearanceMeters,
+    noFlyZones = [],
+    wind,
+    windConfig,
+    zoneOptions,
+    zones = identifyInfectedZones(grid, zoneOptions)
+  } = { ...COVERAGE_CONFIG, ...options };
+  const windAssessment = wind ? assessWind(wind, windConfig) : null;
+
+  if (zones.length === 0 || !grid.meta) {
+    return {
+      waypoints: [],
+      totalDistance: 0,
+      estimatedTime: 0,
+      pathExists: false,
+      algorithm: 'coverage',
+      windAssessment
+    };
+  }
+
+  const { projection } = grid.meta;
+  const { startPoint, endPoint } = getFieldHomePoints(grid.meta.field, options);
+  const router = createObstacleRouter(noFlyZones, { origin: startPoint, clearanceMeters });
+  const driftBuffer = windAssessment?.driftBufferMeters ?? getDriftBufferMeters(0, getWindConfig(windConfig));
+  const offset = windAssessment?.upwindOffset || { x: 0, y: 0 };
+
+  // The sprayed strip keeps clear of every no-fly zone (sensitive ones by the drift buffer),
+  // and when the flight line is moved upwind of the strip, the flight line keeps clear too.
+  // Listed inside-first, so a cut cell is blamed on the zone itself before its drift buffer
+  const exclusions = noFlyZones.flatMap(zone => {
+    const ring = zone.polygon.coordinates[0].slice(0, -1).map(([lng, lat]) => projection.toLocal({ lat, lng }));
+    const strip = { zone, reason: 'no-fly-zone', ring, padding: clearanceMeters };
+    const flightLine = offset.x === 0 && offset.y === 0
+      ? null
+      : { zone, reason: 'no-fly-zone', ring: ring.map(p => ({ x: p.x - offset.x, y: p.y - offset.y })), padding: clearanceMeters };
+    const buffer = zone.sensitive && driftBuffer > clearanceMeters
+      ? { zone, reason: 'drift-buffer', ring, padding: driftBuffer }
+      : null;
+    return [strip, flightLine, buffer].filter(Boolean);
+  }).sort((a, b) => (a.reason === 'drift-buffer') - (b.reason === 'drift-buffer'));
+  const unreachableWaypoints = [];
+  const flaggedCellIds = new Set();
+
+  const flagCell = (cell, zone, exclusion) => {
+    if (flaggedCellIds.has(cell.id)) return;
+    flaggedCellIds.add(cell.id);
+    unreachableWaypoints.push({
+      cellId: cell.id,
+      zoneId: zone.id,
+      position: cell.center,
+      areaHectares: cell.areaHectares,
+      detectionCount: cell.detections.length,
+      unreachable: true,
+      noFlyZoneId: exclusion?.zone.id ?? null,
+      ...(exclusion && { reason: exclusion.reason })
+    });
+  };
+
+  // Every block of every zone becomes one stop for the route optimizer
+  const blocks = zones.flatMap(zone => {
+    const { heading, frame, blocks: zoneBlocks, excludedCells } = planZoneSwaths(
+      zone, projection, swathWidthMeters, headingDegrees ?? windAssessment?.crosswindHeading, exclusions
+    );
+
+    // Swath frame to the flight position, upwind of the strip being sprayed
+    const toLocal = p => {
+      const target = frame.fromFrame(p);
+      return { x: target.x + offset.x, y: target.y + offset.y };
+    };
+
+    // Cells the exclusions cut into are flagged rather than silently left unsprayed
+    excludedCells.forEach(({ cell, exclusion }) => flagCell(cell, zone, exclusion));
+    if (zoneBlocks.length === 0) {
+      zone.cells.forEach(cell => flagCell(cell, zone, null));
+    }
+
+    return zoneBlocks.map(swaths => {
+      const centre = swaths.reduce(
+        (sum, s) => ({ u: sum.u + (s.start + s.end) / 2 / swaths.length, v: sum.v + s.v / swaths.length }),
+        { u: 0, v: 0 }
+      );
+      return { zone, heading, swaths, toLocal, centre: projection.toLatLng(toLocal(centre)) };
+    });
+  });
+
+  if (blocks.length === 0) {
+    return {
+      waypoints: [],
+      totalDistance: 0,
+      estimatedTime: 0,
+      pathExists: false,
+      algorithm: 'coverage',
+      unreachableWaypoints,
+      windAssessment
+    };
+  }
+
+  const order = optimizeRoute(startPoint, blocks.map(b => b.centre), endPoint, { distance: router.distance }).order;
+
+  const waypoints = [];
+  const visitedZones = new Set();
+  let current = projection.toLocal(startPoint);
+  let swathCount = 0;
+  let sprayDistance = 0;
+  let transitDistance = 0;
+  let coveredArea = 0;
+  let blockedLegs = 0;
+
+  // Transit to a point, turning around no-fly zones on the way
+  const transitTo = (point) => {
+    const { points, distance, blocked } = router.route(projection.toLatLng(current), projection.toLatLng(point));
+    if (blocked) blockedLegs++;
+    points.slice(1, -1).forEach(via => {
+      waypoints.push(createDetourWaypoint(via, `detour-${waypoints.length}`));
+    });
+    return router.hasObstacles ? distance : Math.hypot(point.x - current.x, point.y - current.y);
+  };
+
+  const addWaypoint = (point, spray, block, swathIndex, legLength) => {
+    const areaHectares = spray ? (legLength * swathWidthMeters) / 10000 : 0;
+    const firstInZone = !visitedZones.has(block.zone.id);
+    visitedZones.add(block.zone.id);
+
+    waypoints.push({
+      id: `${block.zone.id}-${waypoints.length}`,
+      position: projection.toLatLng(point),
+      spray,
+      zoneId: block.zone.id,
+      swathIndex,
+      areaHectares,
+      zoneEntry: firstInZone,
+      detectionCount: firstInZone ? block.zone.detections.length : 0
+    });
+
+    if (spray) {
+      sprayDistance += legLength;
+      coveredArea += areaHectares;
+    } else {
+      transitDistance += legLength;
+    }
+    current = point;
+  };
+
+  order.forEach(blockIndex => {
+    const block = blocks[blockIndex];
+
+    // Pick the block entry (first/last line, low/high end) closest to where we are
+    const variants = [
+      blockPasses(block.swaths, false, false),
+      blockPasses(block.swaths, false, true),
+      blockPasses(block.swaths, true, false),
+      blockPasses(block.swaths, true, true)
+    ];
+    const entryDistance = passes => {
+      const entry = block.toLocal(passes[0][0]);
+      return Math.hypot(entry.x - current.x, entry.y - current.y);
+    };
+    const passes = variants.reduce((best, v) => (entryDistance(v) < entryDistance(best) ? v : best));
+
+    passes.forEach(([entry, exit]) => {
+      const from = block.toLocal(entry);
+      const to = block.toLocal(exit);
+      const swathIndex = swathCount++;
+
+      addWaypoint(from, false, block, swathIndex, transitTo(from));
+
+      // Densify the swath so the flight controller holds the line
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const steps = Math.max(1, Math.ceil(length / waypointSpacingMeters));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        addWaypoint(
+          { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t },
+          true,
+          block,
+          swathIndex,
+          length / steps
+        );
+      }
+    });
+  });
+
+  // Fly to the landing point
+  transitDistance += transitTo(projection.toLocal(endPoint));
+
+  const totalDistance = sprayDistance + transitDistance;
+
+  // Time and energy over the actual swaths and turnarounds
+  const flight = estimatePathFlight({ startPoint, endPoint, waypoints }, droneConfig);
+
+  return {
+    waypoints,
+    totalDistance: parseFloat(totalDistance.toFixed(1)),
+    sprayDistance: parseFloat(sprayDistance.toFixed(1)),
+    transitDistance: parseFloat(transitDistance.toFixed(1)),
+    estimatedTime: Math.ceil(flight.seconds),
+    energyWh: flight.energyWh,
+    batteryPercent: flight.batteryPercent,
+    flight,
+    pathExists: true,
+    startPoint,
+    endPoint,
+    algorithm: 'coverage',
+    swathWidthMeters,
+    headings: Object.fromEntries(blocks.map(b => [b.zone.id, parseFloat(b.heading.toFixed(1))])),
+    swathCount,
+    zoneCount: zones.length,
+    coveredAreaHectares: parseFloat(coveredArea.toFixed(4)),
+    unreachableWaypoints,
+    blockedLegs,
+    windAssessment
+  };
+}
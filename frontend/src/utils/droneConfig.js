@@ -0,0 +1,71 @@
+/**
+ * Drone Configuration for Mission Planning
+ * Capacity and performance profile of the spray drone - all values configurable.
+ * flightModel.js turns these into time, energy and battery estimates.
+ */
+
+export const DRONE_CONFIG = {
+  // === BATTERY ===
+  // Hover time on a full battery (minutes) - sets the battery's energy with hoverPowerWatts
+  // Small spray drones: 12-20 min typical with a full tank
+  enduranceMinutes: 15,
+
+  // Battery kept in reserve for a safe return and landing (% of capacity)
+  batteryReservePercent: 20,
+
+  // === TANK ===
+  // Spray tank volume (liters)
+  tankLiters: 10,
+
+  // Application rate (liters per hectare sprayed)
+  // Matches the chemical usage assumed in economicConfig.js
+  applicationRateLitersPerHectare: 15,
+
+  // === FLIGHT ===
+  cruiseSpeed: 5,                 // m/s in transit
+  spraySpeed: 3,                  // m/s along coverage swaths
+  accelerationMps2: 2,            // Horizontal acceleration and braking
+  yawRateDegreesPerSecond: 90,    // Turning on the spot after stopping at a corner
+  climbSpeed: 2.5,                // m/s after take-off
+  descentSpeed: 1.5,              // m/s before landing
+  flightAltitudeMeters: 5,        // Working height above the launch point
+  spraySecondsPerHectare: 150,    // Hover-spray dwell at cell waypoints (3s for a 0.02 ha cell)
+
+  // === POWER ===
+  // Electrical power drawn in each flight phase (watts)
+  hoverPowerWatts: 2000,          // Hovering, dwelling and yawing
+  cruisePowerWatts: 1800,         // Forward flight (translational lift helps a little)
+  climbPowerWatts: 2600,
+  descentPowerWatts: 1600,
+
+  // === GROUND ===
+  // Refill + battery swap between sorties (minutes)
+  turnaroundMinutes: 3
+};
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getDroneConfig(overrides = {}) {
+  return { ...DRONE_CONFIG, ...overrides };
+}
+
+/**
+ * Battery energy, from the hover endurance
+ * @param {Object} [config]
+ * @returns {number} Watt-hours
+ */
+export function getBatteryWh(config = DRONE_CONFIG) {
+  return (config.enduranceMinutes / 60) * config.hoverPowerWatts;
+}
+
+/**
+ * Usable energy per sortie, after the battery reserve
+ * @param {Object} [config]
+ * @returns {number} Watt-hours
+ */
+export function getUsableEnergyWh(config = DRONE_CONFIG) {
+  return getBatteryWh(config) * (1 - config.batteryReservePercent / 100);
+}
@@ -4,6 +4,7 @@
  */
 
 import { ECONOMIC_CONFIG, formatCurrency, formatPercentage, formatWeight } from './economicConfig';
+import { getCellAreaHectares } from './fieldGrid';
 
 /**
  * STEP 1: Calculate Field Areas
@@ -11,26 +12,30 @@ import { ECONOMIC_CONFIG, formatCurrency, formatPercentage, formatWeight } from
  * Input: Grid data with infected cells
  * Output: Area breakdown
  */
-export function calculateAreas(gridStats) {
-  const { totalCells, infectedCount } = gridStats;
-  const { totalAreaHectares, cellAreaHectares } = ECONOMIC_CONFIG.field;
+export function calculateAreas(gridStats, config = ECONOMIC_CONFIG) {
+  const { totalCells, infectedCount, cellAreaHectares = getCellAreaHectares() } = gridStats;
   
-  // Total field area (already known)
-  const totalArea = totalAreaHectares;
+  // Total field area - cropped area inside the boundary when the grid provides it
+  const totalArea = gridStats.totalAreaHectares ?? config.field.totalAreaHectares;
   
-  // Infected area = infected cells × area per cell
-  const infectedArea = infectedCount * cellAreaHectares;
+  // Infected area = sum of infected (clipped) cell areas
+  const infectedArea = gridStats.infectedAreaHectares ?? infectedCount * cellAreaHectares;
   
   // Healthy area = total - infected
   const healthyArea = totalArea - infectedArea;
   
+  // Severity-weighted infected area (cell area × severity) - drives yield loss
+  const severityWeightedArea = gridStats.severityWeightedAreaHectares ?? infectedArea;
+  
   // Infection percentage
-  const infectionPercentage = (infectedCount / totalCells) * 100;
+  const infectionPercentage = (infectedArea / totalArea) * 100;
   
   return {
     totalArea,           // e.g., 2.0 hectares
     infectedArea,        // e.g., 0.5 hectares (25 cells)
     healthyArea,         // e.g., 1.5 hectares (75 cells)
+    severityWeightedArea, // e.g., 0.3 hectares (0.5 ha at mean severity 0.6)
+    meanSeverity: infectedArea > 0 ? severityWeightedArea / infectedArea : 0,
     infectionPercentage, // e.g., 25%
     infectedCells: infectedCount,
     totalCells
@@ -43,10 +48,11 @@ export function calculateAreas(gridStats) {
  * Input: Area data
  * Output: Yield in kg
  */
-export function calculateYieldLoss(areas) {
-  const { yieldPerHectare } = ECONOMIC_CONFIG.crop;
-  const { lossPercentageUntreated, lossPercentageTreated } = ECONOMIC_CONFIG.disease;
+export function calculateYieldLoss(areas, config = ECONOMIC_CONFIG) {
+  const { yieldPerHectare } = config.crop;
+  const { lossPercentageUntreated, lossPercentageTreated } = config.disease;
   const { infectedArea, healthyArea, totalArea } = areas;
+  const severityWeightedArea = areas.severityWeightedArea ?? infectedArea;
   
   // Expected yield from healthy area (no loss)
   const healthyYield = healthyArea * yieldPerHectare;
@@ -54,13 +60,16 @@ export function calculateYieldLoss(areas) {
   // Expected yield from infected area (if healthy)
   const potentialInfectedYield = infectedArea * yieldPerHectare;
   
+  // Loss percentages apply at full severity, so losses scale with cell severity
+  const lossBaseYield = severityWeightedArea * yieldPerHectare;
+  
   // === SCENARIO 1: No Treatment (worst case) ===
-  const yieldLossUntreated = potentialInfectedYield * (lossPercentageUntreated / 100);
+  const yieldLossUntreated = lossBaseYield * (lossPercentageUntreated / 100);
   const actualYieldUntreated = potentialInfectedYield - yieldLossUntreated;
   const totalYieldUntreated = healthyYield + actualYieldUntreated;
   
   // === SCENARIO 2: With Treatment (precision spraying) ===
-  const yieldLossTreated = potentialInfectedYield * (lossPercentageTreated / 100);
+  const yieldLossTreated = lossBaseYield * (lossPercentageTreated / 100);
   const actualYieldTreated = potentialInfectedYield - yieldLossTreated;
   const totalYieldTreated = healthyYield + actualYieldTreated;
   
@@ -88,8 +97,8 @@ export function calculateYieldLoss(areas) {
  * Input: Yield data
  * Output: Money lost
  */
-export function calculateFinancialLoss(yieldData) {
-  const { pricePerKg } = ECONOMIC_CONFIG.crop;
+export function calculateFinancialLoss(yieldData, config = ECONOMIC_CONFIG) {
+  const { pricePerKg } = config.crop;
   
   // Revenue with perfect health
   const perfectRevenue = yieldData.perfectYield * pricePerKg;
@@ -121,10 +130,12 @@ export function calculateFinancialLoss(yieldData) {
 /**
  * STEP 4: Calculate Intervention Costs
  * 
- * Compare precision spraying vs. blanket spraying
+ * Compare precision spraying vs. blanket spraying.
+ * With a variable-rate prescription (prescriptionMap.js) precision chemical
+ * usage is the prescribed volume instead of a flat rate over the infected area.
  */
-export function calculateInterventionCosts(areas) {
-  const { costPerHectare, fixedCostPerMission } = ECONOMIC_CONFIG.intervention;
+export function calculateInterventionCosts(areas, config = ECONOMIC_CONFIG, prescription = null) {
+  const { costPerHectare, fixedCostPerMission } = config.intervention;
   const { infectedArea, totalArea } = areas;
   
   // === PRECISION SPRAYING (Our System) ===
@@ -142,8 +153,10 @@ export function calculateInterventionCosts(areas) {
   const savingsPercentage = (costSavings / blanketTotalCost) * 100;
   
   // === CHEMICAL USAGE ===
-  const { chemicalPerHectare } = ECONOMIC_CONFIG.environmental;
-  const precisionChemicalUsage = infectedArea * chemicalPerHectare;
+  const { chemicalPerHectare } = config.environmental;
+  const precisionChemicalUsage = prescription
+    ? prescription.totalLiters
+    : infectedArea * chemicalPerHectare;
   const blanketChemicalUsage = totalArea * chemicalPerHectare;
   const chemicalSaved = blanketChemicalUsage - precisionChemicalUsage;
   const chemicalSavingsPercentage = (chemicalSaved / blanketChemicalUsage) * 100;
@@ -153,7 +166,8 @@ export function calculateInterventionCosts(areas) {
       fixedCost: fixedCostPerMission,
       variableCost: precisionVariableCost,
       totalCost: precisionTotalCost,
-      chemicalUsage: precisionChemicalUsage
+      chemicalUsage: precisionChemicalUsage,
+      variableRate: !!prescription
     },
     blanket: {
       fixedCost: fixedCostPerMission,
@@ -174,7 +188,7 @@ export function calculateInterventionCosts(areas) {
  * 
  * Compare cost of system vs. benefits
  */
-export function calculateROI(financialData, interventionCosts, yieldData) {
+export function calculateROI(financialData, interventionCosts, yieldData, config = ECONOMIC_CONFIG) {
   const { precision, blanket, savings } = interventionCosts;
   const { moneySavedByTreatment } = financialData;
   
@@ -183,7 +197,7 @@ export function calculateROI(financialData, interventionCosts, yieldData) {
   
   // Benefits:
   // 1. Yield protection value
-  const yieldProtectionValue = yieldData.yieldSavedByTreatment * ECONOMIC_CONFIG.crop.pricePerKg;
+  const yieldProtectionValue = yieldData.yieldSavedByTreatment * config.crop.pricePerKg;
   
   // 2. Chemical cost savings (vs blanket)
   const chemicalCostSavings = savings.costSavings;
@@ -201,7 +215,7 @@ export function calculateROI(financialData, interventionCosts, yieldData) {
   const roiPercentage = ((totalBenefit - systemCost) / systemCost) * 100;
   
   // === SEASONAL ANALYSIS ===
-  const { applicationsPerSeason } = ECONOMIC_CONFIG.intervention;
+  const { applicationsPerSeason } = config.intervention;
   const seasonalSystemCost = systemCost * applicationsPerSeason;
   const seasonalBenefit = totalBenefit * applicationsPerSeason;
   const seasonalNetProfit = seasonalBenefit - seasonalSystemCost;
@@ -240,10 +254,10 @@ export function calculateROI(financialData, interventionCosts, yieldData) {
 /**
  * MASTER FUNCTION: Calculate Complete Economic Impact
  * 
- * Input: Grid stats from path planning
+ * Input: Grid stats from path planning (and optionally the variable-rate prescription)
  * Output: Complete economic analysis
  */
-export function calculateEconomicImpact(gridStats) {
+export function calculateEconomicImpact(gridStats, config = ECONOMIC_CONFIG, prescription = null) {
   // Edge case: No detections
   if (!gridStats || gridStats.infectedCount === 0) {
     return {
@@ -263,19 +277,19 @@ export function calculateEconomicImpact(gridStats) {
   }
   
   // Step 1: Areas
-  const areas = calculateAreas(gridStats);
+  const areas = calculateAreas(gridStats, config);
   
   // Step 2: Yield
-  const yieldData = calculateYieldLoss(areas);
+  const yieldData = calculateYieldLoss(areas, config);
   
   // Step 3: Financial
-  const financialData = calculateFinancialLoss(yieldData);
+  const financialData = calculateFinancialLoss(yieldData, config);
   
   // Step 4: Intervention costs
-  const interventionCosts = calculateInterventionCosts(areas);
+  const interventionCosts = calculateInterventionCosts(areas, config, prescription);
   
   // Step 5: ROI
-  const roi = calculateROI(financialData, interventionCosts, yieldData);
+  const roi = calculateROI(financialData, interventionCosts, yieldData, config);
   
   return {
     hasInfection: true,
@@ -291,7 +305,7 @@ export function calculateEconomicImpact(gridStats) {
 /**
  * Generate Summary Metrics for Dashboard Display
  */
-export function generateSummaryMetrics(economicImpact) {
+export function generateSummaryMetrics(economicImpact, config = ECONOMIC_CONFIG) {
   if (!economicImpact.hasInfection) {
     return {
       primaryMetrics: [
@@ -308,21 +322,21 @@ export function generateSummaryMetrics(economicImpact) {
     primaryMetrics: [
       {
         label: 'Estimated Loss (No Action)',
-        value: formatCurrency(economicImpact.financialData.financialLossUntreated),
+        value: formatCurrency(economicImpact.financialData.financialLossUntreated, config),
         icon: '⚠️',
         color: 'danger',
         subtitle: `${formatWeight(economicImpact.yieldData.yieldLossUntreated)} yield loss`
       },
       {
         label: 'Precision Treatment Cost',
-        value: formatCurrency(interventionCosts.precision.totalCost),
+        value: formatCurrency(interventionCosts.precision.totalCost, config),
         icon: '💰',
         color: 'primary',
         subtitle: `Only ${formatPercentage(areas.infectionPercentage)} of field`
       },
       {
         label: 'Net Savings Per Application',
-        value: formatCurrency(roi.perApplication.netProfit),
+        value: formatCurrency(roi.perApplication.netProfit, config),
         icon: '💵',
         color: 'success',
         subtitle: `${formatPercentage(interventionCosts.savings.savingsPercentage)} cost reduction`
@@ -344,7 +358,7 @@ export function generateSummaryMetrics(economicImpact) {
       },
       {
         label: 'Seasonal Profit',
-        value: formatCurrency(roi.seasonal.netProfit),
+        value: formatCurrency(roi.seasonal.netProfit, config),
         detail: `${roi.seasonal.applications} applications`
       },
       {
@@ -377,9 +391,9 @@ export function generateSummaryMetrics(economicImpact) {
  * Calculate ROI with fusion intelligence
  * Accounts for reduced false positives and targeted actions
  */
-export function calculateFusionEnhancedROI(gridStats, sensorData, fusionResults) {
+export function calculateFusionEnhancedROI(gridStats, sensorData, fusionResults, config = ECONOMIC_CONFIG) {
   // Base calculation (from Part 8)
-  const baseImpact = calculateEconomicImpact(gridStats);
+  const baseImpact = calculateEconomicImpact(gridStats, config);
   
   if (!fusionResults || fusionResults.length === 0) {
     return baseImpact; // Fallback to vision-only
@@ -407,28 +421,29 @@ export function calculateFusionEnhancedROI(gridStats, sensorData, fusionResults)
     }
   });
   
-  // Recalculate costs based on actual needs
+  // Recalculate costs based on actual needs (one grid cell per diagnosis)
+  const cellAreaHectares = gridStats.cellAreaHectares ?? getCellAreaHectares();
   const diseaseZones = diagnosisCounts.disease;
   const environmentalZones = diagnosisCounts.environmental;
   
   // Chemical spray only for disease zones
-  const chemicalCost = diseaseZones * ECONOMIC_CONFIG.field.cellAreaHectares * 
-                       ECONOMIC_CONFIG.intervention.costPerHectare;
+  const chemicalCost = diseaseZones * cellAreaHectares * 
+                       config.intervention.costPerHectare;
   
   // Irrigation for environmental stress (cheaper than chemicals)
-  const irrigationCost = environmentalZones * ECONOMIC_CONFIG.field.cellAreaHectares * 
-                         (ECONOMIC_CONFIG.intervention.costPerHectare * 0.3); // 30% of spray cost
+  const irrigationCost = environmentalZones * cellAreaHectares * 
+                         (config.intervention.costPerHectare * 0.3); // 30% of spray cost
   
   const totalFusionCost = chemicalCost + irrigationCost + 
-                          ECONOMIC_CONFIG.intervention.fixedCostPerMission;
+                          config.intervention.fixedCostPerMission;
   
   // False positive savings
   const visionOnlyWouldSpray = gridStats.infectedCount;
   const fusionActuallyNeeds = diseaseZones;
   const falsePositivesAvoided = visionOnlyWouldSpray - fusionActuallyNeeds;
   const falsePositiveSavings = falsePositivesAvoided * 
-                               ECONOMIC_CONFIG.field.cellAreaHectares * 
-                               ECONOMIC_CONFIG.intervention.costPerHectare;
+                               cellAreaHectares * 
+                               config.intervention.costPerHectare;
   
   return {
     ...baseImpact,
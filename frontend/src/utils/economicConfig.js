@@ -8,15 +8,9 @@ export const ECONOMIC_CONFIG = {
   field: {
     // Total field size (hectares)
     // 1 hectare = 10,000 m² = 2.47 acres
-    totalAreaHectares: 2.0,
-    
-    // Grid configuration (must match fieldGrid.js)
-    gridRows: 10,
-    gridCols: 10,
-    totalCells: 100,
-    
-    // Area per grid cell (hectares)
-    cellAreaHectares: 0.02  // 2 hectares / 100 cells = 0.02 ha/cell
+    // Fallback only - grid stats report the cropped area of the field boundary
+    // (cell areas come from fieldGrid.js, derived from the cell size in meters)
+    totalAreaHectares: 2.0
   },
 
   // === CROP PARAMETERS ===
@@ -44,7 +38,8 @@ export const ECONOMIC_CONFIG = {
 
   // === DISEASE IMPACT ===
   disease: {
-    // Yield loss percentage per infected cell (if untreated)
+    // Yield loss percentage of a fully infected cell (severity 1.0) if untreated.
+    // Cells lose proportionally less at lower severity scores
     // Early blight/late blight: 30-50% loss typical
     // Using 40% as conservative estimate
     lossPercentageUntreated: 40,
@@ -103,13 +98,19 @@ export const ECONOMIC_CONFIG = {
 
 /**
  * Helper function to get configuration
- * Allows override for testing/customization
+ * Allows override for testing/customization (merged per section,
+ * so `{ crop: { pricePerKg: 30 } }` keeps the other crop settings)
  */
 export function getEconomicConfig(overrides = {}) {
-  return {
-    ...ECONOMIC_CONFIG,
-    ...overrides
-  };
+  const config = { ...ECONOMIC_CONFIG };
+  
+  Object.entries(overrides).forEach(([section, values]) => {
+    config[section] = (values && typeof values === 'object' && !Array.isArray(values))
+      ? { ...ECONOMIC_CONFIG[section], ...values }
+      : values;
+  });
+  
+  return config;
 }
 
 /**
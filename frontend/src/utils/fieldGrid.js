@@ -3,75 +3,140 @@
  * Divides field into cells for path planning
  */
 
-import { getFieldCenter } from './gpsSimulator';
+import { getDefaultField } from './fieldRegistry';
+import {
+  createLocalProjection,
+  getPolygonBounds,
+  projectPolygon,
+  clipPolygonAreaToRect
+} from './geometry';
+import { getCellIndex } from './spatialIndex';
+import { getSeverityConfig, createCellObservations } from './severityScoring';
 
-// Grid configuration
+// Default grid configuration (fields may override cellSizeMeters)
 const GRID_CONFIG = {
-  rows: 10,      // 10 rows (north-south)
-  cols: 10,      // 10 columns (east-west)
-  fieldSize: {
-    latDelta: 0.002,  // ~220m north-south
-    lngDelta: 0.002   // ~220m east-west
-  }
+  cellSizeMeters: 20,  // Square cells, 20m × 20m = 0.04 ha
+  minCoverage: 0.01    // Cells with less than 1% of their area inside the field are dropped
 };
 
 /**
  * Cell data structure
  * @typedef {Object} GridCell
- * @property {number} row - Row index (0-9)
- * @property {number} col - Column index (0-9)
+ * @property {number} row - Row index (north to south)
+ * @property {number} col - Column index (west to east)
  * @property {string} id - Unique cell ID "row_col"
  * @property {{lat: number, lng: number}} center - Cell center GPS
  * @property {Array} bounds - [[south, west], [north, east]]
+ * @property {{minX: number, minY: number, maxX: number, maxY: number}} rect - Cell in local meters
+ * @property {number} areaHectares - Cropped area of the cell inside the field boundary
+ * @property {number} coverage - Fraction of the full cell inside the field (0-1)
+ * @property {boolean} clipped - True when the cell straddles the field boundary
+ * @property {Array<[number, number]>} outline - Clipped outline as [lat, lng] pairs
  * @property {Array} detections - Detection IDs in this cell
- * @property {boolean} infected - Has ≥1 detection
+ * @property {Object} observations - Disease evidence behind the severity score
+ * @property {number} severity - Infection severity score (0-1)
+ * @property {'none'|'low'|'moderate'|'high'} severityLevel - Score bucketed by the severity thresholds
+ * @property {boolean} infected - Severity at or above the 'low' threshold
+ */
+
+/**
+ * Grid metadata attached as grid.meta
+ * @typedef {Object} GridMeta
+ * @property {Object} field - Field profile the grid was built for
+ * @property {Object} boundary - GeoJSON boundary polygon
+ * @property {number} rows
+ * @property {number} cols
+ * @property {number} cellSizeMeters - Cell edge length in meters
+ * @property {number} cellAreaHectares - Area of one full (unclipped) cell
+ * @property {Object} projection - Local ENU projection (toLocal / toLatLng)
+ * @property {{x: number, y: number}} origin - North-west grid corner in local meters
+ * @property {Object} severityConfig - Severity scoring config (field overrides applied)
  */
 
 /**
- * Create grid structure
- * @returns {Array<Array<GridCell>>} 2D grid array
+ * Create grid structure clipped to the field boundary.
+ * Cells are square in meters on a local east/north plane centred on the field,
+ * so their size does not change with latitude.
+ * Cells outside the polygon (or inside a hole) are left as null so that
+ * grid[row][col] keeps its row/col addressing.
+ * @param {import('./fieldRegistry').FieldProfile} [field] - Defaults to the first registered field
+ * @returns {Array<Array<GridCell|null>>} 2D grid array (with grid.meta)
  */
-export function createFieldGrid() {
-  const { rows, cols, fieldSize } = GRID_CONFIG;
-  const fieldCenter = getFieldCenter();
+export function createFieldGrid(field = getDefaultField()) {
+  const { boundary } = field;
+  const { cellSizeMeters, minCoverage } = { ...GRID_CONFIG, ...field.grid };
+  const { south, west, north, east } = getPolygonBounds(boundary);
   
-  const grid = [];
+  // Local meter plane (ENU) centred on the field
+  const projection = createLocalProjection({
+    lat: (south + north) / 2,
+    lng: (west + east) / 2
+  });
+  const rings = projectPolygon(boundary, projection);
   
-  // Calculate cell dimensions
-  const cellLatSize = fieldSize.latDelta / rows;
-  const cellLngSize = fieldSize.lngDelta / cols;
+  // Grid extent in meters, anchored at the north-west corner
+  const xs = rings[0].map(p => p.x);
+  const ys = rings[0].map(p => p.y);
+  const originX = Math.min(...xs);
+  const originY = Math.max(...ys);
+  const cols = Math.ceil((Math.max(...xs) - originX) / cellSizeMeters);
+  const rows = Math.ceil((originY - Math.min(...ys)) / cellSizeMeters);
+  const fullArea = cellSizeMeters * cellSizeMeters;
   
-  // Field boundaries
-  const fieldNorth = fieldCenter.lat + fieldSize.latDelta / 2;
-  const fieldWest = fieldCenter.lng - fieldSize.lngDelta / 2;
+  const grid = [];
   
   for (let row = 0; row < rows; row++) {
     const gridRow = [];
     
     for (let col = 0; col < cols; col++) {
-      // Calculate cell bounds
-      const north = fieldNorth - (row * cellLatSize);
-      const south = north - cellLatSize;
-      const west = fieldWest + (col * cellLngSize);
-      const east = west + cellLngSize;
+      // Cell rectangle in meters
+      const rect = {
+        minX: originX + col * cellSizeMeters,
+        maxX: originX + (col + 1) * cellSizeMeters,
+        maxY: originY - row * cellSizeMeters,
+        minY: originY - (row + 1) * cellSizeMeters
+      };
+      
+      // Clip field polygon to this cell
+      const { area, outline } = clipPolygonAreaToRect(rings, rect);
+      const coverage = area / fullArea;
+      
+      if (coverage < minCoverage) {
+        gridRow.push(null);
+        continue;
+      }
       
-      // Cell center point
-      const centerLat = (north + south) / 2;
-      const centerLng = (west + east) / 2;
+      const southWest = projection.toLatLng({ x: rect.minX, y: rect.minY });
+      const northEast = projection.toLatLng({ x: rect.maxX, y: rect.maxY });
+      const center = projection.toLatLng({
+        x: (rect.minX + rect.maxX) / 2,
+        y: (rect.minY + rect.maxY) / 2
+      });
       
       const cell = {
         row,
         col,
         id: `${row}_${col}`,
         center: {
-          lat: parseFloat(centerLat.toFixed(6)),
-          lng: parseFloat(centerLng.toFixed(6))
+          lat: parseFloat(center.lat.toFixed(6)),
+          lng: parseFloat(center.lng.toFixed(6))
         },
         bounds: [
-          [south, west],  // Southwest corner
-          [north, east]   // Northeast corner
+          [southWest.lat, southWest.lng],  // Southwest corner
+          [northEast.lat, northEast.lng]   // Northeast corner
         ],
+        rect,
+        areaHectares: area / 10000,
+        coverage: parseFloat(coverage.toFixed(4)),
+        clipped: coverage < 0.999,
+        outline: outline.map(p => {
+          const { lat, lng } = projection.toLatLng(p);
+          return [lat, lng];
+        }),
         detections: [],
+        observations: createCellObservations(),
+        severity: 0,
+        severityLevel: 'none',
         infected: false
       };
       
@@ -81,9 +146,32 @@ export function createFieldGrid() {
     grid.push(gridRow);
   }
   
+  grid.meta = {
+    field,
+    boundary,
+    rows,
+    cols,
+    cellSizeMeters,
+    cellAreaHectares: fullArea / 10000,
+    projection,
+    origin: { x: originX, y: originY },
+    severityConfig: getSeverityConfig(field.severity)
+  };
+  
   return grid;
 }
 
+/**
+ * Area of one full grid cell in hectares - the single source for per-cell area.
+ * Use cell.areaHectares for the cropped area of a specific (possibly clipped) cell.
+ * @param {Array<Array<GridCell|null>>} [grid] - Grid from createFieldGrid (default config if omitted)
+ * @returns {number}
+ */
+export function getCellAreaHectares(grid) {
+  if (grid?.meta) return grid.meta.cellAreaHectares;
+  return (GRID_CONFIG.cellSizeMeters * GRID_CONFIG.cellSizeMeters) / 10000;
+}
+
 /**
  * Check if GPS point is inside cell bounds
  * @param {{lat: number, lng: number}} point
@@ -100,29 +188,24 @@ export function isPointInCell(point, cell) {
 }
 
 /**
- * Find which cell contains a GPS point
+ * Find which cell contains a GPS point.
+ * Uses direct row/col computation for metric grids and a quadtree otherwise.
+ * Points in a clipped cell's bounds but outside the field boundary are rejected.
  * @param {{lat: number, lng: number}} point
- * @param {Array<Array<GridCell>>} grid
+ * @param {Array<Array<GridCell|null>>} grid
  * @returns {GridCell|null}
  */
 export function findCellForPoint(point, grid) {
-  for (let row of grid) {
-    for (let cell of row) {
-      if (isPointInCell(point, cell)) {
-        return cell;
-      }
-    }
-  }
-  return null;
+  return getCellIndex(grid).findCell(point);
 }
 
 /**
- * Get flat array of all cells
- * @param {Array<Array<GridCell>>} grid
+ * Get flat array of all cells inside the field
+ * @param {Array<Array<GridCell|null>>} grid
  * @returns {Array<GridCell>}
  */
 export function flattenGrid(grid) {
-  return grid.flat();
+  return grid.flat().filter(Boolean);
 }
 
 /**
@@ -134,26 +217,104 @@ export function getInfectedCells(grid) {
   return flattenGrid(grid).filter(cell => cell.infected);
 }
 
+/**
+ * Copy of a grid in which only the given cells stay infected,
+ * for planning routes over part of the infection
+ * @param {Array<Array<GridCell|null>>} grid
+ * @param {Set<string>} cellIds
+ * @returns {Array<Array<GridCell|null>>} Same meta as the grid
+ */
+export function maskInfectedCells(grid, cellIds) {
+  const masked = grid.map(row => row.map(cell => (
+    cell && cell.infected && !cellIds.has(cell.id) ? { ...cell, infected: false } : cell
+  )));
+  masked.meta = grid.meta;
+  return masked;
+}
+
 /**
  * Calculate field statistics
- * @param {Array<Array<GridCell>>} grid
+ * Percentages are by cropped area, so clipped boundary cells count partially.
+ * @param {Array<Array<GridCell|null>>} grid
  * @returns {Object}
  */
 export function calculateGridStats(grid) {
-  const allCells = flattenGrid(grid);
-  const infectedCells = allCells.filter(c => c.infected);
+  const counters = createGridCounters();
   
-  const totalCells = allCells.length;
-  const infectedCount = infectedCells.length;
+  flattenGrid(grid).forEach(cell => accumulateCellStats(counters, cell));
+  
+  return summarizeGridStats(counters, grid);
+}
+
+/**
+ * Empty statistics counters
+ * @returns {Object}
+ */
+export function createGridCounters() {
+  return {
+    totalCells: 0,
+    infectedCount: 0,
+    totalAreaHectares: 0,
+    infectedAreaHectares: 0,
+    severityWeightedAreaHectares: 0,
+    severityCounts: { low: 0, moderate: 0, high: 0 }
+  };
+}
+
+/**
+ * Add (sign = 1) or remove (sign = -1) one cell's contribution to the counters
+ * @param {Object} counters - From createGridCounters
+ * @param {GridCell} cell
+ * @param {number} [sign]
+ */
+export function accumulateCellStats(counters, cell, sign = 1) {
+  counters.totalCells += sign;
+  counters.totalAreaHectares += sign * cell.areaHectares;
+  
+  // Sub-threshold evidence is treated as noise and does not count towards severity
+  if (cell.infected) {
+    counters.infectedCount += sign;
+    counters.infectedAreaHectares += sign * cell.areaHectares;
+    counters.severityWeightedAreaHectares += sign * cell.areaHectares * cell.severity;
+    counters.severityCounts[cell.severityLevel] += sign;
+  }
+}
+
+/**
+ * Build the grid statistics object from raw counters.
+ * Shared by calculateGridStats and the incremental grid store.
+ * @param {Object} counters - From createGridCounters / accumulateCellStats
+ * @param {Array<Array<GridCell|null>>} grid
+ * @returns {Object}
+ */
+export function summarizeGridStats(counters, grid) {
+  const { totalCells, infectedCount, totalAreaHectares, infectedAreaHectares } = counters;
+  // Severity-weighted area: an infected cell at severity 0.5 counts as half its area
+  const severityWeightedAreaHectares = Math.max(0, counters.severityWeightedAreaHectares);
   const healthyCount = totalCells - infectedCount;
+  const healthyAreaHectares = totalAreaHectares - infectedAreaHectares;
   
-  const infectedPercentage = (infectedCount / totalCells) * 100;
-  const healthyPercentage = (healthyCount / totalCells) * 100;
+  const infectedPercentage = totalAreaHectares > 0
+    ? (infectedAreaHectares / totalAreaHectares) * 100
+    : 0;
+  const healthyPercentage = 100 - infectedPercentage;
   
   return {
     totalCells,
     infectedCount,
     healthyCount,
+    gridSize: grid.meta
+      ? `${grid.meta.rows}×${grid.meta.cols} @ ${grid.meta.cellSizeMeters}m`
+      : `${grid.length}×${grid[0]?.length || 0}`,
+    cellAreaHectares: getCellAreaHectares(grid),
+    totalAreaHectares: parseFloat(totalAreaHectares.toFixed(4)),
+    infectedAreaHectares: parseFloat(infectedAreaHectares.toFixed(4)),
+    healthyAreaHectares: parseFloat(healthyAreaHectares.toFixed(4)),
+    severityWeightedAreaHectares: parseFloat(severityWeightedAreaHectares.toFixed(4)),
+    meanSeverity: infectedAreaHectares > 0
+      ? parseFloat((severityWeightedAreaHectares / infectedAreaHectares).toFixed(3))
+      : 0,
+    severityCounts: { ...counters.severityCounts },
     infectedPercentage: parseFloat(infectedPercentage.toFixed(1)),
     healthyPercentage: parseFloat(healthyPercentage.toFixed(1)),
     chemicalSavings: parseFloat(healthyPercentage.toFixed(1))
@@ -0,0 +1,269 @@
+/**
+ * Field Registry
+ * Per-field boundary, grid resolution, crop and economic profiles
+ */
+
+import { getEconomicConfig } from './economicConfig';
+import { polygonAreaHectares, getPolygonBounds } from './geometry';
+
+const STORAGE_KEY = 'agri-drone:fields';
+
+/**
+ * Field profile
+ * @typedef {Object} FieldProfile
+ * @property {string} id - Unique field ID, e.g. "FIELD-001"
+ * @property {string} name - Display name
+ * @property {string} location - Free-text location
+ * @property {import('./geometry').FieldBoundary} boundary - GeoJSON polygon
+ * @property {{cellSizeMeters: number}} grid - Grid resolution (square cell edge in meters)
+ * @property {Object} crop - Overrides for ECONOMIC_CONFIG.crop
+ * @property {Object} economics - Per-section overrides for ECONOMIC_CONFIG
+ * @property {Object} [severity] - Overrides for SEVERITY_CONFIG (e.g. thresholds)
+ * @property {{lat: number, lng: number}} [launchPoint] - Drone launch / refill point (defaults to the field center)
+ * @property {{lat: number, lng: number}} [landingPoint] - Landing point, when different from the launch point
+ * @property {Array<import('./obstacleRouting').NoFlyZone>} [noFlyZones] - Areas drones must not overfly
+ */
+
+// Built-in fields (New Delhi NCR)
+const DEFAULT_FIELDS = [
+  {
+    id: 'FIELD-001',
+    name: 'North Agricultural Plot',
+    location: 'New Delhi',
+    boundary: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [77.2080, 28.6130],
+          [77.2097, 28.6129],
+          [77.2101, 28.6141],
+          [77.2094, 28.6149],
+          [77.2082, 28.6148],
+          [77.2079, 28.6140],
+          [77.2080, 28.6130]
+        ],
+        // Irrigation pond
+        [
+          [77.2085, 28.6136],
+          [77.2089, 28.6136],
+          [77.2089, 28.6139],
+          [77.2085, 28.6139],
+          [77.2085, 28.6136]
+        ]
+      ]
+    },
+    grid: { cellSizeMeters: 20 },
+    crop: { type: 'Tomato', yieldPerHectare: 50000, pricePerKg: 25 },
+    economics: {}
+  },
+  {
+    id: 'FIELD-002',
+    name: 'River Bend Potato Field',
+    location: 'Noida',
+    boundary: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [77.3898, 28.5346],
+          [77.3921, 28.5344],
+          [77.3924, 28.5362],
+          [77.3901, 28.5366],
+          [77.3898, 28.5346]
+        ],
+        // Farm buildings
+        [
+          [77.3903, 28.5348],
+          [77.3907, 28.5348],
+          [77.3907, 28.5351],
+          [77.3903, 28.5351],
+          [77.3903, 28.5348]
+        ]
+      ]
+    },
+    grid: { cellSizeMeters: 10 },
+    crop: { type: 'Potato', yieldPerHectare: 25000, pricePerKg: 12 },
+    economics: {
+      intervention: { costPerHectare: 2500 }
+    }
+  },
+  {
+    id: 'FIELD-003',
+    name: 'East Corn Block',
+    location: 'Rohini',
+    boundary: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [77.1015, 28.7033],
+          [77.1037, 28.7033],
+          [77.1037, 28.7041],
+          [77.1026, 28.7041],
+          [77.1026, 28.7050],
+          [77.1015, 28.7050],
+          [77.1015, 28.7033]
+        ]
+      ]
+    },
+    grid: { cellSizeMeters: 15 },
+    crop: { type: 'Corn', yieldPerHectare: 6000, pricePerKg: 22 },
+    economics: {
+      disease: { lossPercentageUntreated: 25, lossPercentageTreated: 5 }
+    }
+  }
+];
+
+/**
+ * Load user-saved fields from localStorage
+ * @returns {Object<string, FieldProfile>}
+ */
+function loadSavedFields() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Get all registered fields (saved fields override built-ins by ID)
+ * @returns {Array<FieldProfile>}
+ */
+export function getFields() {
+  const saved = loadSavedFields();
+  const builtInIds = new Set(DEFAULT_FIELDS.map(f => f.id));
+
+  return [
+    ...DEFAULT_FIELDS.map(field => saved[field.id] || field),
+    ...Object.values(saved).filter(field => !builtInIds.has(field.id))
+  ];
+}
+
+/**
+ * Get a field by ID
+ * @param {string} id
+ * @returns {FieldProfile|null}
+ */
+export function getField(id) {
+  return getFields().find(field => field.id === id) || null;
+}
+
+/**
+ * Get the default field (first registered)
+ * @returns {FieldProfile}
+ */
+export function getDefaultField() {
+  return getFields()[0];
+}
+
+/**
+ * Add or update a field and persist it
+ * @param {FieldProfile} field
+ * @returns {FieldProfile}
+ */
+export function saveField(field) {
+  const saved = loadSavedFields();
+  saved[field.id] = field;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('⚠️ Could not persist field registry:', error);
+  }
+
+  return field;
+}
+
+/**
+ * Field area in hectares (boundary minus holes)
+ * @param {FieldProfile} field
+ * @returns {number}
+ */
+export function getFieldAreaHectares(field) {
+  return polygonAreaHectares(field.boundary);
+}
+
+/**
+ * Field center (middle of the boundary's bounding box)
+ * @param {FieldProfile} field
+ * @returns {{lat: number, lng: number}}
+ */
+export function getFieldCenterPoint(field) {
+  const { south, west, north, east } = getPolygonBounds(field.boundary);
+
+  return {
+    lat: parseFloat(((south + north) / 2).toFixed(6)),
+    lng: parseFloat(((west + east) / 2).toFixed(6))
+  };
+}
+
+/**
+ * Mission start and end points for a field.
+ * Explicit overrides win, then the field's saved launch / landing points;
+ * the launch point defaults to the field center and the landing point to the launch point.
+ * @param {FieldProfile} [field]
+ * @param {Object} [overrides]
+ * @param {{lat: number, lng: number}} [overrides.startPoint]
+ * @param {{lat: number, lng: number}} [overrides.endPoint]
+ * @returns {{startPoint: {lat: number, lng: number}, endPoint: {lat: number, lng: number}}}
+ */
+export function getFieldHomePoints(field = getDefaultField(), { startPoint, endPoint } = {}) {
+  const launch = startPoint || field.launchPoint || getFieldCenterPoint(field);
+
+  return {
+    startPoint: launch,
+    endPoint: endPoint || (startPoint ? launch : field.landingPoint || launch)
+  };
+}
+
+/**
+ * Persist a field's launch and landing points
+ * @param {string} fieldId
+ * @param {{launchPoint: ({lat: number, lng: number}|null), landingPoint: ({lat: number, lng: number}|null)}} points
+ * @returns {FieldProfile|null} The updated field
+ */
+export function saveFieldHomePoints(fieldId, { launchPoint, landingPoint }) {
+  const field = getField(fieldId);
+  if (!field) return null;
+
+  const { launchPoint: _launch, landingPoint: _landing, ...rest } = field;
+
+  return saveField({
+    ...rest,
+    ...(launchPoint && { launchPoint }),
+    ...(landingPoint && { landingPoint })
+  });
+}
+
+/**
+ * Persist a field's no-fly zones
+ * @param {string} fieldId
+ * @param {Array<import('./obstacleRouting').NoFlyZone>} noFlyZones
+ * @returns {FieldProfile|null} The updated field
+ */
+export function saveFieldNoFlyZones(fieldId, noFlyZones) {
+  const field = getField(fieldId);
+  if (!field) return null;
+
+  return saveField({ ...field, noFlyZones });
+}
+
+/**
+ * Economic configuration with this field's crop and economic overrides
+ * @param {FieldProfile} field
+ * @returns {Object}
+ */
+export function getFieldEconomicConfig(field) {
+  if (!field) return getEconomicConfig();
+
+  const { economics = {}, crop = {} } = field;
+
+  return getEconomicConfig({
+    ...economics,
+    crop: { ...crop, ...economics.crop },
+    field: {
+      totalAreaHectares: getFieldAreaHectares(field),
+      ...economics.field
+    }
+  });
+}
@@ -0,0 +1,483 @@
+/**
+ * Fleet Planner
+ * Shares the infected zones among several spray drones flying at once.
+ * Zones are cut into sectors around the launch point - one per drone, sized by
+ * each drone's own speed, tank and battery so they all finish at about the
+ * same time - and each drone's sector is planned and split into sorties as
+ * for a single drone. Take-offs are staggered, and sorties are held on the
+ * ground until no two airborne drones come closer than the separation distance.
+ */
+
+import { getFieldHomePoints } from './fieldRegistry';
+import { maskInfectedCells } from './fieldGrid';
+import { identifyInfectedZones } from './zoneDetection';
+import { generateSprayPath } from './pathPlanner';
+import { splitMission, SORTIE_COLORS } from './missionSplitter';
+import { getDwellSeconds } from './flightModel';
+import { haversineDistance } from './routeOptimizer';
+import { assessWind } from './windPlanning';
+import { DRONE_CONFIG } from './droneConfig';
+
+export const FLEET_CONFIG = {
+  maxDrones: 4,
+  separationMeters: 10,        // Closest two airborne drones may come
+  launchIntervalSeconds: 20,   // Stagger between take-offs from the shared launch point
+  holdStepSeconds: 10,         // Ground hold added to a sortie per conflict found
+  maxHoldSeconds: 600,         // Per sortie - beyond this a conflict is reported instead
+  sampleSeconds: 1,            // Time step of the separation check
+  piecesPerShare: 3            // Zones bigger than an even share are cut into strips this much smaller than a share
+};
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getFleetConfig(overrides = {}) {
+  return { ...FLEET_CONFIG, ...overrides };
+}
+
+/**
+ * Timeline entry of one drone
+ * @typedef {Object} FleetTimelineEntry
+ * @property {'hold'|'sortie'|'turnaround'} type - Waiting on the ground, flying, refilling
+ * @property {number} start - Seconds from the first take-off
+ * @property {number} end
+ * @property {string} [sortieId]
+ */
+
+/**
+ * Cut a zone into strips of about equal area along its longer side
+ * @param {Object} zone - InfectedZone
+ * @param {number} count - Strips wanted
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [zoneOptions] - identifyInfectedZones options the zone was found with
+ * @returns {Array<Object>} InfectedZones (a strip broken in two becomes two zones)
+ */
+function splitZone(zone, count, grid, zoneOptions) {
+  const { projection } = grid.meta;
+  const cells = zone.cells.map(cell => ({ cell, ...projection.toLocal(cell.center) }));
+  const spanX = Math.max(...cells.map(c => c.x)) - Math.min(...cells.map(c => c.x));
+  const spanY = Math.max(...cells.map(c => c.y)) - Math.min(...cells.map(c => c.y));
+  cells.sort((a, b) => (spanX >= spanY ? a.x - b.x : a.y - b.y));
+
+  const stripArea = zone.areaHectares / count;
+  const strips = [];
+  let area = 0;
+  cells.forEach(({ cell }) => {
+    if (strips.length === 0 || (area >= stripArea && strips.length < count)) {
+      strips.push([]);
+      area = 0;
+    }
+    strips[strips.length - 1].push(cell);
+    area += cell.areaHectares;
+  });
+
+  return strips
+    .flatMap(strip => identifyInfectedZones(maskInfectedCells(grid, new Set(strip.map(cell => cell.id))), zoneOptions))
+    .map((piece, i) => ({ ...piece, id: `${zone.id}${String.fromCharCode(97 + i)}` }));
+}
+
+/**
+ * Rough time for one drone to spray a zone - used only to share out the work.
+ * The zone's own single-zone plan (flown by the base drone) is rescaled to the
+ * drone's speeds, plus the refills and extra flights out and back its tank and
+ * battery call for.
+ * @param {Object} zone - InfectedZone
+ * @param {import('./flightModel').FlightEstimate|null} flight - Single-zone plan, null if not flyable
+ * @param {Object} config - Drone config
+ * @param {Object} baseConfig - Drone config the plan was made with
+ * @param {{lat: number, lng: number}} startPoint
+ * @returns {number} Seconds
+ */
+function estimateZoneSeconds(zone, flight, config, baseConfig, startPoint) {
+  if (!flight) return 0;
+
+  const { transit, spray, turns, dwell, vertical } = flight.breakdown;
+  const flightSeconds = transit * (baseConfig.cruiseSpeed / config.cruiseSpeed) +
+    spray * (baseConfig.spraySpeed / config.spraySpeed) +
+    dwell * (config.spraySecondsPerHectare / baseConfig.spraySecondsPerHectare) +
+    turns + vertical;
+
+  const enduranceSeconds = config.enduranceMinutes * 60 * (1 - config.batteryReservePercent / 100);
+  const liters = zone.areaHectares * config.applicationRateLitersPerHectare;
+  const sorties = Math.max(1, liters / config.tankLiters, flightSeconds / enduranceSeconds);
+  const commute = (2 * haversineDistance(startPoint, zone.centroid)) / config.cruiseSpeed;
+
+  return flightSeconds + (sorties - 1) * (commute + config.turnaroundMinutes * 60);
+}
+
+/**
+ * Share zones (ordered around the launch point) among the drones as
+ * consecutive runs, minimising the latest estimated finish.
+ * Binary search on the finish time; each pass fills the drones in turn.
+ * @param {Array<Object>} zones - In angular order
+ * @param {Array<Array<number>>} seconds - seconds[drone][zone]
+ * @returns {Array<Array<Object>>} Zones per drone
+ */
+function partitionZones(zones, seconds) {
+  const fill = (limit) => {
+    const shares = seconds.map(() => []);
+    let drone = 0;
+    let load = 0;
+
+    for (let z = 0; z < zones.length; z++) {
+      while (drone < seconds.length && load + seconds[drone][z] > limit) {
+        if (shares[drone].length === 0 && seconds[drone][z] > limit) return null;
+        drone++;
+        load = 0;
+      }
+      if (drone === seconds.length) return null;
+      shares[drone].push(zones[z]);
+      load += seconds[drone][z];
+    }
+    return shares;
+  };
+
+  let low = 0;
+  let high = zones.reduce((sum, _, z) => sum + Math.max(...seconds.map(row => row[z])), 0);
+  for (let i = 0; i < 40 && high - low > 1; i++) {
+    const mid = (low + high) / 2;
+    if (fill(mid)) high = mid; else low = mid;
+  }
+  return fill(high);
+}
+
+/**
+ * Time-stamped positions along a sortie, scaled to its flight-model duration
+ * (climbing and descending over the launch / landing point)
+ * @param {Object} sortie
+ * @param {Object} config - Drone config
+ * @returns {Array<{t: number, position: {lat: number, lng: number}}>}
+ */
+function getSortieKeyframes(sortie, config) {
+  const climb = config.flightAltitudeMeters / config.climbSpeed;
+  const descent = config.flightAltitudeMeters / config.descentSpeed;
+  const stops = [...sortie.waypoints, { position: sortie.endPoint }];
+
+  let position = sortie.startPoint;
+  const legs = stops.map(waypoint => {
+    const speed = waypoint.spray ? config.spraySpeed : config.cruiseSpeed;
+    const leg = { from: position, to: waypoint.position, seconds: haversineDistance(position, waypoint.position) / speed };
+    leg.dwell = getDwellSeconds(waypoint, config);
+    position = waypoint.position;
+    return leg;
+  });
+
+  const raw = legs.reduce((sum, leg) => sum + leg.seconds + leg.dwell, 0);
+  const scale = raw > 0 ? Math.max(0, sortie.estimatedTime - climb - descent) / raw : 0;
+
+  const frames = [{ t: 0, position: sortie.startPoint }, { t: climb, position: sortie.startPoint }];
+  let t = climb;
+  legs.forEach(leg => {
+    t += leg.seconds * scale;
+    frames.push({ t, position: leg.to });
+    if (leg.dwell > 0) {
+      t += leg.dwell * scale;
+      frames.push({ t, position: leg.to });
+    }
+  });
+  frames.push({ t: sortie.estimatedTime, position: sortie.endPoint });
+  return frames;
+}
+
+/**
+ * Position at a time along keyframes (linear between frames)
+ */
+function positionAt(frames, t) {
+  let i = 1;
+  while (i < frames.length - 1 && frames[i].t < t) i++;
+  const a = frames[i - 1];
+  const b = frames[i];
+  const share = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 1;
+  return {
+    lat: a.position.lat + (b.position.lat - a.position.lat) * share,
+    lng: a.position.lng + (b.position.lng - a.position.lng) * share
+  };
+}
+
+/**
+ * Lay out every drone's sorties in time: staggered take-offs, turnarounds
+ * between sorties and any ground holds
+ * @param {Array<Object>} drones - With mission, config and holds (seconds per sortie)
+ * @param {Object} fleetConfig
+ */
+function scheduleSorties(drones, fleetConfig) {
+  drones.forEach((drone, d) => {
+    let clock = d * fleetConfig.launchIntervalSeconds;
+    drone.flights = drone.mission.sorties.map((sortie, s) => {
+      if (s > 0) clock += drone.config.turnaroundMinutes * 60;
+      clock += drone.holds[s];
+      const flight = { sortie, index: s, start: clock, end: clock + sortie.estimatedTime };
+      clock = flight.end;
+      return flight;
+    });
+  });
+}
+
+/**
+ * Earliest moment two airborne drones are closer than the separation distance
+ * @param {Array<Object>} drones - Scheduled (see scheduleSorties)
+ * @param {Object} fleetConfig
+ * @param {Set<string>} accepted - Conflicts already given up on ("drone:sortie|drone:sortie")
+ * @returns {Object|null} {time, distance, position, flights: [[drone, flight], [drone, flight]]}
+ */
+function findFirstConflict(drones, fleetConfig, accepted) {
+  let first = null;
+
+  drones.forEach((droneA, a) => drones.slice(a + 1).forEach(droneB => {
+    droneA.flights.forEach(flightA => droneB.flights.forEach(flightB => {
+      const key = `${droneA.id}:${flightA.index}|${droneB.id}:${flightB.index}`;
+      const from = Math.max(flightA.start, flightB.start);
+      const to = Math.min(flightA.end, flightB.end);
+      if (from >= to || accepted.has(key) || (first && from >= first.time)) return;
+
+      for (let t = from; t <= to; t += fleetConfig.sampleSeconds) {
+        const p = positionAt(flightA.keyframes, t - flightA.start);
+        const q = positionAt(flightB.keyframes, t - flightB.start);
+        const distance = haversineDistance(p, q);
+        if (distance < fleetConfig.separationMeters) {
+          if (!first || t < first.time) {
+            first = { time: t, distance, position: p, key, flights: [[droneA, flightA], [droneB, flightB]] };
+          }
+          return;
+        }
+      }
+    }));
+  }));
+
+  return first;
+}
+
+/**
+ * Plan a spray mission for several drones flying at once
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Array<Object>} drones - Per drone: overrides of the drone config (see droneConfig.js), plus an optional name
+ * @param {Object} [options] - As for generateSprayPath (algorithm, home points, no-fly zones, wind,
+ *   zones, zoneOptions and swath width for coverage, droneConfig as the base for every drone)
+ * @param {Object} [options.fleetConfig] - Overrides for FLEET_CONFIG
+ * @returns {Object} Path data for the whole fleet - waypoints and sorties of every drone
+ *   (sortie ids 'D1-S1', ...; coloured per drone), so it maps, exports and audits like a
+ *   single path - plus fleet: {drones, makespan, balancePercent, holdSeconds, conflicts}.
+ *   estimatedTime and mission.totalTime are the fleet's completion time.
+ */
+export function planFleetMission(grid, drones, options = {}) {
+  const { algorithm = 'optimized' } = options;
+  const fleetConfig = getFleetConfig(options.fleetConfig);
+  const baseConfig = options.droneConfig || DRONE_CONFIG;
+  const windAssessment = options.wind ? assessWind(options.wind, options.windConfig) : null;
+  const { startPoint, endPoint } = getFieldHomePoints(grid.meta?.field, options);
+
+  const fleet = drones.slice(0, fleetConfig.maxDrones).map(({ name, ...overrides }, i) => ({
+    id: `D${i + 1}`,
+    name: name || `Drone ${i + 1}`,
+    color: SORTIE_COLORS[i % SORTIE_COLORS.length],
+    config: { ...baseConfig, ...overrides }
+  }));
+
+  const emptyPlan = {
+    waypoints: [],
+    totalDistance: 0,
+    estimatedTime: 0,
+    pathExists: false,
+    algorithm,
+    windAssessment
+  };
+
+  if (windAssessment?.decision === 'no-go') {
+    console.warn('🌬️ Fleet spraying refused:', windAssessment.reasons.join('; '));
+    return emptyPlan;
+  }
+
+  // Zones bigger than an even share are cut into strips, so the work can be shared out evenly
+  const allZones = options.zones || identifyInfectedZones(grid, options.zoneOptions);
+  if (allZones.length === 0 || fleet.length === 0 || !grid.meta) {
+    return emptyPlan;
+  }
+
+  const totalArea = allZones.reduce((sum, zone) => sum + zone.areaHectares, 0);
+  const share = totalArea / fleet.length;
+  const zones = allZones.flatMap(zone => {
+    if (fleet.length === 1 || zone.areaHectares <= share) return [zone];
+    const pieces = Math.min(zone.cells.length, Math.ceil((zone.areaHectares / share) * fleetConfig.piecesPerShare));
+    return splitZone(zone, pieces, grid, options.zoneOptions);
+  });
+
+  // Around the launch point, starting after the widest empty angle so no sector wraps through a cluster
+  const { projection } = grid.meta;
+  const home = projection.toLocal(startPoint);
+  const angles = zones.map(zone => {
+    const p = projection.toLocal(zone.centroid);
+    return { zone, angle: Math.atan2(p.x - home.x, p.y - home.y) };
+  }).sort((a, b) => a.angle - b.angle);
+
+  let widest = 0;
+  let widestGap = -1;
+  angles.forEach((entry, i) => {
+    const next = angles[(i + 1) % angles.length];
+    const gap = (next.angle - entry.angle + 2 * Math.PI) % (2 * Math.PI) || 2 * Math.PI;
+    if (gap > widestGap) {
+      widestGap = gap;
+      widest = (i + 1) % angles.length;
+    }
+  });
+  const ordered = [...angles.slice(widest), ...angles.slice(0, widest)].map(entry => entry.zone);
+
+  const planZones = (zonesToFly, config) => generateSprayPath(
+    maskInfectedCells(grid, new Set(zonesToFly.flatMap(zone => zone.cells.map(cell => cell.id)))),
+    { ...options, algorithm, startPoint, endPoint, droneConfig: config, zones: zonesToFly }
+  );
+
+  const flights = ordered.map(zone => {
+    const path = planZones([zone], baseConfig);
+    return path.pathExists ? path.flight : null;
+  });
+  const seconds = fleet.map(drone => ordered.map((zone, z) => (
+    estimateZoneSeconds(zone, flights[z], drone.config, baseConfig, startPoint)
+  )));
+  const shares = partitionZones(ordered, seconds);
+
+  // Each drone flies its own sector as a single-drone mission
+  fleet.forEach((drone, i) => {
+    drone.zones = shares[i];
+    drone.cellCount = drone.zones.reduce((sum, zone) => sum + zone.cells.length, 0);
+    drone.areaHectares = parseFloat(drone.zones.reduce((sum, zone) => sum + zone.areaHectares, 0).toFixed(4));
+    drone.estimatedSeconds = Math.round(drone.zones.reduce((sum, zone) => sum + seconds[i][ordered.indexOf(zone)], 0));
+    if (drone.zones.length === 0) return;
+
+    drone.path = planZones(drone.zones, drone.config);
+  });
+
+  const flying = fleet.filter(drone => drone.path?.pathExists);
+  if (flying.length === 0) {
+    return {
+      ...emptyPlan,
+      unreachableWaypoints: fleet.flatMap(drone => drone.path?.unreachableWaypoints || [])
+    };
+  }
+
+  flying.forEach(drone => {
+    const mission = splitMission(drone.path, drone.config, options);
+    mission.sorties = mission.sorties.map(sortie => ({
+      ...sortie,
+      id: `${drone.id}-${sortie.id}`,
+      droneId: drone.id,
+      color: drone.color
+    }));
+    drone.mission = mission;
+    drone.holds = mission.sorties.map(() => 0);
+  });
+
+  // Hold the later-launched sortie on the ground until the pair keeps its separation
+  const keyframes = new Map();
+  const conflicts = [];
+  const accepted = new Set();
+
+  for (;;) {
+    scheduleSorties(flying, fleetConfig);
+    flying.forEach(drone => drone.flights.forEach(flight => {
+      if (!keyframes.has(flight.sortie.id)) {
+        keyframes.set(flight.sortie.id, getSortieKeyframes(flight.sortie, drone.config));
+      }
+      flight.keyframes = keyframes.get(flight.sortie.id);
+    }));
+
+    const conflict = findFirstConflict(flying, fleetConfig, accepted);
+    if (!conflict) break;
+
+    const [first, second] = conflict.flights;
+    const [drone, flight] = first[1].start > second[1].start ? first : second;
+    if (drone.holds[flight.index] + fleetConfig.holdStepSeconds > fleetConfig.maxHoldSeconds) {
+      accepted.add(conflict.key);
+      conflicts.push({
+        time: Math.round(conflict.time),
+        distance: parseFloat(conflict.distance.toFixed(1)),
+        position: conflict.position,
+        sortieIds: [first[1].sortie.id, second[1].sortie.id]
+      });
+    } else {
+      drone.holds[flight.index] += fleetConfig.holdStepSeconds;
+    }
+  }
+
+  // Per drone: hold / sortie / turnaround entries on the shared clock
+  fleet.forEach(drone => {
+    drone.timeline = [];
+    if (!drone.flights) {
+      drone.finishTime = 0;
+      return;
+    }
+
+    let clock = 0;
+    drone.flights.forEach(flight => {
+      if (flight.index > 0) {
+        const turnaround = drone.config.turnaroundMinutes * 60;
+        drone.timeline.push({ type: 'turnaround', start: clock, end: clock + turnaround });
+        clock += turnaround;
+      }
+      if (flight.start > clock) {
+        drone.timeline.push({ type: 'hold', start: clock, end: flight.start });
+      }
+      drone.timeline.push({ type: 'sortie', start: flight.start, end: flight.end, sortieId: flight.sortie.id });
+      clock = flight.end;
+    });
+    drone.finishTime = clock;
+  });
+
+  const makespan = Math.max(...flying.map(drone => drone.finishTime));
+  const idleTimes = flying.map(drone => drone.finishTime);
+  const sorties = flying.flatMap(drone => drone.mission.sorties);
+  const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+  const holdSeconds = flying.reduce((total, drone) => total + drone.holds.reduce((a, b) => a + b, 0), 0);
+
+  if (conflicts.length > 0) {
+    console.warn(`⚠️ Fleet: ${conflicts.length} separation conflict(s) could not be held apart`);
+  }
+  console.log(`🚁 Fleet plan: ${flying.length} drone(s), ${sorties.length} sorties, done in ${Math.round(makespan)}s`);
+
+  return {
+    waypoints: flying.flatMap(drone => drone.path.waypoints),
+    totalDistance: parseFloat(sum(flying.map(drone => drone.path), 'totalDistance').toFixed(1)),
+    estimatedTime: Math.ceil(makespan),
+    energyWh: parseFloat(sum(flying.map(drone => drone.mission), 'energyWh').toFixed(1)),
+    pathExists: true,
+    startPoint,
+    endPoint,
+    algorithm,
+    unreachableWaypoints: fleet.flatMap(drone => drone.path?.unreachableWaypoints || []),
+    blockedLegs: sum(flying.map(drone => drone.path), 'blockedLegs'),
+    windAssessment,
+    mission: {
+      sorties,
+      sortieCount: sorties.length,
+      totalDistance: parseFloat(sum(sorties, 'totalDistance').toFixed(1)),
+      flightTime: sum(sorties, 'estimatedTime'),
+      totalTime: Math.ceil(makespan),
+      energyWh: parseFloat(sum(sorties, 'energyWh').toFixed(1)),
+      totalLiters: parseFloat(sum(sorties, 'liters').toFixed(2)),
+      overCapacity: sorties.some(sortie => sortie.overCapacity)
+    },
+    fleet: {
+      drones: fleet.map(({ id, name, color, config, zones: droneZones, cellCount, areaHectares, estimatedSeconds, path, mission, timeline, finishTime }) => ({
+        id,
+        name,
+        color,
+        config,
+        zoneIds: droneZones.map(zone => zone.id),
+        cellCount,
+        areaHectares,
+        estimatedSeconds,
+        path: path || null,
+        mission: mission || null,
+        timeline,
+        finishTime: Math.ceil(finishTime)
+      })),
+      makespan: Math.ceil(makespan),
+      // Earliest finish as a share of the latest - 100% is a perfectly even split
+      balancePercent: parseFloat(((Math.min(...idleTimes) / makespan) * 100).toFixed(1)),
+      holdSeconds,
+      separationMeters: fleetConfig.separationMeters,
+      conflicts
+    }
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * Flight Log Import
+ * Reads missions and flown tracks from other ground-control software -
+ * QGroundControl .plan, WPL 110 waypoint files, KML / GPX tracks and CSV
+ * telemetry logs - into one track shape that can be drawn and scored for coverage.
+ */
+
+import { parseMission, parseXml } from './missionExport';
+
+const GX_NS = 'http://www.google.com/kml/ext/2.2';
+
+// Imported tracks take these colours in turn (kept apart from the sortie and coverage-status colours)
+export const TRACK_COLORS = ['#78350f', '#1f2937', '#64748b', '#a16207'];
+
+let importCount = 0;
+
+// CSV column names recognised in telemetry logs (lower-cased)
+const CSV_COLUMNS = {
+  lat: ['lat', 'latitude', 'gps_lat', 'lat_deg', 'gps.lat'],
+  lng: ['lon', 'lng', 'long', 'longitude', 'gps_lon', 'lon_deg', 'gps.lng', 'gps.lon'],
+  altitude: ['alt', 'altitude', 'alt_m', 'relative_alt', 'height', 'gps.alt'],
+  time: ['time', 'timestamp', 'datetime', 'time_utc', 'date_time'],
+  spray: ['spray', 'sprayer', 'spraying', 'spray_on', 'pump', 'nozzle', 'flow']
+};
+
+/**
+ * Track point
+ * @typedef {Object} TrackPoint
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} [altitude]
+ * @property {string} [time]
+ * @property {boolean} spray - Nozzles on along the segment arriving at this point
+ */
+
+/**
+ * Imported flight track or mission
+ * @typedef {Object} FlightTrack
+ * @property {string} id
+ * @property {string} name - File name
+ * @property {'plan'|'wpl'|'kml'|'gpx'|'csv'} source
+ * @property {'mission'|'track'} kind - Planned mission or flown log
+ * @property {boolean} hasSprayData - False when the file says nothing about the sprayer (then every segment counts as sprayed)
+ * @property {Array<TrackPoint>} points
+ * @property {string} [color] - Assigned from TRACK_COLORS when the track is loaded
+ */
+
+/**
+ * Does the point have a position? Logs and missions write 0,0 for "no fix" or "here"
+ * (NAV_TAKEOFF and NAV_LAND items often carry no coordinates).
+ */
+function isLocated(point) {
+  return Number.isFinite(point.lat) && Number.isFinite(point.lng) && (point.lat !== 0 || point.lng !== 0);
+}
+
+/**
+ * Mission plan (see missionExport.js) as track points.
+ * Hover-spray holds become a zero-length sprayed segment at the waypoint.
+ */
+function missionToPoints(plan) {
+  const points = [];
+  if (plan.launch) points.push({ ...plan.launch, altitude: 0, spray: false });
+
+  plan.items.forEach(item => {
+    points.push({ lat: item.lat, lng: item.lng, altitude: item.altitude, spray: item.spray });
+    if (item.holdSeconds > 0) {
+      points.push({ lat: item.lat, lng: item.lng, altitude: item.altitude, spray: true });
+    }
+  });
+
+  if (plan.landing) points.push({ ...plan.landing, altitude: 0, spray: false });
+  return points.filter(isLocated);
+}
+
+/**
+ * KML: exported spray missions keep their spray data; otherwise gx:Track and LineString geometry
+ */
+function readKmlPoints(text) {
+  const doc = parseXml(text);
+
+  if (text.includes('<Data name="role">')) {
+    return { points: missionToPoints(parseMission(text, 'kml')), hasSprayData: true, kind: 'mission' };
+  }
+
+  const points = [];
+  Array.from(doc.getElementsByTagNameNS(GX_NS, 'Track')).forEach(track => {
+    const times = Array.from(track.getElementsByTagName('when')).map(node => node.textContent.trim());
+    Array.from(track.getElementsByTagNameNS(GX_NS, 'coord')).forEach((node, i) => {
+      const [lng, lat, altitude] = node.textContent.trim().split(/\s+/).map(Number);
+      points.push({ lat, lng, altitude, time: times[i], spray: true });
+    });
+  });
+
+  if (points.length === 0) {
+    Array.from(doc.getElementsByTagName('LineString')).forEach(line => {
+      // An empty LineString adds nothing; a file with no points fails below as "No flight path found"
+      const coordinates = line.getElementsByTagName('coordinates')[0];
+      if (!coordinates) return;
+
+      coordinates.textContent.trim().split(/\s+/).forEach(tuple => {
+        const [lng, lat, altitude] = tuple.split(',').map(Number);
+        points.push({ lat, lng, altitude, spray: true });
+      });
+    });
+  }
+
+  return { points, hasSprayData: false, kind: 'track' };
+}
+
+/**
+ * GPX: track points when present, else route points (exported spray missions keep their spray data)
+ */
+function readGpxPoints(text) {
+  const doc = parseXml(text);
+  const trackPoints = Array.from(doc.getElementsByTagName('trkpt'));
+
+  if (trackPoints.length === 0 && text.includes('spray:spray')) {
+    return { points: missionToPoints(parseMission(text, 'gpx')), hasSprayData: true, kind: 'mission' };
+  }
+
+  const nodes = trackPoints.length > 0 ? trackPoints : Array.from(doc.getElementsByTagName('rtept'));
+  const points = nodes.map(node => ({
+    lat: Number(node.getAttribute('lat')),
+    lng: Number(node.getAttribute('lon')),
+    altitude: node.getElementsByTagName('ele')[0] ? Number(node.getElementsByTagName('ele')[0].textContent) : undefined,
+    time: node.getElementsByTagName('time')[0]?.textContent,
+    spray: true
+  }));
+
+  return { points, hasSprayData: false, kind: trackPoints.length > 0 ? 'track' : 'mission' };
+}
+
+/**
+ * Sprayer state from a log value: 1/0, true/false, on/off, yes/no or a flow rate
+ */
+function parseSprayValue(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'on', 'yes'].includes(text)) return true;
+  if (['false', 'off', 'no', ''].includes(text)) return false;
+  return Number(text) > 0;
+}
+
+/**
+ * CSV telemetry: one row per fix, columns found by name
+ */
+function readCsvPoints(text) {
+  const lines = text.trim().split(/\r?\n/).filter(line => line.trim() !== '');
+  const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ',';
+  const header = lines[0].split(delimiter).map(name => name.trim().replace(/^"|"$/g, '').toLowerCase());
+  const column = key => header.findIndex(name => CSV_COLUMNS[key].includes(name));
+
+  const latIndex = column('lat');
+  const lngIndex = column('lng');
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new Error('CSV log needs latitude and longitude columns');
+  }
+  const altIndex = column('altitude');
+  const timeIndex = column('time');
+  const sprayIndex = column('spray');
+
+  const points = lines.slice(1)
+    .map(line => line.split(delimiter).map(value => value.trim().replace(/^"|"$/g, '')))
+    .map(values => {
+      let lat = Number(values[latIndex]);
+      let lng = Number(values[lngIndex]);
+      // MAVLink logs store degrees × 1e7
+      if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        lat /= 1e7;
+        lng /= 1e7;
+      }
+      return {
+        lat,
+        lng,
+        altitude: altIndex === -1 ? undefined : Number(values[altIndex]),
+        time: timeIndex === -1 ? undefined : values[timeIndex],
+        spray: sprayIndex === -1 ? true : parseSprayValue(values[sprayIndex])
+      };
+    })
+    .filter(isLocated);
+
+  return { points, hasSprayData: sprayIndex !== -1, kind: 'track' };
+}
+
+/**
+ * Format of a flight file from its extension
+ * @param {string} filename
+ * @returns {'plan'|'wpl'|'kml'|'gpx'|'csv'|null}
+ */
+export function getFlightFileFormat(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'plan') return 'plan';
+  if (extension === 'waypoints' || extension === 'txt') return 'wpl';
+  if (['kml', 'gpx', 'csv'].includes(extension)) return extension;
+  return null;
+}
+
+/**
+ * Parse a mission or flight log file
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {FlightTrack}
+ */
+export function parseFlightFile(text, filename) {
+  const source = getFlightFileFormat(filename);
+  let parsed;
+
+  switch (source) {
+    case 'plan':
+    case 'wpl': {
+      const plan = parseMission(text, source);
+      // Missions without sprayer commands come from other software: treat them as spraying throughout
+      const hasSprayData = plan.items.some(item => item.spray || item.holdSeconds > 0);
+      const points = missionToPoints(plan).map(point => (hasSprayData ? point : { ...point, spray: true }));
+      parsed = { points, hasSprayData, kind: 'mission' };
+      break;
+    }
+    case 'kml':
+      parsed = readKmlPoints(text);
+      break;
+    case 'gpx':
+      parsed = readGpxPoints(text);
+      break;
+    case 'csv':
+      parsed = readCsvPoints(text);
+      break;
+    default:
+      throw new Error(`Unsupported flight file: ${filename}`);
+  }
+
+  if (parsed.points.length < 2) {
+    throw new Error(`No flight path found in ${filename}`);
+  }
+
+  return {
+    id: `track-${++importCount}`,
+    name: filename,
+    source,
+    ...parsed
+  };
+}
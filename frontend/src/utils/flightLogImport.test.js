@@ -0,0 +1,160 @@
+import { parseFlightFile, getFlightFileFormat } from './flightLogImport';
+import { exportMission } from './missionExport';
+
+const KML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">';
+
+describe('flight log import', () => {
+  test('picks the format from the file extension', () => {
+    expect(getFlightFileFormat('mission.plan')).toBe('plan');
+    expect(getFlightFileFormat('mission.waypoints')).toBe('wpl');
+    expect(getFlightFileFormat('FLIGHT.KML')).toBe('kml');
+    expect(getFlightFileFormat('log.csv')).toBe('csv');
+    expect(getFlightFileFormat('photo.jpg')).toBeNull();
+    expect(() => parseFlightFile('', 'photo.jpg')).toThrow('Unsupported flight file: photo.jpg');
+  });
+
+  describe('CSV', () => {
+    test('reads named columns, sprayer state and drops fixes at 0,0', () => {
+      const track = parseFlightFile([
+        'timestamp;Latitude;Longitude;alt;pump',
+        '2024-05-01T10:00:00Z;28.6130;77.2090;5;0',
+        '2024-05-01T10:00:01Z;0;0;5;0',
+        '2024-05-01T10:00:02Z;28.6131;77.2091;5;on',
+        '2024-05-01T10:00:03Z;28.6132;77.2092;5;0.8'
+      ].join('\n'), 'log.csv');
+
+      expect(track.source).toBe('csv');
+      expect(track.kind).toBe('track');
+      expect(track.hasSprayData).toBe(true);
+      expect(track.points.map(p => [p.lat, p.lng])).toEqual([[28.613, 77.209], [28.6131, 77.2091], [28.6132, 77.2092]]);
+      expect(track.points.map(p => p.spray)).toEqual([false, true, true]);
+      expect(track.points[1]).toMatchObject({ altitude: 5, time: '2024-05-01T10:00:02Z' });
+    });
+
+    test('scales MAVLink degrees × 1e7 and sprays throughout without a sprayer column', () => {
+      const track = parseFlightFile('lat,lon\n286130000,772090000\n286131000,772091000\n', 'mavlink.csv');
+
+      expect(track.hasSprayData).toBe(false);
+      expect(track.points[0]).toMatchObject({ lat: 28.613, lng: 77.209, spray: true });
+    });
+
+    test('needs latitude and longitude columns', () => {
+      expect(() => parseFlightFile('time,x,y\n1,2,3\n4,5,6', 'log.csv')).toThrow('CSV log needs latitude and longitude columns');
+    });
+  });
+
+  describe('KML', () => {
+    test('reads a gx:Track with times', () => {
+      const track = parseFlightFile(`${KML_HEADER}
+        <Document><Placemark><gx:Track>
+          <when>2024-05-01T10:00:00Z</when><when>2024-05-01T10:00:01Z</when>
+          <gx:coord>77.2090 28.6130 5</gx:coord><gx:coord>77.2091 28.6131 6</gx:coord>
+        </gx:Track></Placemark></Document></kml>`, 'flight.kml');
+
+      expect(track.kind).toBe('track');
+      expect(track.hasSprayData).toBe(false);
+      expect(track.points).toEqual([
+        { lat: 28.613, lng: 77.209, altitude: 5, time: '2024-05-01T10:00:00Z', spray: true },
+        { lat: 28.6131, lng: 77.2091, altitude: 6, time: '2024-05-01T10:00:01Z', spray: true }
+      ]);
+    });
+
+    test('reads LineString coordinates', () => {
+      const track = parseFlightFile(`${KML_HEADER}
+        <Document><Placemark><LineString>
+          <coordinates>77.2090,28.6130,5 77.2091,28.6131,5 77.2092,28.6132,5</coordinates>
+        </LineString></Placemark></Document></kml>`, 'flight.kml');
+
+      expect(track.points.map(p => [p.lat, p.lng])).toEqual([[28.613, 77.209], [28.6131, 77.2091], [28.6132, 77.2092]]);
+    });
+
+    test('reports a LineString without coordinates as no flight path', () => {
+      expect(() => parseFlightFile(`${KML_HEADER}
+        <Document><Placemark><LineString><tessellate>1</tessellate></LineString></Placemark></Document></kml>`, 'empty.kml'))
+        .toThrow('No flight path found in empty.kml');
+    });
+  });
+
+  describe('GPX', () => {
+    test('reads track points', () => {
+      const track = parseFlightFile(`<?xml version="1.0" encoding="UTF-8"?>
+        <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>
+          <trkpt lat="28.6130" lon="77.2090"><ele>5</ele><time>2024-05-01T10:00:00Z</time></trkpt>
+          <trkpt lat="28.6131" lon="77.2091"><ele>6</ele></trkpt>
+        </trkseg></trk></gpx>`, 'flight.gpx');
+
+      expect(track.kind).toBe('track');
+      expect(track.points).toEqual([
+        { lat: 28.613, lng: 77.209, altitude: 5, time: '2024-05-01T10:00:00Z', spray: true },
+        { lat: 28.6131, lng: 77.2091, altitude: 6, time: undefined, spray: true }
+      ]);
+    });
+
+    test('reads an exported spray mission with its spray data', () => {
+      const { content } = exportMission(samplePath(), 'gpx');
+      const track = parseFlightFile(content, 'mission.gpx');
+
+      expect(track.kind).toBe('mission');
+      expect(track.hasSprayData).toBe(true);
+      expect(track.points.map(p => p.spray)).toEqual([false, false, true, false, true, false]);
+    });
+  });
+
+  describe('.plan', () => {
+    test('reads launch, waypoints with spray legs and hover holds, and landing', () => {
+      const { content } = exportMission(samplePath(), 'plan');
+      const track = parseFlightFile(content, 'mission.plan');
+
+      expect(track.source).toBe('plan');
+      expect(track.kind).toBe('mission');
+      expect(track.hasSprayData).toBe(true);
+      // The hover hold is a second, sprayed point on the cell
+      expect(track.points).toEqual([
+        { lat: 28.6129, lng: 77.2088, altitude: 0, spray: false },
+        { lat: 28.61301, lng: 77.20895, altitude: 5, spray: false },
+        { lat: 28.61301, lng: 77.20962, altitude: 5, spray: true },
+        { lat: 28.613622, lng: 77.209561, altitude: 5, spray: false },
+        { lat: 28.613622, lng: 77.209561, altitude: 5, spray: true },
+        { lat: 28.6141, lng: 77.2101, altitude: 0, spray: false }
+      ]);
+    });
+  });
+
+  describe('WPL', () => {
+    test('reads sprayed legs and drops takeoff and landing at 0,0', () => {
+      // Mission Planner style: home row, then take off and land "here"
+      const track = parseFlightFile([
+        'QGC WPL 110',
+        '0\t1\t0\t16\t0\t0\t0\t0\t28.6129\t77.2088\t0\t1',
+        '1\t0\t3\t22\t0\t0\t0\t0\t0\t0\t5\t1',
+        '2\t0\t3\t16\t0\t0\t0\t0\t28.6130\t77.2090\t5\t1',
+        '3\t0\t2\t216\t1\t0\t0\t0\t0\t0\t0\t1',
+        '4\t0\t3\t16\t0\t0\t0\t0\t28.6130\t77.2096\t5\t1',
+        '5\t0\t2\t216\t0\t0\t0\t0\t0\t0\t0\t1',
+        '6\t0\t3\t21\t0\t0\t0\t0\t0\t0\t0\t1'
+      ].join('\n'), 'field.waypoints');
+
+      expect(track.source).toBe('wpl');
+      expect(track.kind).toBe('mission');
+      expect(track.points).toEqual([
+        { lat: 28.613, lng: 77.209, altitude: 5, spray: false },
+        { lat: 28.613, lng: 77.2096, altitude: 5, spray: true }
+      ]);
+    });
+  });
+});
+
+/**
+ * Swath leg and one hover-sprayed cell, landing away from the launch point
+ */
+function samplePath() {
+  return {
+    startPoint: { lat: 28.6129, lng: 77.2088 },
+    endPoint: { lat: 28.6141, lng: 77.2101 },
+    waypoints: [
+      { id: 'Z1-0-start', position: { lat: 28.61301, lng: 77.20895 }, spray: false },
+      { id: 'Z1-0-end', position: { lat: 28.61301, lng: 77.20962 }, spray: true },
+      { cellId: '3_4', position: { lat: 28.613622, lng: 77.209561 }, areaHectares: 0.04 }
+    ]
+  };
+}
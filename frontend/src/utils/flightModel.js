@@ -0,0 +1,203 @@
+/**
+ * Flight Model
+ * Time, energy and battery use of a path from the drone's performance profile
+ * (droneConfig.js). Every leg follows a trapezoidal speed profile - accelerate,
+ * hold speed, brake - and the drone slows into corners by the turn angle,
+ * stopping and yawing on the spot for sharp turns and hover-spray dwells.
+ * Take-off climb and landing descent are added once per flight.
+ */
+
+import { DRONE_CONFIG, getBatteryWh } from './droneConfig';
+import { haversineDistance } from './routeOptimizer';
+
+// Legs shorter than this keep the previous heading (e.g. resuming where spraying stopped)
+const MIN_HEADING_LEG_METERS = 0.05;
+
+/**
+ * Flight estimate
+ * @typedef {Object} FlightEstimate
+ * @property {number} seconds - Time in the air
+ * @property {number} energyWh - Battery energy used
+ * @property {number} batteryPercent - Share of a full battery
+ * @property {number} distance - Horizontal meters flown
+ * @property {{transit: number, spray: number, turns: number, dwell: number, vertical: number}} breakdown -
+ *   Seconds at transit and spray speed, lost to braking, accelerating and yawing, hovering at cells, climbing and descending
+ */
+
+/**
+ * Time to fly a straight leg between given entry and exit speeds
+ * @param {number} distance - Meters
+ * @param {number} entrySpeed - m/s
+ * @param {number} exitSpeed - m/s
+ * @param {number} speed - Target speed on the leg
+ * @param {number} acceleration - m/s²
+ * @returns {number} Seconds
+ */
+export function getLegSeconds(distance, entrySpeed, exitSpeed, speed, acceleration) {
+  const accelDistance = (speed * speed - entrySpeed * entrySpeed) / (2 * acceleration);
+  const brakeDistance = (speed * speed - exitSpeed * exitSpeed) / (2 * acceleration);
+
+  if (accelDistance + brakeDistance <= distance) {
+    return (speed - entrySpeed) / acceleration +
+           (speed - exitSpeed) / acceleration +
+           (distance - accelDistance - brakeDistance) / speed;
+  }
+
+  // Too short to reach the target speed: the ramps meet at a lower peak
+  const peak = Math.sqrt((2 * acceleration * distance + entrySpeed ** 2 + exitSpeed ** 2) / 2);
+  if (peak < Math.max(entrySpeed, exitSpeed)) {
+    return (2 * distance) / (entrySpeed + exitSpeed);
+  }
+  return (peak - entrySpeed) / acceleration + (peak - exitSpeed) / acceleration;
+}
+
+/**
+ * Compass bearing from a to b, or null for a negligible leg
+ * @returns {number|null} Radians
+ */
+function bearing(a, b) {
+  const dx = (b.lng - a.lng) * Math.cos(a.lat * Math.PI / 180);
+  const dy = b.lat - a.lat;
+  if (haversineDistance(a, b) < MIN_HEADING_LEG_METERS) return null;
+  return Math.atan2(dx, dy);
+}
+
+/**
+ * Hover-spray time at a waypoint (cell visits spray while hovering)
+ * @param {Object} waypoint
+ * @param {Object} [config]
+ * @returns {number} Seconds
+ */
+export function getDwellSeconds(waypoint, config = DRONE_CONFIG) {
+  return waypoint.cellId ? (waypoint.areaHectares || 0) * config.spraySecondsPerHectare : 0;
+}
+
+function addPhase(totals, phase, seconds, watts) {
+  totals[phase] += seconds;
+  totals.seconds += seconds;
+  totals.energyWh += (seconds * watts) / 3600;
+}
+
+/**
+ * Fly the pending leg, leaving its end point at the given speed
+ */
+function closeLeg(state, exitSpeed, config) {
+  const leg = state.pending;
+  const distance = haversineDistance(leg.from, leg.to);
+  const seconds = getLegSeconds(distance, leg.entrySpeed, exitSpeed, leg.speed, config.accelerationMps2);
+  const steady = distance / leg.speed;
+
+  addPhase(state.totals, leg.spray ? 'spray' : 'transit', steady, config.cruisePowerWatts);
+  addPhase(state.totals, 'turns', Math.max(0, seconds - steady), config.cruisePowerWatts);
+  state.totals.distance += distance;
+}
+
+/**
+ * Head for the next waypoint: settle the corner at the current one, then open the new leg
+ */
+function advance(state, waypoint, config) {
+  const leg = state.pending;
+  const speed = waypoint.spray ? config.spraySpeed : config.cruiseSpeed;
+  const nextHeading = bearing(state.position, waypoint.position);
+  let turn = 0;
+
+  if (leg && state.heading !== null && nextHeading !== null) {
+    turn = Math.abs(nextHeading - state.heading);
+    if (turn > Math.PI) turn = 2 * Math.PI - turn;
+  }
+
+  let entrySpeed = 0;
+  if (leg) {
+    // Sharp corners and hover dwells stop the drone; gentle corners only slow it
+    const stops = leg.dwell > 0 || turn >= Math.PI / 2;
+    const cornerSpeed = stops ? 0 : Math.min(leg.speed, speed) * Math.cos(turn);
+
+    closeLeg(state, cornerSpeed, config);
+    if (leg.dwell > 0) addPhase(state.totals, 'dwell', leg.dwell, config.hoverPowerWatts);
+    if (stops && turn > 0) {
+      addPhase(state.totals, 'turns', (turn * 180 / Math.PI) / config.yawRateDegreesPerSecond, config.hoverPowerWatts);
+    }
+    entrySpeed = cornerSpeed;
+  }
+
+  state.pending = {
+    from: state.position,
+    to: waypoint.position,
+    speed,
+    spray: !!waypoint.spray,
+    entrySpeed,
+    dwell: getDwellSeconds(waypoint, config)
+  };
+  state.position = waypoint.position;
+  if (nextHeading !== null) state.heading = nextHeading;
+}
+
+/**
+ * Land at the end point and summarise
+ * @returns {FlightEstimate}
+ */
+function land(state, endPoint, config) {
+  advance(state, { position: endPoint, spray: false }, config);
+  closeLeg(state, 0, config);
+
+  const altitude = config.flightAltitudeMeters;
+  addPhase(state.totals, 'vertical', altitude / config.descentSpeed, config.descentPowerWatts);
+
+  const { seconds, energyWh, distance, transit, spray, turns, dwell, vertical } = state.totals;
+  const round = value => parseFloat(value.toFixed(1));
+
+  return {
+    seconds: round(seconds),
+    energyWh: round(energyWh),
+    batteryPercent: round((energyWh / getBatteryWh(config)) * 100),
+    distance: round(distance),
+    breakdown: {
+      transit: round(transit),
+      spray: round(spray),
+      turns: round(turns),
+      dwell: round(dwell),
+      vertical: round(vertical)
+    }
+  };
+}
+
+/**
+ * Incremental flight estimate, for planners that build a flight waypoint by waypoint
+ * @param {{lat: number, lng: number}} startPoint - Take-off point
+ * @param {Object} [config] - Drone config (see droneConfig.js)
+ * @returns {{add: Function, preview: Function, finish: Function}}
+ *   add(waypoint) - fly on to the waypoint
+ *   preview(waypoints, endPoint) -> FlightEstimate if these waypoints were flown next and the drone then landed at endPoint
+ *   finish(endPoint) -> FlightEstimate of the whole flight, landing at endPoint
+ */
+export function createFlightTracker(startPoint, config = DRONE_CONFIG) {
+  const state = {
+    totals: { seconds: 0, energyWh: 0, distance: 0, transit: 0, spray: 0, turns: 0, dwell: 0, vertical: 0 },
+    pending: null,
+    position: startPoint,
+    heading: null
+  };
+  addPhase(state.totals, 'vertical', config.flightAltitudeMeters / config.climbSpeed, config.climbPowerWatts);
+
+  return {
+    add: (waypoint) => advance(state, waypoint, config),
+    preview: (waypoints, endPoint) => {
+      const copy = { ...state, totals: { ...state.totals } };
+      waypoints.forEach(waypoint => advance(copy, waypoint, config));
+      return land(copy, endPoint, config);
+    },
+    finish: (endPoint) => land(state, endPoint, config)
+  };
+}
+
+/**
+ * Flight estimate for a whole path, as one flight from its start to its end point
+ * @param {Object} pathData - {startPoint, endPoint, waypoints} (from any planner)
+ * @param {Object} [config] - Drone config (see droneConfig.js)
+ * @returns {FlightEstimate}
+ */
+export function estimatePathFlight(pathData, config = DRONE_CONFIG) {
+  const tracker = createFlightTracker(pathData.startPoint, config);
+  pathData.waypoints.forEach(waypoint => tracker.add(waypoint));
+  return tracker.finish(pathData.endPoint);
+}
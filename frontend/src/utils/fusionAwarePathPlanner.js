@@ -4,11 +4,48 @@
  */
 
 import { performFusion } from './fusionEngine';
+import { maskInfectedCells } from './fieldGrid';
+import { getDetectionItems, isHealthyClass, SEVERITY_CONFIG } from './severityScoring';
+import { generateSprayPath } from './pathPlanner';
+import { splitMission } from './missionSplitter';
+import { planFleetMission } from './fleetPlanner';
+import { DRONE_CONFIG } from './droneConfig';
+
+// Map colour per action class
+export const FUSION_ACTION_COLORS = {
+  chemical_spray: '#dc2626',
+  irrigation: '#0284c7',
+  monitor: '#7c3aed'
+};
+
+/**
+ * Strongest disease detection among a cell's detection events
+ * (cells hold detection IDs; the events come from the detection feed)
+ * @param {GridCell} cell
+ * @param {Map<string, Object>} detectionsById
+ * @param {Object} [severityConfig]
+ * @returns {{class_name: string, confidence: number}|null}
+ */
+function getPrimaryDetection(cell, detectionsById, severityConfig = SEVERITY_CONFIG) {
+  const items = cell.detections
+    .map(id => detectionsById.get(id))
+    .filter(Boolean)
+    .flatMap(getDetectionItems);
+  const diseased = items.filter(item => item.class_name && !isHealthyClass(item.class_name, severityConfig));
+
+  return [...diseased].sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0] || items[0] || null;
+}
 
 /**
  * Generate action-specific paths based on fusion results
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object|null} sensorData - Latest sensor snapshot (without it, diseased cells are sprayed on vision alone)
+ * @param {Array<Object>} detections - Detection events the grid's cells refer to by ID
  */
-export function generateFusionAwarePath(grid, sensorData) {
+export function generateFusionAwarePath(grid, sensorData, detections = []) {
+  const detectionsById = new Map(detections.map(detection => [detection.id, detection]));
+  const severityConfig = grid.meta?.severityConfig;
+
   const chemicalSprayZones = [];
   const irrigationZones = [];
   const monitoringZones = [];
@@ -19,13 +56,16 @@ export function generateFusionAwarePath(grid, sensorData) {
     for (let col = 0; col < grid[row].length; col++) {
       const cell = grid[row][col];
       
+      // Cells outside the field boundary
+      if (!cell) continue;
+      
       if (!cell.infected || !cell.detections || cell.detections.length === 0) {
         noActionZones.push({ row, col, action: 'none' });
         continue;
       }
       
-      // Get primary detection
-      const primaryDetection = cell.detections[0];
+      // Get primary detection (cells only keep detection IDs)
+      const primaryDetection = getPrimaryDetection(cell, detectionsById, severityConfig);
       
       // Perform fusion
       const fusionResult = performFusion(primaryDetection, sensorData);
@@ -35,13 +75,16 @@ export function generateFusionAwarePath(grid, sensorData) {
         continue;
       }
       
-      const diagnosis = fusionResult.diagnosis.refined_diagnosis;
-      const severity = fusionResult.diagnosis.severity;
+      // Without sensor context the vision diagnosis stands
+      const diagnosis = fusionResult.diagnosis.refined_diagnosis || `${fusionResult.diagnosis.type} (vision only)`;
+      const severity = fusionResult.diagnosis.severity || cell.severityLevel;
+      const target = { row, col, cellId: cell.id, position: cell.center, outline: cell.outline };
       
       // Route based on diagnosis
-      if (diagnosis.includes('Fungal') || diagnosis.includes('Disease')) {
+      if (fusionResult.status === 'no_sensor_data' || diagnosis.includes('Fungal') || diagnosis.includes('Disease')) {
         chemicalSprayZones.push({
-          row, col,
+          ...target,
+          areaHectares: cell.areaHectares,
           action: 'chemical_spray',
           diagnosis,
           severity,
@@ -49,15 +92,18 @@ export function generateFusionAwarePath(grid, sensorData) {
         });
       } else if (diagnosis.includes('Drought') || diagnosis.includes('Heat')) {
         irrigationZones.push({
-          row, col,
+          ...target,
+          areaHectares: cell.areaHectares,
           action: 'irrigation',
           diagnosis,
           severity,
           priority: severity === 'high' ? 1 : 2
         });
-      } else if (diagnosis.includes('Risk') || severity === 'low') {
+      } else if (diagnosis.includes('Risk') || diagnosis.includes('Uncertain') || severity === 'low') {
+        // Uncertain diagnoses call for a manual look
         monitoringZones.push({
-          row, col,
+          ...target,
+          areaHectares: cell.areaHectares,
           action: 'monitor',
           diagnosis,
           severity,
@@ -65,7 +111,8 @@ export function generateFusionAwarePath(grid, sensorData) {
         });
       } else {
         noActionZones.push({
-          row, col,
+          ...target,
+          areaHectares: cell.areaHectares,
           action: 'none',
           diagnosis
         });
@@ -73,20 +120,25 @@ export function generateFusionAwarePath(grid, sensorData) {
     }
   }
   
+  const sumArea = (zones) => zones.reduce((sum, z) => sum + z.areaHectares, 0);
+  
   return {
     chemicalSpray: {
       zones: chemicalSprayZones,
       count: chemicalSprayZones.length,
+      areaHectares: sumArea(chemicalSprayZones),
       highPriority: chemicalSprayZones.filter(z => z.priority === 1).length
     },
     irrigation: {
       zones: irrigationZones,
       count: irrigationZones.length,
+      areaHectares: sumArea(irrigationZones),
       highPriority: irrigationZones.filter(z => z.priority === 1).length
     },
     monitoring: {
       zones: monitoringZones,
-      count: monitoringZones.length
+      count: monitoringZones.length,
+      areaHectares: sumArea(monitoringZones)
     },
     noAction: {
       zones: noActionZones,
@@ -96,15 +148,77 @@ export function generateFusionAwarePath(grid, sensorData) {
   };
 }
 
+/**
+ * Plan one route per action class: the spray drone (or fleet) over the cells
+ * the fusion confirms as disease, and visit routes for irrigation and scouting
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [options] - As for generateSprayPath, plus:
+ * @param {Object|null} [options.sensorData] - Latest sensor snapshot
+ * @param {Array<Object>} [options.detections] - Detection events the cells refer to
+ * @param {Array<Object>} [options.drones] - Two or more plan the spray route for a fleet (see fleetPlanner.js)
+ * @returns {Object} Spray path data (with mission) plus fusion: {actions, routes: {irrigation, monitoring}, sensorBased}.
+ *   pathExists refers to the spray route; the visit routes are null when there is nothing to visit
+ */
+export function planFusionAwareMission(grid, options = {}) {
+  const { sensorData = null, detections = [], drones = [], ...planOptions } = options;
+  const droneConfig = planOptions.droneConfig || DRONE_CONFIG;
+  const actions = generateFusionAwarePath(grid, sensorData, detections);
+  const cellIdsOf = zones => new Set(zones.map(zone => zone.cellId));
+
+  // Zones are re-traced from the cells each route keeps
+  const sprayGrid = maskInfectedCells(grid, cellIdsOf(actions.chemicalSpray.zones));
+  const sprayOptions = { ...planOptions, zones: undefined };
+  let sprayPath;
+  if (drones.length > 1) {
+    sprayPath = planFleetMission(sprayGrid, drones, sprayOptions);
+  } else {
+    const path = generateSprayPath(sprayGrid, sprayOptions);
+    sprayPath = {
+      ...path,
+      mission: splitMission(path, droneConfig, sprayOptions)
+    };
+    // A single spray drone takes the action colour (fleet sorties keep their drone's)
+    sprayPath.mission.sorties = sprayPath.mission.sorties.map(sortie => ({ ...sortie, color: FUSION_ACTION_COLORS.chemical_spray }));
+  }
+
+  // Irrigation and scouting visit cells without spraying: cell-by-cell routes with no wind limit
+  const visitOptions = {
+    ...planOptions,
+    algorithm: planOptions.algorithm === 'coverage' ? 'optimized' : planOptions.algorithm,
+    wind: undefined,
+    zones: undefined
+  };
+  const visitRoute = zones => (zones.length > 0
+    ? generateSprayPath(maskInfectedCells(grid, cellIdsOf(zones)), visitOptions)
+    : null);
+
+  console.log(`🧠 Fusion-aware plan: ${actions.chemicalSpray.count} spray, ${actions.irrigation.count} irrigate, ${actions.monitoring.count} scout`);
+
+  return {
+    ...sprayPath,
+    fusion: {
+      actions,
+      routes: {
+        irrigation: visitRoute(actions.irrigation.zones),
+        monitoring: visitRoute(actions.monitoring.zones)
+      },
+      sensorBased: !!sensorData
+    }
+  };
+}
+
 /**
  * Calculate cost savings from fusion-aware decisions
+ * @param {Object} visionOnlyPath - Grid stats (infectedCount, infectedAreaHectares)
+ * @param {Object} fusionAwarePath - Output from generateFusionAwarePath
+ * @param {{costPerHectare: number, averageFalsePositiveCost: number}} config
  */
 export function calculateFusionSavings(visionOnlyPath, fusionAwarePath, config) {
   // Vision-only would spray all detected zones
-  const visionCost = visionOnlyPath.infectedCount * config.costPerCell;
+  const visionCost = visionOnlyPath.infectedAreaHectares * config.costPerHectare;
   
   // Fusion-aware only sprays confirmed disease zones
-  const fusionCost = fusionAwarePath.chemicalSpray.count * config.costPerCell;
+  const fusionCost = fusionAwarePath.chemicalSpray.areaHectares * config.costPerHectare;
   
   // Additional savings from preventing wrong treatments
   const falsePositivePrevention = 
@@ -0,0 +1,311 @@
+/**
+ * Geometry Helpers
+ * Planar polygon math for field boundaries (GeoJSON) and grid cells
+ */
+
+const EARTH_RADIUS = 6371000; // meters
+
+/**
+ * Field boundary in GeoJSON form
+ * @typedef {Object} FieldBoundary
+ * @property {'Polygon'} type
+ * @property {Array<Array<[number, number]>>} coordinates - [outerRing, ...holes], each ring of [lng, lat]
+ */
+
+/**
+ * Create a local planar projection (east/north meters) around an origin.
+ * Equirectangular approximation - accurate to centimetres over field-sized areas.
+ * @param {{lat: number, lng: number}} origin
+ * @returns {{toLocal: Function, toLatLng: Function}}
+ */
+export function createLocalProjection(origin) {
+  const metersPerDegLat = EARTH_RADIUS * Math.PI / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(origin.lat * Math.PI / 180);
+
+  return {
+    origin,
+    toLocal: (point) => ({
+      x: (point.lng - origin.lng) * metersPerDegLng,
+      y: (point.lat - origin.lat) * metersPerDegLat
+    }),
+    toLatLng: (point) => ({
+      lat: origin.lat + point.y / metersPerDegLat,
+      lng: origin.lng + point.x / metersPerDegLng
+    })
+  };
+}
+
+/**
+ * Convert a GeoJSON ring ([lng, lat] pairs) to {lat, lng} points
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export function ringToLatLngs(ring) {
+  return ring.map(([lng, lat]) => ({ lat, lng }));
+}
+
+/**
+ * Convert a GeoJSON ring to Leaflet positions ([lat, lng] pairs)
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<[number, number]>}
+ */
+export function ringToPositions(ring) {
+  return ring.map(([lng, lat]) => [lat, lng]);
+}
+
+/**
+ * Get bounding box of a polygon's outer ring
+ * @param {FieldBoundary} polygon
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function getPolygonBounds(polygon) {
+  const outer = polygon.coordinates[0];
+  const lngs = outer.map(([lng]) => lng);
+  const lats = outer.map(([, lat]) => lat);
+
+  return {
+    south: Math.min(...lats),
+    west: Math.min(...lngs),
+    north: Math.max(...lats),
+    east: Math.max(...lngs)
+  };
+}
+
+/**
+ * Signed area of a planar ring (shoelace formula)
+ * @param {Array<{x: number, y: number}>} ring
+ * @returns {number} Positive for counter-clockwise rings
+ */
+export function signedRingArea(ring) {
+  let area = 0;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j].x * ring[i].y) - (ring[i].x * ring[j].y);
+  }
+
+  return area / 2;
+}
+
+/**
+ * Absolute area of a planar ring
+ * @param {Array<{x: number, y: number}>} ring
+ * @returns {number}
+ */
+export function ringArea(ring) {
+  return Math.abs(signedRingArea(ring));
+}
+
+/**
+ * Ray-casting point-in-ring test on planar points
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} ring
+ * @returns {boolean}
+ */
+export function isPointInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Distance from a point to segment ab (planar, same units as the points)
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+export function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+    : 0;
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Distance from a point to a ring's edges (planar, same units as the ring)
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} ring
+ * @returns {number}
+ */
+export function distanceToRing(point, ring) {
+  let best = Infinity;
+
+  ring.forEach((a, i) => {
+    best = Math.min(best, distanceToSegment(point, a, ring[(i + 1) % ring.length]));
+  });
+
+  return best;
+}
+
+/**
+ * Check if a GPS point lies inside a GeoJSON polygon (respecting holes)
+ * @param {{lat: number, lng: number}} point
+ * @param {FieldBoundary} polygon
+ * @returns {boolean}
+ */
+export function isPointInPolygon(point, polygon) {
+  const toXY = ([lng, lat]) => ({ x: lng, y: lat });
+  const p = { x: point.lng, y: point.lat };
+  const [outer, ...holes] = polygon.coordinates;
+
+  if (!isPointInRing(p, outer.map(toXY))) return false;
+
+  return !holes.some(hole => isPointInRing(p, hole.map(toXY)));
+}
+
+/**
+ * Clip a planar ring against an axis-aligned rectangle (Sutherland-Hodgman).
+ * Works for concave subject rings since the clip window is convex;
+ * the result may contain degenerate edges but its area is exact.
+ * @param {Array<{x: number, y: number}>} ring
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect
+ * @returns {Array<{x: number, y: number}>} Clipped ring (empty if disjoint)
+ */
+export function clipRingToRect(ring, rect) {
+  const edges = [
+    { inside: p => p.x >= rect.minX, cross: (a, b) => lerpAt(a, b, 'x', rect.minX) },
+    { inside: p => p.x <= rect.maxX, cross: (a, b) => lerpAt(a, b, 'x', rect.maxX) },
+    { inside: p => p.y >= rect.minY, cross: (a, b) => lerpAt(a, b, 'y', rect.minY) },
+    { inside: p => p.y <= rect.maxY, cross: (a, b) => lerpAt(a, b, 'y', rect.maxY) }
+  ];
+
+  let output = ring;
+
+  for (const edge of edges) {
+    if (output.length === 0) break;
+
+    const input = output;
+    output = [];
+
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+
+      if (edge.inside(current)) {
+        if (!edge.inside(previous)) output.push(edge.cross(previous, current));
+        output.push(current);
+      } else if (edge.inside(previous)) {
+        output.push(edge.cross(previous, current));
+      }
+    }
+  }
+
+  return output;
+}
+
+function lerpAt(a, b, axis, value) {
+  const t = (value - a[axis]) / (b[axis] - a[axis]);
+
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t
+  };
+}
+
+/**
+ * Project a GeoJSON polygon into planar rings with the given projection.
+ * The closing vertex is dropped.
+ * @param {FieldBoundary} polygon
+ * @param {{toLocal: Function}} projection
+ * @returns {Array<Array<{x: number, y: number}>>} [outer, ...holes]
+ */
+export function projectPolygon(polygon, projection) {
+  return polygon.coordinates.map(ring => {
+    const points = ringToLatLngs(ring).map(projection.toLocal);
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (points.length > 1 && first.x === last.x && first.y === last.y) {
+      points.pop();
+    }
+
+    return points;
+  });
+}
+
+/**
+ * Area (m²) of the part of a projected polygon that falls inside a rectangle
+ * @param {Array<Array<{x: number, y: number}>>} rings - [outer, ...holes] in meters
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect
+ * @returns {{area: number, outline: Array<{x: number, y: number}>}}
+ */
+export function clipPolygonAreaToRect(rings, rect) {
+  const [outer, ...holes] = rings;
+  const outline = clipRingToRect(outer, rect);
+
+  if (outline.length < 3) {
+    return { area: 0, outline: [] };
+  }
+
+  const holeArea = holes.reduce((sum, hole) => {
+    const clippedHole = clipRingToRect(hole, rect);
+    return sum + (clippedHole.length >= 3 ? ringArea(clippedHole) : 0);
+  }, 0);
+
+  return {
+    area: Math.max(0, ringArea(outline) - holeArea),
+    outline
+  };
+}
+
+/**
+ * Area of a GeoJSON polygon in hectares (holes subtracted)
+ * @param {FieldBoundary} polygon
+ * @returns {number}
+ */
+export function polygonAreaHectares(polygon) {
+  const bounds = getPolygonBounds(polygon);
+  const projection = createLocalProjection({
+    lat: (bounds.south + bounds.north) / 2,
+    lng: (bounds.west + bounds.east) / 2
+  });
+  const [outer, ...holes] = projectPolygon(polygon, projection);
+
+  const area = ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0);
+
+  return area / 10000;
+}
+
+/**
+ * Convex hull of planar points (Andrew's monotone chain)
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>} Hull in counter-clockwise order, not closed
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  const upper = [];
+
+  sorted.forEach(p => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  });
+
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
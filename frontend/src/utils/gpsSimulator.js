@@ -3,55 +3,53 @@
  * Generates realistic GPS coordinates for agricultural field
  */
 
-// Field configuration (New Delhi area)
-const FIELD_CONFIG = {
-  center: {
-    lat: 28.6139,
-    lng: 77.2090
-  },
-  // Field dimensions in degrees (approx 200m x 200m)
-  bounds: {
-    latDelta: 0.002,  // ~220m north-south
-    lngDelta: 0.002   // ~220m east-west
-  }
-};
+import { isPointInPolygon, getPolygonBounds } from './geometry';
+import { getDefaultField, getFieldCenterPoint } from './fieldRegistry';
 
 /**
- * Generate random GPS coordinate within field bounds
+ * Generate random GPS coordinate within the field boundary
+ * @param {import('./fieldRegistry').FieldProfile} [field] - Defaults to the first registered field
  * @returns {{ lat: number, lng: number }}
  */
-export function generateFieldGPS() {
-  const { center, bounds } = FIELD_CONFIG;
+export function generateFieldGPS(field = getDefaultField()) {
+  const { boundary } = field;
+  const { south, west, north, east } = getPolygonBounds(boundary);
   
-  // Random offset within bounds
-  const latOffset = (Math.random() - 0.5) * bounds.latDelta;
-  const lngOffset = (Math.random() - 0.5) * bounds.lngDelta;
+  // Rejection sampling inside the boundary's bounding box
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const point = {
+      lat: parseFloat((south + Math.random() * (north - south)).toFixed(6)),
+      lng: parseFloat((west + Math.random() * (east - west)).toFixed(6))
+    };
+    
+    if (isPointInPolygon(point, boundary)) {
+      return point;
+    }
+  }
   
-  return {
-    lat: parseFloat((center.lat + latOffset).toFixed(6)),
-    lng: parseFloat((center.lng + lngOffset).toFixed(6))
-  };
+  return getFieldCenterPoint(field);
 }
 
 /**
  * Generate grid-pattern GPS coordinates (systematic drone scan)
  * @param {number} rows - Number of rows
  * @param {number} cols - Number of columns
+ * @param {import('./fieldRegistry').FieldProfile} [field]
  * @returns {Array<{lat: number, lng: number}>}
  */
-export function generateGridGPS(rows = 4, cols = 5) {
-  const { center, bounds } = FIELD_CONFIG;
+export function generateGridGPS(rows = 4, cols = 5, field = getDefaultField()) {
+  const { south, west, north, east } = getPolygonBounds(field.boundary);
   const coordinates = [];
   
   for (let row = 0; row < rows; row++) {
     for (let col = 0; col < cols; col++) {
       // Calculate position in grid
-      const latOffset = (row / (rows - 1) - 0.5) * bounds.latDelta;
-      const lngOffset = (col / (cols - 1) - 0.5) * bounds.lngDelta;
+      const lat = south + (row / (rows - 1)) * (north - south);
+      const lng = west + (col / (cols - 1)) * (east - west);
       
       coordinates.push({
-        lat: parseFloat((center.lat + latOffset).toFixed(6)),
-        lng: parseFloat((center.lng + lngOffset).toFixed(6))
+        lat: parseFloat(lat.toFixed(6)),
+        lng: parseFloat(lng.toFixed(6))
       });
     }
   }
@@ -61,22 +59,33 @@ export function generateGridGPS(rows = 4, cols = 5) {
 
 /**
  * Get field center coordinates
+ * @param {import('./fieldRegistry').FieldProfile} [field]
  * @returns {{ lat: number, lng: number }}
  */
-export function getFieldCenter() {
-  return FIELD_CONFIG.center;
+export function getFieldCenter(field = getDefaultField()) {
+  return getFieldCenterPoint(field);
+}
+
+/**
+ * Get field boundary polygon
+ * @param {import('./fieldRegistry').FieldProfile} [field]
+ * @returns {import('./geometry').FieldBoundary}
+ */
+export function getFieldBoundary(field = getDefaultField()) {
+  return field.boundary;
 }
 
 /**
  * Get field bounds for map viewport
+ * @param {import('./fieldRegistry').FieldProfile} [field]
  * @returns {Array<Array<number>>} [[south, west], [north, east]]
  */
-export function getFieldBounds() {
-  const { center, bounds } = FIELD_CONFIG;
+export function getFieldBounds(field = getDefaultField()) {
+  const { south, west, north, east } = getPolygonBounds(field.boundary);
   
   return [
-    [center.lat - bounds.latDelta / 2, center.lng - bounds.lngDelta / 2], // Southwest
-    [center.lat + bounds.latDelta / 2, center.lng + bounds.lngDelta / 2]  // Northeast
+    [south, west], // Southwest
+    [north, east]  // Northeast
   ];
 }
 
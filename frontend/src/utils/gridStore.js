@@ -0,0 +1,194 @@
+/**
+ * Incremental Grid Store
+ * Applies streaming detections to grid cells one at a time
+ * and emits change events for the cells that changed
+ */
+
+import {
+  createFieldGrid,
+  flattenGrid,
+  findCellForPoint,
+  createGridCounters,
+  accumulateCellStats,
+  summarizeGridStats
+} from './fieldGrid';
+import { scoreCellWithDetection, scoreCellObservations } from './severityScoring';
+
+// Smallest severity drift that re-ages a cell on refresh (cells show severity in whole percent)
+const SEVERITY_REFRESH_TOLERANCE = 0.01;
+
+/**
+ * Change event emitted after each batch of detections
+ * @typedef {Object} GridChangeEvent
+ * @property {Array<GridCell>} changedCells - New cell objects that changed
+ * @property {Object} stats - Current grid statistics
+ */
+
+export class GridStore {
+  /**
+   * @param {import('./fieldRegistry').FieldProfile} [field]
+   */
+  constructor(field) {
+    this.grid = createFieldGrid(field);
+    this.listeners = new Set();
+    this.detectionIds = new Set();
+    this.infectedCells = new Map();
+
+    this.counters = createGridCounters();
+    flattenGrid(this.grid).forEach(cell => accumulateCellStats(this.counters, cell));
+    this.stats = summarizeGridStats(this.counters, this.grid);
+  }
+
+  /**
+   * Has this detection already been applied?
+   * @param {string} id
+   * @returns {boolean}
+   */
+  hasDetection(id) {
+    return this.detectionIds.has(id);
+  }
+
+  /**
+   * Apply one detection to its cell and rescore it (copy-on-write,
+   * so changed cells get a new identity). Does not emit - use applyDetections for that.
+   * @param {Object} detection - Detection with id and gps
+   * @returns {GridCell|null} The updated cell, or null if nothing changed
+   */
+  applyDetection(detection) {
+    if (this.detectionIds.has(detection.id)) return null;
+    this.detectionIds.add(detection.id);
+
+    if (!detection.gps) return null;
+
+    const cell = findCellForPoint(detection.gps, this.grid);
+    if (!cell) return null;
+
+    return this.replaceCell(cell, {
+      ...cell,
+      ...scoreCellWithDetection(cell, detection, this.grid.meta.severityConfig)
+    });
+  }
+
+  /**
+   * Swap a rescored cell into the grid, the infected set and the counters
+   * @param {GridCell} cell - Current cell
+   * @param {GridCell} updated - Its replacement
+   * @returns {GridCell} The updated cell
+   */
+  replaceCell(cell, updated) {
+    this.grid[cell.row][cell.col] = updated;
+
+    // Severity can drop below the threshold when newer, healthy observations decay old evidence
+    if (updated.infected) {
+      this.infectedCells.set(updated.id, updated);
+    } else {
+      this.infectedCells.delete(updated.id);
+    }
+
+    // O(1) counter update: swap the old cell's contribution for the new one
+    accumulateCellStats(this.counters, cell, -1);
+    accumulateCellStats(this.counters, updated);
+
+    return updated;
+  }
+
+  /**
+   * Rescore every observed cell at the given time, so cells nobody sees
+   * again age out, and notify listeners if any cell changed level, infection
+   * or drifted by at least SEVERITY_REFRESH_TOLERANCE
+   * @param {number} [now] - Scoring time (epoch ms)
+   * @returns {Array<GridCell>} Changed cells
+   */
+  refreshSeverity(now = Date.now()) {
+    const changed = flattenGrid(this.grid)
+      .filter(cell => cell.observations.evidence > 0)
+      .map(cell => {
+        const score = scoreCellObservations(cell.observations, this.grid.meta.severityConfig, now);
+        const moved = score.severityLevel !== cell.severityLevel ||
+          score.infected !== cell.infected ||
+          Math.abs(score.severity - cell.severity) >= SEVERITY_REFRESH_TOLERANCE;
+        return moved ? this.replaceCell(cell, { ...cell, ...score }) : null;
+      })
+      .filter(Boolean);
+
+    this.notify(changed);
+    return changed;
+  }
+
+  /**
+   * Apply a batch of detections and notify listeners once
+   * @param {Array<Object>} detections
+   * @returns {Array<GridCell>} Changed cells
+   */
+  applyDetections(detections) {
+    const changed = new Map();
+
+    detections.forEach(detection => {
+      const cell = this.applyDetection(detection);
+      if (cell) changed.set(cell.id, cell);
+    });
+
+    this.notify(Array.from(changed.values()));
+    return Array.from(changed.values());
+  }
+
+  /**
+   * Emit one change event for the changed cells (if any)
+   * @param {Array<GridCell>} changedCells
+   */
+  notify(changedCells) {
+    if (changedCells.length === 0) return;
+
+    this.stats = summarizeGridStats(this.counters, this.grid);
+    this.emit({
+      changedCells,
+      stats: this.stats
+    });
+  }
+
+  /**
+   * Current statistics (same shape as calculateGridStats).
+   * The object identity only changes when the counters change.
+   * @returns {Object}
+   */
+  getStats() {
+    return this.stats;
+  }
+
+  /**
+   * Infected cells in the order they became infected
+   * @returns {Array<GridCell>}
+   */
+  getInfectedCells() {
+    return Array.from(this.infectedCells.values());
+  }
+
+  /**
+   * Subscribe to change events
+   * @param {function(GridChangeEvent): void} listener
+   * @returns {function(): void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Grid store listener error:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create an empty grid store for a field
+ * @param {import('./fieldRegistry').FieldProfile} [field]
+ * @returns {GridStore}
+ */
+export function createGridStore(field) {
+  return new GridStore(field);
+}
@@ -0,0 +1,236 @@
+/**
+ * Disease Heatmap
+ * Kernel density estimate of disease detections, rendered to an image overlay
+ */
+
+import {
+  createLocalProjection,
+  getPolygonBounds,
+  projectPolygon,
+  isPointInRing
+} from './geometry';
+import { getDetectionItems, isHealthyClass, SEVERITY_CONFIG } from './severityScoring';
+
+export const HEATMAP_CONFIG = {
+  bandwidthMeters: 12,   // Gaussian kernel sigma
+  pixelSizeMeters: 1,    // Raster resolution (coarsened for large fields)
+  maxPixels: 400,        // Longest raster edge in pixels
+  maxOpacity: 0.85,
+
+  // Colour ramp from low to high density
+  colorStops: [
+    { at: 0.0, color: [59, 130, 246] },   // blue
+    { at: 0.35, color: [16, 185, 129] },  // green
+    { at: 0.6, color: [245, 158, 11] },   // amber
+    { at: 0.8, color: [249, 115, 22] },   // orange
+    { at: 1.0, color: [220, 38, 38] }     // red
+  ]
+};
+
+/**
+ * Disease classes present in the detections (healthy classes excluded)
+ * @param {Array} detections
+ * @param {Object} [severityConfig]
+ * @returns {Array<string>} Sorted class names
+ */
+export function getDiseaseClasses(detections, severityConfig = SEVERITY_CONFIG) {
+  const classes = new Set();
+
+  detections.forEach(detection => {
+    getDetectionItems(detection).forEach(({ class_name }) => {
+      if (class_name && !isHealthyClass(class_name, severityConfig)) {
+        classes.add(class_name);
+      }
+    });
+  });
+
+  return [...classes].sort();
+}
+
+/**
+ * Heatmap points weighted by summed disease confidence
+ * @param {Array} detections - Detections with gps
+ * @param {Object} [options]
+ * @param {string|null} [options.classFilter] - Only this disease class (null for all)
+ * @param {Object} [options.severityConfig]
+ * @returns {Array<{lat: number, lng: number, weight: number}>}
+ */
+export function getHeatmapPoints(detections, { classFilter = null, severityConfig = SEVERITY_CONFIG } = {}) {
+  const points = [];
+
+  detections.forEach(detection => {
+    if (!detection.gps) return;
+
+    const weight = getDetectionItems(detection).reduce((sum, { class_name, confidence = 0 }) => {
+      if (!class_name || isHealthyClass(class_name, severityConfig)) return sum;
+      if (classFilter && class_name !== classFilter) return sum;
+      if (confidence < severityConfig.minConfidence) return sum;
+      return sum + confidence;
+    }, 0);
+
+    if (weight > 0) {
+      points.push({ ...detection.gps, weight });
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Gaussian kernel density over the field, masked to the field boundary
+ * @param {Array<{lat: number, lng: number, weight: number}>} points
+ * @param {import('./fieldRegistry').FieldProfile} field
+ * @param {Object} [options] - Overrides for HEATMAP_CONFIG
+ * @returns {{width: number, height: number, values: Float32Array, max: number, bounds: Array}}
+ */
+export function computeDensityGrid(points, field, options = {}) {
+  const { bandwidthMeters, pixelSizeMeters, maxPixels } = { ...HEATMAP_CONFIG, ...options };
+  const { south, west, north, east } = getPolygonBounds(field.boundary);
+
+  const projection = createLocalProjection({
+    lat: (south + north) / 2,
+    lng: (west + east) / 2
+  });
+  const min = projection.toLocal({ lat: south, lng: west });
+  const max = projection.toLocal({ lat: north, lng: east });
+
+  // Pixel size grows for big fields so the raster stays bounded
+  const spanX = max.x - min.x;
+  const spanY = max.y - min.y;
+  const pixel = Math.max(pixelSizeMeters, Math.max(spanX, spanY) / maxPixels);
+  const width = Math.max(1, Math.ceil(spanX / pixel));
+  const height = Math.max(1, Math.ceil(spanY / pixel));
+  const values = new Float32Array(width * height);
+
+  // Splat each point's kernel out to 3 sigma
+  const radius = Math.ceil((3 * bandwidthMeters) / pixel);
+  const twoSigmaSq = 2 * bandwidthMeters * bandwidthMeters;
+
+  points.forEach(point => {
+    const { x, y } = projection.toLocal(point);
+    const px = (x - min.x) / pixel;
+    const py = (max.y - y) / pixel;  // row 0 is the north edge
+    const cx = Math.floor(px);
+    const cy = Math.floor(py);
+
+    for (let row = Math.max(0, cy - radius); row <= Math.min(height - 1, cy + radius); row++) {
+      for (let col = Math.max(0, cx - radius); col <= Math.min(width - 1, cx + radius); col++) {
+        const dx = (col + 0.5 - px) * pixel;
+        const dy = (row + 0.5 - py) * pixel;
+        values[row * width + col] += point.weight * Math.exp(-(dx * dx + dy * dy) / twoSigmaSq);
+      }
+    }
+  });
+
+  // Mask pixels outside the field (and inside holes)
+  const [outer, ...holes] = projectPolygon(field.boundary, projection);
+  let peak = 0;
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const index = row * width + col;
+      if (values[index] === 0) continue;
+
+      const center = { x: min.x + (col + 0.5) * pixel, y: max.y - (row + 0.5) * pixel };
+      const inside = isPointInRing(center, outer) && !holes.some(hole => isPointInRing(center, hole));
+
+      if (!inside) {
+        values[index] = 0;
+      } else if (values[index] > peak) {
+        peak = values[index];
+      }
+    }
+  }
+
+  const southWest = projection.toLatLng({ x: min.x, y: max.y - height * pixel });
+  const northEast = projection.toLatLng({ x: min.x + width * pixel, y: max.y });
+
+  return {
+    width,
+    height,
+    values,
+    max: peak,
+    bounds: [
+      [southWest.lat, southWest.lng],
+      [northEast.lat, northEast.lng]
+    ]
+  };
+}
+
+/**
+ * Colour for a normalised density (0-1) from the colour ramp
+ * @param {number} t
+ * @param {Array} colorStops
+ * @returns {Array<number>} [r, g, b]
+ */
+function rampColor(t, colorStops) {
+  for (let i = 1; i < colorStops.length; i++) {
+    const lower = colorStops[i - 1];
+    const upper = colorStops[i];
+
+    if (t <= upper.at) {
+      const f = (t - lower.at) / (upper.at - lower.at);
+      return lower.color.map((c, k) => Math.round(c + (upper.color[k] - c) * f));
+    }
+  }
+
+  return colorStops[colorStops.length - 1].color;
+}
+
+/**
+ * Render a density grid to a PNG data URL
+ * @param {Object} density - From computeDensityGrid
+ * @param {Object} [options] - Overrides for HEATMAP_CONFIG
+ * @returns {string|null} Data URL, or null when there is nothing to draw / no canvas support
+ */
+export function renderDensityImage(density, options = {}) {
+  const { colorStops, maxOpacity } = { ...HEATMAP_CONFIG, ...options };
+  const { width, height, values, max } = density;
+
+  if (max <= 0 || typeof document === 'undefined') return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const image = ctx.createImageData(width, height);
+
+  for (let i = 0; i < values.length; i++) {
+    const t = values[i] / max;
+    if (t < 0.02) continue;
+
+    const [r, g, b] = rampColor(t, colorStops);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = Math.round(255 * maxOpacity * Math.min(1, 0.25 + t));
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Build a heatmap for a field
+ * @param {Array} detections - Detections with gps
+ * @param {import('./fieldRegistry').FieldProfile} field
+ * @param {Object} [options]
+ * @param {string|null} [options.classFilter] - Only this disease class
+ * @param {Object} [options.severityConfig]
+ * @returns {{imageUrl: string|null, bounds: Array, width: number, height: number, pointCount: number, classFilter: string|null}}
+ */
+export function createHeatmap(detections, field, options = {}) {
+  const points = getHeatmapPoints(detections, options);
+  const density = computeDensityGrid(points, field, options);
+
+  return {
+    imageUrl: renderDensityImage(density, options),
+    bounds: density.bounds,
+    width: density.width,
+    height: density.height,
+    pointCount: points.length,
+    classFilter: options.classFilter || null
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Marker Clustering
+ * Zoom-aware grouping of detection pins in screen space, plus spiderfy layout
+ */
+
+import { getDetectionSeverity, SEVERITY_LEVELS, SEVERITY_CONFIG } from './severityScoring';
+
+export const CLUSTER_CONFIG = {
+  radiusPixels: 60,          // Pins closer than this on screen are merged
+  spiderfyCircleMax: 8,      // Up to this many pins go on a circle, more on a spiral
+  spiderfyCirclePixels: 40,  // Base circle radius
+  spiralStartPixels: 11,     // Spiral radius at the first pin
+  spiralStepPixels: 28,      // Spacing between consecutive spiral pins
+  spiralGrowthPixels: 5      // Spiral radius growth per turn (× 2π / angle)
+};
+
+/**
+ * Detection cluster
+ * @typedef {Object} DetectionCluster
+ * @property {string} id - Stable key (oldest member's detection ID)
+ * @property {{lat: number, lng: number}} center - Mean member position
+ * @property {Array<Object>} detections - Member detections, oldest first
+ * @property {Array<Array<number>>} bounds - [[south, west], [north, east]] of members
+ * @property {number} worstSeverity - Highest member severity (0-1)
+ * @property {'none'|'low'|'moderate'|'high'} worstSeverityLevel
+ */
+
+// Detection time for ordering (undated detections count as oldest)
+function getDetectionTime(detection) {
+  const time = Date.parse(detection.timestamp);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Group detections whose projected positions fall within radiusPixels of a cluster.
+ * Greedy single pass in time order with a pixel bucket grid, so it is O(n log n) per zoom level.
+ * Seeds are placed oldest first, so a new detection joins the clusters around it
+ * instead of re-seeding them, and each cluster keeps its key.
+ * @param {Array<Object>} detections - Detections with gps
+ * @param {function({lat: number, lng: number}): {x: number, y: number}} project - Lat/lng to pixels at the current zoom
+ * @param {Object} [options]
+ * @param {number} [options.radiusPixels]
+ * @param {Object} [options.severityConfig]
+ * @returns {Array<DetectionCluster>}
+ */
+export function clusterDetections(detections, project, options = {}) {
+  const { radiusPixels, severityConfig } = {
+    ...CLUSTER_CONFIG,
+    severityConfig: SEVERITY_CONFIG,
+    ...options
+  };
+
+  const buckets = new Map();
+  const clusters = [];
+  const bucketKey = (bx, by) => `${bx}:${by}`;
+
+  const chronological = detections
+    .filter(detection => detection.gps)
+    .sort((a, b) => getDetectionTime(a) - getDetectionTime(b));
+
+  chronological.forEach(detection => {
+    const point = project(detection.gps);
+    const bx = Math.floor(point.x / radiusPixels);
+    const by = Math.floor(point.y / radiusPixels);
+
+    // Nearest existing cluster seed within the radius (3×3 buckets)
+    let nearest = null;
+    let nearestDistance = radiusPixels;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const cluster of buckets.get(bucketKey(bx + dx, by + dy)) || []) {
+          const distance = Math.hypot(cluster.seed.x - point.x, cluster.seed.y - point.y);
+          if (distance <= nearestDistance) {
+            nearest = cluster;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+
+    if (!nearest) {
+      nearest = { seed: point, members: [] };
+      clusters.push(nearest);
+
+      const key = bucketKey(bx, by);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(nearest);
+    }
+
+    nearest.members.push(detection);
+  });
+
+  return clusters.map(({ members }) => summarizeCluster(members, severityConfig));
+}
+
+/**
+ * Cluster attributes from its member detections
+ * @param {Array<Object>} members
+ * @param {Object} severityConfig
+ * @returns {DetectionCluster}
+ */
+function summarizeCluster(members, severityConfig) {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+  let latSum = 0;
+  let lngSum = 0;
+  let worstSeverity = 0;
+  let worstSeverityLevel = SEVERITY_LEVELS[0];
+
+  members.forEach(detection => {
+    const { lat, lng } = detection.gps;
+    latSum += lat;
+    lngSum += lng;
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+    west = Math.min(west, lng);
+    east = Math.max(east, lng);
+
+    const { severity, severityLevel } = getDetectionSeverity(detection, severityConfig);
+    if (severity > worstSeverity) {
+      worstSeverity = severity;
+      worstSeverityLevel = severityLevel;
+    }
+  });
+
+  return {
+    id: members[0].id,
+    center: { lat: latSum / members.length, lng: lngSum / members.length },
+    detections: members,
+    bounds: [[south, west], [north, east]],
+    worstSeverity,
+    worstSeverityLevel
+  };
+}
+
+/**
+ * Do all members sit on the same spot (so zooming in can never split them)?
+ * @param {DetectionCluster} cluster
+ * @returns {boolean}
+ */
+export function isClusterCollocated(cluster) {
+  const [[south, west], [north, east]] = cluster.bounds;
+  return north - south < 1e-7 && east - west < 1e-7;
+}
+
+/**
+ * Screen offsets for spiderfied pins around a cluster centre
+ * (circle for small clusters, Archimedean spiral for large ones)
+ * @param {number} count
+ * @param {Object} [options] - Overrides for CLUSTER_CONFIG
+ * @returns {Array<{x: number, y: number}>} Pixel offsets from the centre
+ */
+export function getSpiderfyOffsets(count, options = {}) {
+  const {
+    spiderfyCircleMax,
+    spiderfyCirclePixels,
+    spiralStartPixels,
+    spiralStepPixels,
+    spiralGrowthPixels
+  } = { ...CLUSTER_CONFIG, ...options };
+
+  if (count <= spiderfyCircleMax) {
+    // Grow the circle so pins do not overlap
+    const radius = Math.max(spiderfyCirclePixels, (count * spiralStepPixels) / (2 * Math.PI));
+    return Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+      return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+    });
+  }
+
+  const offsets = [];
+  let radius = spiralStartPixels;
+  let angle = 0;
+
+  for (let i = 0; i < count; i++) {
+    angle += spiralStepPixels / radius + 0.0005 * i;
+    offsets.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+    radius += (spiralGrowthPixels * 2 * Math.PI) / angle;
+  }
+
+  return offsets;
+}
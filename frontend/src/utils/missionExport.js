@@ -0,0 +1,531 @@
+/**
+ * Mission Export
+ * Writes a spray path (or one sortie) as a flyable mission - QGroundControl
+ * .plan, MAVLink WPL 110, KML and GPX - and reads those files back.
+ * Every format carries the same mission plan: launch and landing points,
+ * altitude, speed per leg, nozzles on/off per leg and hover-spray holds.
+ */
+
+import { DRONE_CONFIG } from './droneConfig';
+import { getDwellSeconds } from './flightModel';
+
+// Export formats offered in the planner
+export const MISSION_FORMATS = {
+  plan: { label: 'QGC .plan', extension: 'plan', mimeType: 'application/json' },
+  wpl: { label: 'WPL 110', extension: 'waypoints', mimeType: 'text/plain' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+// MAVLink commands and frames used by the mission
+const MAV_CMD = {
+  NAV_WAYPOINT: 16,
+  NAV_LOITER_TIME: 19,
+  NAV_LAND: 21,
+  NAV_TAKEOFF: 22,
+  DO_CHANGE_SPEED: 178,
+  DO_SPRAYER: 216
+};
+
+const MAV_FRAME = {
+  GLOBAL: 0,
+  MISSION: 2,
+  GLOBAL_RELATIVE_ALT: 3
+};
+
+const KML_NS = 'http://www.opengis.net/kml/2.2';
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+const SPRAY_NS = 'urn:precision-agriculture:spray-mission:1';
+
+/**
+ * Mission plan - what every export format stores
+ * @typedef {Object} MissionPlan
+ * @property {{lat: number, lng: number}} launch
+ * @property {{lat: number, lng: number}} landing
+ * @property {number} altitude - Take-off altitude, meters above the launch point
+ * @property {number} landingSpeed - m/s on the flight to the landing point
+ * @property {Array<MissionItem>} items
+ */
+
+/**
+ * Mission item - one waypoint and the leg flown to it
+ * @typedef {Object} MissionItem
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} altitude - Meters above the launch point
+ * @property {number} speed - m/s on the leg to this waypoint
+ * @property {boolean} spray - Nozzles on along the leg to this waypoint
+ * @property {number} holdSeconds - Hover-spraying at the waypoint
+ */
+
+// 7 decimals (~1 cm) so every format stores the coordinates exactly
+const roundCoordinate = value => parseFloat(value.toFixed(7));
+
+/**
+ * Mission plan for a path or sortie
+ * @param {Object} pathData - Path-shaped {startPoint, endPoint, waypoints}
+ * @param {Object} [config] - Drone config (altitude, speeds, hover-spray dwell)
+ * @returns {MissionPlan}
+ */
+export function buildMissionPlan(pathData, config = DRONE_CONFIG) {
+  const altitude = config.flightAltitudeMeters;
+
+  return {
+    launch: { lat: roundCoordinate(pathData.startPoint.lat), lng: roundCoordinate(pathData.startPoint.lng) },
+    landing: { lat: roundCoordinate(pathData.endPoint.lat), lng: roundCoordinate(pathData.endPoint.lng) },
+    altitude,
+    landingSpeed: config.cruiseSpeed,
+    items: pathData.waypoints.map(waypoint => ({
+      lat: roundCoordinate(waypoint.position.lat),
+      lng: roundCoordinate(waypoint.position.lng),
+      altitude,
+      speed: waypoint.spray ? config.spraySpeed : config.cruiseSpeed,
+      spray: !!waypoint.spray,
+      holdSeconds: parseFloat(getDwellSeconds(waypoint, config).toFixed(1))
+    }))
+  };
+}
+
+// ============================================
+// MAVLINK MISSION ITEMS (.plan and WPL 110)
+// ============================================
+
+/**
+ * Mission plan as MAVLink mission items
+ * Speed and sprayer changes are DO commands ahead of the leg they apply to;
+ * a hover-spray hold is a timed loiter with the sprayer switched on around it.
+ * @param {MissionPlan} plan
+ * @returns {Array<{command: number, frame: number, params: Array<number|null>}>}
+ */
+function toMavlinkItems(plan) {
+  const items = [];
+  const nav = (command, { lat, lng }, altitude, param1 = 0) => items.push({
+    command,
+    frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+    params: [param1, 0, 0, null, lat, lng, altitude]
+  });
+  const action = (command, param1, param2 = 0) => items.push({
+    command,
+    frame: MAV_FRAME.MISSION,
+    params: [param1, param2, command === MAV_CMD.DO_CHANGE_SPEED ? -1 : 0, 0, 0, 0, 0]
+  });
+
+  let speed = null;
+  let spray = false;
+  const setSpeed = (value) => {
+    if (value !== speed) action(MAV_CMD.DO_CHANGE_SPEED, 1, value);
+    speed = value;
+  };
+  const setSpray = (value) => {
+    if (value !== spray) action(MAV_CMD.DO_SPRAYER, value ? 1 : 0);
+    spray = value;
+  };
+
+  nav(MAV_CMD.NAV_TAKEOFF, plan.launch, plan.altitude);
+
+  plan.items.forEach(item => {
+    setSpeed(item.speed);
+    setSpray(item.spray);
+    nav(MAV_CMD.NAV_WAYPOINT, item, item.altitude);
+
+    if (item.holdSeconds > 0) {
+      const wasSpraying = spray;
+      setSpray(true);
+      nav(MAV_CMD.NAV_LOITER_TIME, item, item.altitude, item.holdSeconds);
+      setSpray(wasSpraying);
+    }
+  });
+
+  setSpray(false);
+  setSpeed(plan.landingSpeed);
+  nav(MAV_CMD.NAV_LAND, plan.landing, 0);
+
+  return items;
+}
+
+/**
+ * Mission plan from MAVLink mission items
+ * @param {Array<{command: number, params: Array<number|null>}>} items
+ * @returns {MissionPlan}
+ */
+function fromMavlinkItems(items) {
+  const plan = { launch: null, landing: null, altitude: 0, landingSpeed: 0, items: [] };
+  let speed = 0;
+  let spray = false;
+
+  items.forEach(({ command, params }) => {
+    const point = { lat: Number(params[4]), lng: Number(params[5]) };
+
+    switch (command) {
+      case MAV_CMD.NAV_TAKEOFF:
+        plan.launch = point;
+        plan.altitude = Number(params[6]);
+        break;
+      case MAV_CMD.DO_CHANGE_SPEED:
+        speed = Number(params[1]);
+        break;
+      case MAV_CMD.DO_SPRAYER:
+        spray = Number(params[0]) === 1;
+        break;
+      case MAV_CMD.NAV_WAYPOINT:
+        plan.items.push({ ...point, altitude: Number(params[6]), speed, spray, holdSeconds: 0 });
+        break;
+      case MAV_CMD.NAV_LOITER_TIME:
+        if (plan.items.length > 0) plan.items[plan.items.length - 1].holdSeconds = Number(params[0]);
+        break;
+      case MAV_CMD.NAV_LAND:
+        plan.landing = point;
+        plan.landingSpeed = speed;
+        break;
+      default:
+        console.warn('⚠️ Skipping unsupported mission command:', command);
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * QGroundControl .plan (JSON)
+ */
+function writeQgcPlan(plan, config) {
+  const items = toMavlinkItems(plan).map((item, i) => ({
+    type: 'SimpleItem',
+    autoContinue: true,
+    command: item.command,
+    doJumpId: i + 1,
+    frame: item.frame,
+    params: item.params,
+    ...(item.frame === MAV_FRAME.GLOBAL_RELATIVE_ALT && {
+      Altitude: item.params[6],
+      AltitudeMode: 1,
+      AMSLAltAboveTerrain: null
+    })
+  }));
+
+  return JSON.stringify({
+    fileType: 'Plan',
+    version: 1,
+    groundStation: 'QGroundControl',
+    mission: {
+      version: 2,
+      firmwareType: 3,     // ArduPilot (DO_SPRAYER)
+      vehicleType: 2,      // Quadrotor
+      cruiseSpeed: config.cruiseSpeed,
+      hoverSpeed: config.spraySpeed,
+      globalPlanAltitudeMode: 1,
+      plannedHomePosition: [plan.launch.lat, plan.launch.lng, 0],
+      items
+    },
+    geoFence: { version: 2, circles: [], polygons: [] },
+    rallyPoints: { version: 2, points: [] }
+  }, null, 2);
+}
+
+function readQgcPlan(text) {
+  const { mission } = JSON.parse(text);
+  return fromMavlinkItems(mission.items.filter(item => item.type === 'SimpleItem'));
+}
+
+/**
+ * MAVLink WPL 110 text (Mission Planner / QGC waypoint file), home as item 0
+ */
+function writeWpl(plan) {
+  const row = (index, current, frame, command, params) => [
+    index, current, frame, command, ...params.map(value => value ?? 0), 1
+  ].join('\t');
+
+  return [
+    'QGC WPL 110',
+    row(0, 1, MAV_FRAME.GLOBAL, MAV_CMD.NAV_WAYPOINT, [0, 0, 0, 0, plan.launch.lat, plan.launch.lng, 0]),
+    ...toMavlinkItems(plan).map((item, i) => row(i + 1, 0, item.frame, item.command, item.params))
+  ].join('\n') + '\n';
+}
+
+function readWpl(text) {
+  const lines = text.trim().split(/\r?\n/);
+  if (!/^QGC WPL 110/.test(lines[0])) {
+    throw new Error('Not a WPL 110 waypoint file');
+  }
+
+  const items = lines.slice(1)
+    .map(line => line.trim().split(/\s+/).map(Number))
+    .filter(columns => columns.length >= 12 && columns[0] !== 0)
+    .map(columns => ({ command: columns[3], params: columns.slice(4, 11) }));
+
+  return fromMavlinkItems(items);
+}
+
+// ============================================
+// KML AND GPX
+// ============================================
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document, failing on malformed input
+ * @param {string} text
+ * @returns {Document}
+ */
+export function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML');
+  }
+  return doc;
+}
+
+/**
+ * KML: the flight path as a line, and a placemark per point carrying the mission data
+ */
+function writeKml(plan, name) {
+  const data = fields => Object.entries(fields)
+    .map(([key, value]) => `<Data name="${key}"><value>${value}</value></Data>`)
+    .join('');
+  const placemark = (label, fields, { lat, lng }, altitude) => `
+      <Placemark>
+        <name>${escapeXml(label)}</name>
+        <ExtendedData>${data(fields)}</ExtendedData>
+        <Point><altitudeMode>relativeToGround</altitudeMode><coordinates>${lng},${lat},${altitude}</coordinates></Point>
+      </Placemark>`;
+
+  const line = [
+    `${plan.launch.lng},${plan.launch.lat},0`,
+    ...plan.items.map(item => `${item.lng},${item.lat},${item.altitude}`),
+    `${plan.landing.lng},${plan.landing.lat},0`
+  ].join(' ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NS}">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Placemark>
+      <name>Flight path</name>
+      <LineString><altitudeMode>relativeToGround</altitudeMode><coordinates>${line}</coordinates></LineString>
+    </Placemark>
+    <Folder>
+      <name>Waypoints</name>${[
+        placemark('Launch', { role: 'launch', altitude: plan.altitude }, plan.launch, 0),
+        ...plan.items.map((item, i) => placemark(
+          `WP${i + 1}${item.spray ? ' 💧' : ''}`,
+          { role: 'waypoint', speed: item.speed, spray: item.spray, hold: item.holdSeconds },
+          item,
+          item.altitude
+        )),
+        placemark('Landing', { role: 'landing', speed: plan.landingSpeed }, plan.landing, 0)
+      ].join('')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+function readKml(text) {
+  const doc = parseXml(text);
+  const plan = { launch: null, landing: null, altitude: 0, landingSpeed: 0, items: [] };
+
+  Array.from(doc.getElementsByTagNameNS(KML_NS, 'Placemark')).forEach(placemark => {
+    const fields = Object.fromEntries(
+      Array.from(placemark.getElementsByTagNameNS(KML_NS, 'Data')).map(node => [
+        node.getAttribute('name'),
+        node.getElementsByTagNameNS(KML_NS, 'value')[0]?.textContent
+      ])
+    );
+    const point = placemark.getElementsByTagNameNS(KML_NS, 'Point')[0];
+    if (!point || !fields.role) return;
+
+    const [lng, lat, altitude] = point.getElementsByTagNameNS(KML_NS, 'coordinates')[0].textContent.trim().split(',').map(Number);
+
+    if (fields.role === 'launch') {
+      plan.launch = { lat, lng };
+      plan.altitude = Number(fields.altitude);
+    } else if (fields.role === 'landing') {
+      plan.landing = { lat, lng };
+      plan.landingSpeed = Number(fields.speed);
+    } else {
+      plan.items.push({
+        lat,
+        lng,
+        altitude,
+        speed: Number(fields.speed),
+        spray: fields.spray === 'true',
+        holdSeconds: Number(fields.hold)
+      });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * GPX route: one route point per mission point, mission data in extensions
+ */
+function writeGpx(plan, name) {
+  const routePoint = (label, type, { lat, lng }, altitude, extensions) => `
+    <rtept lat="${lat}" lon="${lng}">
+      <ele>${altitude}</ele>
+      <name>${escapeXml(label)}</name>
+      <type>${type}</type>
+      <extensions>${Object.entries(extensions).map(([key, value]) => `<spray:${key}>${value}</spray:${key}>`).join('')}</extensions>
+    </rtept>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Precision Agriculture Analytics" xmlns="${GPX_NS}" xmlns:spray="${SPRAY_NS}">
+  <rte>
+    <name>${escapeXml(name)}</name>${[
+      routePoint('Launch', 'launch', plan.launch, 0, { altitude: plan.altitude }),
+      ...plan.items.map((item, i) => routePoint(
+        `WP${i + 1}`,
+        'waypoint',
+        item,
+        item.altitude,
+        { speed: item.speed, spray: item.spray, hold: item.holdSeconds }
+      )),
+      routePoint('Landing', 'landing', plan.landing, 0, { speed: plan.landingSpeed })
+    ].join('')}
+  </rte>
+</gpx>
+`;
+}
+
+function readGpx(text) {
+  const doc = parseXml(text);
+  const plan = { launch: null, landing: null, altitude: 0, landingSpeed: 0, items: [] };
+
+  Array.from(doc.getElementsByTagNameNS(GPX_NS, 'rtept')).forEach(node => {
+    const point = { lat: Number(node.getAttribute('lat')), lng: Number(node.getAttribute('lon')) };
+    const type = node.getElementsByTagNameNS(GPX_NS, 'type')[0]?.textContent;
+    const extension = key => node.getElementsByTagNameNS(SPRAY_NS, key)[0]?.textContent;
+
+    if (type === 'launch') {
+      plan.launch = point;
+      plan.altitude = Number(extension('altitude'));
+    } else if (type === 'landing') {
+      plan.landing = point;
+      plan.landingSpeed = Number(extension('speed'));
+    } else {
+      plan.items.push({
+        ...point,
+        altitude: Number(node.getElementsByTagNameNS(GPX_NS, 'ele')[0]?.textContent),
+        speed: Number(extension('speed')),
+        spray: extension('spray') === 'true',
+        holdSeconds: Number(extension('hold'))
+      });
+    }
+  });
+
+  return plan;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Write a mission plan in an export format
+ * @param {MissionPlan} plan
+ * @param {'plan'|'wpl'|'kml'|'gpx'} format - See MISSION_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.name] - Mission name (KML / GPX)
+ * @param {Object} [options.config] - Drone config (.plan cruise / hover speeds)
+ * @returns {string} File contents
+ */
+export function serializeMission(plan, format, { name = 'Spray mission', config = DRONE_CONFIG } = {}) {
+  switch (format) {
+    case 'plan': return writeQgcPlan(plan, config);
+    case 'wpl': return writeWpl(plan);
+    case 'kml': return writeKml(plan, name);
+    case 'gpx': return writeGpx(plan, name);
+    default: throw new Error(`Unknown mission format: ${format}`);
+  }
+}
+
+/**
+ * Read a mission file back into a mission plan
+ * @param {string} text - File contents
+ * @param {'plan'|'wpl'|'kml'|'gpx'} format
+ * @returns {MissionPlan}
+ */
+export function parseMission(text, format) {
+  switch (format) {
+    case 'plan': return readQgcPlan(text);
+    case 'wpl': return readWpl(text);
+    case 'kml': return readKml(text);
+    case 'gpx': return readGpx(text);
+    default: throw new Error(`Unknown mission format: ${format}`);
+  }
+}
+
+/**
+ * Compare two mission plans
+ * @param {MissionPlan} expected
+ * @param {MissionPlan} actual
+ * @returns {Array<string>} Differences (empty when identical)
+ */
+export function compareMissionPlans(expected, actual) {
+  const differences = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  ['launch', 'landing', 'altitude', 'landingSpeed'].forEach(key => {
+    if (!same(expected[key], actual[key])) differences.push(key);
+  });
+
+  if (expected.items.length !== actual.items.length) {
+    differences.push(`item count ${expected.items.length} → ${actual.items.length}`);
+  } else {
+    expected.items.forEach((item, i) => {
+      if (!same(item, actual.items[i])) differences.push(`item ${i + 1}`);
+    });
+  }
+
+  return differences;
+}
+
+/**
+ * Export a path or sortie, checking the file reads back into the same mission
+ * @param {Object} pathData - Path-shaped {startPoint, endPoint, waypoints}
+ * @param {'plan'|'wpl'|'kml'|'gpx'} format
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {Object} [options.config] - Drone config
+ * @returns {{content: string, plan: MissionPlan, differences: Array<string>}}
+ */
+export function exportMission(pathData, format, { name, config = DRONE_CONFIG } = {}) {
+  const plan = buildMissionPlan(pathData, config);
+  const content = serializeMission(plan, format, { name, config });
+  const differences = compareMissionPlans(plan, parseMission(content, format));
+
+  if (differences.length > 0) {
+    console.error(`❌ ${MISSION_FORMATS[format].label} export does not read back identically:`, differences);
+  }
+
+  return { content, plan, differences };
+}
+
+/**
+ * Save text as a file in the browser
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,48 @@
+import { buildMissionPlan, exportMission, parseMission, MISSION_FORMATS } from './missionExport';
+import { DRONE_CONFIG } from './droneConfig';
+
+// Coverage swaths (spray legs), a detour and hover-sprayed cells,
+// landing away from the launch point
+const samplePath = {
+  startPoint: { lat: 28.6129, lng: 77.2088 },
+  endPoint: { lat: 28.6141, lng: 77.2101 },
+  waypoints: [
+    { id: 'Z1-0-start', position: { lat: 28.61301, lng: 77.20895 }, spray: false },
+    { id: 'Z1-0-end', position: { lat: 28.61301, lng: 77.20962 }, spray: true },
+    { id: 'Z1-1-start', position: { lat: 28.61309, lng: 77.20962 }, spray: false },
+    { id: 'Z1-1-end', position: { lat: 28.61309, lng: 77.20895 }, spray: true },
+    { id: 'detour-0', position: { lat: 28.6135123, lng: 77.2091456 }, detour: true },
+    { cellId: '3_4', position: { lat: 28.613622, lng: 77.209561 }, areaHectares: 0.04 },
+    { cellId: '3_5', position: { lat: 28.613622, lng: 77.209766 }, areaHectares: 0.0273 }
+  ]
+};
+
+describe('mission export round trip', () => {
+  const plan = buildMissionPlan(samplePath, DRONE_CONFIG);
+
+  test('sample plan has spray legs, holds and a separate landing point', () => {
+    expect(plan.items.some(item => item.spray)).toBe(true);
+    expect(plan.items.some(item => item.holdSeconds > 0)).toBe(true);
+    expect(plan.landing).not.toEqual(plan.launch);
+  });
+
+  test.each(Object.keys(MISSION_FORMATS))('%s reads back the same mission', format => {
+    const { content, differences } = exportMission(samplePath, format, { name: 'Round trip' });
+    const parsed = parseMission(content, format);
+
+    expect(differences).toEqual([]);
+    expect(parsed.launch).toEqual(plan.launch);
+    expect(parsed.landing).toEqual(plan.landing);
+    expect(parsed.altitude).toBe(plan.altitude);
+    expect(parsed.items).toHaveLength(plan.items.length);
+
+    parsed.items.forEach((item, i) => {
+      const expected = plan.items[i];
+      expect({ lat: item.lat, lng: item.lng }).toEqual({ lat: expected.lat, lng: expected.lng });
+      expect(item.spray).toBe(expected.spray);
+      expect(item.altitude).toBe(expected.altitude);
+      expect(item.holdSeconds).toBe(expected.holdSeconds);
+      expect(item.speed).toBe(expected.speed);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Mission Splitter
+ * Splits a spray path into sorties that fit the drone's battery and tank.
+ * Waypoints are flown in path order; a sortie returns home for a refill and
+ * battery swap as soon as the next waypoint (plus the flight back) would not fit.
+ * Battery use comes from the flight model (see flightModel.js).
+ */
+
+import { DRONE_CONFIG, getUsableEnergyWh } from './droneConfig';
+import { createObstacleRouter, createDetourWaypoint } from './obstacleRouting';
+import { createFlightTracker } from './flightModel';
+
+// Distinct sortie colours for the map
+export const SORTIE_COLORS = [
+  '#2563eb', // blue
+  '#db2777', // pink
+  '#059669', // green
+  '#d97706', // amber
+  '#7c3aed', // violet
+  '#0891b2', // cyan
+  '#dc2626', // red
+  '#65a30d'  // lime
+];
+
+/**
+ * Sortie - one flight from home and back, path-shaped so it can be drawn like a path
+ * @typedef {Object} Sortie
+ * @property {string} id - 'S1', 'S2', ...
+ * @property {string} color
+ * @property {Array<Object>} waypoints
+ * @property {{lat: number, lng: number}} startPoint
+ * @property {{lat: number, lng: number}} endPoint
+ * @property {boolean} pathExists
+ * @property {number} totalDistance - Meters, including the flight home
+ * @property {number} estimatedTime - Seconds in the air
+ * @property {number} energyWh - Battery energy used
+ * @property {number} batteryPercent - Share of a full battery
+ * @property {number} liters - Spray liquid used
+ * @property {number} sprayAreaHectares
+ * @property {boolean} overCapacity - A single waypoint alone (or with the flight to the landing point) exceeds the battery or tank
+ */
+
+/**
+ * Spray liquid used at (or on the way to) a waypoint
+ * @param {Object} waypoint
+ * @param {Object} config
+ * @returns {number} Liters
+ */
+function waypointLiters(waypoint, config) {
+  const sprays = waypoint.cellId || waypoint.spray;
+  return sprays ? (waypoint.areaHectares || 0) * config.applicationRateLitersPerHectare : 0;
+}
+
+/**
+ * Split a path into capacity-constrained sorties
+ * @param {Object} pathData - From generateSprayPath / generateCoveragePath
+ * @param {Object} [config] - Drone config (see droneConfig.js)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.noFlyZones] - Flights to and from the refill point go around these
+ * @returns {{sorties: Array<Sortie>, sortieCount: number, totalDistance: number, flightTime: number, totalTime: number, energyWh: number, totalLiters: number, overCapacity: boolean}}
+ */
+export function splitMission(pathData, config = DRONE_CONFIG, { noFlyZones } = {}) {
+  if (!pathData || !pathData.pathExists) {
+    return {
+      sorties: [],
+      sortieCount: 0,
+      totalDistance: 0,
+      flightTime: 0,
+      totalTime: 0,
+      energyWh: 0,
+      totalLiters: 0,
+      overCapacity: false
+    };
+  }
+
+  const { startPoint, endPoint, waypoints } = pathData;
+  const usableEnergyWh = getUsableEnergyWh(config);
+  const router = createObstacleRouter(noFlyZones, { origin: startPoint });
+  const sorties = [];
+
+  // Turn points for a leg that would cross a no-fly zone
+  const detoursBetween = (from, to, sortie) => router.route(from, to).points.slice(1, -1).map((point, k) =>
+    createDetourWaypoint(point, `S${sorties.length + 1}-detour-${sortie.waypoints.length + k}`)
+  );
+
+  const openSortie = () => ({
+    waypoints: [],
+    position: startPoint,
+    flight: createFlightTracker(startPoint, config),
+    liters: 0,
+    sprayAreaHectares: 0,
+    overCapacity: false
+  });
+
+  const append = (sortie, waypoint) => {
+    [...detoursBetween(sortie.position, waypoint.position, sortie), waypoint].forEach(next => {
+      sortie.flight.add(next);
+      sortie.waypoints.push(next);
+    });
+    sortie.position = waypoint.position;
+
+    const liters = waypointLiters(waypoint, config);
+    sortie.liters += liters;
+    if (liters > 0) sortie.sprayAreaHectares += waypoint.areaHectares || 0;
+  };
+
+  // Would this waypoint, plus the flight home (refill point, or the landing point
+  // after the last waypoint), still fit?
+  const fits = (sortie, waypoint, home) => {
+    const onward = [
+      ...detoursBetween(sortie.position, waypoint.position, sortie),
+      waypoint,
+      ...detoursBetween(waypoint.position, home, sortie)
+    ];
+    const energyWh = sortie.flight.preview(onward, home).energyWh;
+    const liters = sortie.liters + waypointLiters(waypoint, config);
+    return energyWh <= usableEnergyWh && liters <= config.tankLiters + 1e-9;
+  };
+
+  const closeSortie = (sortie, home) => {
+    detoursBetween(sortie.position, home, sortie).forEach(detour => {
+      sortie.flight.add(detour);
+      sortie.waypoints.push(detour);
+    });
+    const flight = sortie.flight.finish(home);
+    const index = sorties.length;
+
+    sorties.push({
+      id: `S${index + 1}`,
+      color: SORTIE_COLORS[index % SORTIE_COLORS.length],
+      waypoints: sortie.waypoints,
+      startPoint,
+      endPoint: home,
+      pathExists: true,
+      totalDistance: flight.distance,
+      estimatedTime: Math.ceil(flight.seconds),
+      energyWh: flight.energyWh,
+      batteryPercent: flight.batteryPercent,
+      liters: parseFloat(sortie.liters.toFixed(2)),
+      sprayAreaHectares: parseFloat(sortie.sprayAreaHectares.toFixed(4)),
+      overCapacity: sortie.overCapacity
+    });
+  };
+
+  let sortie = openSortie();
+
+  waypoints.forEach((waypoint, i) => {
+    const home = i === waypoints.length - 1 ? endPoint : startPoint;
+
+    if (sortie.waypoints.length > 0 && !fits(sortie, waypoint, home)) {
+      closeSortie(sortie, startPoint);
+      sortie = openSortie();
+
+      // Broke off mid-swath: fly back to where spraying stopped before resuming
+      if (waypoint.spray && i > 0) {
+        const previous = waypoints[i - 1];
+        append(sortie, {
+          ...previous,
+          id: `${previous.id}-resume`,
+          spray: false,
+          areaHectares: 0,
+          zoneEntry: false,
+          detectionCount: 0
+        });
+      }
+    }
+
+    if (!fits(sortie, waypoint, home)) {
+      sortie.overCapacity = true;
+    }
+    append(sortie, waypoint);
+  });
+
+  closeSortie(sortie, endPoint);
+
+  const turnarounds = (sorties.length - 1) * config.turnaroundMinutes * 60;
+  const flightTime = sorties.reduce((sum, s) => sum + s.estimatedTime, 0);
+
+  if (sorties.some(s => s.overCapacity)) {
+    console.warn('⚠️ Some waypoints exceed a single sortie\'s battery or tank capacity');
+  }
+
+  return {
+    sorties,
+    sortieCount: sorties.length,
+    totalDistance: parseFloat(sorties.reduce((sum, s) => sum + s.totalDistance, 0).toFixed(1)),
+    flightTime,
+    totalTime: flightTime + turnarounds,
+    energyWh: parseFloat(sorties.reduce((sum, s) => sum + s.energyWh, 0).toFixed(1)),
+    totalLiters: parseFloat(sorties.reduce((sum, s) => sum + s.liters, 0).toFixed(2)),
+    overCapacity: sorties.some(s => s.overCapacity)
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Obstacle Routing
+ * Shortest flyable paths around no-fly zones (power lines, trees, houses).
+ * Visibility graph over the no-fly zone corners, pushed out by a clearance,
+ * searched with Dijkstra whenever the straight line is blocked.
+ */
+
+import { createLocalProjection, signedRingArea, isPointInRing } from './geometry';
+import { haversineDistance } from './routeOptimizer';
+
+export const OBSTACLE_CONFIG = {
+  clearanceMeters: 3  // Distance kept from no-fly zone corners
+};
+
+const EPSILON = 1e-9;
+
+/**
+ * No-fly zone
+ * @typedef {Object} NoFlyZone
+ * @property {string} id - e.g. "NFZ-1"
+ * @property {string} [label] - What is there (power line, trees, ...)
+ * @property {boolean} [sensitive] - Must also be kept clear of spray drift (water, houses, other crops)
+ * @property {import('./geometry').FieldBoundary} polygon - GeoJSON polygon (outer ring is used)
+ */
+
+/**
+ * Do segments ab and cd cross at a point interior to both?
+ * Touching at an endpoint or running along each other does not count.
+ */
+function segmentsCross(a, b, c, d) {
+  const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = orient(a, b, c);
+  const d2 = orient(a, b, d);
+  const d3 = orient(c, d, a);
+  const d4 = orient(c, d, b);
+
+  return ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+         ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON));
+}
+
+/**
+ * Does the segment pass through a ring's interior?
+ */
+function segmentHitsRing(a, b, ring) {
+  for (let i = 0; i < ring.length; i++) {
+    if (segmentsCross(a, b, ring[i], ring[(i + 1) % ring.length])) return true;
+  }
+
+  // No crossing: the segment is entirely inside or outside (or runs through corners)
+  return isPointInRing({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, ring);
+}
+
+/**
+ * Convex corners of a ring pushed outwards along the corner bisector
+ * (reflex corners never lie on a shortest path, so they are skipped)
+ * @param {Array<{x: number, y: number}>} ring
+ * @param {number} clearance
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getInflatedCorners(ring, clearance) {
+  const orientation = signedRingArea(ring) >= 0 ? 1 : -1;
+  const corners = [];
+
+  ring.forEach((vertex, i) => {
+    const prev = ring[(i - 1 + ring.length) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    const e1 = { x: vertex.x - prev.x, y: vertex.y - prev.y };
+    const e2 = { x: next.x - vertex.x, y: next.y - vertex.y };
+    const l1 = Math.hypot(e1.x, e1.y);
+    const l2 = Math.hypot(e2.x, e2.y);
+    if (l1 < EPSILON || l2 < EPSILON) return;
+
+    // Convex corners turn with the ring's orientation
+    const turn = (e1.x * e2.y - e1.y * e2.x) * orientation;
+    if (turn < -EPSILON) return;
+
+    // Outward edge normals, averaged into the bisector
+    const n1 = { x: (e1.y / l1) * orientation, y: (-e1.x / l1) * orientation };
+    const n2 = { x: (e2.y / l2) * orientation, y: (-e2.x / l2) * orientation };
+    const bisector = { x: n1.x + n2.x, y: n1.y + n2.y };
+    const length = Math.hypot(bisector.x, bisector.y);
+    if (length < EPSILON) return;
+
+    // Keep `clearance` from both edges (capped for very sharp corners)
+    const cosHalf = length / 2;
+    const offset = clearance / Math.max(cosHalf, 0.25);
+
+    corners.push({
+      x: vertex.x + (bisector.x / length) * offset,
+      y: vertex.y + (bisector.y / length) * offset
+    });
+  });
+
+  return corners;
+}
+
+/**
+ * Build a router for a set of no-fly zones
+ * @param {Array<NoFlyZone>} [noFlyZones]
+ * @param {Object} [options]
+ * @param {{lat: number, lng: number}} [options.origin] - Projection origin (any point near the field)
+ * @param {number} [options.clearanceMeters]
+ * @returns {{hasObstacles: boolean, findZone: Function, route: Function, distance: Function}}
+ *   findZone(point) -> NoFlyZone containing the point, or null
+ *   route(a, b) -> {points: [a, ...via, b], distance, blocked} (blocked: no way around)
+ *   distance(a, b) -> length of route(a, b) in meters
+ */
+export function createObstacleRouter(noFlyZones = [], options = {}) {
+  const zones = noFlyZones.filter(zone => zone.polygon?.coordinates?.[0]?.length >= 4);
+
+  if (zones.length === 0) {
+    return {
+      hasObstacles: false,
+      findZone: () => null,
+      route: (a, b) => ({ points: [a, b], distance: haversineDistance(a, b), blocked: false }),
+      distance: haversineDistance
+    };
+  }
+
+  const { clearanceMeters } = { ...OBSTACLE_CONFIG, ...options };
+  const [lng0, lat0] = zones[0].polygon.coordinates[0][0];
+  const projection = createLocalProjection(options.origin || { lat: lat0, lng: lng0 });
+
+  const obstacles = zones.map(zone => ({
+    zone,
+    ring: zone.polygon.coordinates[0].slice(0, -1).map(([lng, lat]) => projection.toLocal({ lat, lng }))
+  }));
+
+  const insideAny = point => obstacles.find(({ ring }) => isPointInRing(point, ring)) || null;
+  const blocked = (a, b) => obstacles.some(({ ring }) => segmentHitsRing(a, b, ring));
+
+  // Visibility graph over the inflated corners (corners inside another zone are useless)
+  const nodes = obstacles
+    .flatMap(({ ring }) => getInflatedCorners(ring, clearanceMeters))
+    .filter(node => !insideAny(node));
+
+  const visible = nodes.map((a, i) => nodes.map((b, j) => i !== j && !blocked(a, b)));
+  const length = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+  const route = (from, to) => {
+    const a = projection.toLocal(from);
+    const b = projection.toLocal(to);
+
+    if (!blocked(a, b)) {
+      return { points: [from, to], distance: length(a, b), blocked: false };
+    }
+
+    // Dijkstra: nodes 0..n-1 are corners, n is the start, n + 1 the goal
+    const n = nodes.length;
+    const point = k => (k === n ? a : k === n + 1 ? b : nodes[k]);
+    const canSee = (i, j) => {
+      if (i < n && j < n) return visible[i][j];
+      return !blocked(point(i), point(j));
+    };
+
+    const dist = new Float64Array(n + 2).fill(Infinity);
+    const prev = new Int32Array(n + 2).fill(-1);
+    const done = new Array(n + 2).fill(false);
+    dist[n] = 0;
+
+    for (;;) {
+      let u = -1;
+      for (let k = 0; k < n + 2; k++) {
+        if (!done[k] && dist[k] < Infinity && (u === -1 || dist[k] < dist[u])) u = k;
+      }
+      if (u === -1 || u === n + 1) break;
+      done[u] = true;
+
+      for (let v = 0; v < n + 2; v++) {
+        if (done[v] || v === n || v === u || !canSee(u, v)) continue;
+        const candidate = dist[u] + length(point(u), point(v));
+        if (candidate < dist[v]) {
+          dist[v] = candidate;
+          prev[v] = u;
+        }
+      }
+    }
+
+    if (dist[n + 1] === Infinity) {
+      return { points: [from, to], distance: length(a, b), blocked: true };
+    }
+
+    const via = [];
+    for (let k = prev[n + 1]; k !== n; k = prev[k]) {
+      via.unshift(projection.toLatLng(nodes[k]));
+    }
+
+    return { points: [from, ...via, to], distance: dist[n + 1], blocked: false };
+  };
+
+  return {
+    hasObstacles: true,
+    findZone: point => insideAny(projection.toLocal(point))?.zone || null,
+    route,
+    distance: (a, b) => route(a, b).distance
+  };
+}
+
+/**
+ * Detour waypoint - a turn point around a no-fly zone, nozzles off
+ * @param {{lat: number, lng: number}} position
+ * @param {string} id
+ * @returns {Object}
+ */
+export function createDetourWaypoint(position, id) {
+  return {
+    id,
+    position,
+    detour: true,
+    spray: false,
+    areaHectares: 0,
+    detectionCount: 0
+  };
+}
+
+/**
+ * Insert detour waypoints wherever a leg of the path would cross a no-fly zone
+ * @param {Array<Object>} waypoints - Ordered waypoints
+ * @param {{lat: number, lng: number}} startPoint
+ * @param {{lat: number, lng: number}} endPoint
+ * @param {Object} router - From createObstacleRouter
+ * @returns {{waypoints: Array<Object>, blockedLegs: number}}
+ */
+export function addDetourWaypoints(waypoints, startPoint, endPoint, router) {
+  if (!router.hasObstacles) return { waypoints, blockedLegs: 0 };
+
+  const result = [];
+  let position = startPoint;
+  let blockedLegs = 0;
+
+  const detour = (to) => {
+    const { points, blocked } = router.route(position, to);
+    if (blocked) blockedLegs++;
+    points.slice(1, -1).forEach(point => {
+      result.push(createDetourWaypoint(point, `detour-${result.length}`));
+    });
+  };
+
+  waypoints.forEach(waypoint => {
+    detour(waypoint.position);
+    result.push(waypoint);
+    position = waypoint.position;
+  });
+  detour(endPoint);
+
+  return { waypoints: result, blockedLegs };
+}
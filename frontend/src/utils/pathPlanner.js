@@ -3,101 +3,169 @@
  * Generates efficient spray path for infected zones
  */
 
-import { getFieldCenter } from './gpsSimulator';
+import { getFieldHomePoints } from './fieldRegistry';
 import { getInfectedCells } from './fieldGrid';
+import { optimizeRoute, EXACT_MAX_WAYPOINTS } from './routeOptimizer';
+import { generateCoveragePath } from './coveragePlanner';
+import { createObstacleRouter, addDetourWaypoints } from './obstacleRouting';
+import { assessWind, shiftUpwind, createDriftBufferCheck, getDriftBufferMeters, getWindConfig } from './windPlanning';
+import { estimatePathFlight } from './flightModel';
+import { DRONE_CONFIG } from './droneConfig';
+
+// Route algorithms selectable in the planner
+export const ROUTE_ALGORITHMS = {
+  nearest: 'Nearest neighbour',
+  sweep: 'Grid sweep',
+  optimized: '2-opt + Or-opt',
+  exact: `Exact (≤ ${EXACT_MAX_WAYPOINTS} cells)`,
+  coverage: 'Zone coverage (swaths)'
+};
 
 /**
- * Calculate distance between two GPS points (meters)
- * @param {{lat: number, lng: number}} p1
- * @param {{lat: number, lng: number}} p2
- * @returns {number}
+ * Infected cells in serpentine sweep order (alternate rows reversed)
+ * @param {Array<Array<GridCell>>} grid
+ * @returns {Array<GridCell>}
  */
-function calculateDistance(p1, p2) {
-  const R = 6371000; // Earth radius in meters
-  const lat1 = p1.lat * Math.PI / 180;
-  const lat2 = p2.lat * Math.PI / 180;
-  const deltaLat = (p2.lat - p1.lat) * Math.PI / 180;
-  const deltaLng = (p2.lng - p1.lng) * Math.PI / 180;
-  
-  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-            Math.cos(lat1) * Math.cos(lat2) *
-            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  
-  return R * c;
+function getSweepOrderedCells(grid) {
+  const cells = [];
+
+  grid.forEach((row, rowIndex) => {
+    const infected = row.filter(cell => cell && cell.infected);
+    cells.push(...(rowIndex % 2 === 0 ? infected : infected.reverse()));
+  });
+
+  return cells;
 }
 
 /**
- * Generate spray path using Nearest Neighbor algorithm
+ * Generate spray path over the infected cells
  * @param {Array<Array<GridCell>>} grid
- * @returns {Object} Path data
+ * @param {Object} [options]
+ * @param {'nearest'|'sweep'|'optimized'|'exact'|'coverage'} [options.algorithm] - See ROUTE_ALGORITHMS
+ * @param {{lat: number, lng: number}} [options.startPoint] - Launch point (defaults to the field's)
+ * @param {{lat: number, lng: number}} [options.endPoint] - Landing point (defaults to the field's, else the launch point)
+ * @param {Array<Object>} [options.noFlyZones] - Areas the route must go around (see obstacleRouting.js)
+ * @param {import('./windPlanning').Wind} [options.wind] - Current wind (see windPlanning.js)
+ * @param {Object} [options.windConfig] - Overrides for WIND_CONFIG
+ * @param {Object} [options.droneConfig] - Drone performance profile for the time and energy estimates
+ * @param {Object} [options.routeCache] - Shared only by calls planning the same cells with the same
+ *   options (see optimizeRoute), e.g. one route per algorithm
+ * @returns {Object} Path data, with the algorithm actually used, the lower
+ *   bound on the route length and the percentage gap to it.
+ *   Time, energy and battery use come from the flight model (see flightModel.js).
+ *   Cells inside a no-fly zone or a sensitive zone's drift buffer are listed in
+ *   unreachableWaypoints instead of being flown. No path is planned above the wind limit.
+ *   ('coverage' passes the options on to generateCoveragePath)
  */
-export function generateSprayPath(grid) {
-  const infectedCells = getInfectedCells(grid);
-  
-  if (infectedCells.length === 0) {
+export function generateSprayPath(grid, options = {}) {
+  const { algorithm = 'optimized' } = options;
+  const windAssessment = options.wind ? assessWind(options.wind, options.windConfig) : null;
+
+  // Too windy to spray at all
+  if (windAssessment?.decision === 'no-go') {
+    console.warn('🌬️ Spraying refused:', windAssessment.reasons.join('; '));
     return {
       waypoints: [],
       totalDistance: 0,
       estimatedTime: 0,
-      pathExists: false
+      pathExists: false,
+      algorithm,
+      windAssessment
     };
   }
-  
-  // Start from field center (home/launch point)
-  const startPoint = getFieldCenter();
-  
-  const path = [];
-  const unvisited = new Set(infectedCells);
-  let currentPosition = startPoint;
-  let totalDistance = 0;
-  
-  // Nearest Neighbor algorithm
-  while (unvisited.size > 0) {
-    let nearestCell = null;
-    let shortestDistance = Infinity;
-    
-    // Find nearest unvisited cell
-    for (let cell of unvisited) {
-      const distance = calculateDistance(currentPosition, cell.center);
-      
-      if (distance < shortestDistance) {
-        shortestDistance = distance;
-        nearestCell = cell;
-      }
-    }
-    
-    // Visit nearest cell
-    if (nearestCell) {
-      path.push({
-        cellId: nearestCell.id,
-        position: nearestCell.center,
-        detectionCount: nearestCell.detections.length
+
+  if (algorithm === 'coverage') {
+    return generateCoveragePath(grid, options);
+  }
+
+  // Launch and landing points of the grid's field (or given in options)
+  const { startPoint, endPoint } = getFieldHomePoints(grid.meta?.field, options);
+  const router = createObstacleRouter(options.noFlyZones, { origin: startPoint });
+  const driftBufferZone = createDriftBufferCheck(
+    options.noFlyZones,
+    windAssessment?.driftBufferMeters ?? getDriftBufferMeters(0, getWindConfig(options.windConfig)),
+    startPoint
+  );
+
+  // Hover-spraying upwind of the cell centre lets the drift carry the spray onto it
+  const toWaypoint = cell => ({
+    cellId: cell.id,
+    position: shiftUpwind(cell.center, windAssessment),
+    areaHectares: cell.areaHectares,
+    detectionCount: cell.detections.length
+  });
+
+  // Sweep order doubles as the seed route for the improvement pass.
+  // Cells whose spray position (upwind of the centre) lies in a no-fly zone
+  // (or a sensitive zone's drift buffer) cannot be sprayed.
+  const infectedCells = [];
+  const unreachableWaypoints = [];
+
+  getSweepOrderedCells(grid).forEach(cell => {
+    const sprayPosition = shiftUpwind(cell.center, windAssessment);
+    const zone = router.findZone(sprayPosition);
+    const bufferZone = zone ? null : driftBufferZone(sprayPosition);
+    if (zone || bufferZone) {
+      unreachableWaypoints.push({
+        ...toWaypoint(cell),
+        position: cell.center,
+        unreachable: true,
+        noFlyZoneId: (zone || bufferZone).id,
+        reason: zone ? 'no-fly-zone' : 'drift-buffer'
       });
-      
-      totalDistance += shortestDistance;
-      currentPosition = nearestCell.center;
-      unvisited.delete(nearestCell);
+    } else {
+      infectedCells.push(cell);
     }
+  });
+
+  if (infectedCells.length === 0) {
+    return {
+      waypoints: [],
+      totalDistance: 0,
+      estimatedTime: 0,
+      pathExists: false,
+      algorithm,
+      unreachableWaypoints,
+      windAssessment
+    };
   }
-  
-  // Add return to home
-  const returnDistance = calculateDistance(currentPosition, startPoint);
-  totalDistance += returnDistance;
-  
-  // Calculate estimated time (drone speed: 5 m/s, spray time: 3s per cell)
-  const travelTime = totalDistance / 5;  // seconds
-  const sprayTime = path.length * 3;     // seconds
-  const estimatedTime = travelTime + sprayTime;
-  
+
+  const targets = infectedCells.map(toWaypoint);
+  const route = optimizeRoute(
+    startPoint,
+    targets.map(waypoint => waypoint.position),
+    endPoint,
+    { algorithm, distance: router.distance, cache: options.routeCache }
+  );
+
+  // Legs that would cross a no-fly zone get turn points around it
+  const { waypoints: path, blockedLegs } = addDetourWaypoints(
+    route.order.map(index => targets[index]),
+    startPoint,
+    endPoint,
+    router
+  );
+
+  // Time and energy over the actual legs, corners and hover-spray dwells
+  const flight = estimatePathFlight({ startPoint, endPoint, waypoints: path }, options.droneConfig || DRONE_CONFIG);
+
   return {
     waypoints: path,
-    totalDistance: parseFloat(totalDistance.toFixed(1)),
-    estimatedTime: Math.ceil(estimatedTime),
+    totalDistance: parseFloat(route.distance.toFixed(1)),
+    estimatedTime: Math.ceil(flight.seconds),
+    energyWh: flight.energyWh,
+    batteryPercent: flight.batteryPercent,
+    flight,
     pathExists: true,
     startPoint,
-    endPoint: startPoint  // Returns to home
+    endPoint,
+    algorithm: route.algorithm,
+    lowerBound: parseFloat(route.lowerBound.toFixed(1)),
+    gapPercent: parseFloat(route.gapPercent.toFixed(1)),
+    optimal: route.optimal,
+    unreachableWaypoints,
+    blockedLegs,
+    windAssessment
   };
 }
 
@@ -128,65 +196,53 @@ export function getPathCoordinates(pathData) {
 /**
  * Alternative: Grid Sweep algorithm (simpler, more systematic)
  * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [options] - Launch / landing points, as for generateSprayPath
  * @returns {Object} Path data
  */
-export function generateSweepPath(grid) {
-  const infectedCells = [];
-  
-  // Sweep top-to-bottom, left-to-right
-  for (let row = 0; row < grid.length; row++) {
-    for (let col = 0; col < grid[row].length; col++) {
-      const cell = grid[row][col];
-      
-      if (cell.infected) {
-        infectedCells.push({
-          cellId: cell.id,
-          position: cell.center,
-          detectionCount: cell.detections.length
-        });
-      }
+export function generateSweepPath(grid, options = {}) {
+  return generateSprayPath(grid, { ...options, algorithm: 'sweep' });
+}
+
+/**
+ * Plan the same grid with every algorithm, for side-by-side comparison.
+ * The exact solver is skipped when there are too many infected cells.
+ * All cell routes share one distance matrix and lower bound.
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [options] - Passed to generateSprayPath (e.g. launch point, coverage zones / swath width)
+ * @param {Object} [planned] - A path already planned with these options (and options.routeCache),
+ *   reused for its algorithm instead of planning it again
+ * @returns {Array<Object>} Path data per algorithm, in ROUTE_ALGORITHMS order
+ */
+export function comparePathAlgorithms(grid, options = {}, planned = null) {
+  const cellCount = getInfectedCells(grid).length;
+  const routeCache = options.routeCache || {};
+
+  return Object.keys(ROUTE_ALGORITHMS)
+    .filter(algorithm => algorithm !== 'exact' || cellCount <= EXACT_MAX_WAYPOINTS)
+    .map(algorithm => (planned?.algorithm === algorithm
+      ? planned
+      : generateSprayPath(grid, { ...options, algorithm, routeCache })));
+}
+
+/**
+ * Split a path into runs of spraying and transit legs for drawing
+ * (cell-visit paths have no spray flags and come back as one transit run)
+ * @param {Object} pathData - Output from generateSprayPath
+ * @returns {Array<{spray: boolean, positions: Array<Array<number>>}>}
+ */
+export function getPathSegments(pathData) {
+  const coords = getPathCoordinates(pathData);
+  const sprayFlags = [...pathData.waypoints.map(wp => !!wp.spray), false];
+  const segments = [];
+
+  sprayFlags.forEach((spray, i) => {
+    const last = segments[segments.length - 1];
+    if (last && last.spray === spray) {
+      last.positions.push(coords[i + 1]);
+    } else {
+      segments.push({ spray, positions: [coords[i], coords[i + 1]] });
     }
-  }
-  
-  if (infectedCells.length === 0) {
-    return {
-      waypoints: [],
-      totalDistance: 0,
-      estimatedTime: 0,
-      pathExists: false
-    };
-  }
-  
-  // Calculate total distance
-  let totalDistance = 0;
-  const startPoint = getFieldCenter();
-  
-  // Distance to first cell
-  totalDistance += calculateDistance(startPoint, infectedCells[0].position);
-  
-  // Distance between cells
-  for (let i = 0; i < infectedCells.length - 1; i++) {
-    totalDistance += calculateDistance(
-      infectedCells[i].position,
-      infectedCells[i + 1].position
-    );
-  }
-  
-  // Return to home
-  totalDistance += calculateDistance(
-    infectedCells[infectedCells.length - 1].position,
-    startPoint
-  );
-  
-  const travelTime = totalDistance / 5;
-  const sprayTime = infectedCells.length * 3;
-  
-  return {
-    waypoints: infectedCells,
-    totalDistance: parseFloat(totalDistance.toFixed(1)),
-    estimatedTime: Math.ceil(travelTime + sprayTime),
-    pathExists: true,
-    startPoint,
-    endPoint: startPoint
-  };
+  });
+
+  return segments;
 }
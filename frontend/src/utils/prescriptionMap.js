@@ -0,0 +1,360 @@
+/**
+ * Variable-rate Prescription Maps
+ * Turns per-cell severity and the fusion diagnosis into an application rate
+ * (L/ha) per grid cell, using a rate table per spray product, and exports the
+ * result for variable-rate controllers: GeoJSON with shapefile-style attributes,
+ * and ISO 11783-10 (ISOXML) TASKDATA with one treatment zone per product and rate.
+ */
+
+import { flattenGrid } from './fieldGrid';
+import { getDominantDisease } from './severityScoring';
+import { escapeXml } from './missionExport';
+
+export const PRESCRIPTION_CONFIG = {
+  // Spray products with their rate tables: [severity score, L/ha] pairs,
+  // interpolated linearly between rows and held flat beyond the first and last.
+  // `targets` are matched (case-insensitive) against the cell's dominant disease class.
+  products: {
+    mancozeb: {
+      name: 'Mancozeb 75 WP',
+      type: 'Contact fungicide',
+      targets: ['early blight', 'leaf spot', 'septoria', 'scab', 'leaf blight', 'black rot'],
+      rates: [[0.15, 8], [0.45, 14], [0.7, 20], [1, 24]]
+    },
+    metalaxylMancozeb: {
+      name: 'Metalaxyl + Mancozeb 72 WP',
+      type: 'Systemic fungicide',
+      targets: ['late blight', 'mold'],
+      rates: [[0.15, 10], [0.45, 16], [0.7, 22], [1, 26]]
+    },
+    copperHydroxide: {
+      name: 'Copper Hydroxide 77 WP',
+      type: 'Bactericide',
+      targets: ['bacterial'],
+      rates: [[0.15, 8], [0.7, 16], [1, 18]]
+    },
+    sulfur: {
+      name: 'Wettable Sulfur 80 WG',
+      type: 'Fungicide',
+      targets: ['powdery mildew', 'rust'],
+      rates: [[0.15, 6], [0.7, 12], [1, 14]]
+    },
+    abamectin: {
+      name: 'Abamectin 1.8 EC',
+      type: 'Miticide',
+      targets: ['spider mites'],
+      rates: [[0.15, 6], [0.7, 10], [1, 12]]
+    },
+    imidacloprid: {
+      name: 'Imidacloprid 17.8 SL',
+      type: 'Insecticide (virus vector control)',
+      targets: ['virus'],
+      rates: [[0.15, 6], [1, 10]]
+    }
+  },
+
+  // Used when no product targets the cell's disease
+  defaultProductId: 'mancozeb',
+
+  // Fusion diagnosis (rule id) -> rate multiplier. Non-disease causes get no chemical.
+  diagnosisAdjustments: {
+    fungal_infection_wet: { multiplier: 1.15, note: 'Humid conditions favour spread' },
+    drought_stress: { multiplier: 0, note: 'Drought stress - irrigate, do not spray' },
+    heat_stress: { multiplier: 0, note: 'Heat stress - not a disease' },
+    nutrient_deficiency: { multiplier: 0, note: 'Nutrient deficiency - fertilise instead' },
+    overwatering: { multiplier: 0, note: 'Overwatering - fix drainage, do not spray' },
+    cold_stress: { multiplier: 0, note: 'Cold stress - not a disease' },
+    confirmed_healthy: { multiplier: 0, note: 'Confirmed healthy by fusion' }
+  },
+
+  // Sprayer limits: the controller cannot go below the nozzles' minimum flow
+  minRateLitersPerHectare: 5,
+  maxRateLitersPerHectare: 30,
+  rateStepLitersPerHectare: 0.5
+};
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults (products and adjustments merged by key)
+ * @returns {Object}
+ */
+export function getPrescriptionConfig(overrides = {}) {
+  return {
+    ...PRESCRIPTION_CONFIG,
+    ...overrides,
+    products: { ...PRESCRIPTION_CONFIG.products, ...overrides.products },
+    diagnosisAdjustments: { ...PRESCRIPTION_CONFIG.diagnosisAdjustments, ...overrides.diagnosisAdjustments }
+  };
+}
+
+/**
+ * Prescription for one grid cell
+ * @typedef {Object} PrescriptionCell
+ * @property {string} cellId
+ * @property {Object} cell
+ * @property {string|null} productId - null when the cell gets no chemical
+ * @property {number} severity
+ * @property {string|null} disease - Dominant disease class
+ * @property {string|null} diagnosis - Dominant fusion rule id
+ * @property {number} rateLitersPerHectare
+ * @property {number} areaHectares
+ * @property {number} liters
+ * @property {string|null} note - Why the rate was adjusted
+ */
+
+/**
+ * Prescription map
+ * @typedef {Object} Prescription
+ * @property {Array<PrescriptionCell>} cells - Every field cell, zero rate where nothing is applied
+ * @property {number} totalLiters
+ * @property {number} treatedAreaHectares
+ * @property {number} meanRateLitersPerHectare - Over the treated area
+ * @property {Object<string, {liters: number, areaHectares: number}>} byProduct
+ * @property {number} withheldCount - Infected cells the fusion diagnosis took off the prescription
+ * @property {Object} products - Product table the prescription was built from
+ */
+
+/**
+ * Application rate from a product's rate table
+ * @param {Object} product
+ * @param {number} severity - 0-1
+ * @returns {number} L/ha
+ */
+export function getRateForSeverity(product, severity) {
+  const { rates } = product;
+  if (severity <= rates[0][0]) return rates[0][1];
+
+  for (let i = 1; i < rates.length; i++) {
+    const [s1, r1] = rates[i];
+    if (severity <= s1) {
+      const [s0, r0] = rates[i - 1];
+      return r0 + (r1 - r0) * (severity - s0) / (s1 - s0);
+    }
+  }
+
+  return rates[rates.length - 1][1];
+}
+
+/**
+ * Product whose targets match the disease class
+ * @param {string|null} disease
+ * @param {Object} config
+ * @returns {string} Product id
+ */
+export function selectProduct(disease, config = PRESCRIPTION_CONFIG) {
+  const name = (disease || '').toLowerCase();
+  const match = Object.entries(config.products)
+    .find(([, product]) => product.targets.some(target => name.includes(target)));
+  return match ? match[0] : config.defaultProductId;
+}
+
+/**
+ * Most frequent fusion rule among the cell's detections
+ */
+function getCellDiagnosis(cell, fusionByDetection) {
+  const counts = {};
+  cell.detections.forEach(id => {
+    const ruleId = fusionByDetection.get(id);
+    if (ruleId) counts[ruleId] = (counts[ruleId] || 0) + 1;
+  });
+  const entries = Object.entries(counts);
+  return entries.length > 0 ? entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0] : null;
+}
+
+/**
+ * Clamp to the sprayer's limits and round to the controller's step
+ */
+function limitRate(rate, config) {
+  if (rate <= 0) return 0;
+  const clamped = Math.min(config.maxRateLitersPerHectare, Math.max(config.minRateLitersPerHectare, rate));
+  return Math.round(clamped / config.rateStepLitersPerHectare) * config.rateStepLitersPerHectare;
+}
+
+/**
+ * Build a prescription map for the field grid
+ * @param {Array<Array<GridCell|null>>} grid
+ * @param {Object} [options]
+ * @param {Array} [options.fusionResults] - performBatchFusion output (matched to cells by detection id)
+ * @param {string} [options.productId] - Use this product everywhere instead of choosing by disease
+ * @param {Object} [options.config] - PRESCRIPTION_CONFIG overrides
+ * @returns {Prescription}
+ */
+export function generatePrescription(grid, options = {}) {
+  const { fusionResults = [], productId = null } = options;
+  const config = getPrescriptionConfig(options.config);
+
+  const fusionByDetection = new Map(
+    fusionResults
+      .filter(result => result.status === 'fusion_success' && result.diagnosis?.id)
+      .map(result => [result.detection_id, result.diagnosis.id])
+  );
+
+  const byProduct = {};
+  let withheldCount = 0;
+
+  const cells = flattenGrid(grid).map(cell => {
+    const entry = {
+      cellId: cell.id,
+      cell,
+      productId: null,
+      severity: cell.severity,
+      disease: null,
+      diagnosis: null,
+      rateLitersPerHectare: 0,
+      areaHectares: cell.areaHectares,
+      liters: 0,
+      note: null
+    };
+    if (!cell.infected) return entry;
+
+    entry.disease = getDominantDisease(cell);
+    entry.diagnosis = getCellDiagnosis(cell, fusionByDetection);
+    const id = productId || selectProduct(entry.disease, config);
+    const adjustment = config.diagnosisAdjustments[entry.diagnosis];
+    const rate = limitRate(getRateForSeverity(config.products[id], cell.severity) * (adjustment?.multiplier ?? 1), config);
+
+    entry.note = adjustment?.note || null;
+    if (rate === 0) {
+      withheldCount++;
+      return entry;
+    }
+
+    entry.productId = id;
+    entry.rateLitersPerHectare = rate;
+    entry.liters = rate * cell.areaHectares;
+
+    byProduct[id] = byProduct[id] || { liters: 0, areaHectares: 0 };
+    byProduct[id].liters += entry.liters;
+    byProduct[id].areaHectares += cell.areaHectares;
+    return entry;
+  });
+
+  const totalLiters = cells.reduce((sum, c) => sum + c.liters, 0);
+  const treatedAreaHectares = cells.filter(c => c.liters > 0).reduce((sum, c) => sum + c.areaHectares, 0);
+
+  Object.values(byProduct).forEach(totals => {
+    totals.liters = parseFloat(totals.liters.toFixed(2));
+    totals.areaHectares = parseFloat(totals.areaHectares.toFixed(4));
+  });
+
+  console.log(`💧 Prescription: ${totalLiters.toFixed(2)} L over ${treatedAreaHectares.toFixed(3)} ha, ` +
+              `${Object.keys(byProduct).length} products, ${withheldCount} cells withheld by diagnosis`);
+
+  return {
+    cells,
+    totalLiters: parseFloat(totalLiters.toFixed(2)),
+    treatedAreaHectares: parseFloat(treatedAreaHectares.toFixed(4)),
+    meanRateLitersPerHectare: treatedAreaHectares > 0
+      ? parseFloat((totalLiters / treatedAreaHectares).toFixed(1))
+      : 0,
+    byProduct,
+    withheldCount,
+    products: config.products
+  };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Closed [lng, lat] ring of a cell outline
+ */
+function cellRing(cell) {
+  const ring = cell.outline.map(([lat, lng]) => [lng, lat]);
+  return [...ring, ring[0]];
+}
+
+/**
+ * GeoJSON prescription: one polygon per cell. Attribute names are kept to
+ * 10 characters so the file converts 1:1 to a shapefile for controllers that need one.
+ * @param {Prescription} prescription
+ * @returns {Object} FeatureCollection
+ */
+export function toPrescriptionGeoJSON(prescription) {
+  return {
+    type: 'FeatureCollection',
+    features: prescription.cells.map(entry => ({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [cellRing(entry.cell)] },
+      properties: {
+        CELL_ID: entry.cellId,
+        PRODUCT: entry.productId ? prescription.products[entry.productId].name : '',
+        RATE_LHA: entry.rateLitersPerHectare,
+        SEVERITY: parseFloat(entry.severity.toFixed(3)),
+        DISEASE: entry.disease || '',
+        AREA_HA: parseFloat(entry.areaHectares.toFixed(4)),
+        LITERS: parseFloat(entry.liters.toFixed(3))
+      }
+    }))
+  };
+}
+
+// ISO 11783-10 process data: Setpoint Volume Per Area Application Rate, in mm³/m² (1 L/ha = 100 mm³/m²)
+const DDI_SETPOINT_VOLUME_PER_AREA = '0001';
+const MM3_PER_M2_PER_LITER_PER_HECTARE = 100;
+
+/**
+ * ISOXML polygon: PLN with one exterior LSG
+ */
+function isoPolygon(ring, polygonType) {
+  const points = ring
+    .map(([lng, lat]) => `<PNT A="2" C="${lat.toFixed(9)}" D="${lng.toFixed(9)}"/>`)
+    .join('');
+  return `<PLN A="${polygonType}"><LSG A="1">${points}</LSG></PLN>`;
+}
+
+/**
+ * ISOXML TASKDATA.XML: the field boundary as a partfield, and a task with one
+ * treatment zone per product and rate (zone 0 applies nothing, for everything else)
+ * @param {Prescription} prescription
+ * @param {Object} field - Field profile (id, name, boundary)
+ * @returns {string}
+ */
+export function toIsoxmlTaskData(prescription, field) {
+  const { products } = prescription;
+  const productIds = Object.keys(prescription.byProduct);
+  const productRef = id => `PDT${productIds.indexOf(id) + 1}`;
+
+  // Cells with the same product and rate share a treatment zone
+  const zones = [];
+  prescription.cells.filter(c => c.productId).forEach(entry => {
+    let zone = zones.find(z => z.productId === entry.productId && z.rate === entry.rateLitersPerHectare);
+    if (!zone) {
+      zone = { productId: entry.productId, rate: entry.rateLitersPerHectare, cells: [] };
+      zones.push(zone);
+    }
+    zone.cells.push(entry);
+  });
+
+  const boundary = field.boundary.coordinates
+    .map((ring, i) => `<LSG A="${i === 0 ? 1 : 2}">${ring
+      .map(([lng, lat]) => `<PNT A="2" C="${lat.toFixed(9)}" D="${lng.toFixed(9)}"/>`)
+      .join('')}</LSG>`)
+    .join('');
+  const fieldAreaM2 = Math.round(prescription.cells.reduce((sum, c) => sum + c.areaHectares, 0) * 10000);
+
+  const productElements = productIds
+    .map(id => `  <PDT A="${productRef(id)}" B="${escapeXml(products[id].name)}"/>`)
+    .join('\n');
+
+  const treatmentZones = zones.map((zone, i) => {
+    const value = Math.round(zone.rate * MM3_PER_M2_PER_LITER_PER_HECTARE);
+    return `    <TZN A="${i + 1}" B="${escapeXml(`${products[zone.productId].name} ${zone.rate} L/ha`)}">` +
+      `<PDV A="${DDI_SETPOINT_VOLUME_PER_AREA}" B="${value}" C="${productRef(zone.productId)}" E="VPN1"/>` +
+      zone.cells.map(entry => isoPolygon(cellRing(entry.cell), 2)).join('') +
+      '</TZN>';
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ISO11783_TaskData VersionMajor="4" VersionMinor="2" ManagementSoftwareManufacturer="Precision Agriculture" ManagementSoftwareVersion="1.0" DataTransferOrigin="1">
+  <VPN A="VPN1" B="0" C="0.01" D="1" E="L/ha"/>
+${productElements}
+  <PFD A="PFD1" C="${escapeXml(field.name || field.id)}" D="${fieldAreaM2}"><PLN A="1">${boundary}</PLN></PFD>
+  <TSK A="TSK1" B="${escapeXml(`${field.name || field.id} prescription`)}" E="PFD1" G="1" H="0">
+    <TZN A="0" B="No application"><PDV A="${DDI_SETPOINT_VOLUME_PER_AREA}" B="0" E="VPN1"/></TZN>
+${treatmentZones}
+  </TSK>
+</ISO11783_TaskData>
+`;
+}
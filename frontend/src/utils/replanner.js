@@ -0,0 +1,248 @@
+/**
+ * In-flight Replanner
+ * Folds cells that become infected after a path was generated into the part
+ * of the route the drone has not flown yet. Each new cell goes where it adds
+ * the least distance (cheapest insertion), so the rest of the route keeps its
+ * order. Every change is recorded as a plan revision.
+ */
+
+import { getInfectedCells } from './fieldGrid';
+import { createLocalProjection, distanceToSegment } from './geometry';
+import { createObstacleRouter, addDetourWaypoints, createDetourWaypoint } from './obstacleRouting';
+import { shiftUpwind, createDriftBufferCheck, getDriftBufferMeters, getWindConfig } from './windPlanning';
+import { estimatePathFlight } from './flightModel';
+import { splitMission } from './missionSplitter';
+import { DRONE_CONFIG } from './droneConfig';
+
+/**
+ * Plan revision - one entry of the audit trail
+ * @typedef {Object} PlanRevision
+ * @property {number} revision - 1 is the generated plan
+ * @property {string} time - ISO timestamp
+ * @property {string} reason
+ * @property {{lat: number, lng: number}|null} position - Drone position the revision was planned from
+ * @property {number} completedCount - Waypoints already flown at the time
+ * @property {Array<string>} addedCellIds - Cells inserted into the route
+ * @property {Array<string>} unreachableCellIds - New cells inside no-fly zones or drift buffers
+ * @property {number} totalDistance - Route length after the revision (meters)
+ * @property {number} estimatedTime - Flight time after the revision (seconds)
+ * @property {number} distanceChange - Meters added by the revision
+ * @property {number} timeChange - Seconds added by the revision
+ * @property {Array<Array<number>>} [previousRoute] - Unflown route it replaced, as [lat, lng] pairs
+ */
+
+/**
+ * Start the revision trail of a freshly generated path.
+ * Every cell infected now counts as known, whether the route visits it
+ * cell by cell or covers it with swaths.
+ * @param {Object} pathData - From any planner
+ * @param {Array<Array<GridCell>>} grid
+ * @returns {Object} Path data with revisions and knownCellIds
+ */
+export function createRevisionTrail(pathData, grid) {
+  return {
+    ...pathData,
+    knownCellIds: getInfectedCells(grid).map(cell => cell.id),
+    completedCount: 0,
+    revisions: [{
+      revision: 1,
+      time: new Date().toISOString(),
+      reason: 'Generated',
+      position: null,
+      completedCount: 0,
+      addedCellIds: [],
+      unreachableCellIds: [],
+      totalDistance: pathData.totalDistance,
+      estimatedTime: pathData.estimatedTime,
+      distanceChange: 0,
+      timeChange: 0
+    }]
+  };
+}
+
+/**
+ * Can this plan be revised? Fleet and fusion-aware plans route several
+ * vehicles or action classes, so one drone position does not describe them.
+ * @param {Object|null} pathData
+ * @returns {boolean}
+ */
+export function canReplan(pathData) {
+  return Boolean(pathData?.pathExists && pathData.revisions && !pathData.fleet && !pathData.fusion);
+}
+
+/**
+ * Infected cells the plan has not seen yet
+ * @param {Object} pathData - With a revision trail
+ * @param {Array<Array<GridCell>>} grid
+ * @returns {Array<GridCell>}
+ */
+export function findNewInfectedCells(pathData, grid) {
+  const known = new Set(pathData.knownCellIds || []);
+  return getInfectedCells(grid).filter(cell => !known.has(cell.id));
+}
+
+/**
+ * How many waypoints the drone has flown: the leg closest to its position
+ * (searched forward from the last known progress, so the drone never goes back)
+ * @param {Object} pathData
+ * @param {{lat: number, lng: number}} position
+ * @returns {number}
+ */
+function getCompletedCount(pathData, position) {
+  const { startPoint, endPoint, waypoints } = pathData;
+  const projection = createLocalProjection(startPoint);
+  const nodes = [startPoint, ...waypoints.map(wp => wp.position), endPoint].map(point => projection.toLocal(point));
+  const here = projection.toLocal(position);
+
+  let best = pathData.completedCount || 0;
+  let bestDistance = Infinity;
+  for (let leg = best; leg < nodes.length - 1; leg++) {
+    const distance = distanceToSegment(here, nodes[leg], nodes[leg + 1]);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = leg;
+    }
+  }
+  return Math.min(best, waypoints.length);
+}
+
+/**
+ * Route length from launch to landing over the router's legs, so a revision
+ * is compared with the route it replaces in the same measure
+ */
+function measureRoute({ startPoint, endPoint, waypoints }, router) {
+  const points = [startPoint, ...waypoints.map(wp => wp.position), endPoint];
+  return points.slice(1).reduce((sum, point, i) => sum + router.distance(points[i], point), 0);
+}
+
+/**
+ * Insert newly infected cells into the unflown part of the route
+ * @param {Object} pathData - Path with a revision trail (see createRevisionTrail)
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} [options]
+ * @param {{lat: number, lng: number}} [options.position] - Current drone position (none: not yet launched)
+ * @param {number} [options.completedCount] - Waypoints flown as reported by the operator, used without a position
+ * @param {Object} [options.droneConfig] - For the time, energy and sortie estimates
+ * @param {Array<Object>} [options.noFlyZones] - As planned with
+ * @returns {Object} Revised path data, or the same object when there is nothing new
+ */
+export function replanWithNewCells(pathData, grid, options = {}) {
+  const newCells = findNewInfectedCells(pathData, grid);
+  if (!canReplan(pathData) || newCells.length === 0) {
+    return pathData;
+  }
+
+  const { position = null, completedCount: reportedCount = 0, droneConfig = DRONE_CONFIG, noFlyZones = [] } = options;
+  const { startPoint, endPoint, waypoints, windAssessment } = pathData;
+  const revision = pathData.revisions.length + 1;
+  const router = createObstacleRouter(noFlyZones, { origin: startPoint });
+  const driftBufferZone = createDriftBufferCheck(
+    noFlyZones,
+    windAssessment?.driftBufferMeters ?? getDriftBufferMeters(0, getWindConfig()),
+    startPoint
+  );
+
+  const completedCount = position
+    ? getCompletedCount(pathData, position)
+    : Math.min(Math.max(pathData.completedCount || 0, reportedCount), waypoints.length);
+  const flown = waypoints.slice(0, completedCount);
+  const from = position || (completedCount > 0 ? flown[completedCount - 1].position : startPoint);
+
+  // Detours are re-planned once the new cells are in place
+  const remaining = waypoints.slice(completedCount).filter(wp => !wp.detour);
+  const previousRoute = [from, ...waypoints.slice(completedCount).map(wp => wp.position), endPoint]
+    .map(point => [point.lat, point.lng]);
+
+  const unreachable = [];
+  const targets = [];
+  newCells.forEach(cell => {
+    // Checked where the drone sprays from, upwind of the centre
+    const sprayPosition = shiftUpwind(cell.center, windAssessment);
+    const zone = router.findZone(sprayPosition);
+    const bufferZone = zone ? null : driftBufferZone(sprayPosition);
+    const waypoint = {
+      cellId: cell.id,
+      position: sprayPosition,
+      areaHectares: cell.areaHectares,
+      detectionCount: cell.detections.length,
+      addedInRevision: revision
+    };
+    if (zone || bufferZone) {
+      unreachable.push({
+        ...waypoint,
+        position: cell.center,
+        unreachable: true,
+        noFlyZoneId: (zone || bufferZone).id,
+        reason: zone ? 'no-fly-zone' : 'drift-buffer'
+      });
+    } else {
+      targets.push(waypoint);
+    }
+  });
+
+  // Cheapest insertion: repeatedly place the cell that adds the least distance.
+  // Never between two spraying waypoints, which would break a swath.
+  const positionOf = index => (index < 0 ? from : index < remaining.length ? remaining[index].position : endPoint);
+  while (targets.length > 0) {
+    let best = null;
+    targets.forEach((target, t) => {
+      for (let slot = 0; slot <= remaining.length; slot++) {
+        if (slot < remaining.length && remaining[slot].spray) continue;
+        const before = positionOf(slot - 1);
+        const after = positionOf(slot);
+        const cost = router.distance(before, target.position) +
+          router.distance(target.position, after) -
+          router.distance(before, after);
+        if (!best || cost < best.cost) best = { t, slot, cost };
+      }
+    });
+    remaining.splice(best.slot, 0, targets[best.t]);
+    targets.splice(best.t, 1);
+  }
+
+  const { waypoints: rerouted, blockedLegs } = addDetourWaypoints(remaining, from, endPoint, router);
+  const revised = {
+    ...pathData,
+    waypoints: [
+      ...flown,
+      ...rerouted.map((wp, i) => (wp.detour ? createDetourWaypoint(wp.position, `detour-r${revision}-${i}`) : wp))
+    ],
+    unreachableWaypoints: [...(pathData.unreachableWaypoints || []), ...unreachable],
+    blockedLegs,
+    completedCount,
+    knownCellIds: [...pathData.knownCellIds, ...newCells.map(cell => cell.id)],
+    // The lower bound belonged to the original cells
+    lowerBound: undefined,
+    gapPercent: undefined,
+    optimal: false
+  };
+
+  const flight = estimatePathFlight(revised, droneConfig);
+  const previousDistance = measureRoute(pathData, router);
+  revised.flight = flight;
+  revised.totalDistance = parseFloat(measureRoute(revised, router).toFixed(1));
+  revised.estimatedTime = Math.ceil(flight.seconds);
+  revised.energyWh = flight.energyWh;
+  revised.batteryPercent = flight.batteryPercent;
+  revised.mission = splitMission(revised, droneConfig, { noFlyZones });
+
+  const addedCellIds = remaining.filter(wp => wp.addedInRevision === revision).map(wp => wp.cellId);
+  revised.revisions = [...pathData.revisions, {
+    revision,
+    time: new Date().toISOString(),
+    reason: `${newCells.length} new infected cell(s)`,
+    position,
+    completedCount,
+    addedCellIds,
+    unreachableCellIds: unreachable.map(wp => wp.cellId),
+    totalDistance: revised.totalDistance,
+    estimatedTime: revised.estimatedTime,
+    distanceChange: parseFloat((revised.totalDistance - previousDistance).toFixed(1)),
+    timeChange: revised.estimatedTime - pathData.estimatedTime,
+    previousRoute
+  }];
+
+  console.log(`🔄 Plan revision ${revision}: ${addedCellIds.length} cell(s) inserted after waypoint ${completedCount}`);
+
+  return revised;
+}
@@ -17,6 +17,7 @@ export async function generateMissionReport({
   economicImpact,
   alerts,
   sessionId,
+  heatmap = null,
   mapElementId = 'map-container-for-capture'
 }) {
   const doc = new jsPDF('p', 'mm', 'a4');
@@ -127,7 +128,7 @@ export async function generateMissionReport({
       new Date(d.timestamp).toLocaleTimeString('en-IN'),
       d.class || 'Unknown',
       `${(d.confidence * 100).toFixed(1)}%`,
-      d.gps ? `${d.gps.lat.toFixed(5)}, ${d.gps.lng.toFixed(5)}` : 'N/A'
+      d.gps ? `${d.gps.lat.toFixed(5)}, ${d.gps.lng.toFixed(5)}` : 'Unlocated'
     ]),
     theme: 'grid',
     headStyles: { fillColor: [34, 139, 34] },
@@ -182,6 +183,11 @@ export async function generateMissionReport({
     yPosition += 10;
   }
 
+  // Disease density heatmap (from createHeatmap, independent of the map's active layer)
+  if (heatmap && heatmap.imageUrl) {
+    yPosition = addHeatmapImage(doc, heatmap, yPosition, margin, pageWidth, pageHeight);
+  }
+
   // Grid statistics
   if (gridStats) {
     if (yPosition > pageHeight - 40) {
@@ -384,6 +390,65 @@ function addSectionHeader(doc, title, yPosition) {
   doc.setTextColor(0, 0, 0);
 }
 
+/**
+ * Draw a heatmap image (from createHeatmap) with a caption, optionally outlining the field
+ * @param {jsPDF} doc
+ * @param {Object} heatmap
+ * @param {number} yPosition
+ * @param {number} margin
+ * @param {number} pageWidth
+ * @param {number} pageHeight
+ * @param {import('./geometry').FieldBoundary} [boundary] - Field outline drawn over the image
+ * @returns {number} y position below the image
+ */
+export function addHeatmapImage(doc, heatmap, yPosition, margin, pageWidth, pageHeight, boundary = null) {
+  const maxWidth = pageWidth - 2 * margin;
+  const maxHeight = 90;
+  const scale = Math.min(maxWidth / heatmap.width, maxHeight / heatmap.height);
+  const imgWidth = heatmap.width * scale;
+  const imgHeight = heatmap.height * scale;
+
+  if (yPosition + imgHeight + 12 > pageHeight - margin) {
+    doc.addPage();
+    yPosition = margin;
+  }
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(
+    `Disease Density Heatmap (${heatmap.classFilter || 'all diseases'}, ${heatmap.pointCount} detections):`,
+    margin,
+    yPosition
+  );
+  yPosition += 4;
+
+  doc.setDrawColor(200, 200, 200);
+  doc.setLineWidth(0.3);
+  doc.rect(margin, yPosition, imgWidth, imgHeight);
+  doc.addImage(heatmap.imageUrl, 'PNG', margin, yPosition, imgWidth, imgHeight);
+
+  // Field outline in image coordinates (the image spans heatmap.bounds)
+  if (boundary) {
+    const [[south, west], [north, east]] = heatmap.bounds;
+    const top = yPosition;
+    const toPage = ([lng, lat]) => [
+      margin + ((lng - west) / (east - west)) * imgWidth,
+      top + ((north - lat) / (north - south)) * imgHeight
+    ];
+
+    doc.setDrawColor(60, 60, 60);
+    doc.setLineWidth(0.4);
+    boundary.coordinates.forEach(ring => {
+      const points = ring.map(toPage);
+      for (let i = 1; i < points.length; i++) {
+        doc.line(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+      }
+    });
+  }
+
+  return yPosition + imgHeight + 10;
+}
+
 function addKeyMetricsBox(doc, economicImpact, yPosition, margin, pageWidth) {
   const boxHeight = 35;
   doc.setDrawColor(34, 139, 34);
@@ -0,0 +1,524 @@
+/**
+ * Route Optimizer
+ * Orders spray waypoints to minimise flight distance (open path from a
+ * start point through every waypoint to an end point).
+ * Construction: nearest neighbour or a given order. Improvement: 2-opt and Or-opt.
+ * Exact: Held-Karp dynamic programming for small instances.
+ * Quality: Held-Karp 1-tree lower bound, reported as a percentage gap.
+ */
+
+// Largest instance the exact solver accepts (2^n × n² work)
+export const EXACT_MAX_WAYPOINTS = 12;
+
+// Subgradient iterations for the lower bound. Each one costs n² (a dense 1-tree),
+// so large instances get fewer: about LOWER_BOUND_WORK / n², within these limits
+const LOWER_BOUND_ITERATIONS = 60;
+const LOWER_BOUND_MIN_ITERATIONS = 8;
+const LOWER_BOUND_WORK = 2e7;
+
+// Nearest nodes tried as the new neighbour in a 2-opt or Or-opt move
+const NEIGHBOUR_COUNT = 10;
+
+const EPSILON = 1e-9;
+
+/**
+ * Great-circle distance in meters
+ * @param {{lat: number, lng: number}} p1
+ * @param {{lat: number, lng: number}} p2
+ * @returns {number}
+ */
+export function haversineDistance(p1, p2) {
+  const R = 6371000; // Earth radius in meters
+  const lat1 = p1.lat * Math.PI / 180;
+  const lat2 = p2.lat * Math.PI / 180;
+  const deltaLat = (p2.lat - p1.lat) * Math.PI / 180;
+  const deltaLng = (p2.lng - p1.lng) * Math.PI / 180;
+
+  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
+
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Distance matrix over [start, ...points, end]
+ * Node 0 is the start, nodes 1..n the points, node n + 1 the end.
+ * @param {{lat: number, lng: number}} start
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {{lat: number, lng: number}} end
+ * @param {function} [distance] - Distance function (defaults to haversine)
+ * @returns {Array<Float64Array>}
+ */
+export function buildDistanceMatrix(start, points, end, distance = haversineDistance) {
+  const nodes = [start, ...points, end];
+
+  return nodes.map(a => Float64Array.from(nodes, b => distance(a, b)));
+}
+
+/**
+ * Length of start -> order... -> end
+ * @param {Array<number>} order - Point indices (1..n)
+ * @param {Array<Float64Array>} matrix
+ * @returns {number}
+ */
+export function routeLength(order, matrix) {
+  const end = matrix.length - 1;
+  let length = 0;
+  let previous = 0;
+
+  order.forEach(node => {
+    length += matrix[previous][node];
+    previous = node;
+  });
+
+  return length + matrix[previous][end];
+}
+
+/**
+ * Greedy nearest-neighbour construction
+ * @param {Array<Float64Array>} matrix
+ * @returns {Array<number>}
+ */
+export function nearestNeighbourOrder(matrix) {
+  const n = matrix.length - 2;
+  const unvisited = new Set(Array.from({ length: n }, (_, i) => i + 1));
+  const order = [];
+  let current = 0;
+
+  while (unvisited.size > 0) {
+    let nearest = null;
+    let shortest = Infinity;
+
+    for (const node of unvisited) {
+      if (matrix[current][node] < shortest) {
+        shortest = matrix[current][node];
+        nearest = node;
+      }
+    }
+
+    order.push(nearest);
+    unvisited.delete(nearest);
+    current = nearest;
+  }
+
+  return order;
+}
+
+/**
+ * Nearest other nodes of every node, closest first
+ * @param {Array<Float64Array>} matrix
+ * @param {number} [count]
+ * @returns {Array<Int32Array>}
+ */
+export function buildNeighbourLists(matrix, count = NEIGHBOUR_COUNT) {
+  const nodes = Array.from({ length: matrix.length }, (_, i) => i);
+
+  return matrix.map((row, a) => Int32Array.from(
+    nodes.filter(b => b !== a).sort((b, c) => row[b] - row[c]).slice(0, count)
+  ));
+}
+
+function indexPositions(route) {
+  const position = new Int32Array(route.length);
+  route.forEach((node, i) => { position[node] = i; });
+  return position;
+}
+
+/**
+ * 2-opt: reverse any segment that shortens the route, until none does.
+ * A move only pays if one of its new edges is shorter than the edge it
+ * replaces, so only each node's nearest neighbours are tried.
+ * @param {Array<number>} order
+ * @param {Array<Float64Array>} matrix
+ * @param {Array<Int32Array>} [neighbours] - From buildNeighbourLists
+ * @returns {{order: Array<number>, improved: boolean}}
+ */
+export function twoOpt(order, matrix, neighbours = buildNeighbourLists(matrix)) {
+  const end = matrix.length - 1;
+  const route = [0, ...order, end];
+  const position = indexPositions(route);
+  const last = route.length - 1;
+  let improved = false;
+  let changed = true;
+
+  // Swap edges (route[i], route[i + 1]) and (route[j], route[j + 1]) for
+  // (route[i], route[j]) and (route[i + 1], route[j + 1]) when that is shorter
+  const tryMove = (i, j) => {
+    const delta = matrix[route[i]][route[j]] + matrix[route[i + 1]][route[j + 1]] -
+      matrix[route[i]][route[i + 1]] - matrix[route[j]][route[j + 1]];
+    if (delta >= -EPSILON) return false;
+
+    reverseSegment(route, position, i + 1, j);
+    changed = true;
+    improved = true;
+    return true;
+  };
+
+  while (changed) {
+    changed = false;
+
+    for (let p = 0; p < last; p++) {
+      const a = route[p];
+
+      // New edge a -> c, with c later in the route
+      for (const c of neighbours[a]) {
+        if (matrix[a][c] >= matrix[a][route[p + 1]] - EPSILON) break;
+        const j = position[c];
+        if (j > p + 1 && j < last && tryMove(p, j)) break;
+      }
+
+      // New edge c -> a from the other side, with c earlier in the route
+      if (p === 0) continue;
+      for (const c of neighbours[a]) {
+        if (matrix[a][c] >= matrix[a][route[p - 1]] - EPSILON) break;
+        const q = position[c];
+        if (q >= 1 && q < p - 1 && tryMove(q - 1, p - 1)) break;
+      }
+    }
+  }
+
+  return { order: route.slice(1, -1), improved };
+}
+
+function reverseSegment(route, position, from, to) {
+  while (from < to) {
+    const tmp = route[from];
+    route[from] = route[to];
+    route[to] = tmp;
+    position[route[from]] = from;
+    position[route[to]] = to;
+    from++;
+    to--;
+  }
+}
+
+/**
+ * Or-opt: move segments of 1-3 consecutive waypoints (either way round)
+ * to a better position, until no move helps.
+ * Segments are only tried next to the nearest neighbours of their ends.
+ * @param {Array<number>} order
+ * @param {Array<Float64Array>} matrix
+ * @param {Array<Int32Array>} [neighbours] - From buildNeighbourLists
+ * @returns {{order: Array<number>, improved: boolean}}
+ */
+export function orOpt(order, matrix, neighbours = buildNeighbourLists(matrix)) {
+  const end = matrix.length - 1;
+  const route = [0, ...order, end];
+  let position = indexPositions(route);
+  let improved = false;
+  let changed = true;
+
+  // Best place for route[i .. i + length - 1], or null when it is best where it is
+  const findMove = (i, length) => {
+    const first = route[i];
+    const last = route[i + length - 1];
+    const before = route[i - 1];
+    const after = route[i + length];
+
+    // Gain from cutting the segment out
+    const removeGain = matrix[before][first] + matrix[last][after] - matrix[before][after];
+    if (removeGain <= EPSILON) return null;
+
+    let best = null;
+    const tryEdge = k => {
+      // Edges touching the segment are not insertion points
+      if (k < 0 || k >= route.length - 1 || (k >= i - 1 && k <= i + length - 1)) return;
+
+      const p = route[k];
+      const q = route[k + 1];
+      const forward = matrix[p][first] + matrix[last][q] - matrix[p][q];
+      const backward = matrix[p][last] + matrix[first][q] - matrix[p][q];
+      const insertCost = Math.min(forward, backward);
+
+      if (insertCost < removeGain - EPSILON && (!best || insertCost < best.insertCost)) {
+        best = { k, insertCost, reversed: backward < forward };
+      }
+    };
+
+    [first, last].forEach(tip => neighbours[tip].forEach(node => {
+      tryEdge(position[node] - 1);
+      tryEdge(position[node]);
+    }));
+
+    return best;
+  };
+
+  while (changed) {
+    changed = false;
+
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let length = 1; length <= 3 && i + length < route.length; length++) {
+        const move = findMove(i, length);
+        if (!move) continue;
+
+        const segment = route.splice(i, length);
+        if (move.reversed) segment.reverse();
+        // Edge k sat after the segment: its index moved back by the segment length
+        const at = move.k < i ? move.k + 1 : move.k + 1 - length;
+        route.splice(at, 0, ...segment);
+        position = indexPositions(route);
+
+        changed = true;
+        improved = true;
+        break;
+      }
+    }
+  }
+
+  return { order: route.slice(1, -1), improved };
+}
+
+/**
+ * Alternate 2-opt and Or-opt until neither improves the route
+ * @param {Array<number>} order
+ * @param {Array<Float64Array>} matrix
+ * @param {Array<Int32Array>} [neighbours] - From buildNeighbourLists
+ * @returns {Array<number>}
+ */
+export function improveRoute(order, matrix, neighbours = buildNeighbourLists(matrix)) {
+  let current = order;
+
+  for (;;) {
+    const afterTwoOpt = twoOpt(current, matrix, neighbours);
+    const afterOrOpt = orOpt(afterTwoOpt.order, matrix, neighbours);
+    current = afterOrOpt.order;
+
+    if (!afterOrOpt.improved) return current;
+  }
+}
+
+/**
+ * Exact shortest open path (Held-Karp dynamic programming)
+ * @param {Array<Float64Array>} matrix
+ * @returns {Array<number>}
+ */
+export function solveExact(matrix) {
+  const n = matrix.length - 2;
+  const end = n + 1;
+
+  if (n > EXACT_MAX_WAYPOINTS) {
+    throw new Error(`Exact solver supports at most ${EXACT_MAX_WAYPOINTS} waypoints (got ${n})`);
+  }
+  if (n === 0) return [];
+
+  const states = 1 << n;
+  // cost[mask * n + j]: shortest path from start through `mask`, ending at point j
+  const cost = new Float64Array(states * n).fill(Infinity);
+  const parent = new Int16Array(states * n).fill(-1);
+
+  for (let j = 0; j < n; j++) {
+    cost[(1 << j) * n + j] = matrix[0][j + 1];
+  }
+
+  for (let mask = 1; mask < states; mask++) {
+    for (let j = 0; j < n; j++) {
+      const current = cost[mask * n + j];
+      if (!(mask & (1 << j)) || current === Infinity) continue;
+
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+
+        const next = mask | (1 << k);
+        const candidate = current + matrix[j + 1][k + 1];
+
+        if (candidate < cost[next * n + k]) {
+          cost[next * n + k] = candidate;
+          parent[next * n + k] = j;
+        }
+      }
+    }
+  }
+
+  // Best last point, then walk the parents back
+  const full = states - 1;
+  let last = 0;
+  for (let j = 1; j < n; j++) {
+    if (cost[full * n + j] + matrix[j + 1][end] < cost[full * n + last] + matrix[last + 1][end]) {
+      last = j;
+    }
+  }
+
+  const order = [];
+  let mask = full;
+  let node = last;
+
+  while (node !== -1) {
+    order.unshift(node + 1);
+    const previous = parent[mask * n + node];
+    mask &= ~(1 << node);
+    node = previous;
+  }
+
+  return order;
+}
+
+/**
+ * Held-Karp 1-tree lower bound on the open path length.
+ * The open path start -> ... -> end is treated as a tour with a free
+ * end -> start edge; subgradient ascent on node penalties tightens the bound.
+ * @param {Array<Float64Array>} matrix
+ * @returns {number}
+ */
+export function computeLowerBound(matrix) {
+  const end = matrix.length - 1;
+  const n = matrix.length;
+
+  if (n <= 2) return matrix[0][end];
+  if (n === 3) return matrix[0][1] + matrix[1][end];
+
+  // Closing the path with a zero-cost end -> start edge turns it into a tour
+  const d = (i, j) => ((i === 0 && j === end) || (i === end && j === 0) ? 0 : matrix[i][j]);
+
+  // Step size scaled from the nearest-neighbour route, so the bound depends only on the instance
+  const upperBound = routeLength(nearestNeighbourOrder(matrix), matrix);
+  const iterations = Math.max(
+    LOWER_BOUND_MIN_ITERATIONS,
+    Math.min(LOWER_BOUND_ITERATIONS, Math.floor(LOWER_BOUND_WORK / (n * n)))
+  );
+  const penalty = new Float64Array(n);
+  let best = 0;
+  let step = null;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const { length, degree } = oneTree(n, (i, j) => d(i, j) + penalty[i] + penalty[j]);
+    const bound = length - 2 * penalty.reduce((sum, p) => sum + p, 0);
+    best = Math.max(best, bound);
+
+    const subgradient = degree.map(deg => deg - 2);
+    const norm = subgradient.reduce((sum, g) => sum + g * g, 0);
+    if (norm === 0) break; // the 1-tree is a tour - bound is exact
+
+    if (step === null) step = (upperBound - bound) / n || 1;
+    // Same overall step decay however many iterations the instance gets
+    const t = step * Math.pow(0.95, iteration * LOWER_BOUND_ITERATIONS / iterations);
+    subgradient.forEach((g, i) => { penalty[i] += t * g; });
+  }
+
+  return best;
+}
+
+/**
+ * Minimum 1-tree: MST over nodes 1..n-1 plus node 0's two cheapest edges
+ * @param {number} n
+ * @param {function(number, number): number} weight
+ * @returns {{length: number, degree: Array<number>}}
+ */
+function oneTree(n, weight) {
+  const degree = new Array(n).fill(0);
+  const inTree = new Array(n).fill(false);
+  const key = new Float64Array(n).fill(Infinity);
+  const from = new Int32Array(n).fill(-1);
+  let length = 0;
+
+  // Prim's MST over nodes 1..n-1 (dense graph)
+  key[1] = 0;
+  for (let count = 1; count < n; count++) {
+    let u = -1;
+    for (let v = 1; v < n; v++) {
+      if (!inTree[v] && (u === -1 || key[v] < key[u])) u = v;
+    }
+
+    inTree[u] = true;
+    if (from[u] !== -1) {
+      length += key[u];
+      degree[u]++;
+      degree[from[u]]++;
+    }
+
+    for (let v = 1; v < n; v++) {
+      if (!inTree[v]) {
+        const w = weight(u, v);
+        if (w < key[v]) {
+          key[v] = w;
+          from[v] = u;
+        }
+      }
+    }
+  }
+
+  // Two cheapest edges from node 0
+  let first = -1;
+  let second = -1;
+  for (let v = 1; v < n; v++) {
+    const w = weight(0, v);
+    if (first === -1 || w < weight(0, first)) {
+      second = first;
+      first = v;
+    } else if (second === -1 || w < weight(0, second)) {
+      second = v;
+    }
+  }
+
+  length += weight(0, first) + weight(0, second);
+  degree[0] += 2;
+  degree[first]++;
+  degree[second]++;
+
+  return { length, degree };
+}
+
+/**
+ * Optimise the visiting order of waypoints
+ * @param {{lat: number, lng: number}} start
+ * @param {Array<{lat: number, lng: number}>} points - In a sensible default order (e.g. a sweep)
+ * @param {{lat: number, lng: number}} end
+ * @param {Object} [options]
+ * @param {'nearest'|'sweep'|'optimized'|'exact'} [options.algorithm] - 'sweep' keeps the given order
+ * @param {function} [options.distance] - Distance function (defaults to haversine)
+ * @param {Object} [options.cache] - Shared between calls for the same points (e.g. when
+ *   comparing algorithms), so the distance matrix, neighbour lists and lower bound are built once
+ * @returns {{order: Array<number>, distance: number, lowerBound: number, gapPercent: number, optimal: boolean, algorithm: string}}
+ *   order holds indices into points
+ */
+export function optimizeRoute(start, points, end, { algorithm = 'optimized', distance, cache = {} } = {}) {
+  if (!cache.matrix) cache.matrix = buildDistanceMatrix(start, points, end, distance);
+  const { matrix } = cache;
+  const n = points.length;
+  const neighbours = () => {
+    if (!cache.neighbours) cache.neighbours = buildNeighbourLists(matrix);
+    return cache.neighbours;
+  };
+  let used = algorithm;
+  let order;
+
+  if (algorithm === 'exact' && n > EXACT_MAX_WAYPOINTS) {
+    console.warn(`⚠️ ${n} waypoints is too many for the exact solver - using 2-opt + Or-opt`);
+    used = 'optimized';
+  }
+
+  switch (used) {
+    case 'sweep':
+      order = points.map((_, i) => i + 1);
+      break;
+    case 'nearest':
+      order = nearestNeighbourOrder(matrix);
+      break;
+    case 'exact':
+      order = solveExact(matrix);
+      break;
+    case 'optimized': {
+      // Improve both the nearest-neighbour route and the given order, keep the shorter
+      const fromNearest = improveRoute(nearestNeighbourOrder(matrix), matrix, neighbours());
+      const fromGiven = improveRoute(points.map((_, i) => i + 1), matrix, neighbours());
+      order = routeLength(fromGiven, matrix) < routeLength(fromNearest, matrix) ? fromGiven : fromNearest;
+      break;
+    }
+    default:
+      throw new Error(`Unknown route algorithm: ${algorithm}`);
+  }
+
+  const length = routeLength(order, matrix);
+  const optimal = used === 'exact' || n <= 2;
+  if (!optimal && cache.lowerBound === undefined) cache.lowerBound = computeLowerBound(matrix);
+  const lowerBound = optimal ? length : Math.min(length, cache.lowerBound);
+
+  return {
+    order: order.map(node => node - 1),
+    distance: length,
+    lowerBound,
+    gapPercent: lowerBound > 0 ? ((length - lowerBound) / lowerBound) * 100 : 0,
+    optimal,
+    algorithm: used
+  };
+}
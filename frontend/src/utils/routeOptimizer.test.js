@@ -0,0 +1,116 @@
+import {
+  buildDistanceMatrix,
+  computeLowerBound,
+  improveRoute,
+  nearestNeighbourOrder,
+  optimizeRoute,
+  orOpt,
+  routeLength,
+  solveExact,
+  twoOpt
+} from './routeOptimizer';
+
+/**
+ * Seeded PRNG (mulberry32) so every run plans the same instances
+ * @param {number} seed
+ * @returns {function(): number} Uniform in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random waypoints over a field-sized square, launching and landing at different corners
+ */
+function randomInstance(count, seed) {
+  const random = createRandom(seed);
+  return {
+    start: { lat: 28.61, lng: 77.2 },
+    end: { lat: 28.615, lng: 77.205 },
+    points: Array.from({ length: count }, () => ({
+      lat: 28.61 + random() * 0.005,
+      lng: 77.2 + random() * 0.005
+    }))
+  };
+}
+
+const isPermutation = (order, n) => [...order].sort((a, b) => a - b).every((node, i) => node === i + 1) &&
+  order.length === n;
+
+describe('route optimizer', () => {
+  test.each([[5, 1], [8, 2], [10, 3], [12, 4]])(
+    'exact route is no longer than the optimized one (%i waypoints)',
+    (count, seed) => {
+      const { start, points, end } = randomInstance(count, seed);
+      const exact = optimizeRoute(start, points, end, { algorithm: 'exact' });
+      const optimized = optimizeRoute(start, points, end, { algorithm: 'optimized' });
+
+      expect(exact.optimal).toBe(true);
+      expect(exact.distance).toBeLessThanOrEqual(optimized.distance + 1e-6);
+    }
+  );
+
+  test.each([[6, 5], [12, 6], [60, 7], [300, 8]])(
+    'lower bound is no longer than any route (%i waypoints)',
+    (count, seed) => {
+      const { start, points, end } = randomInstance(count, seed);
+      const matrix = buildDistanceMatrix(start, points, end);
+      const lowerBound = computeLowerBound(matrix);
+      const routes = [
+        nearestNeighbourOrder(matrix),
+        points.map((_, i) => i + 1),
+        improveRoute(nearestNeighbourOrder(matrix), matrix)
+      ];
+      if (count <= 12) routes.push(solveExact(matrix));
+
+      expect(lowerBound).toBeGreaterThan(0);
+      routes.forEach(order => expect(lowerBound).toBeLessThanOrEqual(routeLength(order, matrix) + 1e-6));
+    }
+  );
+
+  test('2-opt and Or-opt keep every waypoint and never lengthen the route', () => {
+    const { start, points, end } = randomInstance(200, 9);
+    const matrix = buildDistanceMatrix(start, points, end);
+    const given = points.map((_, i) => i + 1);
+
+    const afterTwoOpt = twoOpt(given, matrix);
+    const afterOrOpt = orOpt(afterTwoOpt.order, matrix);
+
+    expect(isPermutation(afterTwoOpt.order, 200)).toBe(true);
+    expect(isPermutation(afterOrOpt.order, 200)).toBe(true);
+    expect(routeLength(afterTwoOpt.order, matrix)).toBeLessThan(routeLength(given, matrix));
+    expect(routeLength(afterOrOpt.order, matrix)).toBeLessThanOrEqual(routeLength(afterTwoOpt.order, matrix) + 1e-6);
+  });
+
+  test('algorithms sharing a cache reuse one distance matrix and lower bound', () => {
+    const { start, points, end } = randomInstance(40, 10);
+    const cache = {};
+    const nearest = optimizeRoute(start, points, end, { algorithm: 'nearest', cache });
+    const { matrix, lowerBound } = cache;
+    const optimized = optimizeRoute(start, points, end, { algorithm: 'optimized', cache });
+
+    expect(cache.matrix).toBe(matrix);
+    expect(cache.lowerBound).toBe(lowerBound);
+    expect(optimized.distance).toBeLessThanOrEqual(nearest.distance);
+    expect(optimized.lowerBound).toBe(nearest.lowerBound);
+  });
+
+  test('plans 500 waypoints in under 3 seconds', () => {
+    const { start, points, end } = randomInstance(500, 11);
+
+    const begin = performance.now();
+    const route = optimizeRoute(start, points, end, { algorithm: 'optimized' });
+    const elapsed = performance.now() - begin;
+
+    expect(route.order).toHaveLength(500);
+    expect(route.lowerBound).toBeLessThanOrEqual(route.distance);
+    expect(elapsed).toBeLessThan(3000);
+  });
+});
@@ -3,6 +3,8 @@
  * Generates realistic agricultural sensor readings
  */
 
+import { WIND_CONFIG } from './windPlanning';
+
 
 /**
  * Soil Moisture (%)
@@ -92,6 +94,33 @@ export function generateLightIntensity() {
 }
 
 
+/**
+ * Wind Speed (m/s) at spray height
+ * - <0.5: Calm (inversion drift risk)
+ * - 0.5-3.5: Light (good spraying conditions)
+ * - 3.5-5: Moderate (coarse droplets only)
+ * - >5: Strong (no spraying)
+ */
+export function generateWindSpeed() {
+  // Wind picks up through the afternoon
+  const hour = new Date().getHours();
+  const base = 1.5 + Math.max(0, Math.sin((hour - 8) * Math.PI / 12)) * 2;
+  const gust = (Math.random() - 0.3) * 2.5;
+  return parseFloat(Math.max(0, base + gust).toFixed(1));
+}
+
+
+/**
+ * Wind Direction (degrees clockwise from north the wind blows FROM)
+ * Varies around a prevailing westerly
+ */
+export function generateWindDirection() {
+  const prevailing = 270;
+  const variation = (Math.random() - 0.5) * 80; // ±40°
+  return Math.round((prevailing + variation + 360) % 360);
+}
+
+
 /**
  * Generate complete sensor snapshot
  */
@@ -102,6 +131,8 @@ export function generateSensorSnapshot() {
     air_humidity: generateAirHumidity(),
     soil_ph: generateSoilPH(),
     light_intensity: generateLightIntensity(),
+    wind_speed: generateWindSpeed(),
+    wind_direction: generateWindDirection(),
     timestamp: new Date().toISOString(),
     sensor_id: 'FIELD_01_SENSOR_A',
     status: 'online'
@@ -130,7 +161,7 @@ export function startSensorStream(callback, interval = 30000) {
  * Categorize sensor values for fusion logic
  */
 export function categorizeSensorData(sensorData) {
-  const { soil_moisture, soil_temperature, air_humidity, soil_ph } = sensorData;
+  const { soil_moisture, soil_temperature, air_humidity, soil_ph, wind_speed = 0 } = sensorData;
   
   return {
     moisture: {
@@ -170,6 +201,16 @@ export function categorizeSensorData(sensorData) {
                 soil_ph < 7.5 ? 'neutral' :
                 'alkaline',
       status: soil_ph < 5.8 || soil_ph > 7.8 ? 'caution' : 'normal'
+    },
+    wind: {
+      value: wind_speed,
+      category: wind_speed < WIND_CONFIG.minWindSpeed ? 'calm' :
+                wind_speed <= WIND_CONFIG.cautionWindSpeed ? 'light' :
+                wind_speed <= WIND_CONFIG.maxWindSpeed ? 'moderate' :
+                'strong',
+      status: wind_speed > WIND_CONFIG.maxWindSpeed ? 'warning' :
+              wind_speed > WIND_CONFIG.cautionWindSpeed || wind_speed < WIND_CONFIG.minWindSpeed ? 'caution' :
+              'normal'
     }
   };
 }
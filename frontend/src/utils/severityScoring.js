@@ -0,0 +1,275 @@
+/**
+ * Infection Severity Scoring
+ * Turns the detections inside a grid cell into a 0-1 severity score
+ * (count × confidence × disease class × recency)
+ */
+
+export const SEVERITY_CONFIG = {
+  // Healthy leaf classes from the model's data.yaml - never count as infection
+  healthyClasses: [
+    'Apple leaf',
+    'Bell_pepper leaf',
+    'Blueberry leaf',
+    'Cherry leaf',
+    'Peach leaf',
+    'Potato leaf',
+    'Raspberry leaf',
+    'Soyabean leaf',
+    'Soybean leaf',
+    'Strawberry leaf',
+    'Tomato leaf',
+    'grape leaf'
+  ],
+
+  // Detections below this confidence are ignored
+  minConfidence: 0.25,
+
+  // Relative weight per disease class (unlisted diseases use defaultClassWeight)
+  // Late blight and viruses spread fastest, mildew and mites are slower
+  classWeights: {
+    'Tomato leaf late blight': 1.5,
+    'Potato leaf late blight': 1.5,
+    'Tomato leaf mosaic virus': 1.3,
+    'Tomato leaf yellow virus': 1.3,
+    'Squash Powdery mildew leaf': 0.8,
+    'Tomato two spotted spider mites leaf': 0.8
+  },
+  defaultClassWeight: 1.0,
+
+  // Older evidence counts half as much every half-life.
+  // Age is measured up to the scoring time, so cells that are not seen again age out.
+  recencyHalfLifeHours: 48,
+
+  // Weighted evidence at which the score reaches ~63% (1 - 1/e)
+  saturation: 2.0,
+
+  // Score thresholds for each level; a cell is infected from 'low' upwards
+  thresholds: {
+    low: 0.15,
+    moderate: 0.45,
+    high: 0.7
+  }
+};
+
+export const SEVERITY_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+// Map colours per severity level
+export const SEVERITY_COLORS = {
+  none: '#10b981',
+  low: '#f59e0b',
+  moderate: '#f97316',
+  high: '#dc2626'
+};
+
+/**
+ * Severity config with overrides (thresholds and class weights merged, not replaced)
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function getSeverityConfig(overrides = {}) {
+  return {
+    ...SEVERITY_CONFIG,
+    ...overrides,
+    classWeights: { ...SEVERITY_CONFIG.classWeights, ...overrides.classWeights },
+    thresholds: { ...SEVERITY_CONFIG.thresholds, ...overrides.thresholds }
+  };
+}
+
+/**
+ * Is this a healthy (non-disease) class?
+ * @param {string} className
+ * @param {Object} [config]
+ * @returns {boolean}
+ */
+export function isHealthyClass(className, config = SEVERITY_CONFIG) {
+  return config.healthyClasses.includes(className);
+}
+
+/**
+ * Disease class/confidence pairs in a detection event.
+ * Accepts a frame event ({detections: [...]}) or a single detection.
+ * @param {Object} detection
+ * @returns {Array<{class_name: string, confidence: number}>}
+ */
+export function getDetectionItems(detection) {
+  if (Array.isArray(detection.detections)) return detection.detections;
+  if (detection.class_name) return [detection];
+  return [];
+}
+
+/**
+ * Weighted disease evidence from one detection event (before recency decay)
+ * @param {Object} detection
+ * @param {Object} [config]
+ * @returns {{evidence: number, diseaseCount: number, confidenceSum: number, classes: Object<string, number>}}
+ */
+export function scoreDetection(detection, config = SEVERITY_CONFIG) {
+  let evidence = 0;
+  let diseaseCount = 0;
+  let confidenceSum = 0;
+  const classes = {};
+
+  getDetectionItems(detection).forEach(({ class_name, confidence = 0 }) => {
+    if (!class_name || isHealthyClass(class_name, config)) return;
+    if (confidence < config.minConfidence) return;
+
+    const weight = config.classWeights[class_name] ?? config.defaultClassWeight;
+
+    evidence += confidence * weight;
+    diseaseCount += 1;
+    confidenceSum += confidence;
+    classes[class_name] = (classes[class_name] || 0) + 1;
+  });
+
+  return { evidence, diseaseCount, confidenceSum, classes };
+}
+
+/**
+ * Map a score to a severity level
+ * @param {number} score - 0 to 1
+ * @param {Object} [config]
+ * @returns {'none'|'low'|'moderate'|'high'}
+ */
+export function getSeverityLevel(score, config = SEVERITY_CONFIG) {
+  const { low, moderate, high } = config.thresholds;
+
+  if (score >= high) return 'high';
+  if (score >= moderate) return 'moderate';
+  if (score >= low) return 'low';
+  return 'none';
+}
+
+/**
+ * Severity of a single detection event on its own (no recency decay)
+ * @param {Object} detection
+ * @param {Object} [config]
+ * @returns {{severity: number, severityLevel: string}}
+ */
+export function getDetectionSeverity(detection, config = SEVERITY_CONFIG) {
+  const { evidence } = scoreDetection(detection, config);
+  const severity = 1 - Math.exp(-evidence / config.saturation);
+
+  return {
+    severity: parseFloat(severity.toFixed(4)),
+    severityLevel: getSeverityLevel(severity, config)
+  };
+}
+
+/**
+ * Empty observation record for a new cell
+ * @returns {Object}
+ */
+export function createCellObservations() {
+  return {
+    diseaseCount: 0,
+    confidenceSum: 0,
+    evidence: 0,
+    latestTime: null,
+    classes: {}
+  };
+}
+
+/**
+ * Recency weight of evidence that is `from` old at time `to` (epoch ms; null = undated)
+ * @param {number|null} from
+ * @param {number|null} to
+ * @param {Object} config
+ * @returns {number} 0-1
+ */
+function getRecencyDecay(from, to, config) {
+  const halfLifeMs = config.recencyHalfLifeHours * 3600 * 1000;
+  if (from === null || to === null || !halfLifeMs) return 1;
+  return Math.pow(0.5, Math.max(0, to - from) / halfLifeMs);
+}
+
+/**
+ * Score a cell's observations at a point in time
+ * @param {Object} observations - From createCellObservations / scoreCellWithDetection
+ * @param {Object} [config]
+ * @param {number} [now] - Scoring time (epoch ms)
+ * @returns {{severity: number, severityLevel: string, infected: boolean}}
+ */
+export function scoreCellObservations(observations, config = SEVERITY_CONFIG, now = Date.now()) {
+  const evidence = observations.evidence * getRecencyDecay(observations.latestTime, now, config);
+  const severity = 1 - Math.exp(-evidence / config.saturation);
+  const severityLevel = getSeverityLevel(severity, config);
+
+  return {
+    severity: parseFloat(severity.toFixed(4)),
+    severityLevel,
+    infected: severityLevel !== 'none'
+  };
+}
+
+/**
+ * Fold one detection into a cell's observations and rescore it.
+ * Evidence is kept relative to the newest observation, so adding a newer
+ * detection decays the existing total once - O(1) per detection and
+ * independent of the order detections arrive in. The score then decays
+ * that total on to the scoring time.
+ * @param {Object} cell - Grid cell (not modified)
+ * @param {Object} detection - Detection event with id and timestamp
+ * @param {Object} [config]
+ * @param {number} [now] - Scoring time (epoch ms)
+ * @returns {{detections: Array, observations: Object, severity: number, severityLevel: string, infected: boolean}}
+ */
+export function scoreCellWithDetection(cell, detection, config = SEVERITY_CONFIG, now = Date.now()) {
+  const previous = cell.observations || createCellObservations();
+  const { evidence, diseaseCount, confidenceSum, classes } = scoreDetection(detection, config);
+
+  const parsed = Date.parse(detection.timestamp);
+  const time = Number.isNaN(parsed) ? previous.latestTime : parsed;
+  const decay = (from, to) => getRecencyDecay(from, to, config);
+
+  let latestTime = previous.latestTime;
+  let total;
+
+  if (latestTime === null || (time !== null && time > latestTime)) {
+    // Newer than anything seen: decay the old total up to this detection
+    total = previous.evidence * decay(latestTime, time) + evidence;
+    latestTime = time;
+  } else {
+    // Older (or undated) detection: decay it to the cell's newest observation
+    total = previous.evidence + evidence * decay(time, latestTime);
+  }
+
+  const mergedClasses = { ...previous.classes };
+  Object.entries(classes).forEach(([name, count]) => {
+    mergedClasses[name] = (mergedClasses[name] || 0) + count;
+  });
+
+  const observations = {
+    diseaseCount: previous.diseaseCount + diseaseCount,
+    confidenceSum: previous.confidenceSum + confidenceSum,
+    evidence: total,
+    latestTime,
+    classes: mergedClasses
+  };
+
+  return {
+    detections: [...cell.detections, detection.id],
+    observations,
+    ...scoreCellObservations(observations, config, now)
+  };
+}
+
+/**
+ * Most frequent class in a class -> count map
+ * @param {Object<string, number>} classes
+ * @returns {string|null}
+ */
+export function getDominantClass(classes) {
+  const entries = Object.entries(classes || {});
+  if (entries.length === 0) return null;
+
+  return entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+/**
+ * Most frequent disease class in a cell
+ * @param {Object} cell
+ * @returns {string|null}
+ */
+export function getDominantDisease(cell) {
+  return getDominantClass(cell.observations?.classes);
+}
@@ -0,0 +1,316 @@
+/**
+ * Spatial Index
+ * Fast point-to-cell lookup for field grids, and point-to-segment lookup for flown tracks
+ */
+
+import { isPointInPolygon, distanceToSegment } from './geometry';
+
+/**
+ * Point-region quadtree over axis-aligned boxes.
+ * Items are stored in every leaf their box overlaps, so a point query
+ * only has to test the handful of items in one leaf.
+ */
+export class Quadtree {
+  /**
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds
+   * @param {number} capacity - Items per node before splitting
+   * @param {number} maxDepth - Depth limit (stops splitting on heavy overlap)
+   */
+  constructor(bounds, capacity = 8, maxDepth = 12) {
+    this.bounds = bounds;
+    this.capacity = capacity;
+    this.maxDepth = maxDepth;
+    this.root = { bounds, items: [], children: null, depth: 0 };
+  }
+
+  /**
+   * Insert an item with its bounding box
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   * @param {*} value
+   */
+  insert(box, value) {
+    this.insertInto(this.root, { box, value });
+  }
+
+  insertInto(node, entry) {
+    if (!boxesOverlap(node.bounds, entry.box)) return;
+
+    if (node.children) {
+      node.children.forEach(child => this.insertInto(child, entry));
+      return;
+    }
+
+    node.items.push(entry);
+
+    if (node.items.length > this.capacity && node.depth < this.maxDepth) {
+      this.split(node);
+    }
+  }
+
+  split(node) {
+    const { minX, minY, maxX, maxY } = node.bounds;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    const depth = node.depth + 1;
+
+    node.children = [
+      { bounds: { minX, minY, maxX: midX, maxY: midY }, items: [], children: null, depth },
+      { bounds: { minX: midX, minY, maxX, maxY: midY }, items: [], children: null, depth },
+      { bounds: { minX, minY: midY, maxX: midX, maxY }, items: [], children: null, depth },
+      { bounds: { minX: midX, minY: midY, maxX, maxY }, items: [], children: null, depth }
+    ];
+
+    const items = node.items;
+    node.items = [];
+    items.forEach(entry => node.children.forEach(child => this.insertInto(child, entry)));
+  }
+
+  /**
+   * Find all items whose box contains the point
+   * @param {{x: number, y: number}} point
+   * @returns {Array<*>}
+   */
+  queryPoint(point) {
+    let node = this.root;
+
+    if (!boxContains(node.bounds, point)) return [];
+
+    while (node.children) {
+      node = node.children.find(child => boxContains(child.bounds, point));
+    }
+
+    return node.items
+      .filter(entry => boxContains(entry.box, point))
+      .map(entry => entry.value);
+  }
+}
+
+function boxesOverlap(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX &&
+         a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+function boxContains(box, point) {
+  return point.x >= box.minX && point.x <= box.maxX &&
+         point.y >= box.minY && point.y <= box.maxY;
+}
+
+/**
+ * Uniform bucket grid over line segments (local meters).
+ * Segments are cut into pieces no longer than a bucket, and each piece is filed
+ * in every bucket its padded box overlaps. Long, overlapping legs (swaths, tracks)
+ * stay cheap, where a quadtree over their boxes would keep splitting.
+ */
+export class SegmentGrid {
+  /**
+   * @param {number} size - Bucket side (meters)
+   */
+  constructor(size) {
+    this.size = size;
+    this.buckets = new Map();
+    this.extent = null;  // Occupied bucket range
+  }
+
+  /**
+   * Insert a segment
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   * @param {number} [padding] - Also file the pieces in buckets this close to them
+   * @param {*} [value]
+   */
+  insert(a, b, padding = 0, value = null) {
+    const pieces = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / this.size));
+    const at = t => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+    for (let k = 0; k < pieces; k++) {
+      const piece = { a: at(k / pieces), b: at((k + 1) / pieces), value };
+      const minX = this.bucketOf(Math.min(piece.a.x, piece.b.x) - padding);
+      const maxX = this.bucketOf(Math.max(piece.a.x, piece.b.x) + padding);
+      const minY = this.bucketOf(Math.min(piece.a.y, piece.b.y) - padding);
+      const maxY = this.bucketOf(Math.max(piece.a.y, piece.b.y) + padding);
+
+      for (let bx = minX; bx <= maxX; bx++) {
+        for (let by = minY; by <= maxY; by++) {
+          const key = `${bx},${by}`;
+          if (!this.buckets.has(key)) this.buckets.set(key, []);
+          this.buckets.get(key).push(piece);
+        }
+      }
+
+      this.extent = this.extent
+        ? {
+            minX: Math.min(this.extent.minX, minX),
+            minY: Math.min(this.extent.minY, minY),
+            maxX: Math.max(this.extent.maxX, maxX),
+            maxY: Math.max(this.extent.maxY, maxY)
+          }
+        : { minX, minY, maxX, maxY };
+    }
+  }
+
+  bucketOf(coordinate) {
+    return Math.floor(coordinate / this.size);
+  }
+
+  /**
+   * Segment pieces filed in the point's bucket (all pieces within their padding of it, and maybe others)
+   * @param {{x: number, y: number}} point
+   * @returns {Array<{a: Object, b: Object, value: *}>}
+   */
+  queryPoint(point) {
+    return this.buckets.get(`${this.bucketOf(point.x)},${this.bucketOf(point.y)}`) || [];
+  }
+
+  /**
+   * Segment pieces filed in the buckets a box overlaps (each once)
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   * @returns {Array<{a: Object, b: Object, value: *}>}
+   */
+  queryBox(box) {
+    const pieces = new Set();
+    for (let bx = this.bucketOf(box.minX); bx <= this.bucketOf(box.maxX); bx++) {
+      for (let by = this.bucketOf(box.minY); by <= this.bucketOf(box.maxY); by++) {
+        (this.buckets.get(`${bx},${by}`) || []).forEach(piece => pieces.add(piece));
+      }
+    }
+    return Array.from(pieces);
+  }
+
+  /**
+   * Boxes of the occupied buckets (local meters), covering every segment and its padding
+   * @returns {Array<{minX: number, minY: number, maxX: number, maxY: number}>}
+   */
+  getBucketBoxes() {
+    return Array.from(this.buckets.keys(), key => {
+      const [bx, by] = key.split(',').map(Number);
+      return {
+        minX: bx * this.size,
+        minY: by * this.size,
+        maxX: (bx + 1) * this.size,
+        maxY: (by + 1) * this.size
+      };
+    });
+  }
+
+  /**
+   * Nearest segment to a point, searched ring by ring outwards from its bucket
+   * @param {{x: number, y: number}} point
+   * @returns {{value: *, meters: number}|null} Null when the grid is empty
+   */
+  nearest(point) {
+    if (!this.extent) return null;
+
+    const { minX, minY, maxX, maxY } = this.extent;
+    const bx = this.bucketOf(point.x);
+    const by = this.bucketOf(point.y);
+    // Rings that miss the occupied range hold nothing
+    const firstRing = Math.max(0, minX - bx, bx - maxX, minY - by, by - maxY);
+    const lastRing = Math.max(bx - minX, maxX - bx, by - minY, maxY - by);
+    let best = null;
+
+    const search = (x, y) => (this.buckets.get(`${x},${y}`) || []).forEach(piece => {
+      const meters = distanceToSegment(point, piece.a, piece.b);
+      if (!best || meters < best.meters) best = { value: piece.value, meters };
+    });
+
+    for (let ring = firstRing; ring <= lastRing; ring++) {
+      // Only the ring's border (the inside was searched already), clipped to the occupied range
+      for (let x = Math.max(bx - ring, minX); x <= Math.min(bx + ring, maxX); x++) {
+        if (x === bx - ring || x === bx + ring) {
+          for (let y = Math.max(by - ring, minY); y <= Math.min(by + ring, maxY); y++) search(x, y);
+        } else {
+          search(x, by - ring);
+          if (ring > 0) search(x, by + ring);
+        }
+      }
+      // Anything beyond this ring is at least `ring` buckets away
+      if (best && best.meters <= ring * this.size) break;
+    }
+
+    return best;
+  }
+}
+
+// One index per grid, built lazily
+const indexCache = new WeakMap();
+
+/**
+ * Get (or build) the cell index for a grid
+ * @param {Array<Array<Object|null>>} grid
+ * @returns {{findCell: Function}}
+ */
+export function getCellIndex(grid) {
+  let index = indexCache.get(grid);
+
+  if (!index) {
+    index = grid.meta ? createRegularGridIndex(grid) : createQuadtreeIndex(grid);
+    indexCache.set(grid, index);
+  }
+
+  return index;
+}
+
+/**
+ * Regular metric grid: compute row/col directly in O(1).
+ * Clipped boundary cells fall back to an exact point-in-field test.
+ * @param {Array<Array<Object|null>>} grid - Grid with grid.meta from createFieldGrid
+ */
+function createRegularGridIndex(grid) {
+  const { projection, origin, cellSizeMeters, rows, cols, boundary } = grid.meta;
+
+  return {
+    type: 'regular',
+    findCell(point) {
+      const { x, y } = projection.toLocal(point);
+      const col = Math.min(Math.floor((x - origin.x) / cellSizeMeters), cols - 1);
+      const row = Math.min(Math.floor((origin.y - y) / cellSizeMeters), rows - 1);
+
+      if (row < 0 || col < 0 || x > origin.x + cols * cellSizeMeters ||
+          y < origin.y - rows * cellSizeMeters) {
+        return null;
+      }
+
+      const cell = grid[row][col];
+      if (!cell) return null;
+
+      if (cell.clipped && !isPointInPolygon(point, boundary)) return null;
+
+      return cell;
+    }
+  };
+}
+
+/**
+ * Irregular grid (no metadata): quadtree over cell bounds in lat/lng
+ * @param {Array<Array<Object|null>>} grid
+ */
+function createQuadtreeIndex(grid) {
+  const cells = grid.flat().filter(Boolean);
+
+  if (cells.length === 0) {
+    return { type: 'quadtree', findCell: () => null };
+  }
+
+  const toBox = ([[south, west], [north, east]]) => ({
+    minX: west, minY: south, maxX: east, maxY: north
+  });
+
+  const boxes = cells.map(cell => toBox(cell.bounds));
+  const extent = boxes.reduce((acc, box) => ({
+    minX: Math.min(acc.minX, box.minX),
+    minY: Math.min(acc.minY, box.minY),
+    maxX: Math.max(acc.maxX, box.maxX),
+    maxY: Math.max(acc.maxY, box.maxY)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+  const tree = new Quadtree(extent);
+  cells.forEach((cell, i) => tree.insert(boxes[i], cell));
+
+  return {
+    type: 'quadtree',
+    findCell(point) {
+      const [cell] = tree.queryPoint({ x: point.lng, y: point.lat });
+      return cell || null;
+    }
+  };
+}
@@ -0,0 +1,115 @@
+import { createFieldGrid, findCellForPoint, flattenGrid, isPointInCell } from './fieldGrid';
+import { getDefaultField } from './fieldRegistry';
+import { distanceToSegment, getPolygonBounds, isPointInPolygon } from './geometry';
+import { getCellIndex, SegmentGrid } from './spatialIndex';
+
+/**
+ * Seeded PRNG (mulberry32) so every run maps the same points
+ * @param {number} seed
+ * @returns {function(): number} Uniform in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random points over the field's bounding box plus a margin, so some fall
+ * outside the field and in the clipped corners of boundary cells
+ */
+function randomPoints(field, count, seed) {
+  const random = createRandom(seed);
+  const { south, west, north, east } = getPolygonBounds(field.boundary);
+  const padLat = (north - south) * 0.05;
+  const padLng = (east - west) * 0.05;
+
+  return Array.from({ length: count }, () => ({
+    lat: south - padLat + random() * (north - south + 2 * padLat),
+    lng: west - padLng + random() * (east - west + 2 * padLng)
+  }));
+}
+
+describe('spatial index', () => {
+  const field = getDefaultField();
+  const grid = createFieldGrid(field);
+  const cells = flattenGrid(grid);
+
+  // Without grid.meta the index falls back to the quadtree
+  const irregularGrid = grid.map(row => [...row]);
+
+  test('maps 100k detections in under a second', () => {
+    const points = randomPoints(field, 100000, 42);
+    getCellIndex(grid);
+
+    const start = performance.now();
+    const located = points.filter(point => findCellForPoint(point, grid)).length;
+    const elapsed = performance.now() - start;
+
+    expect(located).toBeGreaterThan(0);
+    expect(elapsed).toBeLessThan(1000);
+  });
+
+  test('regular-grid lookup matches a brute-force scan', () => {
+    expect(getCellIndex(grid).type).toBe('regular');
+
+    randomPoints(field, 5000, 7).forEach(point => {
+      const expected = cells.find(cell =>
+        isPointInCell(point, cell) && (!cell.clipped || isPointInPolygon(point, field.boundary))
+      ) || null;
+      expect(findCellForPoint(point, grid)?.id ?? null).toBe(expected?.id ?? null);
+    });
+  });
+
+  test('quadtree lookup matches a brute-force scan', () => {
+    expect(getCellIndex(irregularGrid).type).toBe('quadtree');
+
+    randomPoints(field, 5000, 11).forEach(point => {
+      const expected = cells.find(cell => isPointInCell(point, cell)) || null;
+      expect(findCellForPoint(point, irregularGrid)?.id ?? null).toBe(expected?.id ?? null);
+    });
+  });
+});
+
+describe('segment grid', () => {
+  // Long legs in every direction over a 200 m square, like swaths and transits
+  const random = createRandom(3);
+  const point = () => ({ x: random() * 200 - 100, y: random() * 200 - 100 });
+  const segments = Array.from({ length: 300 }, (_, id) => ({ id, a: point(), b: point() }));
+  const padding = 2;
+
+  const segmentGrid = new SegmentGrid(10);
+  segments.forEach(({ id, a, b }) => segmentGrid.insert(a, b, padding, id));
+
+  test('point lookup finds every segment within the padding', () => {
+    Array.from({ length: 2000 }, point).forEach(p => {
+      const expected = segments.filter(s => distanceToSegment(p, s.a, s.b) <= padding).map(s => s.id);
+      const found = new Set(segmentGrid.queryPoint(p)
+        .filter(piece => distanceToSegment(p, piece.a, piece.b) <= padding)
+        .map(piece => piece.value));
+      expect([...found].sort((a, b) => a - b)).toEqual(expected);
+    });
+  });
+
+  test('nearest segment matches a brute-force scan, also far outside the segments', () => {
+    const sparse = new SegmentGrid(10);
+    segments.slice(0, 20).forEach(({ id, a, b }) => sparse.insert(a, b, 0, id));
+
+    [...Array.from({ length: 1000 }, point), { x: 900, y: -700 }, { x: -1000, y: 0 }].forEach(p => {
+      const expected = Math.min(...segments.slice(0, 20).map(s => distanceToSegment(p, s.a, s.b)));
+      expect(sparse.nearest(p).meters).toBeCloseTo(expected, 9);
+    });
+    expect(new SegmentGrid(10).nearest({ x: 0, y: 0 })).toBeNull();
+  });
+
+  test('box lookup returns each piece once', () => {
+    const pieces = segmentGrid.queryBox({ minX: -100, minY: -100, maxX: 100, maxY: 100 });
+    expect(new Set(pieces).size).toBe(pieces.length);
+    expect(new Set(pieces.map(piece => piece.value)).size).toBe(segments.length);
+  });
+});
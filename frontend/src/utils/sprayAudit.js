@@ -0,0 +1,265 @@
+/**
+ * As-flown Spray Audit
+ * Compares a flown telemetry track with the generated spray path: which
+ * infected cells the plan meant to spray and the flight actually sprayed,
+ * how much spray landed on healthy cells, and how far the drone strayed
+ * from the planned flight lines. Only infected cells and the cells the flight
+ * sprayed near are measured.
+ */
+
+import { getInfectedCells } from './fieldGrid';
+import { SegmentGrid } from './spatialIndex';
+import { DRONE_CONFIG } from './droneConfig';
+import { getSprayCoverageMeter, getCoverageStatus } from './trackCoverage';
+
+export const AUDIT_CONFIG = {
+  deviationToleranceMeters: 3,   // Flown positions further than this from the planned lines are off-plan
+  sampleSpacingMeters: 2,        // Flown legs are checked every this many meters
+  bucketMeters: 10               // Bucket size for looking up the planned legs near a flown position
+};
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getAuditConfig(overrides = {}) {
+  return { ...AUDIT_CONFIG, ...overrides };
+}
+
+/**
+ * Can the track be audited? Only a flown log that records the sprayer shows where
+ * spray went: missions are plans, and tracks without sprayer data count as spraying throughout.
+ * @param {FlightTrack} track
+ * @returns {boolean}
+ */
+export function isAuditableTrack(track) {
+  return track.kind === 'track' && track.hasSprayData;
+}
+
+/**
+ * Spray audit
+ * @typedef {Object} SprayAudit
+ * @property {Array<{cellId: string, cell: Object, planned: number, flown: number, status: string}>} cells -
+ *   Infected cells with planned and flown sprayed share; status 'sprayed' | 'partial' | 'missed' as flown,
+ *   or 'unplanned' when the plan did not spray the cell either
+ * @property {number} plannedCount - Infected cells the plan sprays
+ * @property {number} executedCount - Of those, cells the flight sprayed
+ * @property {number} executionPercent - executedCount as a share of plannedCount
+ * @property {Array<Object>} missedCells - Planned cells the flight did not fully spray (entries of cells)
+ * @property {Array<{cellId: string, cell: Object, coveredFraction: number, planned: number}>} overspray -
+ *   Healthy cells the flight sprayed, with the share the plan itself sprays (swath edges overlap neighbours)
+ * @property {number} oversprayHectares - Healthy area sprayed
+ * @property {number} oversprayLiters - Chemical spent on it
+ * @property {number} unplannedOversprayHectares - Healthy area sprayed beyond what the plan sprays
+ * @property {{meanMeters: number, p95Meters: number, maxMeters: number, offPlanPercent: number,
+ *   worst: {lat: number, lng: number, meters: number}|null, offPlanRuns: Array<Array<Array<number>>>}} deviation
+ */
+
+// Planned tracks per path, so their coverage meter (and the cells it measured) is reused
+const plannedTracksCache = new WeakMap();
+
+/**
+ * Planned flights as tracks: one per sortie when the mission is split, hover-sprays at cell visits
+ * @param {Object} pathData - Output from generateSprayPath (with mission when split)
+ * @returns {Array<{points: Array<Object>}>}
+ */
+function getPlannedTracks(pathData) {
+  if (!plannedTracksCache.has(pathData)) plannedTracksCache.set(pathData, buildPlannedTracks(pathData));
+  return plannedTracksCache.get(pathData);
+}
+
+function buildPlannedTracks(pathData) {
+  const flights = pathData.mission?.sorties.length > 0 ? pathData.mission.sorties : [pathData];
+
+  return flights.map(flight => {
+    const points = [{ ...flight.startPoint, spray: false }];
+    flight.waypoints.forEach(waypoint => {
+      points.push({ ...waypoint.position, spray: !!waypoint.spray });
+      if (waypoint.cellId) points.push({ ...waypoint.position, spray: true });
+    });
+    points.push({ ...flight.endPoint, spray: false });
+    return { points };
+  });
+}
+
+/**
+ * Grid cells overlapping the boxes (local meters), by id
+ */
+function getCellsInBoxes(grid, boxes) {
+  const { origin, cellSizeMeters, rows, cols } = grid.meta;
+  const cells = new Map();
+
+  boxes.forEach(box => {
+    const firstCol = Math.max(0, Math.floor((box.minX - origin.x) / cellSizeMeters));
+    const lastCol = Math.min(cols - 1, Math.floor((box.maxX - origin.x) / cellSizeMeters));
+    const firstRow = Math.max(0, Math.floor((origin.y - box.maxY) / cellSizeMeters));
+    const lastRow = Math.min(rows - 1, Math.floor((origin.y - box.minY) / cellSizeMeters));
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const cell = grid[row][col];
+        if (cell) cells.set(cell.id, cell);
+      }
+    }
+  });
+
+  return cells;
+}
+
+/**
+ * Flown positions every spacing meters along the tracks (local meters)
+ */
+function sampleTracks(tracks, projection, spacing) {
+  const samples = [];
+
+  tracks.forEach(track => {
+    const points = track.points.map(point => projection.toLocal(point));
+    points.forEach((b, i) => {
+      if (i === 0) {
+        samples.push({ ...b, trackStart: true });
+        return;
+      }
+      const a = points[i - 1];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / spacing));
+      for (let step = 1; step <= steps; step++) {
+        samples.push({ x: a.x + (b.x - a.x) * step / steps, y: a.y + (b.y - a.y) * step / steps });
+      }
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * Cross-track deviation of the flown positions from the planned flight lines
+ */
+function measureDeviation(flownTracks, plannedTracks, projection, config) {
+  const plannedLegs = new SegmentGrid(config.bucketMeters);
+  plannedTracks.forEach(track => {
+    const points = track.points.map(point => projection.toLocal(point));
+    for (let i = 1; i < points.length; i++) plannedLegs.insert(points[i - 1], points[i]);
+  });
+
+  const samples = sampleTracks(flownTracks, projection, config.sampleSpacingMeters);
+  const offPlanRuns = [];
+  let worst = null;
+  let run = null;
+
+  const distances = samples.map(sample => {
+    const meters = plannedLegs.nearest(sample)?.meters ?? Infinity;
+    const position = projection.toLatLng(sample);
+
+    if (!worst || meters > worst.meters) worst = { ...position, meters };
+    if (meters > config.deviationToleranceMeters && !sample.trackStart) {
+      if (!run) {
+        run = [];
+        offPlanRuns.push(run);
+      }
+      run.push([position.lat, position.lng]);
+    } else {
+      run = null;
+    }
+    return meters;
+  });
+
+  if (distances.length === 0) {
+    return { meanMeters: 0, p95Meters: 0, maxMeters: 0, offPlanPercent: 0, worst: null, offPlanRuns: [] };
+  }
+
+  const sorted = [...distances].sort((a, b) => a - b);
+  const round = value => parseFloat(value.toFixed(1));
+
+  return {
+    meanMeters: round(distances.reduce((sum, d) => sum + d, 0) / distances.length),
+    p95Meters: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]),
+    maxMeters: round(sorted[sorted.length - 1]),
+    offPlanPercent: round((distances.filter(d => d > config.deviationToleranceMeters).length / distances.length) * 100),
+    worst: worst && { ...worst, meters: round(worst.meters) },
+    // Single off-plan samples cannot be drawn as a line
+    offPlanRuns: offPlanRuns.filter(positions => positions.length > 1)
+  };
+}
+
+/**
+ * Audit flown tracks against the planned spray path
+ * @param {Array<Array<GridCell|null>>} grid - Field grid (with meta.projection)
+ * @param {Object} pathData - Planned path from generateSprayPath
+ * @param {Array<FlightTrack>} tracks - Flown logs with sprayer data (see isAuditableTrack)
+ * @param {Object} [options]
+ * @param {Object} [options.droneConfig] - For the application rate
+ * @param {Object} [options.coverageConfig] - TRACK_COVERAGE_CONFIG overrides
+ * @param {Object} [options.auditConfig] - AUDIT_CONFIG overrides
+ * @returns {SprayAudit}
+ */
+export function auditFlight(grid, pathData, tracks, options = {}) {
+  const { droneConfig = DRONE_CONFIG, coverageConfig = {}, auditConfig = {} } = options;
+  const config = getAuditConfig(auditConfig);
+  const { projection } = grid.meta;
+
+  const plannedTracks = getPlannedTracks(pathData);
+  const plannedMeter = getSprayCoverageMeter(plannedTracks, projection, coverageConfig);
+  const flownMeter = getSprayCoverageMeter(tracks, projection, coverageConfig);
+
+  // Healthy cells only count when over-sprayed, so the rest of the field is never measured
+  const auditedCells = getCellsInBoxes(grid, flownMeter.sprayedBoxes);
+  getInfectedCells(grid).forEach(cell => auditedCells.set(cell.id, cell));
+
+  const cells = [];
+  const overspray = [];
+
+  Array.from(auditedCells.values()).sort((a, b) => a.row - b.row || a.col - b.col).forEach(cell => {
+    const flown = flownMeter.measure(cell);
+
+    if (!cell.infected) {
+      if (getCoverageStatus(flown, coverageConfig) !== 'missed') {
+        overspray.push({
+          cellId: cell.id,
+          cell,
+          coveredFraction: parseFloat(flown.toFixed(2)),
+          planned: parseFloat(plannedMeter.measure(cell).toFixed(2))
+        });
+      }
+      return;
+    }
+
+    const planned = plannedMeter.measure(cell);
+    const plannedStatus = getCoverageStatus(planned, coverageConfig);
+    cells.push({
+      cellId: cell.id,
+      cell,
+      planned: parseFloat(planned.toFixed(2)),
+      flown: parseFloat(flown.toFixed(2)),
+      status: plannedStatus === 'missed' && getCoverageStatus(flown, coverageConfig) === 'missed'
+        ? 'unplanned'
+        : getCoverageStatus(flown, coverageConfig)
+    });
+  });
+
+  const plannedCells = cells.filter(c => getCoverageStatus(c.planned, coverageConfig) === 'sprayed');
+  const executedCount = plannedCells.filter(c => c.status === 'sprayed').length;
+  const oversprayHectares = overspray.reduce((sum, c) => sum + c.cell.areaHectares * c.coveredFraction, 0);
+  const unplannedOversprayHectares = overspray.reduce(
+    (sum, c) => sum + c.cell.areaHectares * Math.max(0, c.coveredFraction - c.planned), 0
+  );
+
+  const audit = {
+    cells,
+    plannedCount: plannedCells.length,
+    executedCount,
+    executionPercent: plannedCells.length > 0
+      ? parseFloat(((executedCount / plannedCells.length) * 100).toFixed(1))
+      : 0,
+    missedCells: plannedCells.filter(c => c.status !== 'sprayed'),
+    overspray,
+    oversprayHectares: parseFloat(oversprayHectares.toFixed(3)),
+    oversprayLiters: parseFloat((oversprayHectares * droneConfig.applicationRateLitersPerHectare).toFixed(2)),
+    unplannedOversprayHectares: parseFloat(unplannedOversprayHectares.toFixed(3)),
+    deviation: measureDeviation(tracks, plannedTracks, projection, config)
+  };
+
+  console.log(`🔎 Spray audit: ${executedCount}/${plannedCells.length} planned cells sprayed, ` +
+              `${overspray.length} healthy cells over-sprayed, mean deviation ${audit.deviation.meanMeters}m`);
+
+  return audit;
+}
@@ -0,0 +1,220 @@
+/**
+ * Flown Track Coverage
+ * Which infected cells an imported track actually sprayed. Each cell is sampled
+ * on a small grid of points; a point counts as sprayed when it lies within half
+ * a swath of a segment flown with the nozzles on. A hover-spray (a sprayed
+ * segment of no length, as cell-visit missions fly) sprays the whole cell it is in.
+ * Segments are bucketed, so a sample only tests the segments near it.
+ */
+
+import { getInfectedCells, isPointInCell } from './fieldGrid';
+import { isPointInRing, distanceToSegment } from './geometry';
+import { SegmentGrid } from './spatialIndex';
+import { COVERAGE_CONFIG } from './coveragePlanner';
+
+export const TRACK_COVERAGE_CONFIG = {
+  swathWidthMeters: COVERAGE_CONFIG.swathWidthMeters, // Effective spray width of the flown passes
+  samplesPerSide: 5,          // Sample grid per cell (5 × 5)
+  sprayedFraction: 0.8,       // Share of a cell's samples needed to count it sprayed
+  partialFraction: 0.1,       // Below this a cell counts as missed
+  hoverMeters: 0.05,          // Sprayed segments shorter than this are hover-sprays
+  bucketMeters: 10            // Bucket size for looking up the sprayed segments near a sample
+};
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getTrackCoverageConfig(overrides = {}) {
+  return { ...TRACK_COVERAGE_CONFIG, ...overrides };
+}
+
+/**
+ * Coverage of one infected cell
+ * @typedef {Object} CellCoverage
+ * @property {string} cellId
+ * @property {Object} cell
+ * @property {number} coveredFraction - Share of the cell's samples within the spray swath
+ * @property {'sprayed'|'partial'|'missed'} status
+ */
+
+/**
+ * Sprayed segments of the tracks in local meters
+ */
+function getSpraySegments(tracks, projection) {
+  const segments = [];
+
+  tracks.forEach(track => {
+    const points = track.points.map(point => projection.toLocal(point));
+    for (let i = 1; i < points.length; i++) {
+      if (track.points[i].spray) segments.push({ a: points[i - 1], b: points[i] });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Bounding box of a ring (local meters)
+ */
+function getRingBox(ring) {
+  const xs = ring.map(p => p.x);
+  const ys = ring.map(p => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Sample points inside a cell's outline (local meters)
+ */
+function sampleCell(ring, samplesPerSide) {
+  const { minX, minY, maxX, maxY } = getRingBox(ring);
+  const stepX = (maxX - minX) / samplesPerSide;
+  const stepY = (maxY - minY) / samplesPerSide;
+  const samples = [];
+
+  for (let i = 0; i < samplesPerSide; i++) {
+    for (let j = 0; j < samplesPerSide; j++) {
+      const point = { x: minX + (i + 0.5) * stepX, y: minY + (j + 0.5) * stepY };
+      if (isPointInRing(point, ring)) samples.push(point);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Spray coverage meter for a set of tracks
+ * @param {Array<FlightTrack>} tracks - Tracks with per-point spray flags
+ * @param {Object} projection - Local ENU projection (grid.meta.projection)
+ * @param {Object} [overrides] - TRACK_COVERAGE_CONFIG overrides
+ * @returns {{measure: Function, sprayedBoxes: Array<Object>, trackLengthMeters: number, sprayLengthMeters: number}}
+ *   measure(cell) -> share of the cell within the spray swath (0-1), remembered per cell object;
+ *   sprayedBoxes -> boxes in local meters outside which nothing was sprayed
+ */
+export function createSprayCoverageMeter(tracks, projection, overrides = {}) {
+  const config = getTrackCoverageConfig(overrides);
+  const halfSwath = config.swathWidthMeters / 2;
+  const segments = getSpraySegments(tracks, projection);
+
+  let trackLengthMeters = 0;
+  tracks.forEach(track => {
+    const points = track.points.map(point => projection.toLocal(point));
+    for (let i = 1; i < points.length; i++) {
+      trackLengthMeters += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+  });
+  const sprayLengthMeters = segments.reduce((sum, s) => sum + Math.hypot(s.b.x - s.a.x, s.b.y - s.a.y), 0);
+
+  const sprayed = new SegmentGrid(config.bucketMeters);
+  const hovers = new SegmentGrid(config.bucketMeters);
+  segments.forEach(({ a, b }) => {
+    if (Math.hypot(b.x - a.x, b.y - a.y) < config.hoverMeters) {
+      hovers.insert(b, b, 0, projection.toLatLng(b));
+    }
+    sprayed.insert(a, b, halfSwath);
+  });
+
+  // Cells are replaced when they change, so a cell object is measured once
+  const measured = new WeakMap();
+
+  const measureCell = (cell) => {
+    const ring = cell.outline.map(([lat, lng]) => projection.toLocal({ lat, lng }));
+
+    // Cell bounds, as clipped boundary cells may not contain their own centre
+    if (hovers.queryBox(getRingBox(ring)).some(piece => isPointInCell(piece.value, cell))) return 1;
+
+    const samples = sampleCell(ring, config.samplesPerSide);
+    if (samples.length === 0) return 0;
+
+    const covered = samples.filter(p => sprayed.queryPoint(p).some(piece =>
+      distanceToSegment(p, piece.a, piece.b) <= halfSwath
+    )).length;
+    return covered / samples.length;
+  };
+
+  const measure = (cell) => {
+    if (!measured.has(cell)) measured.set(cell, measureCell(cell));
+    return measured.get(cell);
+  };
+
+  return {
+    measure,
+    sprayedBoxes: [...sprayed.getBucketBoxes(), ...hovers.getBucketBoxes()],
+    trackLengthMeters: Math.round(trackLengthMeters),
+    sprayLengthMeters: Math.round(sprayLengthMeters)
+  };
+}
+
+// One meter per tracks array, reused while the projection and config stay the same
+const meterCache = new WeakMap();
+
+/**
+ * Get (or build) the spray coverage meter for a tracks array
+ * @param {Array<FlightTrack>} tracks
+ * @param {Object} projection - Local ENU projection (grid.meta.projection)
+ * @param {Object} [overrides] - TRACK_COVERAGE_CONFIG overrides
+ * @returns {Object} See createSprayCoverageMeter
+ */
+export function getSprayCoverageMeter(tracks, projection, overrides = {}) {
+  const key = JSON.stringify(overrides);
+  const cached = meterCache.get(tracks);
+  if (cached && cached.projection === projection && cached.key === key) return cached.meter;
+
+  const meter = createSprayCoverageMeter(tracks, projection, overrides);
+  meterCache.set(tracks, { projection, key, meter });
+  return meter;
+}
+
+/**
+ * Coverage status of a cell from its sprayed share
+ * @param {number} coveredFraction
+ * @param {Object} [overrides] - TRACK_COVERAGE_CONFIG overrides
+ * @returns {'sprayed'|'partial'|'missed'}
+ */
+export function getCoverageStatus(coveredFraction, overrides = {}) {
+  const config = getTrackCoverageConfig(overrides);
+  if (coveredFraction >= config.sprayedFraction) return 'sprayed';
+  if (coveredFraction >= config.partialFraction) return 'partial';
+  return 'missed';
+}
+
+/**
+ * Sprayed, partly sprayed and missed infected cells for imported flight tracks
+ * @param {Array<Array<GridCell|null>>} grid - Field grid (with meta.projection)
+ * @param {Array<FlightTrack>} tracks - From flightLogImport.parseFlightFile
+ * @param {Object} [overrides] - TRACK_COVERAGE_CONFIG overrides
+ * @returns {{cells: Array<CellCoverage>, sprayedCount: number, partialCount: number, missedCount: number,
+ *   coveragePercent: number, trackLengthMeters: number, sprayLengthMeters: number}}
+ */
+export function computeTrackCoverage(grid, tracks, overrides = {}) {
+  const meter = getSprayCoverageMeter(tracks, grid.meta.projection, overrides);
+
+  let infectedArea = 0;
+  let coveredArea = 0;
+
+  const cells = getInfectedCells(grid).map(cell => {
+    const coveredFraction = meter.measure(cell);
+    infectedArea += cell.areaHectares;
+    coveredArea += cell.areaHectares * coveredFraction;
+
+    return {
+      cellId: cell.id,
+      cell,
+      coveredFraction: parseFloat(coveredFraction.toFixed(2)),
+      status: getCoverageStatus(coveredFraction, overrides)
+    };
+  });
+
+  const count = status => cells.filter(c => c.status === status).length;
+
+  return {
+    cells,
+    sprayedCount: count('sprayed'),
+    partialCount: count('partial'),
+    missedCount: count('missed'),
+    coveragePercent: infectedArea > 0 ? parseFloat(((coveredArea / infectedArea) * 100).toFixed(1)) : 0,
+    trackLengthMeters: meter.trackLengthMeters,
+    sprayLengthMeters: meter.sprayLengthMeters
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Wind Planning
+ * Spray drift control: go/no-go from the wind speed, crosswind swath headings,
+ * upwind offsets of the flight line, and drift buffers kept from sensitive
+ * no-fly zones (water, houses, neighbouring crops).
+ */
+
+import { createLocalProjection, isPointInRing, distanceToRing } from './geometry';
+
+export const WIND_CONFIG = {
+  // === GO / NO-GO ===
+  maxWindSpeed: 5,            // m/s - no spraying above (typical label limit)
+  cautionWindSpeed: 3.5,      // m/s - spray with coarse droplets only
+  minWindSpeed: 0.5,          // m/s - calmer air risks temperature inversions carrying fine droplets far
+
+  // === DRIFT ===
+  sprayHeightMeters: 2.5,     // Nozzle height above the canopy
+  dropletSettlingSpeed: 1.5,  // m/s - medium droplets (~250 µm)
+
+  // === BUFFERS ===
+  driftBufferMeters: 5,       // No-spray distance from sensitive zones in still air
+  driftBufferPerMps: 2        // Extra buffer per m/s of wind
+};
+
+/**
+ * Wind reading
+ * @typedef {Object} Wind
+ * @property {number} speed - m/s
+ * @property {number} direction - Degrees clockwise from north the wind blows FROM
+ */
+
+/**
+ * Wind assessment for a spray mission
+ * @typedef {Object} WindAssessment
+ * @property {'go'|'caution'|'no-go'} decision
+ * @property {Array<string>} reasons - Why the decision is not a plain go
+ * @property {number} speed - m/s
+ * @property {number} direction - Degrees (from)
+ * @property {number|null} crosswindHeading - Swath heading across the wind (null in calm air)
+ * @property {number} driftMeters - Downwind travel of droplets before they land
+ * @property {{x: number, y: number}} upwindOffset - Local meters the flight line is moved upwind
+ * @property {number} driftBufferMeters - No-spray distance from sensitive zones
+ */
+
+/**
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getWindConfig(overrides = {}) {
+  return { ...WIND_CONFIG, ...overrides };
+}
+
+/**
+ * Swath heading across the wind, so drift lands on the next swath rather than along the current one
+ * @param {number} direction - Degrees the wind blows from
+ * @returns {number} Degrees clockwise from north, in [0, 180)
+ */
+export function getCrosswindHeading(direction) {
+  return (((direction + 90) % 180) + 180) % 180;
+}
+
+/**
+ * No-spray distance from sensitive zones at a wind speed
+ * @param {number} [speed] - m/s
+ * @param {Object} [config]
+ * @returns {number} Meters
+ */
+export function getDriftBufferMeters(speed = 0, config = WIND_CONFIG) {
+  return config.driftBufferMeters + config.driftBufferPerMps * speed;
+}
+
+/**
+ * Assess the wind for spraying
+ * @param {Wind} wind
+ * @param {Object} [overrides] - Overrides for WIND_CONFIG
+ * @returns {WindAssessment}
+ */
+export function assessWind(wind, overrides = {}) {
+  const config = getWindConfig(overrides);
+  const speed = Math.max(0, Number(wind.speed) || 0);
+  const direction = ((Number(wind.direction) || 0) % 360 + 360) % 360;
+  const reasons = [];
+  let decision = 'go';
+
+  if (speed > config.maxWindSpeed) {
+    decision = 'no-go';
+    reasons.push(`Wind ${speed.toFixed(1)} m/s is above the ${config.maxWindSpeed} m/s spray limit`);
+  } else if (speed > config.cautionWindSpeed) {
+    decision = 'caution';
+    reasons.push(`Wind ${speed.toFixed(1)} m/s - use coarse droplets`);
+  } else if (speed < config.minWindSpeed) {
+    decision = 'caution';
+    reasons.push(`Calm air (${speed.toFixed(1)} m/s) - inversion drift risk`);
+  }
+
+  // Droplets fall from the nozzle while the wind carries them downwind
+  const driftMeters = speed * config.sprayHeightMeters / config.dropletSettlingSpeed;
+  const radians = direction * Math.PI / 180;
+
+  return {
+    decision,
+    reasons,
+    speed,
+    direction,
+    crosswindHeading: speed >= config.minWindSpeed ? getCrosswindHeading(direction) : null,
+    driftMeters: parseFloat(driftMeters.toFixed(2)),
+    upwindOffset: { x: Math.sin(radians) * driftMeters, y: Math.cos(radians) * driftMeters },
+    driftBufferMeters: parseFloat(getDriftBufferMeters(speed, config).toFixed(1))
+  };
+}
+
+/**
+ * Move a spray position upwind so the droplets land on it
+ * @param {{lat: number, lng: number}} position - Spray target
+ * @param {WindAssessment|null} assessment
+ * @returns {{lat: number, lng: number}} Flight position
+ */
+export function shiftUpwind(position, assessment) {
+  if (!assessment || (assessment.upwindOffset.x === 0 && assessment.upwindOffset.y === 0)) {
+    return position;
+  }
+  return createLocalProjection(position).toLatLng(assessment.upwindOffset);
+}
+
+/**
+ * Build a check for spray targets too close to sensitive no-fly zones
+ * @param {Array<import('./obstacleRouting').NoFlyZone>} [noFlyZones]
+ * @param {number} bufferMeters
+ * @param {{lat: number, lng: number}} origin - Projection origin (any point near the field)
+ * @returns {function({lat: number, lng: number}): (import('./obstacleRouting').NoFlyZone|null)}
+ *   Sensitive zone within the buffer of the point, or null
+ */
+export function createDriftBufferCheck(noFlyZones = [], bufferMeters, origin) {
+  const projection = createLocalProjection(origin);
+  const sensitive = noFlyZones
+    .filter(zone => zone.sensitive && zone.polygon?.coordinates?.[0]?.length >= 4)
+    .map(zone => ({
+      zone,
+      ring: zone.polygon.coordinates[0].slice(0, -1).map(([lng, lat]) => projection.toLocal({ lat, lng }))
+    }));
+
+  return (point) => {
+    const local = projection.toLocal(point);
+    const hit = sensitive.find(({ ring }) =>
+      isPointInRing(local, ring) || distanceToRing(local, ring) < bufferMeters
+    );
+    return hit ? hit.zone : null;
+  };
+}
@@ -3,16 +3,26 @@
  * Maps detections to grid cells and identifies problem areas
  */
 
-import { createFieldGrid, findCellForPoint } from './fieldGrid';
+import { createFieldGrid, findCellForPoint, flattenGrid } from './fieldGrid';
+import {
+  scoreCellWithDetection,
+  scoreDetection,
+  getDominantClass,
+  getSeverityLevel,
+  SEVERITY_CONFIG
+} from './severityScoring';
+import { createLocalProjection, convexHull } from './geometry';
+import { traceCellOutline } from './zoneOutline';
 
 /**
  * Map detections to grid cells
  * @param {Array} detections - Detection objects with GPS
+ * @param {import('./fieldRegistry').FieldProfile} [field] - Field to grid (defaults to first registered)
  * @returns {Array<Array<GridCell>>} Grid with mapped detections
  */
-export function mapDetectionsToGrid(detections) {
+export function mapDetectionsToGrid(detections, field) {
   // Create empty grid
-  const grid = createFieldGrid();
+  const grid = createFieldGrid(field);
   
   // Process each detection
   detections.forEach(detection => {
@@ -22,81 +32,361 @@ export function mapDetectionsToGrid(detections) {
     const cell = findCellForPoint(detection.gps, grid);
     
     if (cell) {
-      // Add detection ID to cell
-      cell.detections.push(detection.id);
-      
-      // Mark cell as infected
-      cell.infected = true;
+      // Add detection ID and rescore (infected once severity passes the 'low' threshold)
+      Object.assign(cell, scoreCellWithDetection(cell, detection, grid.meta.severityConfig));
     }
   });
   
   return grid;
 }
 
+export const ZONE_CONFIG = {
+  connectivity: 4,        // 4: cells sharing an edge, 8: also a corner, 'radius': detections near each other
+  radiusCellWidths: 2,    // Radius mode: neighbourhood radius in cell widths
+  minPoints: 3            // Radius mode: detections within the radius (itself included) for a core point
+};
+
+// Connectivity choices as offered to the user
+export const ZONE_CONNECTIVITY = {
+  4: 'Cells sharing an edge',
+  8: 'Cells sharing an edge or corner',
+  radius: 'Detections within a radius'
+};
+
 /**
- * Identify contiguous infected zones (clusters)
+ * Helper function to get configuration
+ * @param {Object} [overrides] - Values replacing the defaults
+ * @returns {Object}
+ */
+export function getZoneConfig(overrides = {}) {
+  return { ...ZONE_CONFIG, ...overrides };
+}
+
+// Neighbour offsets per connectivity
+const NEIGHBOURS = {
+  4: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+  8: [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]]
+};
+
+/**
+ * Infected zone with computed attributes
+ * @typedef {Object} InfectedZone
+ * @property {string} id - "Z1", "Z2", ...
+ * @property {Array<GridCell>} cells - Grid cells in the zone
+ * @property {Array<string>} detections - Detection IDs in the zone
+ * @property {{lat: number, lng: number}} centroid - Area-weighted cell centroid (mean detection position in radius mode)
+ * @property {import('./geometry').FieldBoundary} polygon - Convex hull of the zone's cells (GeoJSON)
+ * @property {Array} outline - Merged cell outline as Leaflet multi-polygon positions ([outer, ...holes] of [lat, lng])
+ * @property {number} areaHectares - Cropped area of the zone's cells
+ * @property {string|null} dominantDisease - Most frequent disease class
+ * @property {number} meanConfidence - Mean confidence of the zone's disease detections (0-1)
+ * @property {number} meanSeverity - Area-weighted mean cell severity
+ * @property {'none'|'low'|'moderate'|'high'} severityLevel - Level of the mean severity
+ * @property {number} maxSeverity
+ */
+
+/**
+ * Identify infected zones (clusters).
+ * Connectivity 4 or 8 groups adjacent infected cells; 'radius' clusters the raw
+ * detection GPS points DBSCAN-style and collects the infected cells they fall in.
+ * All modes are iterative, so large grids cannot overflow the stack.
  * @param {Array<Array<GridCell>>} grid
- * @returns {Array<Array<GridCell>>} Array of zone clusters
+ * @param {Object} [options] - Overrides for ZONE_CONFIG, plus:
+ * @param {4|8|'radius'} [options.connectivity] - Neighbourhood (default 4)
+ * @param {number} [options.minSeverity] - Only cluster cells at or above this severity score
+ *   (defaults to every infected cell, i.e. the 'low' threshold)
+ * @param {Array} [options.detections] - Radius mode: detections with GPS
+ * @param {number} [options.radiusMeters] - Radius mode: neighbourhood radius (default radiusCellWidths cell widths)
+ * @param {number} [options.minPoints] - Radius mode: detections within the radius for a core point
+ * @returns {Array<InfectedZone>}
  */
-export function identifyInfectedZones(grid) {
+export function identifyInfectedZones(grid, options = {}) {
+  const config = getZoneConfig(options);
+  const { connectivity, minSeverity = 0 } = config;
+  const qualifies = (cell) => Boolean(cell?.infected) && (cell.severity ?? 1) >= minSeverity;
+
+  if (connectivity === 'radius') {
+    return clusterDetectionsByRadius(grid, config, qualifies);
+  }
+
+  const offsets = NEIGHBOURS[connectivity];
+  if (!offsets) {
+    throw new Error(`Unsupported zone connectivity: ${connectivity}`);
+  }
+
   const zones = [];
   const visited = new Set();
-  
-  const rows = grid.length;
-  const cols = grid[0].length;
-  
-  // Depth-first search to find connected components
-  function dfs(row, col, currentZone) {
-    const cellId = `${row}_${col}`;
-    
-    // Boundary checks
-    if (row < 0 || row >= rows || col < 0 || col >= cols) return;
-    if (visited.has(cellId)) return;
-    if (!grid[row][col].infected) return;
-    
-    visited.add(cellId);
-    currentZone.push(grid[row][col]);
-    
-    // Check 4 adjacent cells (not diagonal)
-    dfs(row - 1, col, currentZone);  // North
-    dfs(row + 1, col, currentZone);  // South
-    dfs(row, col - 1, currentZone);  // West
-    dfs(row, col + 1, currentZone);  // East
-  }
-  
-  // Find all zones
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
-      const cellId = `${row}_${col}`;
-      
-      if (grid[row][col].infected && !visited.has(cellId)) {
-        const zone = [];
-        dfs(row, col, zone);
-        
-        if (zone.length > 0) {
-          zones.push(zone);
-        }
+
+  // Breadth-first flood fill with an explicit queue
+  grid.forEach((gridRow, row) => {
+    gridRow.forEach((cell, col) => {
+      if (!qualifies(cell) || visited.has(cell.id)) return;
+
+      const cells = [];
+      const queue = [cell];
+      visited.add(cell.id);
+
+      for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        cells.push(current);
+
+        offsets.forEach(([dRow, dCol]) => {
+          const neighbour = grid[current.row + dRow]?.[current.col + dCol];
+
+          if (qualifies(neighbour) && !visited.has(neighbour.id)) {
+            visited.add(neighbour.id);
+            queue.push(neighbour);
+          }
+        });
+      }
+
+      zones.push(buildZone(`Z${zones.length + 1}`, cells, grid));
+    });
+  });
+
+  return zones;
+}
+
+/**
+ * DBSCAN-style clustering of diseased detections by ground distance.
+ * Only detections in qualifying cells take part; qualifying cells no cluster
+ * reaches (too few detections nearby) become zones of their own, so they are still sprayed.
+ * @param {Array<Array<GridCell>>} grid
+ * @param {Object} options - Zone config, see identifyInfectedZones
+ * @param {function(GridCell): boolean} qualifies - Infected at or above the severity floor
+ * @returns {Array<InfectedZone>}
+ */
+function clusterDetectionsByRadius(grid, options, qualifies) {
+  const {
+    detections = [],
+    radiusCellWidths,
+    radiusMeters = radiusCellWidths * (grid.meta?.cellSizeMeters || 20),
+    minPoints
+  } = options;
+  const config = grid.meta?.severityConfig || SEVERITY_CONFIG;
+  const projection = getGridProjection(grid);
+
+  // Diseased detections inside the field, in local meters
+  const points = [];
+  detections.forEach(detection => {
+    if (!detection.gps) return;
+
+    const score = scoreDetection(detection, config);
+    if (score.diseaseCount === 0) return;
+
+    const cell = findCellForPoint(detection.gps, grid);
+    if (!qualifies(cell)) return;
+
+    points.push({ detection, score, cell, ...projection.toLocal(detection.gps) });
+  });
+
+  // Hash points into radius-sized buckets so a neighbourhood is 3×3 buckets
+  const bucketKey = (bx, by) => `${bx}:${by}`;
+  const buckets = new Map();
+  points.forEach((point, index) => {
+    const key = bucketKey(Math.floor(point.x / radiusMeters), Math.floor(point.y / radiusMeters));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+
+  const regionQuery = (point) => {
+    const bx = Math.floor(point.x / radiusMeters);
+    const by = Math.floor(point.y / radiusMeters);
+    const neighbours = [];
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (buckets.get(bucketKey(bx + dx, by + dy)) || []).forEach(index => {
+          const other = points[index];
+          if (Math.hypot(other.x - point.x, other.y - point.y) <= radiusMeters) {
+            neighbours.push(index);
+          }
+        });
       }
     }
-  }
-  
+
+    return neighbours;
+  };
+
+  const UNVISITED = 0;
+  const NOISE = -1;
+  const labels = new Array(points.length).fill(UNVISITED);
+  const clusters = [];
+
+  points.forEach((point, index) => {
+    if (labels[index] !== UNVISITED) return;
+
+    const seeds = regionQuery(point);
+    if (seeds.length < minPoints) {
+      labels[index] = NOISE;
+      return;
+    }
+
+    const clusterId = clusters.length + 1;
+    const members = [];
+    const queue = [index];
+    labels[index] = clusterId;
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      members.push(points[current]);
+
+      const neighbours = current === index ? seeds : regionQuery(points[current]);
+      // Only core points expand the cluster; border points join but stop there
+      if (neighbours.length < minPoints) continue;
+
+      neighbours.forEach(neighbour => {
+        if (labels[neighbour] === UNVISITED || labels[neighbour] === NOISE) {
+          labels[neighbour] = clusterId;
+          queue.push(neighbour);
+        }
+      });
+    }
+
+    clusters.push(members);
+  });
+
+  const zones = clusters.map((members, index) => {
+    const cells = [...new Map(members.map(m => [m.cell.id, m.cell])).values()];
+    const zone = buildZone(`Z${index + 1}`, cells, grid);
+
+    // Attributes from the clustered detections rather than whole cells
+    const classes = {};
+    let diseaseCount = 0;
+    let confidenceSum = 0;
+
+    members.forEach(({ score }) => {
+      diseaseCount += score.diseaseCount;
+      confidenceSum += score.confidenceSum;
+      Object.entries(score.classes).forEach(([name, count]) => {
+        classes[name] = (classes[name] || 0) + count;
+      });
+    });
+
+    return {
+      ...zone,
+      detections: members.map(m => m.detection.id),
+      centroid: {
+        lat: parseFloat((members.reduce((sum, m) => sum + m.detection.gps.lat, 0) / members.length).toFixed(6)),
+        lng: parseFloat((members.reduce((sum, m) => sum + m.detection.gps.lng, 0) / members.length).toFixed(6))
+      },
+      dominantDisease: getDominantClass(classes),
+      meanConfidence: diseaseCount > 0 ? parseFloat((confidenceSum / diseaseCount).toFixed(3)) : 0
+    };
+  });
+
+  const clustered = new Set(zones.flatMap(zone => zone.cells.map(cell => cell.id)));
+  flattenGrid(grid)
+    .filter(cell => qualifies(cell) && !clustered.has(cell.id))
+    .forEach(cell => zones.push(buildZone(`Z${zones.length + 1}`, [cell], grid)));
+
   return zones;
 }
 
+/**
+ * Local meter projection for a grid (falls back to one centred on its first cell)
+ * @param {Array<Array<GridCell>>} grid
+ * @returns {Object}
+ */
+function getGridProjection(grid) {
+  if (grid.meta?.projection) return grid.meta.projection;
+
+  const [first] = flattenGrid(grid);
+  return createLocalProjection(first ? first.center : { lat: 0, lng: 0 });
+}
+
+/**
+ * Compute zone attributes from its cells
+ * @param {string} id
+ * @param {Array<GridCell>} cells
+ * @param {Array<Array<GridCell>>} grid
+ * @returns {InfectedZone}
+ */
+function buildZone(id, cells, grid) {
+  const projection = getGridProjection(grid);
+  const config = grid.meta?.severityConfig || SEVERITY_CONFIG;
+
+  let areaHectares = 0;
+  let weightedLat = 0;
+  let weightedLng = 0;
+  let weightedSeverity = 0;
+  let diseaseCount = 0;
+  let confidenceSum = 0;
+  const classes = {};
+
+  cells.forEach(cell => {
+    const area = cell.areaHectares;
+    areaHectares += area;
+    weightedLat += cell.center.lat * area;
+    weightedLng += cell.center.lng * area;
+    weightedSeverity += (cell.severity ?? 1) * area;
+
+    const observations = cell.observations || {};
+    diseaseCount += observations.diseaseCount || 0;
+    confidenceSum += observations.confidenceSum || 0;
+    Object.entries(observations.classes || {}).forEach(([name, count]) => {
+      classes[name] = (classes[name] || 0) + count;
+    });
+  });
+
+  // Bounding polygon: convex hull of every cell outline vertex
+  const vertices = cells.flatMap(cell => cell.outline.map(([lat, lng]) => projection.toLocal({ lat, lng })));
+  const hull = convexHull(vertices).map(p => {
+    const { lat, lng } = projection.toLatLng(p);
+    return [lng, lat];
+  });
+
+  const meanSeverity = weightedSeverity / areaHectares;
+
+  return {
+    id,
+    cells,
+    detections: cells.flatMap(cell => cell.detections),
+    centroid: {
+      lat: parseFloat((weightedLat / areaHectares).toFixed(6)),
+      lng: parseFloat((weightedLng / areaHectares).toFixed(6))
+    },
+    polygon: {
+      type: 'Polygon',
+      coordinates: hull.length > 0 ? [[...hull, hull[0]]] : [[]]
+    },
+    outline: traceCellOutline(cells, grid),
+    areaHectares: parseFloat(areaHectares.toFixed(4)),
+    dominantDisease: getDominantClass(classes),
+    meanConfidence: diseaseCount > 0 ? parseFloat((confidenceSum / diseaseCount).toFixed(3)) : 0,
+    meanSeverity: parseFloat(meanSeverity.toFixed(3)),
+    severityLevel: getSeverityLevel(meanSeverity, config),
+    maxSeverity: cells.reduce((max, cell) => Math.max(max, cell.severity ?? 1), 0)
+  };
+}
+
 /**
  * Get zone statistics
- * @param {Array<Array<GridCell>>} zones
+ * @param {Array<InfectedZone>} zones
  * @returns {Object}
  */
 export function getZoneStatistics(zones) {
+  const cellCounts = zones.map(zone => zone.cells.length);
+  const totalArea = zones.reduce((sum, zone) => sum + zone.areaHectares, 0);
+  const weightedSeverity = zones.reduce((sum, zone) => sum + zone.meanSeverity * zone.areaHectares, 0);
+  const totalCells = cellCounts.reduce((sum, n) => sum + n, 0);
+  
   return {
     zoneCount: zones.length,
-    totalInfectedCells: zones.reduce((sum, zone) => sum + zone.length, 0),
+    totalInfectedAreaHectares: parseFloat(totalArea.toFixed(4)),
+    largestZoneAreaHectares: zones.length > 0
+      ? Math.max(...zones.map(zone => zone.areaHectares))
+      : 0,
+    totalInfectedCells: totalCells,
     averageZoneSize: zones.length > 0 
-      ? (zones.reduce((sum, zone) => sum + zone.length, 0) / zones.length).toFixed(1)
+      ? (totalCells / zones.length).toFixed(1)
       : 0,
     largestZone: zones.length > 0
-      ? Math.max(...zones.map(zone => zone.length))
+      ? Math.max(...cellCounts)
+      : 0,
+    meanSeverity: totalArea > 0 ? parseFloat((weightedSeverity / totalArea).toFixed(3)) : 0,
+    maxSeverity: zones.length > 0
+      ? Math.max(...zones.map(zone => zone.maxSeverity))
       : 0
   };
 }
@@ -0,0 +1,152 @@
+/**
+ * Zone Outline Tracing
+ * Merges a set of grid cells into outline polygons (union of the cells)
+ */
+
+import { signedRingArea, isPointInRing } from './geometry';
+
+/**
+ * Trace the union of grid cells into polygons.
+ * Works on the grid lattice: every cell side that does not border another
+ * cell of the set is a boundary edge, and boundary edges are chained into rings.
+ * Clipped boundary cells contribute their full square, so outlines can overhang
+ * the field edge slightly; the field boundary is drawn on top.
+ * @param {Array<GridCell>} cells - Cells of one zone
+ * @param {Array<Array<GridCell|null>>} grid - Grid with grid.meta
+ * @returns {Array<Array<Array<[number, number]>>>} Polygons as [outer, ...holes] rings of [lat, lng]
+ *   (the nested shape Leaflet's Polygon takes for multi-polygons)
+ */
+export function traceCellOutline(cells, grid) {
+  if (cells.length === 0) return [];
+
+  // Grids without metadata have no lattice - fall back to one polygon per cell
+  if (!grid.meta) {
+    return cells.map(cell => [cell.outline]);
+  }
+
+  const { projection, origin, cellSizeMeters } = grid.meta;
+  const rings = traceLatticeRings(cells);
+
+  // Lattice vertex (col, -row) -> [lat, lng]
+  const toPosition = ([x, y]) => {
+    const { lat, lng } = projection.toLatLng({
+      x: origin.x + x * cellSizeMeters,
+      y: origin.y + y * cellSizeMeters
+    });
+    return [lat, lng];
+  };
+
+  return groupRings(rings).map(polygon => polygon.map(ring => ring.map(toPosition)));
+}
+
+/**
+ * Boundary rings of a cell set on the lattice.
+ * Lattice coordinates are x = col, y = -row (north up), with each cell's
+ * edges directed counter-clockwise, so outer rings come out counter-clockwise
+ * and holes clockwise.
+ * @param {Array<{row: number, col: number}>} cells
+ * @returns {Array<Array<[number, number]>>}
+ */
+function traceLatticeRings(cells) {
+  const inSet = new Set(cells.map(cell => `${cell.row}_${cell.col}`));
+  const has = (row, col) => inSet.has(`${row}_${col}`);
+
+  // Outgoing boundary edges per start vertex
+  const edgesFrom = new Map();
+  const edges = [];
+  const addEdge = (from, to) => {
+    const edge = { from, to, used: false };
+    const key = from.join(',');
+    if (!edgesFrom.has(key)) edgesFrom.set(key, []);
+    edgesFrom.get(key).push(edge);
+    edges.push(edge);
+  };
+
+  cells.forEach(({ row, col }) => {
+    const west = col;
+    const east = col + 1;
+    const north = -row;
+    const south = -row - 1;
+
+    if (!has(row + 1, col)) addEdge([west, south], [east, south]);
+    if (!has(row, col + 1)) addEdge([east, south], [east, north]);
+    if (!has(row - 1, col)) addEdge([east, north], [west, north]);
+    if (!has(row, col - 1)) addEdge([west, north], [west, south]);
+  });
+
+  const direction = (edge) => [edge.to[0] - edge.from[0], edge.to[1] - edge.from[1]];
+  const rings = [];
+
+  edges.forEach(start => {
+    if (start.used) return;
+
+    const ring = [];
+    let edge = start;
+
+    while (edge && !edge.used) {
+      edge.used = true;
+      ring.push(edge.from);
+
+      const [dx, dy] = direction(edge);
+      const candidates = (edgesFrom.get(edge.to.join(',')) || []).filter(e => !e.used);
+
+      // Where two cells touch only at a corner, turn left so each stays its own ring
+      const leftness = (e) => {
+        const [ex, ey] = direction(e);
+        return dx * ey - dy * ex;
+      };
+      edge = candidates.sort((a, b) => leftness(b) - leftness(a))[0];
+    }
+
+    rings.push(removeCollinear(ring));
+  });
+
+  return rings;
+}
+
+/**
+ * Drop vertices that lie on a straight run of edges
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<[number, number]>}
+ */
+function removeCollinear(ring) {
+  return ring.filter((point, i) => {
+    const prev = ring[(i + ring.length - 1) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    return (point[0] - prev[0]) * (next[1] - point[1]) !==
+           (point[1] - prev[1]) * (next[0] - point[0]);
+  });
+}
+
+/**
+ * Assign each hole (clockwise ring) to the outer ring that contains it
+ * @param {Array<Array<[number, number]>>} rings
+ * @returns {Array<Array<Array<[number, number]>>>} [outer, ...holes] per polygon
+ */
+function groupRings(rings) {
+  const toXY = ([x, y]) => ({ x, y });
+  const outers = [];
+  const holes = [];
+
+  rings.forEach(ring => {
+    const area = signedRingArea(ring.map(toXY));
+    (area > 0 ? outers : holes).push({ ring, area: Math.abs(area) });
+  });
+
+  // Smallest containing outer first, so holes nest correctly
+  outers.sort((a, b) => a.area - b.area);
+  const polygons = outers.map(({ ring }) => [ring]);
+
+  holes.forEach(({ ring }) => {
+    // Probe the zone cell on the left of the hole's first edge (avoids shared vertices)
+    const [a, b] = ring;
+    const probe = {
+      x: (a[0] + b[0]) / 2 - (b[1] - a[1]) * 0.01,
+      y: (a[1] + b[1]) / 2 + (b[0] - a[0]) * 0.01
+    };
+    const index = outers.findIndex(({ ring: outer }) => isPointInRing(probe, outer.map(toXY)));
+    if (index >= 0) polygons[index].push(ring);
+  });
+
+  return polygons;
+}